@@ -89,6 +89,23 @@ self.addEventListener('fetch', (event) => {
   );
 });
 
+// Notification click - open the app at the post the reminder is for
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const { postId } = event.notification.data || {};
+  
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true })
+      .then(async (allClients) => {
+        const client = allClients.length > 0 ? await allClients[0].focus() : await self.clients.openWindow('/');
+        
+        if (client && postId) {
+          client.postMessage({ type: 'open-reminder', postId });
+        }
+      })
+  );
+});
+
 // Handle share target requests
 async function handleShareTarget(event) {
   const url = new URL(event.request.url);
@@ -0,0 +1,455 @@
+/**
+ * Boards for Boardie
+ * Boards are named collections of posts with an optional cover image and
+ * description. A post can be on any number of boards, and "All posts" shows
+ * every post. Status, favorites and sort settings are remembered per board.
+ */
+
+import * as storage from './storage/index.js';
+import { filterPostsByTags, getActiveTagFilters, getPostById, setPostBoards } from './postManager.js';
+import { showUndoToast } from './historyManager.js';
+
+// Storage key prefix for the board being viewed
+const CURRENT_BOARD_KEY_PREFIX = 'boardie_current_board_';
+
+// Value of the board switcher option that creates a new board
+const NEW_BOARD_OPTION = '__new__';
+
+/**
+ * Get all boards for the current user, sorted by name
+ * @returns {Array} Array of boards
+ */
+export function getBoards() {
+  return storage.getBoards().sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Get the board being viewed
+ * @returns {string|null} Board ID, or null when showing all posts
+ */
+export function getCurrentBoardId() {
+  const saved = localStorage.getItem(`${CURRENT_BOARD_KEY_PREFIX}${storage.getStorageScope()}`);
+  return saved && storage.getBoard(saved) ? saved : null;
+}
+
+/**
+ * Get the scope filter settings are saved under
+ * Each board has its own filters; "All posts" keeps the user's original ones.
+ * @returns {string} The user scope, followed by the board ID when a board is open
+ */
+export function getFilterScope() {
+  const scope = storage.getStorageScope();
+  const boardId = getCurrentBoardId();
+  return boardId ? `${scope}_${boardId}` : scope;
+}
+
+/**
+ * Get the IDs of the boards a post is on
+ * @param {Object} post The post
+ * @returns {Array<string>} Board IDs
+ */
+export function getPostBoardIds(post) {
+  return post && Array.isArray(post.boardIds) ? post.boardIds : [];
+}
+
+/**
+ * Check whether a post should be shown on a board
+ * @param {Object} post The post
+ * @param {string|null} [boardId] Board ID, defaults to the board being viewed
+ * @returns {boolean} True if the post is on the board, or no board is open
+ */
+export function postMatchesBoard(post, boardId = getCurrentBoardId()) {
+  return !boardId || getPostBoardIds(post).includes(boardId);
+}
+
+/**
+ * Queue a board to be synced to Supabase if the user is logged in
+ * @param {string} id ID of the board
+ */
+function queueSync(id) {
+  if (!window.boardie || !window.boardie.isAuthenticated) return;
+
+  import('./database/sync/boardSyncService.js')
+    .then(({ queueBoardSync }) => queueBoardSync(id))
+    .catch(error => console.error('Error queuing board sync:', error));
+}
+
+/**
+ * Create a board
+ * @param {Object} fields Board fields
+ * @param {string} fields.name Board name
+ * @param {string} [fields.description] Board description
+ * @param {string} [fields.coverUrl] URL of the cover image
+ * @returns {Object} The new board
+ */
+export function createBoard({ name, description = '', coverUrl = '' }) {
+  const now = new Date().toISOString();
+  const board = {
+    // Boards keep this ID in Supabase too, so it has to be a UUID
+    id: crypto.randomUUID(),
+    name,
+    description,
+    coverUrl,
+    dateAdded: now,
+    lastUpdated: now
+  };
+
+  storage.putBoard(board);
+  queueSync(board.id);
+  console.log('Created board:', board.id);
+  return board;
+}
+
+/**
+ * Update a board's name, description or cover
+ * @param {string} id ID of the board
+ * @param {Object} fields Fields to change
+ * @returns {Object|null} The updated board, or null if it doesn't exist
+ */
+export function updateBoard(id, fields) {
+  const board = storage.getBoard(id);
+  if (!board) {
+    console.error('Cannot update missing board:', id);
+    return null;
+  }
+
+  const updatedBoard = { ...board, ...fields, lastUpdated: new Date().toISOString() };
+  storage.putBoard(updatedBoard);
+  queueSync(id);
+  console.log('Updated board:', id);
+  return updatedBoard;
+}
+
+/**
+ * Delete a board
+ * Its posts are kept and stay on any other boards they are on; its sections go with it,
+ * and smart boards on it search all posts instead.
+ * @param {string} id ID of the board
+ */
+export function deleteBoard(id) {
+  storage.transaction(tx => {
+    tx.deleteBoard(id);
+
+    const sectionIds = tx.getSections()
+      .filter(section => section.boardId === id)
+      .map(section => section.id);
+    sectionIds.forEach(tx.deleteSection);
+
+    // Supabase removes the board_posts, sections and section_posts entries along
+    // with the board, so the posts are changed without bumping lastUpdated or syncing them
+    tx.getPosts()
+      .filter(post => getPostBoardIds(post).includes(id) ||
+        (Array.isArray(post.sectionIds) && post.sectionIds.some(sectionId => sectionIds.includes(sectionId))))
+      .forEach(post => tx.putPost({
+        ...post,
+        boardIds: getPostBoardIds(post).filter(boardId => boardId !== id),
+        sectionIds: (post.sectionIds || []).filter(sectionId => !sectionIds.includes(sectionId))
+      }));
+
+    // Supabase also clears the board of smart boards that were on it
+    tx.getSmartBoards()
+      .filter(smartBoard => smartBoard.boardId === id)
+      .forEach(smartBoard => tx.putSmartBoard({ ...smartBoard, boardId: null }));
+  });
+
+  queueSync(id);
+  console.log('Deleted board:', id);
+}
+
+/**
+ * Open a board, or all posts
+ * @param {string|null} boardId Board ID, or null for all posts
+ * @param {boolean} [render=true] Whether to render the board's posts right away
+ */
+export function switchBoard(boardId, render = true) {
+  const previousBoardId = getCurrentBoardId();
+  const nextBoardId = boardId && storage.getBoard(boardId) ? boardId : null;
+
+  if (nextBoardId === previousBoardId) {
+    updateBoardSwitcher();
+    return;
+  }
+
+  console.log(`Switching to ${nextBoardId ? `board ${nextBoardId}` : 'all posts'}`);
+  localStorage.setItem(`${CURRENT_BOARD_KEY_PREFIX}${storage.getStorageScope()}`, nextBoardId || '');
+
+  // Listeners can swap the board's own filters in before the posts are rendered
+  document.dispatchEvent(new CustomEvent('boardChanged', {
+    detail: { previousBoardId, boardId: nextBoardId }
+  }));
+
+  updateBoardSwitcher();
+  renderBoardHeader();
+  if (render) {
+    filterPostsByTags(getActiveTagFilters());
+  }
+}
+
+/**
+ * Fill the board switcher with the user's boards
+ */
+function updateBoardSwitcher() {
+  const boardSelect = document.getElementById('boardSelect');
+  const editBoardBtn = document.getElementById('editBoardBtn');
+  if (!boardSelect) return;
+
+  const currentBoardId = getCurrentBoardId();
+  const options = [
+    new Option('All posts', ''),
+    ...getBoards().map(board => new Option(board.name, board.id)),
+    new Option('+ New board…', NEW_BOARD_OPTION)
+  ];
+
+  boardSelect.replaceChildren(...options);
+  boardSelect.value = currentBoardId || '';
+  editBoardBtn.classList.toggle('hidden', !currentBoardId);
+}
+
+/**
+ * Show the name, description and cover of the board being viewed
+ */
+export function renderBoardHeader() {
+  const boardHeader = document.getElementById('boardHeader');
+  if (!boardHeader) return;
+
+  const boardId = getCurrentBoardId();
+  const board = boardId ? storage.getBoard(boardId) : null;
+  const trashView = document.getElementById('trashView');
+  const isTrashOpen = trashView && !trashView.classList.contains('hidden');
+
+  boardHeader.classList.toggle('hidden', !board || isTrashOpen);
+  if (!board) return;
+
+  const cover = document.getElementById('boardCover');
+  if (board.coverUrl) {
+    cover.src = board.coverUrl;
+    cover.classList.remove('hidden');
+  } else {
+    cover.removeAttribute('src');
+    cover.classList.add('hidden');
+  }
+
+  document.getElementById('boardName').textContent = board.name;
+  const description = document.getElementById('boardDescription');
+  description.textContent = board.description || '';
+  description.classList.toggle('hidden', !board.description);
+}
+
+/**
+ * Open the board modal
+ * @param {Object|null} [board] Board to edit, or null to create a new one
+ */
+function openBoardModal(board = null) {
+  document.getElementById('boardModalTitle').textContent = board ? 'Edit Board' : 'New Board';
+  document.getElementById('boardFormId').value = board ? board.id : '';
+  document.getElementById('boardFormName').value = board ? board.name : '';
+  document.getElementById('boardFormDescription').value = board ? board.description || '' : '';
+  document.getElementById('boardFormCover').value = board ? board.coverUrl || '' : '';
+  document.getElementById('deleteBoardBtn').classList.toggle('hidden', !board);
+
+  document.getElementById('boardModal').classList.remove('hidden');
+  document.body.classList.add('overflow-hidden');
+  document.getElementById('boardFormName').focus();
+}
+
+/**
+ * Close the board modal
+ */
+function closeBoardModal() {
+  document.getElementById('boardModal').classList.add('hidden');
+  document.body.classList.remove('overflow-hidden');
+  document.getElementById('boardForm').reset();
+}
+
+/**
+ * Open the move/copy modal for a post
+ * @param {string} postId ID of the post
+ */
+function openBoardActionModal(postId) {
+  const post = getPostById(postId);
+  if (!post) return;
+
+  const boards = getBoards();
+  const postBoardNames = boards
+    .filter(board => getPostBoardIds(post).includes(board.id))
+    .map(board => board.name);
+
+  document.getElementById('boardActionPostId').value = postId;
+  document.getElementById('boardActionCurrent').textContent = postBoardNames.length > 0
+    ? `On ${postBoardNames.join(', ')}.`
+    : 'Not on any board yet.';
+
+  const targetSelect = document.getElementById('boardActionTarget');
+  targetSelect.replaceChildren(...boards.map(board => new Option(board.name, board.id)));
+
+  // Suggest a board the post isn't on yet
+  const firstOtherBoard = boards.find(board => !getPostBoardIds(post).includes(board.id));
+  if (firstOtherBoard) {
+    targetSelect.value = firstOtherBoard.id;
+  }
+
+  const hasBoards = boards.length > 0;
+  document.getElementById('boardActionEmpty').classList.toggle('hidden', hasBoards);
+  document.getElementById('boardActionPicker').classList.toggle('hidden', !hasBoards);
+  document.getElementById('copyToBoardBtn').disabled = !hasBoards;
+  document.getElementById('moveToBoardBtn').disabled = !hasBoards;
+
+  document.getElementById('boardActionModal').classList.remove('hidden');
+  document.body.classList.add('overflow-hidden');
+}
+
+/**
+ * Close the move/copy modal
+ */
+function closeBoardActionModal() {
+  document.getElementById('boardActionModal').classList.add('hidden');
+  document.body.classList.remove('overflow-hidden');
+}
+
+/**
+ * Copy or move the post in the move/copy modal to the selected board
+ * Copying adds the post to the board. Moving also takes it off the board being
+ * viewed, or off all its boards when viewing all posts.
+ * @param {boolean} move True to move, false to copy
+ */
+function applyBoardAction(move) {
+  const postId = document.getElementById('boardActionPostId').value;
+  const targetBoard = storage.getBoard(document.getElementById('boardActionTarget').value);
+  const post = getPostById(postId);
+  if (!post || !targetBoard) return;
+
+  const currentBoardId = getCurrentBoardId();
+  let boardIds = getPostBoardIds(post);
+  if (move) {
+    boardIds = currentBoardId ? boardIds.filter(id => id !== currentBoardId) : [];
+  }
+
+  const label = `${move ? 'Move' : 'Copy'} post to "${targetBoard.name}"`;
+  setPostBoards(postId, [...boardIds, targetBoard.id], label);
+  closeBoardActionModal();
+
+  showUndoToast(`${move ? 'Moved' : 'Copied'} to ${targetBoard.name}`);
+}
+
+/**
+ * Set up the board switcher, the board modals and the card action
+ */
+export function setupBoards() {
+  const boardSelect = document.getElementById('boardSelect');
+  const boardForm = document.getElementById('boardForm');
+
+  if (!boardSelect || !boardForm) {
+    console.log('Board elements not found in DOM');
+    return;
+  }
+
+  updateBoardSwitcher();
+  renderBoardHeader();
+
+  boardSelect.addEventListener('change', () => {
+    if (boardSelect.value === NEW_BOARD_OPTION) {
+      // Keep showing the open board until the new one is saved
+      boardSelect.value = getCurrentBoardId() || '';
+      openBoardModal();
+      return;
+    }
+
+    switchBoard(boardSelect.value || null);
+  });
+
+  document.getElementById('editBoardBtn').addEventListener('click', () => {
+    const boardId = getCurrentBoardId();
+    if (boardId) {
+      openBoardModal(storage.getBoard(boardId));
+    }
+  });
+
+  boardForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+
+    const id = document.getElementById('boardFormId').value;
+    const fields = {
+      name: document.getElementById('boardFormName').value.trim(),
+      description: document.getElementById('boardFormDescription').value.trim(),
+      coverUrl: document.getElementById('boardFormCover').value.trim()
+    };
+    if (!fields.name) return;
+
+    // A board created from the move/copy modal is picked there right away
+    const actionPostId = document.getElementById('boardActionModal').classList.contains('hidden')
+      ? null
+      : document.getElementById('boardActionPostId').value;
+
+    if (id) {
+      updateBoard(id, fields);
+      closeBoardModal();
+      updateBoardSwitcher();
+      renderBoardHeader();
+    } else {
+      const board = createBoard(fields);
+      closeBoardModal();
+
+      if (actionPostId) {
+        updateBoardSwitcher();
+        openBoardActionModal(actionPostId);
+        document.getElementById('boardActionTarget').value = board.id;
+      } else {
+        switchBoard(board.id);
+      }
+    }
+  });
+
+  document.getElementById('deleteBoardBtn').addEventListener('click', () => {
+    const id = document.getElementById('boardFormId').value;
+    const board = id ? storage.getBoard(id) : null;
+    if (!board) return;
+
+    if (confirm(`Delete the board "${board.name}"? Its posts are kept.`)) {
+      const wasOpen = getCurrentBoardId() === id;
+      deleteBoard(id);
+      closeBoardModal();
+
+      if (wasOpen) {
+        switchBoard(null);
+      } else {
+        updateBoardSwitcher();
+      }
+    }
+  });
+
+  document.getElementById('closeBoardModalBtn').addEventListener('click', closeBoardModal);
+  document.getElementById('cancelBoardBtn').addEventListener('click', closeBoardModal);
+
+  // Move/copy action on post cards (using event delegation)
+  document.addEventListener('click', (e) => {
+    const button = e.target.closest('.board-action-btn');
+    if (!button) return;
+
+    const postId = button.closest('.post-card')?.dataset.id;
+    if (postId) {
+      openBoardActionModal(postId);
+    }
+  });
+
+  document.getElementById('copyToBoardBtn').addEventListener('click', () => applyBoardAction(false));
+  document.getElementById('moveToBoardBtn').addEventListener('click', () => applyBoardAction(true));
+  document.getElementById('boardActionNewBtn').addEventListener('click', () => openBoardModal());
+  document.getElementById('closeBoardActionModalBtn').addEventListener('click', closeBoardActionModal);
+  document.getElementById('cancelBoardActionBtn').addEventListener('click', closeBoardActionModal);
+
+  // Keep the switcher current when boards change elsewhere (e.g. after a sync)
+  storage.subscribe(event => {
+    if (event.cleared || (event.putBoards && (event.putBoards.length > 0 || event.deleteBoardIds.length > 0))) {
+      updateBoardSwitcher();
+      renderBoardHeader();
+    }
+  });
+
+  // The open board is stored per user, so refresh after a login or logout re-render
+  document.addEventListener('postsRendered', () => {
+    updateBoardSwitcher();
+    renderBoardHeader();
+  });
+
+  console.log('Boards set up');
+}
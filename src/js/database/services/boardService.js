@@ -0,0 +1,220 @@
+/**
+ * Board Service
+ * Handles board-related database operations for the Boardie application
+ */
+
+import { supabase } from '../../auth/supabaseClient.js';
+
+/**
+ * Get all boards for the current user
+ * @returns {Promise<Array>} Array of boards
+ */
+export async function getBoards() {
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+
+    if (!user) throw new Error('No user logged in');
+
+    const { data, error } = await supabase
+      .from('boards')
+      .select('*')
+      .eq('user_id', user.id)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+
+  } catch (error) {
+    console.error('Error getting boards:', error);
+    return [];
+  }
+}
+
+/**
+ * Create a board, or update it if a board with the same ID exists
+ * Boards keep the ID they were given locally, so no ID mapping is needed.
+ * @param {Object} board - Board data in Supabase format
+ * @returns {Promise<Object>} The saved board
+ */
+export async function upsertBoard(board) {
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+
+    if (!user) throw new Error('No user logged in');
+
+    const { data, error } = await supabase
+      .from('boards')
+      .upsert({ ...board, user_id: user.id })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+
+  } catch (error) {
+    console.error('Error saving board:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a board
+ * Its board_posts entries are removed with it; the posts themselves are kept.
+ * @param {string} boardId - The board ID
+ * @returns {Promise<boolean>} Success status
+ */
+export async function deleteBoard(boardId) {
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+
+    if (!user) throw new Error('No user logged in');
+
+    const { error } = await supabase
+      .from('boards')
+      .delete()
+      .eq('id', boardId)
+      .eq('user_id', user.id);
+
+    if (error) throw error;
+    return true;
+
+  } catch (error) {
+    console.error('Error deleting board:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get all board_posts associations for the current user
+ * @returns {Promise<Array>} Array of board_posts entries
+ */
+export async function getAllBoardPosts() {
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+
+    if (!user) throw new Error('No user logged in');
+
+    const { data, error } = await supabase
+      .from('board_posts')
+      .select(`
+        board_id,
+        post_id,
+        board:boards!inner(user_id)
+      `)
+      .eq('board.user_id', user.id);
+
+    if (error) throw error;
+    return data || [];
+
+  } catch (error) {
+    console.error('Error getting board posts:', error);
+    return [];
+  }
+}
+
+/**
+ * Set the boards a post belongs to (replaces all existing associations)
+ * @param {string} postId - The post ID
+ * @param {Array<string>} boardIds - IDs of the boards
+ * @returns {Promise<boolean>} Success status
+ */
+export async function setBoardsForPost(postId, boardIds) {
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+
+    if (!user) throw new Error('No user logged in');
+
+    if (!postId) {
+      console.log('No post ID to set boards for');
+      return false;
+    }
+
+    // First, remove existing associations
+    const { error: deleteError } = await supabase
+      .from('board_posts')
+      .delete()
+      .eq('post_id', postId);
+
+    if (deleteError) {
+      console.error('Error removing existing board_posts:', deleteError);
+      throw deleteError;
+    }
+
+    const validBoardIds = (boardIds || []).filter(id => id !== null && id !== undefined);
+    if (validBoardIds.length === 0) {
+      return true;
+    }
+
+    // Then create new associations
+    const { error } = await supabase
+      .from('board_posts')
+      .insert(validBoardIds.map(boardId => ({
+        board_id: boardId,
+        post_id: postId
+      })));
+
+    if (error) {
+      console.error('Error inserting board_posts:', error);
+      throw error;
+    }
+
+    return true;
+
+  } catch (error) {
+    console.error('Error in setBoardsForPost:', error);
+    throw error;
+  }
+}
+
+/**
+ * Set the boards of several posts at once (replaces their existing associations)
+ * Uses one delete and one insert for all posts, e.g. after a batch action.
+ * @param {Object<string, Array<string>>} boardIdsByPostId - IDs of the boards by post ID
+ * @returns {Promise<boolean>} Success status
+ */
+export async function setBoardsForPosts(boardIdsByPostId) {
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+
+    if (!user) throw new Error('No user logged in');
+
+    const postIds = Object.keys(boardIdsByPostId);
+    if (postIds.length === 0) {
+      return true;
+    }
+
+    // First, remove the existing associations of all posts
+    const { error: deleteError } = await supabase
+      .from('board_posts')
+      .delete()
+      .in('post_id', postIds);
+
+    if (deleteError) {
+      console.error('Error removing existing board_posts:', deleteError);
+      throw deleteError;
+    }
+
+    const rows = postIds.flatMap(postId => (boardIdsByPostId[postId] || [])
+      .filter(id => id !== null && id !== undefined)
+      .map(boardId => ({ board_id: boardId, post_id: postId })));
+    if (rows.length === 0) {
+      return true;
+    }
+
+    // Then create the new associations
+    const { error } = await supabase
+      .from('board_posts')
+      .insert(rows);
+
+    if (error) {
+      console.error('Error inserting board_posts:', error);
+      throw error;
+    }
+
+    return true;
+
+  } catch (error) {
+    console.error('Error in setBoardsForPosts:', error);
+    throw error;
+  }
+}
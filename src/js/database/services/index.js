@@ -9,6 +9,18 @@ export * as postService from './postService.js';
 // Export tag service
 export * as tagService from './tagService.js';
 
+// Export board service
+export * as boardService from './boardService.js';
+
+// Export section service
+export * as sectionService from './sectionService.js';
+
+// Export revision service
+export * as revisionService from './revisionService.js';
+
+// Export smart board service
+export * as smartBoardService from './smartBoardService.js';
+
 // Export relation service
 export * as relationService from './relationService.js';
 
@@ -99,9 +99,19 @@ export async function createPost(post) {
       url: post.url,
       title: post.title || '',
       description: post.description || '',
+      notes: post.notes || '',
+      status: post.status || 'unread',
+      pinned_at: post.pinned_at || post.pinnedAt || null,
+      is_favorite: Boolean(post.is_favorite || post.favorite),
+      position: post.position ?? null,
+      remind_at: post.remind_at || post.remindAt || null,
+      opened_at: post.opened_at || post.openedAt || null,
+      link_status: post.link_status || post.linkStatus || null,
+      last_checked_at: post.last_checked_at || post.lastCheckedAt || null,
       platform: post.platform || '',
       created_at: post.dateAdded || new Date().toISOString(),
-      updated_at: post.lastUpdated || new Date().toISOString()
+      updated_at: post.lastUpdated || new Date().toISOString(),
+      deleted_at: post.deleted_at || post.deletedAt || null
     };
     
     console.log('Creating new post with data:', postData);
@@ -339,3 +349,140 @@ export async function findPostByUrl(url) {
     return { data: null, error };
   }
 }
+
+/**
+ * Get the ID and URL of every post of the current user
+ * @returns {Promise<Object>} Object containing data and error properties
+ */
+export async function getPostUrls() {
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+    
+    if (!user) throw new Error('No user logged in');
+    
+    const { data, error } = await supabase
+      .from('posts')
+      .select('id, url')
+      .eq('user_id', user.id);
+    
+    return { data, error };
+    
+  } catch (error) {
+    console.error('Error getting post URLs:', error);
+    return { data: null, error };
+  }
+}
+
+/**
+ * Create several posts in one request
+ * Fields a post leaves out, e.g. created_at, get the column's default.
+ * @param {Array<Object>} posts - Post data in Supabase format, without IDs
+ * @returns {Promise<Array>} The created posts
+ */
+export async function createPosts(posts) {
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+    
+    if (!user) throw new Error('No user logged in');
+    
+    if (!posts || posts.length === 0) {
+      return [];
+    }
+    
+    const { data, error } = await supabase
+      .from('posts')
+      .insert(posts.map(post => ({ ...post, user_id: user.id })), { defaultToNull: false })
+      .select();
+    
+    if (error) {
+      console.error('Supabase insert error:', error);
+      throw error;
+    }
+    
+    return data || [];
+    
+  } catch (error) {
+    console.error('Error creating posts:', error);
+    throw error;
+  }
+}
+
+/**
+ * Update several existing posts in one request
+ * @param {Array<Object>} posts - Post data in Supabase format, each with the cloud ID
+ * @returns {Promise<Array>} The updated posts
+ */
+export async function upsertPosts(posts) {
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+    
+    if (!user) throw new Error('No user logged in');
+    
+    if (!posts || posts.length === 0) {
+      return [];
+    }
+    
+    const { data, error } = await supabase
+      .from('posts')
+      .upsert(posts.map(post => ({ ...post, user_id: user.id })), { defaultToNull: false })
+      .select();
+    
+    if (error) {
+      console.error('Supabase upsert error:', error);
+      throw error;
+    }
+    
+    return data || [];
+    
+  } catch (error) {
+    console.error('Error updating posts:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete several posts and their tag associations
+ * @param {Array<string>} postIds - The post IDs
+ * @returns {Promise<boolean>} Success status
+ */
+export async function deletePosts(postIds) {
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+    
+    if (!user) throw new Error('No user logged in');
+    
+    if (!postIds || postIds.length === 0) {
+      return true;
+    }
+    
+    // First delete associated post_tags
+    const { error: tagError } = await supabase
+      .from('post_tags')
+      .delete()
+      .in('post_id', postIds);
+    
+    if (tagError) {
+      console.error('Error deleting post tags:', tagError);
+      throw tagError;
+    }
+    
+    // Then delete the posts
+    const { error } = await supabase
+      .from('posts')
+      .delete()
+      .in('id', postIds)
+      .eq('user_id', user.id);
+    
+    if (error) {
+      console.error('Error deleting posts:', error);
+      throw error;
+    }
+    
+    console.log(`${postIds.length} posts deleted from Supabase`);
+    return true;
+    
+  } catch (error) {
+    console.error('Error deleting posts:', error);
+    throw error;
+  }
+}
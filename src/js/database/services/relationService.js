@@ -252,3 +252,56 @@ export async function associateTagsWithPost(postId, tagIds) {
     throw error;
   }
 }
+
+/**
+ * Set the tags of several posts at once (replaces their existing associations)
+ * Uses one delete and one insert for all posts, e.g. after a batch action.
+ * @param {Object<string, Array<string>>} tagIdsByPostId - IDs of the tags by post ID
+ * @returns {Promise<boolean>} Success status
+ */
+export async function setTagsForPosts(tagIdsByPostId) {
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+    
+    if (!user) throw new Error('No user logged in');
+    
+    const postIds = Object.keys(tagIdsByPostId);
+    if (postIds.length === 0) {
+      return true;
+    }
+    
+    // First, remove the existing associations of all posts
+    const { error: deleteError } = await supabase
+      .from('post_tags')
+      .delete()
+      .in('post_id', postIds);
+    
+    if (deleteError) {
+      console.error('Error removing existing post_tags:', deleteError);
+      throw deleteError;
+    }
+    
+    const rows = postIds.flatMap(postId => (tagIdsByPostId[postId] || [])
+      .filter(id => id !== null && id !== undefined)
+      .map(tagId => ({ tag_id: tagId, post_id: postId })));
+    if (rows.length === 0) {
+      return true;
+    }
+    
+    // Then create the new associations
+    const { error } = await supabase
+      .from('post_tags')
+      .insert(rows);
+    
+    if (error) {
+      console.error('Error inserting post_tags:', error);
+      throw error;
+    }
+    
+    return true;
+    
+  } catch (error) {
+    console.error('Error in setTagsForPosts:', error);
+    throw error;
+  }
+}
@@ -0,0 +1,90 @@
+/**
+ * Revision Service
+ * Handles post revision database operations for the Boardie application
+ */
+
+import { supabase } from '../../auth/supabaseClient.js';
+
+/**
+ * Get all post revisions for the current user
+ * @returns {Promise<Array>} Array of revisions, newest first
+ */
+export async function getRevisions() {
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+
+    if (!user) throw new Error('No user logged in');
+
+    const { data, error } = await supabase
+      .from('post_revisions')
+      .select('*')
+      .eq('user_id', user.id)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+
+  } catch (error) {
+    console.error('Error getting post revisions:', error);
+    return [];
+  }
+}
+
+/**
+ * Add revisions that aren't in Supabase yet
+ * Revisions are never changed once written, so ones that already exist are skipped.
+ * @param {Array} revisions - Revisions in Supabase format
+ * @returns {Promise<boolean>} Success status
+ */
+export async function insertRevisions(revisions) {
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+
+    if (!user) throw new Error('No user logged in');
+
+    if (!revisions || revisions.length === 0) {
+      return true;
+    }
+
+    const { error } = await supabase
+      .from('post_revisions')
+      .upsert(revisions.map(revision => ({ ...revision, user_id: user.id })), { ignoreDuplicates: true });
+
+    if (error) throw error;
+    return true;
+
+  } catch (error) {
+    console.error('Error saving post revisions:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete revisions, e.g. ones that fall outside the retention limits
+ * @param {Array<string>} revisionIds - IDs of the revisions
+ * @returns {Promise<boolean>} Success status
+ */
+export async function deleteRevisions(revisionIds) {
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+
+    if (!user) throw new Error('No user logged in');
+
+    if (!revisionIds || revisionIds.length === 0) {
+      return true;
+    }
+
+    const { error } = await supabase
+      .from('post_revisions')
+      .delete()
+      .in('id', revisionIds)
+      .eq('user_id', user.id);
+
+    if (error) throw error;
+    return true;
+
+  } catch (error) {
+    console.error('Error deleting post revisions:', error);
+    throw error;
+  }
+}
@@ -0,0 +1,220 @@
+/**
+ * Section Service
+ * Handles section-related database operations for the Boardie application
+ */
+
+import { supabase } from '../../auth/supabaseClient.js';
+
+/**
+ * Get all sections for the current user
+ * @returns {Promise<Array>} Array of sections
+ */
+export async function getSections() {
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+
+    if (!user) throw new Error('No user logged in');
+
+    const { data, error } = await supabase
+      .from('sections')
+      .select('*')
+      .eq('user_id', user.id)
+      .order('position', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+
+  } catch (error) {
+    console.error('Error getting sections:', error);
+    return [];
+  }
+}
+
+/**
+ * Create a section, or update it if a section with the same ID exists
+ * Sections keep the ID they were given locally, so no ID mapping is needed.
+ * @param {Object} section - Section data in Supabase format
+ * @returns {Promise<Object>} The saved section
+ */
+export async function upsertSection(section) {
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+
+    if (!user) throw new Error('No user logged in');
+
+    const { data, error } = await supabase
+      .from('sections')
+      .upsert({ ...section, user_id: user.id })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+
+  } catch (error) {
+    console.error('Error saving section:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a section
+ * Its section_posts entries are removed with it; the posts themselves are kept.
+ * @param {string} sectionId - The section ID
+ * @returns {Promise<boolean>} Success status
+ */
+export async function deleteSection(sectionId) {
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+
+    if (!user) throw new Error('No user logged in');
+
+    const { error } = await supabase
+      .from('sections')
+      .delete()
+      .eq('id', sectionId)
+      .eq('user_id', user.id);
+
+    if (error) throw error;
+    return true;
+
+  } catch (error) {
+    console.error('Error deleting section:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get all section_posts associations for the current user
+ * @returns {Promise<Array>} Array of section_posts entries
+ */
+export async function getAllSectionPosts() {
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+
+    if (!user) throw new Error('No user logged in');
+
+    const { data, error } = await supabase
+      .from('section_posts')
+      .select(`
+        section_id,
+        post_id,
+        section:sections!inner(user_id)
+      `)
+      .eq('section.user_id', user.id);
+
+    if (error) throw error;
+    return data || [];
+
+  } catch (error) {
+    console.error('Error getting section posts:', error);
+    return [];
+  }
+}
+
+/**
+ * Set the sections a post is in (replaces all existing associations)
+ * @param {string} postId - The post ID
+ * @param {Array<string>} sectionIds - IDs of the sections
+ * @returns {Promise<boolean>} Success status
+ */
+export async function setSectionsForPost(postId, sectionIds) {
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+
+    if (!user) throw new Error('No user logged in');
+
+    if (!postId) {
+      console.log('No post ID to set sections for');
+      return false;
+    }
+
+    // First, remove existing associations
+    const { error: deleteError } = await supabase
+      .from('section_posts')
+      .delete()
+      .eq('post_id', postId);
+
+    if (deleteError) {
+      console.error('Error removing existing section_posts:', deleteError);
+      throw deleteError;
+    }
+
+    const validSectionIds = (sectionIds || []).filter(id => id !== null && id !== undefined);
+    if (validSectionIds.length === 0) {
+      return true;
+    }
+
+    // Then create new associations
+    const { error } = await supabase
+      .from('section_posts')
+      .insert(validSectionIds.map(sectionId => ({
+        section_id: sectionId,
+        post_id: postId
+      })));
+
+    if (error) {
+      console.error('Error inserting section_posts:', error);
+      throw error;
+    }
+
+    return true;
+
+  } catch (error) {
+    console.error('Error in setSectionsForPost:', error);
+    throw error;
+  }
+}
+
+/**
+ * Set the sections of several posts at once (replaces their existing associations)
+ * Uses one delete and one insert for all posts, e.g. after a batch action.
+ * @param {Object<string, Array<string>>} sectionIdsByPostId - IDs of the sections by post ID
+ * @returns {Promise<boolean>} Success status
+ */
+export async function setSectionsForPosts(sectionIdsByPostId) {
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+
+    if (!user) throw new Error('No user logged in');
+
+    const postIds = Object.keys(sectionIdsByPostId);
+    if (postIds.length === 0) {
+      return true;
+    }
+
+    // First, remove the existing associations of all posts
+    const { error: deleteError } = await supabase
+      .from('section_posts')
+      .delete()
+      .in('post_id', postIds);
+
+    if (deleteError) {
+      console.error('Error removing existing section_posts:', deleteError);
+      throw deleteError;
+    }
+
+    const rows = postIds.flatMap(postId => (sectionIdsByPostId[postId] || [])
+      .filter(id => id !== null && id !== undefined)
+      .map(sectionId => ({ section_id: sectionId, post_id: postId })));
+    if (rows.length === 0) {
+      return true;
+    }
+
+    // Then create the new associations
+    const { error } = await supabase
+      .from('section_posts')
+      .insert(rows);
+
+    if (error) {
+      console.error('Error inserting section_posts:', error);
+      throw error;
+    }
+
+    return true;
+
+  } catch (error) {
+    console.error('Error in setSectionsForPosts:', error);
+    throw error;
+  }
+}
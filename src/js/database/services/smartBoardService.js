@@ -0,0 +1,84 @@
+/**
+ * Smart Board Service
+ * Handles smart board (saved search) database operations for the Boardie application
+ */
+
+import { supabase } from '../../auth/supabaseClient.js';
+
+/**
+ * Get all smart boards for the current user
+ * @returns {Promise<Array>} Array of smart boards
+ */
+export async function getSmartBoards() {
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+
+    if (!user) throw new Error('No user logged in');
+
+    const { data, error } = await supabase
+      .from('smart_boards')
+      .select('*')
+      .eq('user_id', user.id)
+      .order('name', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+
+  } catch (error) {
+    console.error('Error getting smart boards:', error);
+    return [];
+  }
+}
+
+/**
+ * Create a smart board, or update it if a smart board with the same ID exists
+ * Smart boards keep the ID they were given locally, so no ID mapping is needed.
+ * @param {Object} smartBoard - Smart board data in Supabase format
+ * @returns {Promise<Object>} The saved smart board
+ */
+export async function upsertSmartBoard(smartBoard) {
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+
+    if (!user) throw new Error('No user logged in');
+
+    const { data, error } = await supabase
+      .from('smart_boards')
+      .upsert({ ...smartBoard, user_id: user.id })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+
+  } catch (error) {
+    console.error('Error saving smart board:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a smart board
+ * @param {string} smartBoardId - The smart board ID
+ * @returns {Promise<boolean>} Success status
+ */
+export async function deleteSmartBoard(smartBoardId) {
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+
+    if (!user) throw new Error('No user logged in');
+
+    const { error } = await supabase
+      .from('smart_boards')
+      .delete()
+      .eq('id', smartBoardId)
+      .eq('user_id', user.id);
+
+    if (error) throw error;
+    return true;
+
+  } catch (error) {
+    console.error('Error deleting smart board:', error);
+    throw error;
+  }
+}
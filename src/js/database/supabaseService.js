@@ -325,8 +325,18 @@ export async function createPost(post) {
           platform: post.platform,
           title: post.title || null,
           description: post.description || null,
+          notes: post.notes || null,
+          status: post.status || 'unread',
+          pinned_at: post.pinned_at || null,
+          is_favorite: Boolean(post.is_favorite),
+          position: post.position ?? null,
+          remind_at: post.remind_at || null,
+          opened_at: post.opened_at || null,
+          link_status: post.link_status || null,
+          last_checked_at: post.last_checked_at || null,
           created_at: new Date().toISOString(),
-          updated_at: new Date().toISOString()
+          updated_at: new Date().toISOString(),
+          deleted_at: post.deleted_at || null
         }
       ])
       .select();
@@ -642,6 +652,16 @@ export async function updatePost(postId, postData) {
     if (postData.platform !== undefined) updateObj.platform = postData.platform;
     if (postData.title !== undefined) updateObj.title = postData.title;
     if (postData.description !== undefined) updateObj.description = postData.description;
+    if (postData.deleted_at !== undefined) updateObj.deleted_at = postData.deleted_at;
+    if (postData.notes !== undefined) updateObj.notes = postData.notes;
+    if (postData.status !== undefined) updateObj.status = postData.status;
+    if (postData.pinned_at !== undefined) updateObj.pinned_at = postData.pinned_at;
+    if (postData.is_favorite !== undefined) updateObj.is_favorite = postData.is_favorite;
+    if (postData.position !== undefined) updateObj.position = postData.position;
+    if (postData.remind_at !== undefined) updateObj.remind_at = postData.remind_at;
+    if (postData.opened_at !== undefined) updateObj.opened_at = postData.opened_at;
+    if (postData.link_status !== undefined) updateObj.link_status = postData.link_status;
+    if (postData.last_checked_at !== undefined) updateObj.last_checked_at = postData.last_checked_at;
     updateObj.updated_at = new Date().toISOString();
     
     // Update the post
@@ -0,0 +1,114 @@
+/**
+ * Board Sync Service
+ * Handles synchronization of boards and board membership between local storage and Supabase
+ */
+
+import { getBoards, getBoard, replaceBoards } from '../../storage/index.js';
+import * as boardService from '../services/boardService.js';
+import syncQueue from './syncQueue.js';
+import { cloudBoardToLocalFormat, localBoardToCloudFormat, mergeRecordsById } from './syncUtils.js';
+
+/**
+ * Sync all local boards to Supabase
+ * Runs before posts are synced so their board_posts entries can refer to the boards.
+ * @returns {Promise<void>}
+ */
+export async function syncBoardsToCloud() {
+  const localBoards = getBoards();
+  console.log(`Syncing ${localBoards.length} boards to cloud`);
+
+  for (const board of localBoards) {
+    try {
+      await boardService.upsertBoard(localBoardToCloudFormat(board));
+    } catch (error) {
+      console.error(`Error syncing board ${board.id}:`, error);
+    }
+  }
+}
+
+/**
+ * Merge the boards in Supabase into the local boards
+ * Local boards that are newer or not in Supabase yet, e.g. created offline,
+ * are kept and pushed instead of being lost.
+ * @returns {Promise<Object>} Map of board IDs by post ID, from board_posts
+ */
+export async function syncBoardsToLocal() {
+  const cloudBoards = await boardService.getBoards();
+  console.log(`Cloud boards: ${cloudBoards.length}`);
+
+  const { merged, toPush } = mergeRecordsById(getBoards(), cloudBoards.map(cloudBoardToLocalFormat));
+  replaceBoards(merged);
+
+  for (const board of toPush) {
+    try {
+      await boardService.upsertBoard(localBoardToCloudFormat(board));
+    } catch (error) {
+      console.error(`Error syncing board ${board.id}:`, error);
+    }
+  }
+
+  const boardPosts = await boardService.getAllBoardPosts();
+  console.log(`Board-post associations: ${boardPosts.length}`);
+
+  // Group board IDs by post ID
+  const boardIdsByPostId = {};
+  boardPosts.forEach(bp => {
+    if (!boardIdsByPostId[bp.post_id]) {
+      boardIdsByPostId[bp.post_id] = [];
+    }
+    boardIdsByPostId[bp.post_id].push(bp.board_id);
+  });
+
+  return boardIdsByPostId;
+}
+
+/**
+ * Sync the boards a post belongs to
+ * @param {string} postId - ID of the post in Supabase
+ * @param {Array<string>} boardIds - IDs of the post's boards
+ * @returns {Promise<void>}
+ */
+export async function syncPostBoards(postId, boardIds) {
+  if (!postId) return;
+
+  // Leave out boards that were deleted in the meantime
+  const existingBoardIds = (boardIds || []).filter(id => getBoard(id));
+  await boardService.setBoardsForPost(postId, existingBoardIds);
+}
+
+/**
+ * Sync the boards of several posts in one operation, e.g. after a batch action
+ * @param {Object<string, Array<string>>} boardIdsByPostId - IDs of each post's boards, by the post's ID in Supabase
+ * @returns {Promise<void>}
+ */
+export async function syncPostsBoards(boardIdsByPostId) {
+  // Leave out boards that were deleted in the meantime
+  const existing = {};
+  Object.entries(boardIdsByPostId).forEach(([postId, ids]) => {
+    existing[postId] = (ids || []).filter(id => getBoard(id));
+  });
+  await boardService.setBoardsForPosts(existing);
+}
+
+/**
+ * Queue a single board to be synced to Supabase
+ * The board is read from storage when the operation runs; if it no longer
+ * exists locally it is deleted from Supabase.
+ * @param {string} boardId - ID of the board to sync
+ */
+export function queueBoardSync(boardId) {
+  if (!window.boardie || !window.boardie.isAuthenticated) {
+    console.log('User not logged in, skipping board sync');
+    return;
+  }
+
+  syncQueue.add(async () => {
+    const board = getBoard(boardId);
+
+    if (board) {
+      await boardService.upsertBoard(localBoardToCloudFormat(board));
+    } else {
+      await boardService.deleteBoard(boardId);
+    }
+  }, `Sync board ${boardId}`, { key: `board:${boardId}` });
+}
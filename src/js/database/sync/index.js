@@ -24,7 +24,10 @@ export { default as syncQueue } from './syncQueue.js';
 export {
   syncLocalToCloud,
   syncCloudToLocal,
-  syncSinglePostToCloud
+  syncSinglePostToCloud,
+  syncPostsToCloud,
+  queuePostSync,
+  queuePostsSync
 } from './postSyncService.js';
 
 // Export tag sync service
@@ -36,11 +39,49 @@ export {
   syncPostTags
 } from './tagSyncService.js';
 
+// Export board sync service
+export {
+  syncBoardsToCloud,
+  syncBoardsToLocal,
+  syncPostBoards,
+  queueBoardSync
+} from './boardSyncService.js';
+
+// Export section sync service
+export {
+  syncSectionsToCloud,
+  syncSectionsToLocal,
+  syncPostSections,
+  queueSectionSync
+} from './sectionSyncService.js';
+
+// Export smart board sync service
+export {
+  syncSmartBoardsToCloud,
+  syncSmartBoardsToLocal,
+  queueSmartBoardSync
+} from './smartBoardSyncService.js';
+
+// Export revision sync service
+export {
+  syncPostRevisions,
+  syncRevisionsToLocal,
+  renamePostRevisions
+} from './revisionSyncService.js';
+
 // Export sync utilities
 export {
   determineSyncDirection,
   cloudPostToLocalFormat,
   localPostToCloudFormat,
+  cloudBoardToLocalFormat,
+  localBoardToCloudFormat,
+  cloudSectionToLocalFormat,
+  localSectionToCloudFormat,
+  cloudSmartBoardToLocalFormat,
+  localSmartBoardToCloudFormat,
+  cloudRevisionToLocalFormat,
+  localRevisionToCloudFormat,
   createPostMapByUrl,
   createPostMapById,
   createTagMapByName,
@@ -3,7 +3,7 @@
  * Helps migrate from the old sync system to the new modular sync system
  */
 
-import { loadPosts, savePosts, loadTags, saveTags } from '../../postManager.js';
+import * as storage from '../../storage/index.js';
 import * as postService from '../services/postService.js';
 import * as tagService from '../services/tagService.js';
 import * as relationService from '../services/relationService.js';
@@ -19,8 +19,8 @@ export async function migrateToNewSyncSystem() {
     console.log('Starting migration to new sync system...');
     
     // Get local data
-    const localPosts = loadPosts(true); // Skip rendering
-    const localTags = loadTags();
+    const localPosts = storage.getPosts();
+    const localTags = storage.getTags();
     
     console.log(`Local data: ${localPosts.length} posts, ${localTags.length} tags`);
     
@@ -58,9 +58,11 @@ export async function migrateToNewSyncSystem() {
       }
     }
     
-    // Save updated local data
-    savePosts(localPosts, true); // Skip rendering
-    saveTags(localTags);
+    // Save updated local data in one transaction
+    await storage.transaction(tx => {
+      tx.replacePosts(localPosts);
+      tx.replaceTags(localTags);
+    });
     
     // Set a marker in localStorage to indicate migration is completed
     localStorage.setItem('boardie_migration_completed', 'true');
@@ -3,17 +3,24 @@
  * Handles synchronization of posts between local storage and Supabase
  */
 
-import { loadPosts, savePosts } from '../../postManager.js';
+import { getPosts, getPost, replacePosts } from '../../storage/index.js';
 import * as postService from '../services/postService.js';
 import * as tagSyncService from './tagSyncService.js';
+import * as boardSyncService from './boardSyncService.js';
+import * as sectionSyncService from './sectionSyncService.js';
+import * as smartBoardSyncService from './smartBoardSyncService.js';
+import * as revisionSyncService from './revisionSyncService.js';
 import * as relationService from '../services/relationService.js';
 import syncState from './syncState.js';
+import syncQueue from './syncQueue.js';
 import { supabase } from '../../auth/supabaseClient.js';
+import { getUrlKey } from '../../utils/canonicalUrl.js';
 import { 
   createPostMapByUrl, 
   createPostMapById, 
   cloudPostToLocalFormat, 
-  localPostToCloudFormat 
+  localPostToCloudFormat,
+  isLocalRecordNewer
 } from './syncUtils.js';
 
 /**
@@ -24,8 +31,17 @@ export async function syncLocalToCloud() {
   try {
     console.log('Starting local to cloud post sync');
     
+    // Boards and their sections go first so the posts' board_posts and
+    // section_posts entries can refer to them. They are pushed even without
+    // posts, so they aren't lost on the next cloud to local sync.
+    await boardSyncService.syncBoardsToCloud();
+    await sectionSyncService.syncSectionsToCloud();
+    
+    // Smart boards only refer to boards, but are saved along with them
+    await smartBoardSyncService.syncSmartBoardsToCloud();
+    
     // Get local posts
-    const localPosts = loadPosts(true); // Skip rendering
+    const localPosts = getPosts();
     console.log(`Local posts: ${localPosts.length}`);
     
     if (localPosts.length === 0) {
@@ -34,9 +50,12 @@ export async function syncLocalToCloud() {
     }
     
     // Get cloud tags for association
-    const cloudTags = await tagSyncService.syncTagsToCloud(loadPosts(true));
+    const cloudTags = await tagSyncService.syncTagsToCloud(getPosts());
     console.log('Cloud tags prepared for post sync');
     
+    // Cloud IDs of posts created in this sync, by their local ID
+    const idMap = {};
+    
     // Process each local post
     for (const localPost of localPosts) {
       try {
@@ -49,8 +68,18 @@ export async function syncLocalToCloud() {
         }
         
         if (existingPosts && existingPosts.length > 0) {
-          // Post exists, update it
           const existingPost = existingPosts[0];
+          
+          // Changes made on another device since this post was last changed here
+          // (status, pins, favorites, reminders, positions...) win, like in syncCloudToLocal()
+          const cloudPost = cloudPostToLocalFormat(existingPost);
+          if (isLocalRecordNewer(cloudPost, localPost)) {
+            console.log(`Keeping newer cloud copy of post: ${existingPost.id}`);
+            copyCloudPostFields(localPost, cloudPost);
+            continue;
+          }
+          
+          // Post exists, update it
           console.log(`Updating existing post in cloud: ${existingPost.id}`);
           
           // Prepare post data for update
@@ -63,6 +92,11 @@ export async function syncLocalToCloud() {
           if (localPost.tags && localPost.tags.length > 0) {
             await tagSyncService.syncPostTags(existingPost.id, localPost.tags, cloudTags);
           }
+          
+          // Sync boards and sections for this post
+          await boardSyncService.syncPostBoards(existingPost.id, localPost.boardIds);
+          await sectionSyncService.syncPostSections(existingPost.id, localPost.sectionIds);
+          await revisionSyncService.syncPostRevisions(existingPost.id, localPost.id);
         } else {
           // Post doesn't exist, create it
           console.log(`Creating new post in cloud: ${localPost.url}`);
@@ -77,12 +111,19 @@ export async function syncLocalToCloud() {
             console.log(`Post created with ID: ${newPost.id}`);
             
             // Update local post with cloud ID
+            const localPostId = localPost.id;
+            idMap[localPostId] = newPost.id;
             localPost.id = newPost.id;
             
             // Sync tags for this post
             if (localPost.tags && localPost.tags.length > 0) {
               await tagSyncService.syncPostTags(newPost.id, localPost.tags, cloudTags);
             }
+            
+            // Sync boards and sections for this post
+            await boardSyncService.syncPostBoards(newPost.id, localPost.boardIds);
+            await sectionSyncService.syncPostSections(newPost.id, localPost.sectionIds);
+            await revisionSyncService.syncPostRevisions(newPost.id, localPostId);
           }
         }
       } catch (error) {
@@ -90,8 +131,9 @@ export async function syncLocalToCloud() {
       }
     }
     
-    // Save updated local posts with cloud IDs
-    savePosts(localPosts);
+    // Save updated local posts with cloud IDs, and point their revisions at them
+    replacePosts(localPosts);
+    revisionSyncService.renamePostRevisions(idMap);
     
     console.log('Local to cloud post sync completed');
   } catch (error) {
@@ -119,7 +161,7 @@ export async function syncCloudToLocal(skipRender = false) {
     }
     
     // Get local posts
-    const localPosts = loadPosts(true); // Skip rendering
+    const localPosts = getPosts();
     console.log(`Local posts: ${localPosts.length}`);
     
     // Create maps for easier lookup
@@ -138,9 +180,21 @@ export async function syncCloudToLocal(skipRender = false) {
       postTagsById[pt.post_id].push(pt);
     });
     
+    // Get the boards and sections, and which posts are in them
+    const boardIdsByPostId = await boardSyncService.syncBoardsToLocal();
+    const sectionIdsByPostId = await sectionSyncService.syncSectionsToLocal();
+    await smartBoardSyncService.syncSmartBoardsToLocal();
+    
     // Process cloud posts
     const updatedPosts = [];
     
+    // Cloud IDs of local posts whose ID changes in this sync, by their local ID
+    const idMap = {};
+    const matchedLocalPosts = new Set();
+    
+    // Local posts changed after their cloud copy
+    const localNewerPosts = [];
+    
     for (const cloudPost of cloudPosts) {
       // Convert cloud post to local format
       const localFormat = cloudPostToLocalFormat(cloudPost);
@@ -164,19 +218,33 @@ export async function syncCloudToLocal(skipRender = false) {
         localFormat.tags = [];
       }
       
+      localFormat.boardIds = boardIdsByPostId[cloudPost.id] || [];
+      localFormat.sectionIds = sectionIdsByPostId[cloudPost.id] || [];
+      
       // Check if this post exists in local storage
-      const existingLocalPost = localPostsByUrl[cloudPost.url];
+      // A local post only takes over one cloud post, even if several link to the same content
+      const existingLocalPost = localPostsByUrl[getUrlKey(cloudPost.url)];
       
-      if (existingLocalPost) {
+      if (existingLocalPost && !matchedLocalPosts.has(existingLocalPost)) {
+        matchedLocalPosts.add(existingLocalPost);
         // Update existing local post
+        if (existingLocalPost.id !== cloudPost.id) {
+          idMap[existingLocalPost.id] = cloudPost.id;
+        }
         existingLocalPost.id = cloudPost.id;
-        existingLocalPost.title = localFormat.title;
-        existingLocalPost.description = localFormat.description;
-        existingLocalPost.imageUrl = localFormat.imageUrl;
-        existingLocalPost.embedHtml = localFormat.embedHtml;
-        existingLocalPost.dateAdded = localFormat.dateAdded;
-        existingLocalPost.lastUpdated = localFormat.lastUpdated;
-        existingLocalPost.tags = localFormat.tags;
+        
+        // The copy changed last wins, so a post trashed, restored or edited
+        // offline keeps that change and is pushed instead
+        if (isLocalRecordNewer(existingLocalPost, localFormat)) {
+          localNewerPosts.push(existingLocalPost);
+        } else {
+          copyCloudPostFields(existingLocalPost, localFormat);
+          existingLocalPost.imageUrl = localFormat.imageUrl;
+          existingLocalPost.embedHtml = localFormat.embedHtml;
+          existingLocalPost.tags = localFormat.tags;
+          existingLocalPost.boardIds = localFormat.boardIds;
+          existingLocalPost.sectionIds = localFormat.sectionIds;
+        }
         
         updatedPosts.push(existingLocalPost);
       } else {
@@ -185,8 +253,14 @@ export async function syncCloudToLocal(skipRender = false) {
       }
     }
     
-    // Save updated posts to local storage
-    savePosts(updatedPosts);
+    // Save updated posts to local storage, then merge in their revision history
+    replacePosts(updatedPosts);
+    await revisionSyncService.syncRevisionsToLocal(idMap);
+    
+    if (localNewerPosts.length > 0) {
+      console.log(`Keeping ${localNewerPosts.length} local posts that are newer than the cloud`);
+      queuePostsSync(localNewerPosts);
+    }
     
     console.log('Cloud to local post sync completed');
     
@@ -205,6 +279,165 @@ export async function syncCloudToLocal(skipRender = false) {
   }
 }
 
+/**
+ * Copy the fields Supabase keeps for a post onto the matching local post
+ * The local post keeps its ID, URL, embed, tags, boards and sections.
+ * @param {Object} localPost - The local post, changed in place
+ * @param {Object} cloudPost - The post from Supabase, in local format
+ */
+function copyCloudPostFields(localPost, cloudPost) {
+  localPost.title = cloudPost.title;
+  localPost.description = cloudPost.description;
+  localPost.dateAdded = cloudPost.dateAdded;
+  localPost.lastUpdated = cloudPost.lastUpdated;
+  localPost.deletedAt = cloudPost.deletedAt;
+  localPost.notes = cloudPost.notes;
+  localPost.status = cloudPost.status;
+  localPost.pinnedAt = cloudPost.pinnedAt;
+  localPost.favorite = cloudPost.favorite;
+  localPost.position = cloudPost.position;
+  localPost.remindAt = cloudPost.remindAt;
+  localPost.openedAt = cloudPost.openedAt;
+  localPost.linkStatus = cloudPost.linkStatus;
+  localPost.lastCheckedAt = cloudPost.lastCheckedAt;
+}
+
+/**
+ * Get the logged in user, refreshing the session if it has expired
+ * @returns {Promise<Object>} The user
+ */
+async function getSyncUser() {
+  // Get the current user and session to ensure we have the user_id and valid token
+  const { data: { user } } = await supabase.auth.getUser();
+  const { data: { session } } = await supabase.auth.getSession();
+  
+  if (!user) {
+    throw new Error('No user logged in');
+  }
+  
+  if (!session) {
+    throw new Error('No valid session found. Please log in again.');
+  }
+  
+  // Refresh the session if needed
+  if (session.expires_at && new Date(session.expires_at * 1000) < new Date()) {
+    console.log('Session expired, attempting to refresh...');
+    const { data: refreshData, error: refreshError } = await supabase.auth.refreshSession();
+    if (refreshError) {
+      console.error('Error refreshing session:', refreshError);
+      throw new Error('Session expired and could not be refreshed. Please log in again.');
+    }
+    console.log('Session refreshed successfully');
+  }
+  
+  return user;
+}
+
+/**
+ * Give a post's tags the `{ name, color }` format Supabase expects
+ * @param {Object} post - The post, changed in place
+ */
+function normalizePostTags(post) {
+  if (post.tags && Array.isArray(post.tags)) {
+    post.tags = post.tags.map(tag => {
+      // Ensure tag is an object with name and color
+      if (typeof tag === 'string') {
+        return {
+          name: tag,
+          color: '#cccccc' // Default color
+        };
+      } else if (typeof tag === 'object' && tag !== null) {
+        return {
+          name: tag.name || '',
+          color: tag.color || '#cccccc'
+        };
+      }
+      return null;
+    }).filter(tag => tag !== null && tag.name);
+  }
+}
+
+/**
+ * Create or update a post in Supabase along with its tags, boards, sections and revisions
+ * @param {Object} post - The post; its ID is replaced with the cloud ID
+ * @param {Object} user - The logged in user
+ * @param {Object} cloudTags - Cloud tags by name, from syncTagsToCloud()
+ * @returns {Promise<Object>} The post as saved in Supabase
+ */
+async function upsertPostToCloud(post, user, cloudTags) {
+  // The ID is replaced with the cloud ID below, but revisions are stored under the local one
+  const localPostId = post.id;
+  
+  // Ensure post has user_id
+  if (!post.user_id) {
+    post.user_id = user.id;
+  }
+  
+  // Check if post already exists in cloud by URL
+  const { data: existingPosts, error: findError } = await postService.findPostByUrl(post.url);
+  
+  if (findError) {
+    console.error('Error finding post by URL:', findError);
+    throw findError;
+  }
+  
+  let syncedPost;
+  
+  if (existingPosts && existingPosts.length > 0) {
+    // Post exists, update it
+    const existingPost = existingPosts[0];
+    console.log(`Updating existing post in cloud: ${existingPost.id}`);
+    
+    // Prepare post data for update
+    const postData = localPostToCloudFormat(post);
+    
+    // Ensure we have the user_id in the post data
+    postData.user_id = user.id;
+    
+    // Update the post
+    const updatedPost = await postService.updatePost(existingPost.id, postData);
+    syncedPost = updatedPost;
+    
+    // Update local post with cloud ID
+    post.id = existingPost.id;
+  } else {
+    // Post doesn't exist, create it
+    console.log(`Creating new post in cloud: ${post.url}`);
+    
+    // Prepare post data for creation
+    const postData = localPostToCloudFormat(post);
+    
+    // Ensure we have the user_id in the post data
+    postData.user_id = user.id;
+    
+    // Create the post
+    const newPost = await postService.createPost(postData);
+    syncedPost = newPost;
+    
+    if (newPost && newPost.id) {
+      console.log(`Post created with ID: ${newPost.id}`);
+      
+      // Update local post with cloud ID
+      post.id = newPost.id;
+    }
+  }
+  
+  // Sync tags for this post
+  if (post.tags && post.tags.length > 0 && post.id) {
+    console.log(`Syncing ${post.tags.length} tags for post ${post.id}`);
+    await tagSyncService.syncPostTags(post.id, post.tags, cloudTags);
+  }
+  
+  // Sync boards and sections for this post
+  if (post.id) {
+    await boardSyncService.syncPostBoards(post.id, post.boardIds);
+    await sectionSyncService.syncPostSections(post.id, post.sectionIds);
+    await revisionSyncService.syncPostRevisions(post.id, localPostId);
+  }
+  
+  return syncedPost;
+}
+
 /**
  * Sync a single post to Supabase
  * @param {Object} post - The post to sync
@@ -220,114 +453,167 @@ export async function syncSinglePostToCloud(post) {
     console.log(`Syncing single post to cloud: ${post.url}`);
     console.log('Post tags:', JSON.stringify(post.tags));
     
-    // Get the current user and session to ensure we have the user_id and valid token
-    const { data: { user } } = await supabase.auth.getUser();
-    const { data: { session } } = await supabase.auth.getSession();
-    
-    if (!user) {
-      throw new Error('No user logged in');
-    }
-    
-    if (!session) {
-      throw new Error('No valid session found. Please log in again.');
-    }
-    
-    // Refresh the session if needed
-    if (session.expires_at && new Date(session.expires_at * 1000) < new Date()) {
-      console.log('Session expired, attempting to refresh...');
-      const { data: refreshData, error: refreshError } = await supabase.auth.refreshSession();
-      if (refreshError) {
-        console.error('Error refreshing session:', refreshError);
-        throw new Error('Session expired and could not be refreshed. Please log in again.');
-      }
-      console.log('Session refreshed successfully');
-    }
-    
-    // Ensure post has user_id
-    if (!post.user_id) {
-      post.user_id = user.id;
-    }
-    
-    // Process tags to ensure they have proper format
-    if (post.tags && Array.isArray(post.tags)) {
-      post.tags = post.tags.map(tag => {
-        // Ensure tag is an object with name and color
-        if (typeof tag === 'string') {
-          return {
-            name: tag,
-            color: '#cccccc' // Default color
-          };
-        } else if (typeof tag === 'object' && tag !== null) {
-          return {
-            name: tag.name || '',
-            color: tag.color || '#cccccc'
-          };
-        }
-        return null;
-      }).filter(tag => tag !== null && tag.name);
-    }
+    const user = await getSyncUser();
+    normalizePostTags(post);
     
     // Get cloud tags for association
     const cloudTags = await tagSyncService.syncTagsToCloud([post]);
     
-    // Check if post already exists in cloud by URL
-    const { data: existingPosts, error: findError } = await postService.findPostByUrl(post.url);
-    
-    if (findError) {
-      console.error('Error finding post by URL:', findError);
-      throw findError;
-    }
+    return await upsertPostToCloud(post, user, cloudTags);
+  } catch (error) {
+    console.error('Error syncing single post to cloud:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the key a post is matched on in the cloud
+ * Different links to the same content share a key, see `getUrlKey()`.
+ * @param {string} url - The post URL
+ * @returns {string} The URL key, or the URL itself if it can't be parsed
+ */
+function getPostUrlKey(url) {
+  return getUrlKey(url) || url;
+}
+
+/**
+ * Find the cloud posts matching any of several URLs by URL key
+ * @param {Array<string>} urls - The URLs
+ * @returns {Promise<Array>} `{ id, url }` of the cloud posts
+ */
+async function findCloudPostsByUrls(urls) {
+  const urlKeys = new Set(urls.map(getPostUrlKey));
+  const { data, error } = await postService.getPostUrls();
+  if (error) throw error;
+  
+  return (data || []).filter(cloudPost => urlKeys.has(getPostUrlKey(cloudPost.url)));
+}
+
+/**
+ * Sync several posts to Supabase at once, e.g. after a batch action
+ * The posts are saved with one request per table rather than one round of
+ * requests per post: existing posts are updated together, new posts are
+ * created together, and their tags, boards, sections and revisions are each
+ * written in one go. Posts that no longer exist locally are removed from Supabase.
+ * @param {Array<Object>} posts - `{ id, url }` of each post; the posts are read from storage
+ * @returns {Promise<void>}
+ */
+export async function syncPostsToCloud(posts) {
+  try {
+    console.log(`Syncing ${posts.length} posts to cloud`);
     
-    let syncedPost;
+    await getSyncUser();
+    const localPosts = posts.map(({ id }) => getPost(id)).filter(Boolean).map(post => ({ ...post }));
+    localPosts.forEach(normalizePostTags);
     
-    if (existingPosts && existingPosts.length > 0) {
-      // Post exists, update it
-      const existingPost = existingPosts[0];
-      console.log(`Updating existing post in cloud: ${existingPost.id}`);
-      
-      // Prepare post data for update
-      const postData = localPostToCloudFormat(post);
+    if (localPosts.length > 0) {
+      // Get cloud tags for association
+      const cloudTags = await tagSyncService.syncTagsToCloud(localPosts);
       
-      // Ensure we have the user_id in the post data
-      postData.user_id = user.id;
+      // A post is the same in the cloud if it has the same URL key
+      const cloudPostsByUrl = new Map();
+      const addCloudPost = cloudPost => {
+        const urlKey = getPostUrlKey(cloudPost.url);
+        if (!cloudPostsByUrl.has(urlKey)) cloudPostsByUrl.set(urlKey, cloudPost);
+      };
+      const getCloudPost = post => cloudPostsByUrl.get(getPostUrlKey(post.url));
+      (await findCloudPostsByUrls(localPosts.map(post => post.url))).forEach(addCloudPost);
       
-      // Update the post
-      const updatedPost = await postService.updatePost(existingPost.id, postData);
-      syncedPost = updatedPost;
-      
-      // Update local post with cloud ID
-      post.id = existingPost.id;
-    } else {
-      // Post doesn't exist, create it
-      console.log(`Creating new post in cloud: ${post.url}`);
+      const existingPosts = localPosts.filter(getCloudPost);
+      const newPosts = localPosts.filter((post, index) => !getCloudPost(post) &&
+        localPosts.findIndex(other => getPostUrlKey(other.url) === getPostUrlKey(post.url)) === index);
       
-      // Prepare post data for creation
-      const postData = localPostToCloudFormat(post);
+      await postService.upsertPosts(existingPosts.map(post => ({
+        ...localPostToCloudFormat(post),
+        id: getCloudPost(post).id
+      })));
+      (await postService.createPosts(newPosts.map(localPostToCloudFormat))).forEach(addCloudPost);
+      console.log(`Updated ${existingPosts.length} and created ${newPosts.length} posts in cloud`);
       
-      // Ensure we have the user_id in the post data
-      postData.user_id = user.id;
-      
-      // Create the post
-      const newPost = await postService.createPost(postData);
-      syncedPost = newPost;
-      
-      if (newPost && newPost.id) {
-        console.log(`Post created with ID: ${newPost.id}`);
+      // Cloud IDs by local ID, and each synced post's tags, boards and sections by cloud ID
+      const cloudIdsByLocalId = {};
+      const tagsByPostId = {};
+      const boardIdsByPostId = {};
+      const sectionIdsByPostId = {};
+      localPosts.forEach(post => {
+        const cloudPost = getCloudPost(post);
+        if (!cloudPost) return;
         
-        // Update local post with cloud ID
-        post.id = newPost.id;
-      }
+        cloudIdsByLocalId[post.id] = cloudPost.id;
+        tagsByPostId[cloudPost.id] = post.tags || [];
+        boardIdsByPostId[cloudPost.id] = post.boardIds || [];
+        sectionIdsByPostId[cloudPost.id] = post.sectionIds || [];
+      });
+      
+      await tagSyncService.syncTagsOfPosts(tagsByPostId, cloudTags);
+      await boardSyncService.syncPostsBoards(boardIdsByPostId);
+      await sectionSyncService.syncPostsSections(sectionIdsByPostId);
+      await revisionSyncService.syncRevisionsOfPosts(cloudIdsByLocalId);
     }
     
-    // Sync tags for this post
-    if (post.tags && post.tags.length > 0 && post.id) {
-      console.log(`Syncing ${post.tags.length} tags for post ${post.id}`);
-      await tagSyncService.syncPostTags(post.id, post.tags, cloudTags);
+    // Posts removed locally (e.g. adding them was undone) are removed from Supabase
+    const removedUrls = posts.filter(({ id }) => !getPost(id)).map(({ url }) => url);
+    if (removedUrls.length > 0) {
+      const removedPosts = await findCloudPostsByUrls(removedUrls);
+      await postService.deletePosts(removedPosts.map(cloudPost => cloudPost.id));
     }
-    
-    return syncedPost;
   } catch (error) {
-    console.error('Error syncing single post to cloud:', error);
+    console.error('Error syncing posts to cloud:', error);
     throw error;
   }
 }
+
+// How long a post change waits in the sync queue, so that changes undone
+// straight away never reach Supabase
+const POST_SYNC_DELAY = 2000;
+
+/**
+ * Queue a single post to be synced to Supabase
+ * The post is read from storage when the operation runs, so the cloud receives
+ * its latest state. If the post no longer exists locally it is removed from Supabase.
+ * Queuing the same post again before it has synced replaces the earlier operation.
+ * @param {string} postId - ID of the post to sync
+ * @param {string} url - URL of the post, used to find it in Supabase if it was removed locally
+ */
+export function queuePostSync(postId, url) {
+  if (!window.boardie || !window.boardie.isAuthenticated) {
+    console.log('User not logged in, skipping post sync');
+    return;
+  }
+  
+  syncQueue.add(async () => {
+    const post = getPost(postId);
+    
+    if (post) {
+      await syncSinglePostToCloud({ ...post });
+      return;
+    }
+    
+    // The post was removed locally (e.g. adding it was undone), remove it from Supabase
+    const { data: existingPosts, error } = await postService.findPostByUrl(url);
+    if (error) throw error;
+    
+    for (const existingPost of existingPosts || []) {
+      await postService.deletePost(existingPost.id);
+    }
+  }, `Sync post ${postId}`, { key: `post:${postId}`, delay: POST_SYNC_DELAY });
+}
+
+/**
+ * Queue several posts to be synced to Supabase in one operation
+ * Like queuePostSync(), the posts are read from storage when the operation
+ * runs. The operation makes a few requests per table, not a round of
+ * requests per post (see syncPostsToCloud()).
+ * @param {Array<Object>} posts - `{ id, url }` of each post
+ */
+export function queuePostsSync(posts) {
+  if (!window.boardie || !window.boardie.isAuthenticated) {
+    console.log('User not logged in, skipping post sync');
+    return;
+  }
+  
+  if (posts.length === 0) return;
+  
+  const targets = posts.map(({ id, url }) => ({ id, url }));
+  syncQueue.add(() => syncPostsToCloud(targets), `Sync ${targets.length} posts`, { delay: POST_SYNC_DELAY });
+}
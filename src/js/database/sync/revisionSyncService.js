@@ -0,0 +1,119 @@
+/**
+ * Revision Sync Service
+ * Handles synchronization of post revision history between local storage and Supabase.
+ * Revisions are append-only, so syncing is a union of both sides by revision ID,
+ * followed by pruning to the retention limits.
+ */
+
+import { getPosts, getRevisions, replaceRevisions, transaction } from '../../storage/index.js';
+import * as revisionService from '../services/revisionService.js';
+import { getExpiredRevisions } from '../../utils/revisions.js';
+import { cloudRevisionToLocalFormat, localRevisionToCloudFormat } from './syncUtils.js';
+
+/**
+ * Upload the local revisions of a post
+ * A post created offline only gets its cloud ID when it is first synced, so
+ * the local and cloud IDs of the post can differ.
+ * @param {string} cloudPostId - ID of the post in Supabase
+ * @param {string} localPostId - ID of the post in local storage
+ * @returns {Promise<void>}
+ */
+export async function syncPostRevisions(cloudPostId, localPostId = cloudPostId) {
+  if (!cloudPostId) return;
+
+  const revisions = getRevisions().filter(revision => revision.postId === localPostId);
+  if (revisions.length === 0) return;
+
+  console.log(`Syncing ${revisions.length} revisions for post ${cloudPostId}`);
+  await revisionService.insertRevisions(revisions.map(revision => localRevisionToCloudFormat(revision, cloudPostId)));
+}
+
+/**
+ * Upload the local revisions of several posts in one request
+ * @param {Object} cloudIdsByLocalId - Cloud post IDs by local post ID
+ * @returns {Promise<void>}
+ */
+export async function syncRevisionsOfPosts(cloudIdsByLocalId) {
+  const revisions = getRevisions().filter(revision => cloudIdsByLocalId[revision.postId]);
+  if (revisions.length === 0) return;
+
+  console.log(`Syncing ${revisions.length} revisions for ${Object.keys(cloudIdsByLocalId).length} posts`);
+  await revisionService.insertRevisions(
+    revisions.map(revision => localRevisionToCloudFormat(revision, cloudIdsByLocalId[revision.postId]))
+  );
+}
+
+/**
+ * Point revisions at the new IDs of their posts
+ * @param {Object} idMap - New post IDs by old post ID
+ * @returns {Promise<void>}
+ */
+export function renamePostRevisions(idMap) {
+  return transaction(tx => {
+    tx.getRevisions()
+      .filter(revision => idMap[revision.postId])
+      .forEach(revision => tx.putRevision({ ...revision, postId: idMap[revision.postId] }));
+  });
+}
+
+/**
+ * Group revisions by the post they belong to
+ * @param {Array} revisions - Revisions
+ * @returns {Map<string, Array>} Revisions by post ID
+ */
+function groupByPost(revisions) {
+  const revisionsByPostId = new Map();
+  revisions.forEach(revision => {
+    if (!revisionsByPostId.has(revision.postId)) {
+      revisionsByPostId.set(revision.postId, []);
+    }
+    revisionsByPostId.get(revision.postId).push(revision);
+  });
+  return revisionsByPostId;
+}
+
+/**
+ * Merge the revisions in Supabase into local storage
+ * Revisions of posts that no longer exist, or that fall outside the retention
+ * limits, are dropped on both sides.
+ * @param {Object} [idMap={}] - Cloud post IDs by local post ID, for posts whose ID changed in this sync
+ * @returns {Promise<void>}
+ */
+export async function syncRevisionsToLocal(idMap = {}) {
+  const cloudRevisions = await revisionService.getRevisions();
+  console.log(`Cloud revisions: ${cloudRevisions.length}`);
+
+  const revisionsById = new Map();
+  getRevisions().forEach(revision => {
+    revisionsById.set(revision.id, { ...revision, postId: idMap[revision.postId] || revision.postId });
+  });
+  cloudRevisions.forEach(cloudRevision => {
+    revisionsById.set(cloudRevision.id, cloudRevisionToLocalFormat(cloudRevision));
+  });
+
+  const postIds = new Set(getPosts().map(post => post.id));
+  const kept = [];
+  const expiredIds = [];
+
+  groupByPost(Array.from(revisionsById.values())).forEach((revisions, postId) => {
+    if (!postIds.has(postId)) return;
+
+    const expired = new Set(getExpiredRevisions(revisions).map(revision => revision.id));
+    revisions.forEach(revision => {
+      if (expired.has(revision.id)) {
+        expiredIds.push(revision.id);
+      } else {
+        kept.push(revision);
+      }
+    });
+  });
+
+  replaceRevisions(kept);
+
+  const cloudIds = new Set(cloudRevisions.map(revision => revision.id));
+  const expiredCloudIds = expiredIds.filter(id => cloudIds.has(id));
+  if (expiredCloudIds.length > 0) {
+    console.log(`Removing ${expiredCloudIds.length} expired revisions from cloud`);
+    await revisionService.deleteRevisions(expiredCloudIds);
+  }
+}
@@ -0,0 +1,114 @@
+/**
+ * Section Sync Service
+ * Handles synchronization of board sections and the posts in them between local storage and Supabase
+ */
+
+import { getSections, getSection, replaceSections } from '../../storage/index.js';
+import * as sectionService from '../services/sectionService.js';
+import syncQueue from './syncQueue.js';
+import { cloudSectionToLocalFormat, localSectionToCloudFormat, mergeRecordsById } from './syncUtils.js';
+
+/**
+ * Sync all local sections to Supabase
+ * Runs after the boards are synced, since sections refer to their board.
+ * @returns {Promise<void>}
+ */
+export async function syncSectionsToCloud() {
+  const localSections = getSections();
+  console.log(`Syncing ${localSections.length} sections to cloud`);
+
+  for (const section of localSections) {
+    try {
+      await sectionService.upsertSection(localSectionToCloudFormat(section));
+    } catch (error) {
+      console.error(`Error syncing section ${section.id}:`, error);
+    }
+  }
+}
+
+/**
+ * Merge the sections in Supabase into the local sections
+ * Local sections that are newer or not in Supabase yet, e.g. created offline,
+ * are kept and pushed instead of being lost.
+ * @returns {Promise<Object>} Map of section IDs by post ID, from section_posts
+ */
+export async function syncSectionsToLocal() {
+  const cloudSections = await sectionService.getSections();
+  console.log(`Cloud sections: ${cloudSections.length}`);
+
+  const { merged, toPush } = mergeRecordsById(getSections(), cloudSections.map(cloudSectionToLocalFormat));
+  replaceSections(merged);
+
+  for (const section of toPush) {
+    try {
+      await sectionService.upsertSection(localSectionToCloudFormat(section));
+    } catch (error) {
+      console.error(`Error syncing section ${section.id}:`, error);
+    }
+  }
+
+  const sectionPosts = await sectionService.getAllSectionPosts();
+  console.log(`Section-post associations: ${sectionPosts.length}`);
+
+  // Group section IDs by post ID
+  const sectionIdsByPostId = {};
+  sectionPosts.forEach(sp => {
+    if (!sectionIdsByPostId[sp.post_id]) {
+      sectionIdsByPostId[sp.post_id] = [];
+    }
+    sectionIdsByPostId[sp.post_id].push(sp.section_id);
+  });
+
+  return sectionIdsByPostId;
+}
+
+/**
+ * Sync the sections a post is in
+ * @param {string} postId - ID of the post in Supabase
+ * @param {Array<string>} sectionIds - IDs of the post's sections
+ * @returns {Promise<void>}
+ */
+export async function syncPostSections(postId, sectionIds) {
+  if (!postId) return;
+
+  // Leave out sections that were deleted in the meantime
+  const existingSectionIds = (sectionIds || []).filter(id => getSection(id));
+  await sectionService.setSectionsForPost(postId, existingSectionIds);
+}
+
+/**
+ * Sync the sections of several posts in one operation, e.g. after a batch action
+ * @param {Object<string, Array<string>>} sectionIdsByPostId - IDs of each post's sections, by the post's ID in Supabase
+ * @returns {Promise<void>}
+ */
+export async function syncPostsSections(sectionIdsByPostId) {
+  // Leave out sections that were deleted in the meantime
+  const existing = {};
+  Object.entries(sectionIdsByPostId).forEach(([postId, ids]) => {
+    existing[postId] = (ids || []).filter(id => getSection(id));
+  });
+  await sectionService.setSectionsForPosts(existing);
+}
+
+/**
+ * Queue a single section to be synced to Supabase
+ * The section is read from storage when the operation runs; if it no longer
+ * exists locally it is deleted from Supabase.
+ * @param {string} sectionId - ID of the section to sync
+ */
+export function queueSectionSync(sectionId) {
+  if (!window.boardie || !window.boardie.isAuthenticated) {
+    console.log('User not logged in, skipping section sync');
+    return;
+  }
+
+  syncQueue.add(async () => {
+    const section = getSection(sectionId);
+
+    if (section) {
+      await sectionService.upsertSection(localSectionToCloudFormat(section));
+    } else {
+      await sectionService.deleteSection(sectionId);
+    }
+  }, `Sync section ${sectionId}`, { key: `section:${sectionId}` });
+}
@@ -0,0 +1,72 @@
+/**
+ * Smart Board Sync Service
+ * Handles synchronization of smart boards (saved searches) between local storage and Supabase
+ */
+
+import { getSmartBoards, getSmartBoard, replaceSmartBoards } from '../../storage/index.js';
+import * as smartBoardService from '../services/smartBoardService.js';
+import syncQueue from './syncQueue.js';
+import { cloudSmartBoardToLocalFormat, localSmartBoardToCloudFormat, mergeRecordsById } from './syncUtils.js';
+
+/**
+ * Sync all local smart boards to Supabase
+ * Runs after the boards are synced, since a smart board can refer to a board.
+ * @returns {Promise<void>}
+ */
+export async function syncSmartBoardsToCloud() {
+  const localSmartBoards = getSmartBoards();
+  console.log(`Syncing ${localSmartBoards.length} smart boards to cloud`);
+
+  for (const smartBoard of localSmartBoards) {
+    try {
+      await smartBoardService.upsertSmartBoard(localSmartBoardToCloudFormat(smartBoard));
+    } catch (error) {
+      console.error(`Error syncing smart board ${smartBoard.id}:`, error);
+    }
+  }
+}
+
+/**
+ * Merge the smart boards in Supabase into the local smart boards
+ * Local smart boards that are newer or not in Supabase yet, e.g. created offline,
+ * are kept and pushed instead of being lost.
+ * @returns {Promise<void>}
+ */
+export async function syncSmartBoardsToLocal() {
+  const cloudSmartBoards = await smartBoardService.getSmartBoards();
+  console.log(`Cloud smart boards: ${cloudSmartBoards.length}`);
+
+  const { merged, toPush } = mergeRecordsById(getSmartBoards(), cloudSmartBoards.map(cloudSmartBoardToLocalFormat));
+  replaceSmartBoards(merged);
+
+  for (const smartBoard of toPush) {
+    try {
+      await smartBoardService.upsertSmartBoard(localSmartBoardToCloudFormat(smartBoard));
+    } catch (error) {
+      console.error(`Error syncing smart board ${smartBoard.id}:`, error);
+    }
+  }
+}
+
+/**
+ * Queue a single smart board to be synced to Supabase
+ * The smart board is read from storage when the operation runs; if it no
+ * longer exists locally it is deleted from Supabase.
+ * @param {string} smartBoardId - ID of the smart board to sync
+ */
+export function queueSmartBoardSync(smartBoardId) {
+  if (!window.boardie || !window.boardie.isAuthenticated) {
+    console.log('User not logged in, skipping smart board sync');
+    return;
+  }
+
+  syncQueue.add(async () => {
+    const smartBoard = getSmartBoard(smartBoardId);
+
+    if (smartBoard) {
+      await smartBoardService.upsertSmartBoard(localSmartBoardToCloudFormat(smartBoard));
+    } else {
+      await smartBoardService.deleteSmartBoard(smartBoardId);
+    }
+  }, `Sync smart board ${smartBoardId}`, { key: `smartBoard:${smartBoardId}` });
+}
@@ -3,12 +3,12 @@
  * Orchestrates synchronization between local storage and Supabase
  */
 
-import { loadPosts } from '../../postManager.js';
+import { getPosts } from '../../storage/index.js';
 import * as postService from '../services/postService.js';
 import * as postSyncService from './postSyncService.js';
 import * as tagSyncService from './tagSyncService.js';
 import syncState from './syncState.js';
-import { determineSyncDirection, debounce } from './syncUtils.js';
+import { determineSyncDirection, debounce, cloudPostToLocalFormat } from './syncUtils.js';
 
 // Debounce settings
 const SYNC_DEBOUNCE_DELAY = 2000; // 2 seconds delay
@@ -69,19 +69,14 @@ export async function initSmartSync() {
       
       console.log('Smart sync completed with cloud priority');
     } else {
-      // No cloud data, check if we have local data to sync
-      const localPosts = loadPosts(true); // Skip rendering
+      // No cloud posts, so sync the local data to the cloud. This also pushes
+      // boards and smart boards when there are no posts at all.
+      const localPosts = getPosts();
+      console.log(`No cloud posts found, syncing local data to cloud (${localPosts.length} posts)...`);
       
-      if (localPosts.length > 0) {
-        console.log('No cloud data found, but local data exists. Syncing local to cloud...');
-        
-        // Sync local data to cloud
-        await postSyncService.syncLocalToCloud();
-        
-        console.log('Smart sync completed with local priority');
-      } else {
-        console.log('No data found in cloud or local storage, nothing to sync');
-      }
+      await postSyncService.syncLocalToCloud();
+      
+      console.log('Smart sync completed with local priority');
     }
     
   } catch (error) {
@@ -117,7 +112,7 @@ export async function syncData(options = {}) {
     console.log('Starting sync operation...');
     
     // Get local and cloud posts
-    const localPosts = loadPosts(true); // Skip rendering
+    const localPosts = getPosts();
     const cloudPosts = await postService.getPosts();
     
     console.log(`Local posts: ${localPosts.length}, Cloud posts: ${cloudPosts.length}`);
@@ -136,9 +131,11 @@ export async function syncData(options = {}) {
       // Even if data is in sync, we might want to trigger a render
       if (!options.skipRender) {
         console.log('Dispatching cloudDataReady event for in-sync data');
-        window.boardie.cloudPosts = cloudPosts;
+        // Rendered posts use the local field names (deletedAt, pinnedAt...)
+        const posts = cloudPosts.map(cloudPostToLocalFormat);
+        window.boardie.cloudPosts = posts;
         window.boardie.cloudDataReady = true;
-        document.dispatchEvent(new CustomEvent('cloudDataReady', { detail: { posts: cloudPosts } }));
+        document.dispatchEvent(new CustomEvent('cloudDataReady', { detail: { posts } }));
       }
     }
     
@@ -17,14 +17,33 @@ class SyncQueue {
    * @param {Function} operation - Async function to execute
    * @param {string} name - Name of the operation for logging
    * @param {Object} [metadata={}] - Additional metadata about the operation
+   * @param {string} [metadata.key] - Operations with the same key replace each other while waiting in the queue
+   * @param {number} [metadata.delay=0] - Milliseconds to wait before the operation may run
    */
   add(operation, name, metadata = {}) {
+    const runAfter = Date.now() + (metadata.delay || 0);
+    
+    // Replace a pending operation for the same key so only the latest state is synced
+    if (metadata.key) {
+      const pendingItem = this.queue.find(item => item.metadata.key === metadata.key);
+      if (pendingItem) {
+        console.log(`Replacing queued sync operation: ${pendingItem.name} -> ${name}`);
+        pendingItem.operation = operation;
+        pendingItem.name = name;
+        pendingItem.metadata = metadata;
+        pendingItem.retries = 0;
+        pendingItem.runAfter = runAfter;
+        return;
+      }
+    }
+    
     const queueItem = {
       operation,
       name,
       metadata,
       retries: 0,
-      addedAt: new Date()
+      addedAt: new Date(),
+      runAfter
     };
     
     console.log(`Adding operation to sync queue: ${name}`);
@@ -47,7 +66,19 @@ class SyncQueue {
     }
     
     this.processing = true;
-    const item = this.queue.shift();
+    
+    // Wait for the first operation whose delay has passed
+    const now = Date.now();
+    const readyIndex = this.queue.findIndex(item => item.runAfter <= now);
+    if (readyIndex === -1) {
+      const nextRunAfter = Math.min(...this.queue.map(item => item.runAfter));
+      setTimeout(() => {
+        this.process();
+      }, nextRunAfter - now);
+      return;
+    }
+    
+    const [item] = this.queue.splice(readyIndex, 1);
     
     console.log(`Processing sync operation: ${item.name} (attempt ${item.retries + 1})`);
     
@@ -101,7 +132,8 @@ class SyncQueue {
       pendingOperations: this.queue.map(item => ({
         name: item.name,
         retries: item.retries,
-        addedAt: item.addedAt
+        addedAt: item.addedAt,
+        runAfter: new Date(item.runAfter)
       }))
     };
   }
@@ -3,6 +3,9 @@
  * Common utilities for synchronization operations
  */
 
+import { getUrlKey } from '../../utils/canonicalUrl.js';
+import { TAG_FILTER_MODES, normalizeTagFilters } from '../../utils/tagFilters.js';
+
 /**
  * Determine the sync direction based on comparing local and cloud data
  * @param {Array} localPosts - Posts from local storage
@@ -74,8 +77,18 @@ export function cloudPostToLocalFormat(cloudPost) {
     platform: cloudPost.platform,
     title: cloudPost.title || '',
     description: cloudPost.description || '',
+    notes: cloudPost.notes || '',
+    status: cloudPost.status || 'unread',
+    pinnedAt: cloudPost.pinned_at || null,
+    favorite: Boolean(cloudPost.is_favorite),
+    position: cloudPost.position ?? null,
+    remindAt: cloudPost.remind_at || null,
+    openedAt: cloudPost.opened_at || null,
+    linkStatus: cloudPost.link_status || null,
+    lastCheckedAt: cloudPost.last_checked_at || null,
     dateAdded: cloudPost.created_at,
     lastUpdated: cloudPost.updated_at,
+    deletedAt: cloudPost.deleted_at || null,
     tags: [] // Tags will be added separately
   };
   
@@ -108,7 +121,17 @@ export function localPostToCloudFormat(localPost) {
     platform: localPost.platform,
     title: localPost.title || '',
     description: localPost.description || '',
-    updated_at: localPost.lastUpdated || new Date().toISOString()
+    notes: localPost.notes || '',
+    status: localPost.status || 'unread',
+    pinned_at: localPost.pinnedAt || null,
+    is_favorite: Boolean(localPost.favorite),
+    position: localPost.position ?? null,
+    remind_at: localPost.remindAt || null,
+    opened_at: localPost.openedAt || null,
+    link_status: localPost.linkStatus || null,
+    last_checked_at: localPost.lastCheckedAt || null,
+    updated_at: localPost.lastUpdated || new Date().toISOString(),
+    deleted_at: localPost.deletedAt || null
   };
   
   // Only include created_at if it exists
@@ -125,10 +148,227 @@ export function localPostToCloudFormat(localPost) {
   return cloudPost;
 }
 
+/**
+ * Convert a Supabase board to local format
+ * @param {Object} cloudBoard - Board from Supabase
+ * @returns {Object} Board in local format
+ */
+export function cloudBoardToLocalFormat(cloudBoard) {
+  if (!cloudBoard) return null;
+  
+  return {
+    id: cloudBoard.id,
+    name: cloudBoard.name,
+    description: cloudBoard.description || '',
+    coverUrl: cloudBoard.cover_url || '',
+    dateAdded: cloudBoard.created_at,
+    lastUpdated: cloudBoard.updated_at
+  };
+}
+
+/**
+ * Convert a local board to Supabase format
+ * @param {Object} localBoard - Board from local storage
+ * @returns {Object} Board in Supabase format
+ */
+export function localBoardToCloudFormat(localBoard) {
+  if (!localBoard) return null;
+  
+  return {
+    id: localBoard.id,
+    name: localBoard.name,
+    description: localBoard.description || '',
+    cover_url: localBoard.coverUrl || null,
+    created_at: localBoard.dateAdded || new Date().toISOString(),
+    updated_at: localBoard.lastUpdated || new Date().toISOString()
+  };
+}
+
+/**
+ * Convert a Supabase section to local format
+ * @param {Object} cloudSection - Section from Supabase
+ * @returns {Object} Section in local format
+ */
+export function cloudSectionToLocalFormat(cloudSection) {
+  if (!cloudSection) return null;
+  
+  return {
+    id: cloudSection.id,
+    boardId: cloudSection.board_id || null,
+    name: cloudSection.name,
+    position: cloudSection.position ?? 0,
+    collapsed: !!cloudSection.collapsed,
+    dateAdded: cloudSection.created_at,
+    lastUpdated: cloudSection.updated_at
+  };
+}
+
+/**
+ * Convert a local section to Supabase format
+ * @param {Object} localSection - Section from local storage
+ * @returns {Object} Section in Supabase format
+ */
+export function localSectionToCloudFormat(localSection) {
+  if (!localSection) return null;
+  
+  return {
+    id: localSection.id,
+    board_id: localSection.boardId || null,
+    name: localSection.name,
+    position: localSection.position ?? 0,
+    collapsed: !!localSection.collapsed,
+    created_at: localSection.dateAdded || new Date().toISOString(),
+    updated_at: localSection.lastUpdated || new Date().toISOString()
+  };
+}
+
+/**
+ * Convert a Supabase smart board to local format
+ * @param {Object} cloudSmartBoard - Smart board from Supabase
+ * @returns {Object} Smart board in local format
+ */
+export function cloudSmartBoardToLocalFormat(cloudSmartBoard) {
+  if (!cloudSmartBoard) return null;
+  
+  return {
+    id: cloudSmartBoard.id,
+    boardId: cloudSmartBoard.board_id || null,
+    name: cloudSmartBoard.name,
+    query: cloudSmartBoard.query || '',
+    tags: [
+      ...(cloudSmartBoard.tags || []).map(name => ({ name, mode: TAG_FILTER_MODES.INCLUDE })),
+      ...(cloudSmartBoard.any_tags || []).map(name => ({ name, mode: TAG_FILTER_MODES.ANY })),
+      ...(cloudSmartBoard.excluded_tags || []).map(name => ({ name, mode: TAG_FILTER_MODES.EXCLUDE }))
+    ],
+    status: cloudSmartBoard.status || 'active',
+    favoritesOnly: !!cloudSmartBoard.favorites_only,
+    dateAdded: cloudSmartBoard.created_at,
+    lastUpdated: cloudSmartBoard.updated_at
+  };
+}
+
+/**
+ * Convert a local smart board to Supabase format
+ * @param {Object} localSmartBoard - Smart board from local storage
+ * @returns {Object} Smart board in Supabase format
+ */
+export function localSmartBoardToCloudFormat(localSmartBoard) {
+  if (!localSmartBoard) return null;
+  
+  // Supabase keeps the tag filters of each mode in their own column
+  const tagFilters = normalizeTagFilters(localSmartBoard.tags);
+  const getTagFilterNames = mode => tagFilters.filter(filter => filter.mode === mode).map(filter => filter.name);
+  
+  return {
+    id: localSmartBoard.id,
+    board_id: localSmartBoard.boardId || null,
+    name: localSmartBoard.name,
+    query: localSmartBoard.query || '',
+    tags: getTagFilterNames(TAG_FILTER_MODES.INCLUDE),
+    any_tags: getTagFilterNames(TAG_FILTER_MODES.ANY),
+    excluded_tags: getTagFilterNames(TAG_FILTER_MODES.EXCLUDE),
+    status: localSmartBoard.status || 'active',
+    favorites_only: !!localSmartBoard.favoritesOnly,
+    created_at: localSmartBoard.dateAdded || new Date().toISOString(),
+    updated_at: localSmartBoard.lastUpdated || new Date().toISOString()
+  };
+}
+
+/**
+ * Convert a Supabase post revision to local format
+ * @param {Object} cloudRevision - Revision from Supabase
+ * @returns {Object} Revision in local format
+ */
+export function cloudRevisionToLocalFormat(cloudRevision) {
+  if (!cloudRevision) return null;
+  
+  return {
+    id: cloudRevision.id,
+    postId: cloudRevision.post_id,
+    url: cloudRevision.url,
+    title: cloudRevision.title || '',
+    description: cloudRevision.description || '',
+    notes: cloudRevision.notes || '',
+    tags: cloudRevision.tags || [],
+    changes: cloudRevision.changes || [],
+    addedTags: cloudRevision.added_tags || [],
+    removedTags: cloudRevision.removed_tags || [],
+    device: cloudRevision.device || null,
+    dateAdded: cloudRevision.created_at
+  };
+}
+
+/**
+ * Convert a local post revision to Supabase format
+ * @param {Object} localRevision - Revision from local storage
+ * @param {string} [postId] - ID of the post in Supabase, if it differs from the local one
+ * @returns {Object} Revision in Supabase format
+ */
+export function localRevisionToCloudFormat(localRevision, postId = localRevision?.postId) {
+  if (!localRevision) return null;
+  
+  return {
+    id: localRevision.id,
+    post_id: postId,
+    url: localRevision.url,
+    title: localRevision.title || '',
+    description: localRevision.description || '',
+    notes: localRevision.notes || '',
+    tags: localRevision.tags || [],
+    changes: localRevision.changes || [],
+    added_tags: localRevision.addedTags || [],
+    removed_tags: localRevision.removedTags || [],
+    device: localRevision.device || null,
+    created_at: localRevision.dateAdded || new Date().toISOString()
+  };
+}
+
+/**
+ * Check whether a local record was changed after its copy in Supabase
+ * @param {Object} localRecord - Record from local storage
+ * @param {Object} cloudRecord - The same record from Supabase, in local format
+ * @returns {boolean} True if the local record's `lastUpdated` is newer
+ */
+export function isLocalRecordNewer(localRecord, cloudRecord) {
+  const getTime = record => new Date(record.lastUpdated || record.dateAdded || 0).getTime() || 0;
+  return getTime(localRecord) > getTime(cloudRecord);
+}
+
+/**
+ * Merge local records (boards, sections, smart boards) with the ones in Supabase by ID
+ * Records on both sides keep the copy with the newest `lastUpdated`. Local
+ * records the cloud doesn't have yet, e.g. created offline or before login,
+ * are kept too. Both kinds of local records still have to be pushed.
+ * @param {Array<Object>} localRecords - Records from local storage
+ * @param {Array<Object>} cloudRecords - Records from Supabase, in local format
+ * @returns {Object} `{ merged, toPush }`: the records to keep locally, and the local
+ *   records that are newer than or missing from the cloud
+ */
+export function mergeRecordsById(localRecords, cloudRecords) {
+  const cloudById = new Map(cloudRecords.map(record => [record.id, record]));
+
+  const toPush = localRecords.filter(record => {
+    const cloudRecord = cloudById.get(record.id);
+    return !cloudRecord || isLocalRecordNewer(record, cloudRecord);
+  });
+  const pushIds = new Set(toPush.map(record => record.id));
+
+  const merged = [
+    ...localRecords.filter(record => pushIds.has(record.id)),
+    ...cloudRecords.filter(record => !pushIds.has(record.id))
+  ];
+
+  console.log(`Merged ${cloudRecords.length} cloud and ${localRecords.length} local records, ${toPush.length} to push`);
+  return { merged, toPush };
+}
+
 /**
  * Create a map of posts by URL for easy lookup
+ * Posts are keyed by `getUrlKey()`, so different links to the same content
+ * (short links, mobile hosts, share parameters) find the same post.
+ * Look posts up with `postMap[getUrlKey(url)]`.
  * @param {Array} posts - Array of posts
- * @returns {Object} Map of posts by URL
+ * @returns {Object} Map of posts by URL key
  */
 export function createPostMapByUrl(posts) {
   const postMap = {};
@@ -138,8 +378,9 @@ export function createPostMapByUrl(posts) {
   }
   
   posts.forEach(post => {
-    if (post && post.url) {
-      postMap[post.url] = post;
+    const urlKey = post && getUrlKey(post.url);
+    if (urlKey) {
+      postMap[urlKey] = post;
     }
   });
   
@@ -3,7 +3,7 @@
  * Handles synchronization of tags between local storage and Supabase
  */
 
-import { loadTags, saveTags } from '../../postManager.js';
+import { getTags, replaceTags } from '../../storage/index.js';
 import * as tagService from '../services/tagService.js';
 import * as relationService from '../services/relationService.js';
 import syncState from './syncState.js';
@@ -122,7 +122,7 @@ export async function syncTagsToCloud(posts) {
     }
     
     // Get local tags
-    const localTags = loadTags();
+    const localTags = getTags();
     console.log('Local tags count:', localTags.length);
     
     // Get all tags from Supabase
@@ -183,7 +183,7 @@ export async function syncTagsToCloud(posts) {
     });
     
     // Save updated local tags
-    saveTags(updatedLocalTags);
+    replaceTags(updatedLocalTags);
     
     return cloudTagsByName;
   } catch (error) {
@@ -314,3 +314,47 @@ export async function syncPostTags(postId, localTags, cloudTagsByName) {
     throw error; // Re-throw to allow proper error handling upstream
   }
 }
+
+/**
+ * Sync the tags of several posts in one operation, e.g. after a batch action
+ * Tags that aren't in Supabase yet are created first.
+ * @param {Object<string, Array>} tagsByPostId - Each post's local tags, by the post's ID in Supabase
+ * @param {Object} cloudTagsByName - Map of cloud tags by name, from syncTagsToCloud()
+ * @returns {Promise<void>}
+ */
+export async function syncTagsOfPosts(tagsByPostId, cloudTagsByName) {
+  const normalizedByPostId = {};
+  Object.entries(tagsByPostId).forEach(([postId, tags]) => {
+    normalizedByPostId[postId] = (tags || []).map(normalizeTag).filter(tag => tag !== null);
+  });
+  
+  // Create the tags that are missing in the cloud
+  const missingTags = new Map();
+  Object.values(normalizedByPostId).flat().forEach(tag => {
+    const tagName = tag.name.toLowerCase();
+    if (!cloudTagsByName[tagName] && !missingTags.has(tagName)) {
+      missingTags.set(tagName, tag);
+    }
+  });
+  
+  for (const [tagName, tag] of missingTags) {
+    try {
+      const newTag = await tagService.createTag(tag);
+      if (newTag && newTag.id) {
+        cloudTagsByName[tagName] = newTag;
+      }
+    } catch (error) {
+      console.error(`Error creating tag '${tag.name}':`, error);
+    }
+  }
+  
+  const tagIdsByPostId = {};
+  Object.entries(normalizedByPostId).forEach(([postId, tags]) => {
+    tagIdsByPostId[postId] = tags
+      .map(tag => cloudTagsByName[tag.name.toLowerCase()])
+      .filter(cloudTag => cloudTag && cloudTag.id)
+      .map(cloudTag => cloudTag.id);
+  });
+  
+  await relationService.setTagsForPosts(tagIdsByPostId);
+}
@@ -7,6 +7,9 @@ import { supabase } from '../auth/supabaseClient.js';
 import * as supabaseService from './supabaseService.js';
 import * as tagSyncService from './tagSyncService.js';
 import { loadPosts, savePosts, loadTags, saveTags } from '../postManager.js';
+import { getPostDeletedAt } from '../utils.js';
+import { isPostFavorite } from '../pinManager.js';
+import { cloudPostToLocalFormat, isLocalRecordNewer } from './sync/syncUtils.js';
 
 // Track sync status
 let isSyncing = false;
@@ -394,14 +397,34 @@ async function syncPostsToCloud(localPosts, cloudTagsByName) {
         const needsUpdate = 
           (localPost.title || null) !== (cloudPost.title || null) ||
           (localPost.description || null) !== (cloudPost.description || null) ||
-          (localPost.platform || '') !== (cloudPost.platform || '');
+          (localPost.notes || null) !== (cloudPost.notes || null) ||
+          (localPost.status || 'unread') !== (cloudPost.status || 'unread') ||
+          (Date.parse(localPost.pinnedAt) || null) !== (Date.parse(cloudPost.pinned_at) || null) ||
+          isPostFavorite(localPost) !== isPostFavorite(cloudPost) ||
+          (localPost.position ?? null) !== (cloudPost.position ?? null) ||
+          (Date.parse(localPost.remindAt) || null) !== (Date.parse(cloudPost.remind_at) || null) ||
+          (Date.parse(localPost.openedAt) || null) !== (Date.parse(cloudPost.opened_at) || null) ||
+          (localPost.linkStatus || null) !== (cloudPost.link_status || null) ||
+          (Date.parse(localPost.lastCheckedAt) || null) !== (Date.parse(cloudPost.last_checked_at) || null) ||
+          (localPost.platform || '') !== (cloudPost.platform || '') ||
+          getPostDeletedAt(localPost) !== getPostDeletedAt(cloudPost);
         
         if (needsUpdate) {
           console.log('Post needs update, updating properties');
           await supabaseService.updatePost(cloudPost.id, {
             title: localPost.title,
             description: localPost.description,
-            platform: localPost.platform
+            notes: localPost.notes,
+            status: localPost.status || 'unread',
+            pinned_at: localPost.pinnedAt || null,
+            is_favorite: isPostFavorite(localPost),
+            position: localPost.position ?? null,
+            remind_at: localPost.remindAt || null,
+            opened_at: localPost.openedAt || null,
+            link_status: localPost.linkStatus || null,
+            last_checked_at: localPost.lastCheckedAt || null,
+            platform: localPost.platform,
+            deleted_at: getPostDeletedAt(localPost)
           });
         }
         
@@ -443,6 +466,16 @@ async function syncPostsToCloud(localPosts, cloudTagsByName) {
                   platform: localPost.platform || '',
                   title: localPost.title || null,
                   description: localPost.description || null,
+                  notes: localPost.notes || null,
+                  status: localPost.status || 'unread',
+                  pinned_at: localPost.pinnedAt || null,
+                  is_favorite: isPostFavorite(localPost),
+                  position: localPost.position ?? null,
+                  remind_at: localPost.remindAt || null,
+                  opened_at: localPost.openedAt || null,
+                  link_status: localPost.linkStatus || null,
+                  last_checked_at: localPost.lastCheckedAt || null,
+                  deleted_at: getPostDeletedAt(localPost),
                   tags: tagObjects // Send the processed tag objects
                 };
                 
@@ -493,6 +526,16 @@ async function createPostWithoutTags(localPost) {
         platform: localPost.platform || '',
         title: localPost.title || null,
         description: localPost.description || null,
+        notes: localPost.notes || null,
+        status: localPost.status || 'unread',
+        pinned_at: localPost.pinnedAt || null,
+        is_favorite: isPostFavorite(localPost),
+        position: localPost.position ?? null,
+        remind_at: localPost.remindAt || null,
+        opened_at: localPost.openedAt || null,
+        link_status: localPost.linkStatus || null,
+        last_checked_at: localPost.lastCheckedAt || null,
+        deleted_at: getPostDeletedAt(localPost),
         tags: [] // Empty tags array
       };
       
@@ -556,6 +599,14 @@ async function syncCloudToLocal() {
           platform: cloudPost.platform || '',
           title: cloudPost.title || null,
           description: cloudPost.description || null,
+          status: cloudPost.status || 'unread',
+          pinnedAt: cloudPost.pinned_at || null,
+          favorite: Boolean(cloudPost.is_favorite),
+          position: cloudPost.position ?? null,
+          remindAt: cloudPost.remind_at || null,
+          openedAt: cloudPost.opened_at || null,
+          linkStatus: cloudPost.link_status || null,
+          lastCheckedAt: cloudPost.last_checked_at || null,
           tags: [], // Will be populated below
           dateAdded: cloudPost.created_at || new Date().toISOString(),
           cloud_id: cloudPost.id,
@@ -569,6 +620,11 @@ async function syncCloudToLocal() {
         localPost.cloud_id = cloudPost.id;
         localPost.synced = true;
         
+        // Posts changed here after their cloud copy keep their own fields
+        if (isLocalRecordNewer(localPost, cloudPostToLocalFormat(cloudPost))) {
+          return;
+        }
+        
         // Only update these fields if they're different
         if ((localPost.title || null) !== (cloudPost.title || null)) {
           localPost.title = cloudPost.title;
@@ -578,6 +634,18 @@ async function syncCloudToLocal() {
           localPost.description = cloudPost.description;
         }
         
+        if ((localPost.status || 'unread') !== (cloudPost.status || 'unread')) {
+          localPost.status = cloudPost.status || 'unread';
+        }
+        
+        localPost.pinnedAt = cloudPost.pinned_at || null;
+        localPost.favorite = Boolean(cloudPost.is_favorite);
+        localPost.position = cloudPost.position ?? null;
+        localPost.remindAt = cloudPost.remind_at || null;
+        localPost.openedAt = cloudPost.opened_at || null;
+        localPost.linkStatus = cloudPost.link_status || null;
+        localPost.lastCheckedAt = cloudPost.last_checked_at || null;
+        
         if ((localPost.platform || '') !== (cloudPost.platform || '')) {
           localPost.platform = cloudPost.platform;
         }
@@ -0,0 +1,209 @@
+/**
+ * Drag and drop for Boardie
+ * Lets posts be reordered by dragging the handle on their card, and moved
+ * between the sections of a board. Works with mouse, pen and touch through
+ * pointer events. Handles are only visible in the Manual sort mode or on
+ * boards with sections.
+ */
+
+import { movePostBetween } from './postManager.js';
+
+// Distance from the top or bottom of the window at which the page scrolls while dragging
+const AUTO_SCROLL_EDGE = 60;
+const AUTO_SCROLL_STEP = 15;
+
+// The drag in progress, or null
+let drag = null;
+
+/**
+ * Start dragging a card
+ * @param {PointerEvent} e Pointer down event on a drag handle
+ */
+function startDrag(e) {
+  const handle = e.target.closest('.drag-handle');
+  if (!handle || e.button !== 0) return;
+
+  const postElement = handle.closest('.post-card');
+  if (!postElement || !postElement.dataset.id) return;
+
+  e.preventDefault();
+
+  const rect = postElement.getBoundingClientRect();
+  const placeholder = document.createElement('div');
+  placeholder.className = 'post-card-placeholder';
+  placeholder.style.height = `${rect.height}px`;
+  postElement.parentNode.insertBefore(placeholder, postElement);
+
+  // Take the card out of the grid and let it follow the pointer
+  postElement.style.width = `${rect.width}px`;
+  postElement.style.left = `${rect.left}px`;
+  postElement.style.top = `${rect.top}px`;
+  postElement.classList.add('dragging');
+  document.body.classList.add('is-dragging-post');
+
+  drag = {
+    pointerId: e.pointerId,
+    handle,
+    postElement,
+    placeholder,
+    offsetX: e.clientX - rect.left,
+    offsetY: e.clientY - rect.top
+  };
+
+  handle.setPointerCapture(e.pointerId);
+  console.log('Started dragging post:', postElement.dataset.id);
+}
+
+/**
+ * Move the dragged card and the placeholder
+ * @param {PointerEvent} e Pointer move event
+ */
+function moveDrag(e) {
+  if (!drag || e.pointerId !== drag.pointerId) return;
+
+  // A re-render (e.g. after a sync) can replace the card while it is dragged
+  if (!drag.postElement.isConnected) {
+    cancelDrag();
+    return;
+  }
+
+  drag.postElement.style.left = `${e.clientX - drag.offsetX}px`;
+  drag.postElement.style.top = `${e.clientY - drag.offsetY}px`;
+
+  if (e.clientY < AUTO_SCROLL_EDGE) {
+    window.scrollBy(0, -AUTO_SCROLL_STEP);
+  } else if (e.clientY > window.innerHeight - AUTO_SCROLL_EDGE) {
+    window.scrollBy(0, AUTO_SCROLL_STEP);
+  }
+
+  // The dragged card ignores the pointer, so this finds what is underneath it
+  const element = document.elementFromPoint(e.clientX, e.clientY);
+  if (!element) return;
+
+  const target = element.closest('#postsGrid .post-card');
+  if (!target) {
+    placeInSection(element);
+    return;
+  }
+  if (target === drag.postElement) return;
+
+  const targetRect = target.getBoundingClientRect();
+  if (e.clientY < targetRect.top + targetRect.height / 2) {
+    target.parentNode.insertBefore(drag.placeholder, target);
+  } else {
+    target.parentNode.insertBefore(drag.placeholder, target.nextSibling);
+  }
+}
+
+/**
+ * Move the placeholder into a section when the pointer isn't over a card
+ * Over a section header it goes to the top of the section, which also works
+ * for collapsed sections; over the empty part of a section it goes to the end.
+ * @param {HTMLElement} element Element under the pointer
+ */
+function placeInSection(element) {
+  const block = element.closest('#postsGrid .post-section');
+  if (!block) return;
+
+  const sectionGrid = block.querySelector('.post-section-grid');
+  if (element.closest('.post-section-header')) {
+    if (sectionGrid.firstElementChild !== drag.placeholder) {
+      sectionGrid.insertBefore(drag.placeholder, sectionGrid.firstElementChild);
+    }
+  } else if (element === sectionGrid && drag.placeholder.parentNode !== sectionGrid) {
+    sectionGrid.appendChild(drag.placeholder);
+  }
+}
+
+/**
+ * Put the dragged card back into the grid
+ * @returns {Object|null} The finished drag, or null if there was none
+ */
+function endDrag() {
+  if (!drag) return null;
+
+  const finished = drag;
+  drag = null;
+
+  finished.postElement.classList.remove('dragging');
+  finished.postElement.style.width = '';
+  finished.postElement.style.left = '';
+  finished.postElement.style.top = '';
+  document.body.classList.remove('is-dragging-post');
+
+  if (finished.handle.hasPointerCapture(finished.pointerId)) {
+    finished.handle.releasePointerCapture(finished.pointerId);
+  }
+
+  return finished;
+}
+
+/**
+ * Drop the dragged card where the placeholder is and save its new position and section
+ * @param {PointerEvent} e Pointer up event
+ */
+function finishDrag(e) {
+  if (!drag || e.pointerId !== drag.pointerId) return;
+
+  const { postElement, placeholder } = endDrag();
+  if (!postElement.isConnected || !placeholder.isConnected) {
+    placeholder.remove();
+    return;
+  }
+
+  // The card never left its old place in the DOM, so it is skipped when
+  // looking for the new neighbours
+  let previousCard = placeholder.previousElementSibling;
+  let nextCard = placeholder.nextElementSibling;
+  const moved = previousCard !== postElement && nextCard !== postElement;
+  if (previousCard === postElement) previousCard = postElement.previousElementSibling;
+  if (nextCard === postElement) nextCard = postElement.nextElementSibling;
+
+  // On boards with sections the card takes the section it was dropped in
+  const block = placeholder.closest('.post-section');
+  const sectionId = block ? block.dataset.sectionId || null : undefined;
+
+  placeholder.parentNode.insertBefore(postElement, placeholder);
+  placeholder.remove();
+
+  if (!moved) {
+    console.log('Post dropped in its old place');
+    return;
+  }
+
+  const getCardId = (card) => (card && card.classList.contains('post-card') ? card.dataset.id : null);
+  movePostBetween(postElement.dataset.id, getCardId(previousCard), getCardId(nextCard), sectionId);
+}
+
+/**
+ * Abandon the drag and put the card back where it was
+ */
+function cancelDrag() {
+  const finished = endDrag();
+  if (!finished) return;
+
+  finished.placeholder.remove();
+  console.log('Drag cancelled');
+}
+
+/**
+ * Set up drag and drop on the posts grid
+ */
+export function setupDragAndDrop() {
+  // Delegated so cards rendered later get it too
+  document.addEventListener('pointerdown', startDrag);
+  document.addEventListener('pointermove', moveDrag);
+  document.addEventListener('pointerup', finishDrag);
+  document.addEventListener('pointercancel', (e) => {
+    if (drag && e.pointerId === drag.pointerId) {
+      cancelDrag();
+    }
+  });
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && drag) {
+      cancelDrag();
+    }
+  });
+
+  console.log('Drag and drop set up');
+}
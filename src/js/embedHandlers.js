@@ -128,10 +128,11 @@ export function createPinterestEmbed(url, container) {
  * Create a LinkedIn embed
  * @param {string} url LinkedIn URL
  * @param {HTMLElement} container Container element for the embed
+ * @param {Object} [overrides={}] Title and description set by the user
  */
-export function createLinkedInEmbed(url, container) {
+export function createLinkedInEmbed(url, container, overrides = {}) {
   // Use the imported function from LinkedInEmbedHandler.js
-  return linkedInEmbedHandler(url, container);
+  return linkedInEmbedHandler(url, container, overrides);
 }
 
 /**
@@ -147,10 +148,11 @@ export function createTikTokEmbed(url, container) {
  * Create a generic embed for URLs that don't match any specific platform
  * @param {string} url URL to embed
  * @param {HTMLElement} container Container element for the embed
+ * @param {Object} [overrides={}] Title and description set by the user
  */
-export function createGenericEmbed(url, container) {
+export function createGenericEmbed(url, container, overrides = {}) {
   // Use the WebsiteEmbedHandler to create a rich preview with Open Graph data
-  return websiteEmbedHandler(url, container);
+  return websiteEmbedHandler(url, container, overrides);
 }
 
 /**
@@ -181,6 +183,31 @@ function showEmbedError(container, message, url = null) {
   container.appendChild(errorElement);
 }
 
+/**
+ * Show that a post's content was removed instead of embedding it
+ * Used for links the link health check found gone, so the embed isn't tried
+ * and failed again on every render.
+ * @param {string} url URL of the post
+ * @param {HTMLElement} container Container element for the embed
+ */
+export function createUnavailableEmbed(url, container) {
+  container.innerHTML = '';
+  
+  const notice = document.createElement('div');
+  notice.className = 'p-4 bg-gray-50 text-gray-600 text-center text-sm';
+  notice.textContent = 'This content is no longer available. ';
+  
+  const link = document.createElement('a');
+  link.href = url;
+  link.target = '_blank';
+  link.rel = 'noopener noreferrer';
+  link.className = 'underline hover:text-gray-800';
+  link.textContent = 'Open original';
+  notice.appendChild(link);
+  
+  container.appendChild(notice);
+}
+
 /**
  * Extract Twitter/X post ID from URL
  * @param {string} url Twitter/X URL
@@ -7,13 +7,15 @@
  */
 
 import { fetchMetadata } from '../utils/metadataFetcher.js';
+import { escapeHtml } from '../utils.js';
 
 /**
  * Create a LinkedIn embed
  * @param {string} url LinkedIn URL
  * @param {HTMLElement} container Container element for the embed
+ * @param {Object} [overrides={}] Title and description set by the user, shown instead of the fetched ones
  */
-export function createLinkedInEmbed(url, container) {
+export function createLinkedInEmbed(url, container, overrides = {}) {
   // Create a placeholder while content loads
   const placeholder = document.createElement('div');
   placeholder.className = 'bg-gray-100 animate-pulse p-4 h-32 flex items-center justify-center';
@@ -21,7 +23,14 @@ export function createLinkedInEmbed(url, container) {
   container.appendChild(placeholder);
 
   // Fetch metadata for the URL
-  fetchMetadata(url).then(metadata => {
+  fetchMetadata(url).then(fetchedMetadata => {
+    // Prefer the user's own title and description over the fetched ones
+    const metadata = {
+      ...fetchedMetadata,
+      title: overrides.title ? escapeHtml(overrides.title) : fetchedMetadata.title,
+      description: overrides.description ? escapeHtml(overrides.description) : fetchedMetadata.description
+    };
+    
     // Create a WhatsApp-style rich link preview card
     const card = document.createElement('div');
     card.className = 'linkedin-preview bg-white rounded-lg overflow-hidden cursor-pointer';
@@ -90,8 +99,8 @@ export function createLinkedInEmbed(url, container) {
           </svg>
           <span class="font-semibold text-gray-800 text-sm">LinkedIn</span>
         </div>
-        <h3 class="font-bold text-gray-900 mb-1 text-base leading-tight">LinkedIn Content</h3>
-        <p class="text-sm text-gray-600 mb-2">View this content on LinkedIn, the world's largest professional network.</p>
+        <h3 class="font-bold text-gray-900 mb-1 text-base leading-tight">${overrides.title ? escapeHtml(overrides.title) : 'LinkedIn Content'}</h3>
+        <p class="text-sm text-gray-600 mb-2">${overrides.description ? escapeHtml(overrides.description) : 'View this content on LinkedIn, the world\'s largest professional network.'}</p>
         <p class="text-xs text-gray-500 truncate">${url}</p>
       </div>
     `;
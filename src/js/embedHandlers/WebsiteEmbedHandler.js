@@ -3,12 +3,15 @@
  * Creates a simple, attractive preview card for websites
  */
 
+import { escapeHtml } from '../utils.js';
+
 /**
  * Create a website embed preview
  * @param {string} url Website URL
  * @param {HTMLElement} container Container element for the embed
+ * @param {Object} [overrides={}] Title and description set by the user, shown instead of the guessed ones
  */
-export function createWebsiteEmbed(url, container) {
+export function createWebsiteEmbed(url, container, overrides = {}) {
   try {
     // Parse the URL to get domain information
     const urlObj = new URL(url);
@@ -24,6 +27,10 @@ export function createWebsiteEmbed(url, container) {
       window.open(url, '_blank', 'noopener,noreferrer');
     });
     
+    // Prefer the user's own title and description over the ones guessed from the URL
+    const title = overrides.title || getDisplayTitle(url, domain);
+    const description = overrides.description || getDescriptionFromUrl(url);
+    
     // Get favicon from Google's service
     const favicon = `https://www.google.com/s2/favicons?domain=${domain}&sz=128`;
     
@@ -35,8 +42,8 @@ export function createWebsiteEmbed(url, container) {
           <span class="text-sm text-gray-600 truncate">${hostname}</span>
         </div>
         <div class="website-preview-text p-4 pt-0">
-          <h3 class="text-lg font-semibold mb-2 line-clamp-2">${getDisplayTitle(url, domain)}</h3>
-          <p class="text-sm text-gray-600 mb-2 line-clamp-3">${getDescriptionFromUrl(url)}</p>
+          <h3 class="text-lg font-semibold mb-2 line-clamp-2">${escapeHtml(title)}</h3>
+          <p class="text-sm text-gray-600 mb-2 line-clamp-3">${escapeHtml(description)}</p>
         </div>
         <div class="website-preview-image bg-gray-100 flex items-center justify-center">
           <svg xmlns="http://www.w3.org/2000/svg" class="h-12 w-12 text-gray-400" fill="none" viewBox="0 0 24 24" stroke="currentColor">
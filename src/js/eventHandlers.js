@@ -1,4 +1,4 @@
-import { addPost, deletePost, loadPosts, filterPostsByTag, filterPostsByTags, getActiveTagFilters, getPostById, updatePost, populatePostElement, updateSinglePostInUI } from './postManager.js';
+import { addPost, deletePost, loadPosts, filterPostsByTag, filterPostsByTags, getActiveTagFilters, getSavedTagFilters, getPostById, updatePost, populatePostElement, updateSinglePostInUI, setPostStatus, recordPostOpened, reorderPostCards, togglePostPin, togglePostFavorite } from './postManager.js';
 import { checkClipboardAndOpenModal, readClipboardUrl, clearSavedClipboardUrl } from './clipboardManager.js';
 
 /**
@@ -41,8 +41,21 @@ import { extractTags } from './utils.js';
 import { createTagSuggestions, getAllUniqueTags, getCachedUniqueTags, invalidateTagsCache } from './tagManager.js';
 import { exportPosts, importPosts } from './importExport.js';
 import { getCurrentUser } from './auth/supabaseClient.js';
-import { forceSync, isSyncInProgress, getLastSyncTime, syncSinglePostToCloud } from './database/index.js';
+import { forceSync, isSyncInProgress, getLastSyncTime, queuePostSync } from './database/index.js';
 import renderManager from './renderManager.js';
+import { POST_STATUSES, getPostStatus, getStatusFilter, setStatusFilter } from './statusManager.js';
+import { isFavoritesFilterOn, setFavoritesFilter } from './pinManager.js';
+import { getSortMode, setSortMode } from './sortManager.js';
+import { getSectionGrid } from './sectionManager.js';
+import { renderRevisionHistory } from './revisionManager.js';
+import { TAG_FILTER_MODES, UNTAGGED_FILTER, normalizeTagFilter, normalizeTagFilters, getNextTagFilterMode, getTagFilterLabel } from './utils/tagFilters.js';
+
+// How a tag filter chip looks in each mode
+const TAG_FILTER_MODE_STYLES = {
+  [TAG_FILTER_MODES.INCLUDE]: { icon: '', borderStyle: 'solid', backgroundColor: 'transparent', description: 'Posts must have this tag' },
+  [TAG_FILTER_MODES.ANY]: { icon: '~', borderStyle: 'dashed', backgroundColor: 'transparent', description: 'Posts need any of the dashed tags' },
+  [TAG_FILTER_MODES.EXCLUDE]: { icon: '−', borderStyle: 'solid', backgroundColor: '#fee2e2', description: 'Posts with this tag are hidden' }
+};
 
 /**
  * Open the Add Link modal with a URL pre-filled
@@ -274,6 +287,9 @@ export function setupEventListeners() {
     
     // Setup mobile filter tags
     setupFilterTags(allTags, 'mobileAvailableTagsContainer', 'mobileTagFilterContainer');
+    
+    // Let the facet manager show the tags' counts
+    document.dispatchEvent(new CustomEvent('tagFiltersRendered'));
   }
   
   /**
@@ -310,6 +326,7 @@ export function setupEventListeners() {
       tagElement.dataset.tag = tagName; // For compatibility
       tagElement.dataset.tagJson = JSON.stringify(tagObject);
       tagElement.textContent = tagName;
+      tagElement.appendChild(createTagFilterCount());
       
       // Make the background transparent and just use border color
       tagElement.style.backgroundColor = 'transparent';
@@ -323,10 +340,77 @@ export function setupEventListeners() {
       
       availableTagsContainer.appendChild(tagElement);
     });
+    
+    // Posts without any tags can be filtered like a tag
+    if (allTags.length > 0) {
+      const untaggedElement = document.createElement('span');
+      untaggedElement.className = 'inline-flex items-center px-2 py-1 rounded-full text-xs font-medium italic text-gray-500 border border-dashed border-gray-300 cursor-pointer';
+      untaggedElement.dataset.tagName = UNTAGGED_FILTER;
+      untaggedElement.dataset.tag = UNTAGGED_FILTER; // For compatibility
+      untaggedElement.textContent = getTagFilterLabel(UNTAGGED_FILTER);
+      untaggedElement.title = 'Posts without any tags';
+      untaggedElement.appendChild(createTagFilterCount());
+      untaggedElement.addEventListener('click', () => {
+        addTagFilter({ name: UNTAGGED_FILTER }, filterContainerId);
+      });
+      
+      availableTagsContainer.appendChild(untaggedElement);
+    }
+  }
+  
+  /**
+   * Create the element that shows how many posts an available tag would show
+   * The facet manager fills in the count.
+   * @returns {HTMLElement} The count element
+   */
+  function createTagFilterCount() {
+    const countElement = document.createElement('span');
+    countElement.className = 'tag-filter-count ml-1 text-gray-400';
+    return countElement;
+  }
+  
+  /**
+   * Show a tag filter chip's mode: a solid border for tags posts must have,
+   * a dashed one for "any of these", and struck-through red for excluded tags
+   * @param {HTMLElement} tagElement - The chip in a filter container
+   */
+  function renderTagFilterMode(tagElement) {
+    const mode = tagElement.dataset.filterMode || TAG_FILTER_MODES.INCLUDE;
+    const label = getTagFilterLabel(tagElement.dataset.tagName);
+    const style = TAG_FILTER_MODE_STYLES[mode];
+    
+    tagElement.style.borderStyle = style.borderStyle;
+    tagElement.style.backgroundColor = style.backgroundColor;
+    tagElement.querySelector('.tag-filter-mode-icon').textContent = style.icon;
+    tagElement.querySelector('.tag-filter-name').classList.toggle('line-through', mode === TAG_FILTER_MODES.EXCLUDE);
+    
+    const modeButton = tagElement.querySelector('.tag-filter-mode-btn');
+    modeButton.title = `${style.description}. Click to change.`;
+    modeButton.setAttribute('aria-label', `${label}: ${style.description.toLowerCase()}. Click to change.`);
+  }
+  
+  /**
+   * Switch a tag filter to its next mode in both the desktop and mobile containers
+   * @param {string} tagName - Name of the tag
+   */
+  function cycleTagFilterMode(tagName) {
+    const desktopChip = document.querySelector(`#tagFilterContainer [data-tag-name="${tagName}"]`);
+    const mode = getNextTagFilterMode(desktopChip ? desktopChip.dataset.filterMode : TAG_FILTER_MODES.INCLUDE);
+    
+    ['tagFilterContainer', 'mobileTagFilterContainer'].forEach(containerId => {
+      const chip = document.querySelector(`#${containerId} [data-tag-name="${tagName}"]`);
+      if (chip) {
+        chip.dataset.filterMode = mode;
+        renderTagFilterMode(chip);
+      }
+    });
+    
+    console.log(`Tag filter ${tagName} set to ${mode}`);
+    filterPostsByTags(getActiveTagFilters());
   }
   
   // Function to add a tag filter
-  function addTagFilter(tag, containerId = 'tagFilterContainer') {
+  function addTagFilter(tag, containerId = 'tagFilterContainer', render = true) {
     // Get the filter container
     const filterContainer = document.getElementById(containerId);
     if (!filterContainer) return;
@@ -336,12 +420,15 @@ export function setupEventListeners() {
     let tagColor;
     if (typeof tag === 'object' && tag !== null && tag.name) {
       tagName = tag.name;
-      tagColor = tag.color;
+      tagColor = tag.color || '#e5e7eb';
     } else {
       tagName = String(tag);
       tagColor = '#e5e7eb'; // Default gray color
     }
     
+    // New chips include their tag unless a mode is given, e.g. from saved filters
+    const { mode } = normalizeTagFilter({ name: tagName, mode: tag && tag.mode });
+    
     // Check if this tag is already in the filter
     const existingFilter = Array.from(filterContainer.children).find(
       child => child.dataset.tagName === tagName || child.dataset.tag === tagName
@@ -357,24 +444,34 @@ export function setupEventListeners() {
     tagElement.className = 'inline-flex items-center px-2 py-1 rounded-full text-xs font-medium';
     tagElement.dataset.tagName = tagName;
     tagElement.dataset.tag = tagName; // For compatibility
+    tagElement.dataset.filterMode = mode;
     
     // Set background color with opacity
     tagElement.style.backgroundColor = 'transparent';
     tagElement.style.border = `1px solid ${tagColor}`;
     tagElement.style.color = '#171717'; // Dark gray text
     
-    // Add the tag name and a remove button
+    // Clicking the tag changes its mode; the x removes it
     tagElement.innerHTML = `
-      ${tagName}
-      <button class="ml-1 text-gray-500 hover:text-gray-700 focus:outline-none">
+      <button type="button" class="tag-filter-mode-btn inline-flex items-center gap-0.5 focus:outline-none">
+        <span class="tag-filter-mode-icon font-bold"></span>
+        <span class="tag-filter-name"></span>
+      </button>
+      <button type="button" class="tag-filter-remove-btn ml-1 text-gray-500 hover:text-gray-700 focus:outline-none" title="Remove filter">
         <svg class="h-3 w-3" fill="currentColor" viewBox="0 0 20 20">
           <path fill-rule="evenodd" d="M4.293 4.293a1 1 0 011.414 0L10 8.586l4.293-4.293a1 1 0 111.414 1.414L11.414 10l4.293 4.293a1 1 0 01-1.414 1.414L10 11.414l-4.293 4.293a1 1 0 01-1.414-1.414L8.586 10 4.293 5.707a1 1 0 010-1.414z" clip-rule="evenodd"></path>
         </svg>
       </button>
     `;
+    tagElement.querySelector('.tag-filter-name').textContent = getTagFilterLabel(tagName);
+    renderTagFilterMode(tagElement);
+    
+    tagElement.querySelector('.tag-filter-mode-btn').addEventListener('click', () => {
+      cycleTagFilterMode(tagName);
+    });
     
     // Add click event to remove the tag filter
-    const removeButton = tagElement.querySelector('button');
+    const removeButton = tagElement.querySelector('.tag-filter-remove-btn');
     removeButton.addEventListener('click', () => {
       // Use the same container ID for removal
       removeTagFilter(tagName, containerId);
@@ -409,7 +506,7 @@ export function setupEventListeners() {
       );
       
       if (!existingInOther) {
-        addTagFilter(tag, otherContainerId);
+        addTagFilter(tag, otherContainerId, render);
       }
     }
     
@@ -417,8 +514,10 @@ export function setupEventListeners() {
     updateFilterButtonText();
     
     // Filter the posts
-    const activeTags = getActiveTagFilters();
-    filterPostsByTags(activeTags);
+    if (render) {
+      const activeTags = getActiveTagFilters();
+      filterPostsByTags(activeTags);
+    }
   }
   
   // Function to remove a tag filter
@@ -499,7 +598,7 @@ export function setupEventListeners() {
   }
   
   // Function to clear all tag filters
-  function clearTagFilters(isMobile = false) {
+  function clearTagFilters(isMobile = false, render = true) {
     // Clear desktop filters
     const filterContainer = document.getElementById(isMobile ? 'mobileTagFilterContainer' : 'tagFilterContainer');
     const availableTagsContainer = document.getElementById(isMobile ? 'mobileAvailableTagsContainer' : 'availableTagsContainer');
@@ -551,9 +650,47 @@ export function setupEventListeners() {
     updateFilterButtonText();
     
     // Show all posts
-    filterPostsByTags([]);
+    if (render) {
+      filterPostsByTags([]);
+    }
   }
   
+  /**
+   * Show the tag filters saved for the board being viewed, without re-rendering
+   */
+  function restoreTagFilters() {
+    // Use the stored tags so the filters keep their colors
+    const tagsByName = new Map(getCachedUniqueTags().map(tag => [
+      (typeof tag === 'object' && tag !== null && tag.name ? tag.name : String(tag)).toLowerCase(),
+      tag
+    ]));
+    
+    clearTagFilters(false, false);
+    getSavedTagFilters().forEach(({ name, mode }) => {
+      const tag = tagsByName.get(name.toLowerCase());
+      addTagFilter(typeof tag === 'object' && tag !== null ? { ...tag, mode } : { name, mode }, 'tagFilterContainer', false);
+    });
+  }
+  
+  restoreTagFilters();
+  
+  // Swap in the tag filters of the board being opened; the board manager renders afterwards
+  document.addEventListener('boardChanged', restoreTagFilters);
+  
+  // Filters saved elsewhere, e.g. by opening a smart board
+  document.addEventListener('restoreTagFilters', restoreTagFilters);
+  
+  // Saved filters belong to the user, so they change after a login or logout
+  document.addEventListener('postsRendered', () => {
+    const getKey = filters => normalizeTagFilters(filters)
+      .map(({ name, mode }) => `${name.toLowerCase()}:${mode}`)
+      .sort()
+      .join('\n');
+    if (getKey(getActiveTagFilters()) !== getKey(getSavedTagFilters())) {
+      restoreTagFilters();
+    }
+  });
+  
   /**
    * Update the filter dropdown button text to show the count of selected tags
    */
@@ -588,6 +725,8 @@ export function setupEventListeners() {
     const url = document.getElementById('linkUrl').value.trim();
     const tagsInput = document.getElementById('linkTags').value.trim();
     const tagStrings = extractTags(tagsInput);
+    const title = document.getElementById('linkTitle').value.trim();
+    const description = document.getElementById('linkDescription').value.trim();
     
     // Check if this is a duplicate submission (same URL within cooldown period)
     const currentTime = Date.now();
@@ -620,7 +759,7 @@ export function setupEventListeners() {
       
       try {
         // Use skipRender=true to prevent re-rendering all posts
-        const newPost = await addPost(url, tags, true);
+        const newPost = await addPost(url, tags, true, { title, description });
         
         // Check if the post was added successfully or if it was a duplicate
         if (!newPost) {
@@ -632,7 +771,8 @@ export function setupEventListeners() {
         
         // Manually add just the new post to the UI
         console.log('Adding new post to UI without re-rendering all posts');
-        const postsGrid = document.getElementById('postsGrid');
+        // New posts aren't in a section yet, so on boards with sections they go in the first block
+        const postsGrid = getSectionGrid(null);
         const postTemplate = document.getElementById('postTemplate');
         
         if (postsGrid && postTemplate) {
@@ -731,43 +871,191 @@ export function setupEventListeners() {
       if (postId) {
         console.log('Delete button clicked for post ID:', postId);
         
-        // Confirm deletion with the user
-        if (confirm('Are you sure you want to delete this post? This action cannot be undone.')) {
-          console.log('Deletion confirmed for post ID:', postId);
-          
-          // Delete the post locally and sync with Supabase
-          deletePost(postId, false, false).then(success => {
-            if (success) {
-              console.log('Post deleted successfully');
-              
-              // Sync with Supabase to ensure deletion is saved
-              if (window.boardie && window.boardie.isAuthenticated) {
-                console.log('Syncing with Supabase after post deletion...');
-                forceSync().catch(error => {
-                  console.error('Error syncing with Supabase after post deletion:', error);
-                });
-              }
-            } else {
-              console.error('Failed to delete post');
-            }
-          }).catch(error => {
-            console.error('Error deleting post:', error);
-          });
-        } else {
-          console.log('Post deletion cancelled by user');
-        }
+        // Move the post to the trash; an undo toast lets the user take it back
+        deletePost(postId, false, false).then(success => {
+          if (success) {
+            console.log('Post deleted successfully');
+          } else {
+            console.error('Failed to delete post');
+          }
+        }).catch(error => {
+          console.error('Error deleting post:', error);
+        });
       } else {
         console.error('Could not find post ID for deletion');
       }
     }
+    
+    // Handle read-later status toggles
+    const readButton = e.target.closest('.toggle-read-btn');
+    if (readButton) {
+      const post = getPostById(readButton.closest('.post-card')?.dataset.id);
+      if (post) {
+        const isRead = getPostStatus(post) === POST_STATUSES.READ;
+        setPostStatus(post.id, isRead ? POST_STATUSES.UNREAD : POST_STATUSES.READ);
+      }
+    }
+    
+    const archiveButton = e.target.closest('.toggle-archive-btn');
+    if (archiveButton) {
+      const post = getPostById(archiveButton.closest('.post-card')?.dataset.id);
+      if (post) {
+        const isArchived = getPostStatus(post) === POST_STATUSES.ARCHIVED;
+        setPostStatus(post.id, isArchived ? POST_STATUSES.UNREAD : POST_STATUSES.ARCHIVED);
+      }
+    }
+    
+    // Handle pin and favorite toggles
+    const pinButton = e.target.closest('.toggle-pin-btn');
+    if (pinButton) {
+      const postId = pinButton.closest('.post-card')?.dataset.id;
+      if (postId) {
+        togglePostPin(postId);
+      }
+    }
+    
+    const favoriteButton = e.target.closest('.toggle-favorite-btn');
+    if (favoriteButton) {
+      const postId = favoriteButton.closest('.post-card')?.dataset.id;
+      if (postId) {
+        togglePostFavorite(postId);
+      }
+    }
+    
+    markPostOpenedFromEvent(e);
+  });
+  
+  // Middle-clicking a link opens it too
+  document.addEventListener('auxclick', markPostOpenedFromEvent);
+  
+  // Clicks inside embedded iframes (YouTube, Twitter, ...) never reach the page,
+  // but the window loses focus to the iframe, so use that to spot them
+  window.addEventListener('blur', () => {
+    setTimeout(() => {
+      const activeElement = document.activeElement;
+      if (activeElement && activeElement.tagName === 'IFRAME') {
+        markPostOpened(activeElement.closest('.post-card')?.dataset.id);
+      }
+    }, 0);
   });
   
   // Re-setup edit buttons when posts are added or updated
   document.addEventListener('postsRendered', () => {
     console.log('Posts rendered event received, ensuring edit buttons are working');
     // No need to add new listeners since we're using event delegation on document
+    
+    // The status filter is stored per user, so refresh it after a login or logout re-render
+    updateStatusFilterButtons();
+    updateFavoritesFilterButton();
+    updateSortModeSelect();
   });
   
+  /**
+   * Record that a post was opened if the event opened its link
+   * @param {MouseEvent} e - The click or auxclick event
+   */
+  function markPostOpenedFromEvent(e) {
+    const link = e.target.closest('.post-embed a[href], .website-preview, .linkedin-preview, .pinterest-preview-card');
+    if (link) {
+      markPostOpened(link.closest('.post-card')?.dataset.id);
+    }
+  }
+  
+  /**
+   * Record that a post's link was opened, marking it as read if it was unread
+   * Archived posts keep their status.
+   * @param {string} postId - ID of the opened post
+   */
+  function markPostOpened(postId) {
+    if (!postId) return;
+    recordPostOpened(postId);
+  }
+  
+  /**
+   * Highlight the selected status filter button
+   */
+  function updateStatusFilterButtons() {
+    const selectedFilter = getStatusFilter();
+    document.querySelectorAll('.status-filter-btn').forEach(button => {
+      const isSelected = button.dataset.statusFilter === selectedFilter;
+      button.classList.toggle('bg-gray-900', isSelected);
+      button.classList.toggle('text-white', isSelected);
+      button.classList.toggle('border-gray-900', isSelected);
+      button.classList.toggle('text-gray-700', !isSelected);
+      button.setAttribute('aria-pressed', String(isSelected));
+    });
+  }
+  
+  /**
+   * Show whether the favorites filter is on
+   */
+  function updateFavoritesFilterButton() {
+    const favoritesFilterBtn = document.getElementById('favoritesFilterBtn');
+    if (!favoritesFilterBtn) return;
+    
+    const isOn = isFavoritesFilterOn();
+    favoritesFilterBtn.classList.toggle('bg-yellow-400', isOn);
+    favoritesFilterBtn.classList.toggle('border-yellow-400', isOn);
+    favoritesFilterBtn.setAttribute('aria-pressed', String(isOn));
+  }
+  
+  /**
+   * Show the current user's sort mode in the sort select
+   */
+  function updateSortModeSelect() {
+    const sortModeSelect = document.getElementById('sortMode');
+    if (sortModeSelect) {
+      sortModeSelect.value = getSortMode();
+    }
+  }
+  
+  // Sort mode select
+  const sortModeSelect = document.getElementById('sortMode');
+  if (sortModeSelect) {
+    updateSortModeSelect();
+    
+    sortModeSelect.addEventListener('change', () => {
+      setSortMode(sortModeSelect.value);
+      
+      // Only the order changes, so move the cards instead of reloading every embed
+      reorderPostCards();
+      document.dispatchEvent(new CustomEvent('viewChanged'));
+    });
+  }
+  
+  // Favorites filter button
+  const favoritesFilterBtn = document.getElementById('favoritesFilterBtn');
+  if (favoritesFilterBtn) {
+    updateFavoritesFilterButton();
+    
+    favoritesFilterBtn.addEventListener('click', () => {
+      setFavoritesFilter(!isFavoritesFilterOn());
+      updateFavoritesFilterButton();
+      
+      // Re-render keeping the active tag filters
+      filterPostsByTags(getActiveTagFilters());
+    });
+  }
+  
+  // Status filter buttons
+  const statusFilter = document.getElementById('statusFilter');
+  if (statusFilter) {
+    updateStatusFilterButtons();
+    
+    statusFilter.addEventListener('click', (e) => {
+      const button = e.target.closest('.status-filter-btn');
+      if (!button) return;
+      
+      setStatusFilter(button.dataset.statusFilter);
+      updateStatusFilterButtons();
+      
+      // Re-render keeping the active tag filters
+      filterPostsByTags(getActiveTagFilters());
+    });
+  } else {
+    console.log('Status filter not found in DOM');
+  }
+  
   // Function to open the edit modal with post data
   function openEditModal(postId) {
     console.log('Opening edit modal for post ID:', postId);
@@ -792,6 +1080,13 @@ export function setupEventListeners() {
     });
     
     document.getElementById('editLinkTags').value = tagNames.join(', ');
+    document.getElementById('editLinkTitle').value = post.title || '';
+    document.getElementById('editLinkDescription').value = post.description || '';
+    document.getElementById('editLinkNotes').value = post.notes || '';
+    
+    // Show the post's history, collapsed
+    document.getElementById('editPostHistory').open = false;
+    renderRevisionHistory(post.id);
     
     // Show the modal
     const editLinkModal = document.getElementById('editLinkModal');
@@ -857,7 +1152,7 @@ export function setupEventListeners() {
   // Delete post button in edit modal
   deletePostBtn.addEventListener('click', () => {
     const postId = document.getElementById('editPostId').value;
-    if (postId && confirm('Are you sure you want to delete this post?')) {
+    if (postId) {
       deletePost(postId);
       closeEditLinkModal();
     }
@@ -871,6 +1166,9 @@ export function setupEventListeners() {
     const url = document.getElementById('editLinkUrl').value.trim();
     const tagsInput = document.getElementById('editLinkTags').value.trim();
     const tagStrings = extractTags(tagsInput);
+    const title = document.getElementById('editLinkTitle').value.trim();
+    const description = document.getElementById('editLinkDescription').value.trim();
+    const notes = document.getElementById('editLinkNotes').value.trim();
     
     // Convert tag strings to tag objects with random colors
     const tags = tagStrings.map(tagName => {
@@ -887,7 +1185,7 @@ export function setupEventListeners() {
       
       // Use skipRender=false to ensure the post is updated in the UI
       // Use updateUIOnly=true to only update the specific post in the UI without re-rendering all posts
-      const wasUpdated = updatePost(postId, url, tags, false, true);
+      const wasUpdated = updatePost(postId, url, tags, false, true, { title, description, notes });
       closeEditLinkModal();
       
       // Execute the sync immediately with the specific post ID
@@ -944,30 +1242,29 @@ export function setupEventListeners() {
       if (user) {
         console.log('User is logged in, syncing post with Supabase...');
         
-        // Check if sync is already in progress
-        if (isSyncInProgress()) {
-          console.log('Sync already in progress, will sync this post when current sync completes');
-          return;
-        }
-        
         try {
-          // If we have a specific post ID, sync just that post
+          // If we have a specific post ID, queue just that post
+          // Queued changes are coalesced, so an undo right after the change wins
           if (postId) {
             const post = getPostById(postId);
             if (post) {
-              console.log('Syncing specific post to cloud:', postId);
-              await syncSinglePostToCloud(post);
-              console.log('Post sync completed');
-            } else {
-              console.log('Post not found, falling back to full sync');
-              await forceSync(true); // Skip render
+              console.log('Queuing specific post for sync:', postId);
+              queuePostSync(post.id, post.url);
+              return;
             }
-          } else {
-            // Otherwise do a full sync
-            console.log('No specific post ID, performing full sync');
-            await forceSync(true); // Skip render
+            
+            console.log('Post not found, falling back to full sync');
           }
           
+          // Check if sync is already in progress
+          if (isSyncInProgress()) {
+            console.log('Sync already in progress, skipping full sync');
+            return;
+          }
+          
+          console.log('Performing full sync');
+          await forceSync(true); // Skip render
+          
           // Get last sync time
           const lastSync = getLastSyncTime();
           if (lastSync) {
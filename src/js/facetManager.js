@@ -0,0 +1,404 @@
+/**
+ * Facet filters for Boardie
+ * Next to the tag filters, posts can be narrowed down by platform, by the
+ * domain of their link and by the date they were added. Posts must match one
+ * of the selected values of each facet. Every facet value and available tag
+ * shows how many posts it would show given the other active filters, and
+ * values without any are disabled. Each board has its own facet filters.
+ */
+
+import * as storage from './storage/index.js';
+import { getPlatformFromUrl, isPostDeleted } from './utils.js';
+import { getUrlHost } from './utils/canonicalUrl.js';
+import { UNTAGGED_FILTER, postMatchesTagFilters } from './utils/tagFilters.js';
+import { filterPostsForBoard, filterPostsByTags, getActiveTagFilters, getSavedTagFilters } from './postManager.js';
+import { getFilterScope } from './boardManager.js';
+
+// Storage key prefix for the selected facet filters
+const FACET_FILTERS_KEY_PREFIX = 'boardie_facets_';
+
+// Platforms in the order they are shown; posts on other sites count as Website
+export const FACET_PLATFORMS = ['Twitter', 'YouTube', 'Instagram', 'LinkedIn', 'Pinterest', 'TikTok', 'Website'];
+
+export const DATE_PRESETS = {
+  WEEK: 'week',
+  MONTH: 'month',
+  CUSTOM: 'custom'
+};
+
+/**
+ * Get empty facet filters
+ * @returns {Object} `{ platforms, domains, date }` with nothing selected
+ */
+function getEmptyFacets() {
+  return { platforms: [], domains: [], date: { preset: null, from: '', to: '' } };
+}
+
+/**
+ * Get the facet filters selected by the current user
+ * @returns {Object} `{ platforms, domains, date }`, where date is `{ preset, from, to }`
+ *   with a preset from DATE_PRESETS or null, and from and to as YYYY-MM-DD or ''
+ */
+export function getFacetFilters() {
+  const facets = getEmptyFacets();
+
+  try {
+    const saved = JSON.parse(localStorage.getItem(`${FACET_FILTERS_KEY_PREFIX}${getFilterScope()}`));
+    if (!saved) return facets;
+
+    if (Array.isArray(saved.platforms)) {
+      facets.platforms = saved.platforms.filter(platform => FACET_PLATFORMS.includes(platform));
+    }
+    if (Array.isArray(saved.domains)) {
+      facets.domains = saved.domains.filter(domain => typeof domain === 'string' && domain);
+    }
+    if (saved.date) {
+      facets.date = {
+        preset: Object.values(DATE_PRESETS).includes(saved.date.preset) ? saved.date.preset : null,
+        from: typeof saved.date.from === 'string' ? saved.date.from : '',
+        to: typeof saved.date.to === 'string' ? saved.date.to : ''
+      };
+    }
+  } catch (error) {
+    console.error('Error reading facet filters:', error);
+  }
+
+  return facets;
+}
+
+/**
+ * Save the facet filters for the current user
+ * @param {Object} facets `{ platforms, domains, date }`
+ */
+export function setFacetFilters(facets) {
+  localStorage.setItem(`${FACET_FILTERS_KEY_PREFIX}${getFilterScope()}`, JSON.stringify(facets));
+  console.log('Facet filters set to', facets);
+}
+
+/**
+ * Remove all facet filters for the current user
+ */
+export function clearFacetFilters() {
+  localStorage.removeItem(`${FACET_FILTERS_KEY_PREFIX}${getFilterScope()}`);
+  console.log('Facet filters cleared');
+}
+
+/**
+ * Check whether any facet filter is selected
+ * @param {Object} [facets] Facet filters, defaults to the current user's
+ * @returns {boolean} True if a platform, domain or date is selected
+ */
+export function hasActiveFacets(facets = getFacetFilters()) {
+  return facets.platforms.length > 0 || facets.domains.length > 0 || Boolean(facets.date.preset);
+}
+
+/**
+ * Get the platform a post is shown under in the platform facet
+ * @param {Object} post The post
+ * @returns {string} One of FACET_PLATFORMS
+ */
+export function getPostPlatform(post) {
+  const platform = String(post.platform || getPlatformFromUrl(post.url || '')).toLowerCase();
+  return FACET_PLATFORMS.find(name => name.toLowerCase() === platform) || 'Website';
+}
+
+/**
+ * Parse a YYYY-MM-DD date as the start of that day in local time
+ * @param {string} value The date
+ * @returns {number} Timestamp, or NaN if the date is empty or invalid
+ */
+function parseDay(value) {
+  const match = String(value || '').match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  return match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])).getTime() : NaN;
+}
+
+/**
+ * Get the times a date filter covers
+ * Weeks start on Monday. A custom range includes both of its days, and either
+ * end can be left open.
+ * @param {Object} date `{ preset, from, to }`
+ * @returns {Object} `{ start, end }` timestamps; end is exclusive, and NaN means no limit
+ */
+function getDateRange(date) {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+
+  if (date.preset === DATE_PRESETS.WEEK) {
+    today.setDate(today.getDate() - ((today.getDay() + 6) % 7));
+    return { start: today.getTime(), end: NaN };
+  }
+
+  if (date.preset === DATE_PRESETS.MONTH) {
+    today.setDate(1);
+    return { start: today.getTime(), end: NaN };
+  }
+
+  const end = new Date(parseDay(date.to));
+  end.setDate(end.getDate() + 1);
+  return { start: parseDay(date.from), end: end.getTime() };
+}
+
+/**
+ * Check whether a post was added within a date filter
+ * @param {Object} post The post
+ * @param {Object} date `{ preset, from, to }`
+ * @returns {boolean} True if the post matches, or there is no date filter
+ */
+function postMatchesDate(post, date) {
+  if (!date.preset) return true;
+
+  const time = new Date(post.dateAdded || post.created_at).getTime();
+  if (Number.isNaN(time)) return false;
+
+  const { start, end } = getDateRange(date);
+  return !(time < start) && !(time >= end);
+}
+
+/**
+ * Check whether a post should be shown for a set of facet filters
+ * @param {Object} post The post
+ * @param {Object} [facets] Facet filters, defaults to the current user's
+ * @param {string} [skip] Facet to leave out: 'platforms', 'domains' or 'date'
+ * @returns {boolean} True if the post matches every other facet
+ */
+export function postMatchesFacets(post, facets = getFacetFilters(), skip = null) {
+  if (skip !== 'platforms' && facets.platforms.length > 0 && !facets.platforms.includes(getPostPlatform(post))) {
+    return false;
+  }
+  if (skip !== 'domains' && facets.domains.length > 0 && !facets.domains.includes(getUrlHost(post.url))) {
+    return false;
+  }
+  return skip === 'date' || postMatchesDate(post, facets.date);
+}
+
+/**
+ * Count how many posts each facet value and tag would show
+ * A facet value's count keeps the filters of the other facets, so values of
+ * the same facet can be added to each other. A tag's count is the number of
+ * posts shown now that also have the tag.
+ * @returns {Object} `{ platforms, domains, dates, tags }` Maps from value to count;
+ *   tags are keyed by lowercase name, with UNTAGGED_FILTER for posts without tags
+ */
+function getFacetCounts() {
+  const facets = getFacetFilters();
+  const tagFilters = getSavedTagFilters();
+  const posts = filterPostsForBoard(storage.getPosts()).filter(post => postMatchesTagFilters(post, tagFilters));
+
+  const countBy = (skip, getValues) => {
+    const counts = new Map();
+    posts.filter(post => postMatchesFacets(post, facets, skip)).forEach(post => {
+      getValues(post).forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+    });
+    return counts;
+  };
+
+  return {
+    platforms: countBy('platforms', post => [getPostPlatform(post)]),
+    domains: countBy('domains', post => [getUrlHost(post.url)].filter(Boolean)),
+    dates: countBy('date', post => Object.values(DATE_PRESETS)
+      .filter(preset => postMatchesDate(post, { ...facets.date, preset }))),
+    tags: countBy(null, post => {
+      const names = (Array.isArray(post.tags) ? post.tags : [])
+        .map(tag => String(typeof tag === 'object' && tag !== null ? tag.name : tag).toLowerCase());
+      return names.length > 0 ? Array.from(new Set(names)) : [UNTAGGED_FILTER];
+    })
+  };
+}
+
+/**
+ * Show a facet value's count, selection and whether it can be clicked
+ * @param {HTMLElement} button The facet value's button
+ * @param {number} count Posts the value would show
+ * @param {boolean} selected Whether the value is selected
+ */
+function renderFacetOption(button, count, selected) {
+  button.querySelector('.facet-count').textContent = String(count);
+  button.classList.toggle('bg-gray-900', selected);
+  button.classList.toggle('text-white', selected);
+  button.classList.toggle('border-gray-900', selected);
+  button.classList.toggle('text-gray-700', !selected);
+  button.setAttribute('aria-pressed', String(selected));
+
+  // Selected values stay clickable so they can be turned off
+  button.disabled = count === 0 && !selected;
+}
+
+/**
+ * Create a button for a domain in the domain facet
+ * @param {string} domain The domain
+ * @returns {HTMLElement} The button
+ */
+function createDomainOption(domain) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'facet-option flex items-center w-full gap-2 px-2 py-1 rounded text-left text-gray-700 hover:bg-gray-100 disabled:opacity-40 disabled:cursor-not-allowed';
+  button.dataset.facet = 'domains';
+  button.dataset.value = domain;
+
+  const name = document.createElement('span');
+  name.className = 'truncate flex-1';
+  name.textContent = domain;
+
+  const count = document.createElement('span');
+  count.className = 'facet-count opacity-75';
+
+  button.appendChild(name);
+  button.appendChild(count);
+  return button;
+}
+
+/**
+ * Show the counts of the available tag chips, disabling tags without posts
+ * @param {Map} counts Counts by lowercase tag name
+ */
+function renderTagFilterCounts(counts) {
+  ['availableTagsContainer', 'mobileAvailableTagsContainer'].forEach(containerId => {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+
+    container.querySelectorAll('[data-tag-name]').forEach(tagElement => {
+      const name = tagElement.dataset.tagName;
+      const count = counts.get(name === UNTAGGED_FILTER ? name : name.toLowerCase()) || 0;
+
+      const countElement = tagElement.querySelector('.tag-filter-count');
+      if (countElement) {
+        countElement.textContent = String(count);
+      }
+      tagElement.classList.toggle('opacity-40', count === 0);
+      tagElement.classList.toggle('pointer-events-none', count === 0);
+      tagElement.setAttribute('aria-disabled', String(count === 0));
+    });
+  });
+}
+
+/**
+ * Show the selected facet values and the live counts of facets and tags
+ */
+export function renderFacets() {
+  const facetPanel = document.getElementById('facetPanel');
+  if (!facetPanel) return;
+
+  const facets = getFacetFilters();
+  const counts = getFacetCounts();
+
+  facetPanel.querySelectorAll('.facet-option[data-facet="platforms"]').forEach(button => {
+    const platform = button.dataset.value;
+    renderFacetOption(button, counts.platforms.get(platform) || 0, facets.platforms.includes(platform));
+  });
+
+  // Every domain saved on the board is listed, those with the most posts first
+  const domains = new Set(facets.domains);
+  storage.getPosts().forEach(post => {
+    const host = !isPostDeleted(post) && getUrlHost(post.url);
+    if (host) domains.add(host);
+  });
+  const domainList = document.getElementById('domainFacetList');
+  domainList.replaceChildren(...Array.from(domains)
+    .sort((a, b) => (counts.domains.get(b) || 0) - (counts.domains.get(a) || 0) || a.localeCompare(b))
+    .map(domain => {
+      const button = createDomainOption(domain);
+      renderFacetOption(button, counts.domains.get(domain) || 0, facets.domains.includes(domain));
+      return button;
+    }));
+
+  const domainSummary = document.getElementById('domainFacetSummary');
+  domainSummary.textContent = facets.domains.length === 1 ? `Domain: ${facets.domains[0]}`
+    : facets.domains.length > 1 ? `Domains: ${facets.domains.length}` : 'Domain';
+  domainSummary.classList.toggle('border-gray-900', facets.domains.length > 0);
+
+  facetPanel.querySelectorAll('.facet-option[data-facet="date"]').forEach(button => {
+    const preset = button.dataset.value;
+    renderFacetOption(button, counts.dates.get(preset) || 0, facets.date.preset === preset);
+  });
+
+  const isCustom = facets.date.preset === DATE_PRESETS.CUSTOM;
+  const dateRange = document.getElementById('dateFacetRange');
+  dateRange.classList.toggle('hidden', !isCustom);
+  dateRange.classList.toggle('flex', isCustom);
+  document.getElementById('dateFacetFrom').value = facets.date.from;
+  document.getElementById('dateFacetTo').value = facets.date.to;
+
+  document.getElementById('clearFacetsBtn').classList.toggle('hidden', !hasActiveFacets(facets));
+
+  renderTagFilterCounts(counts.tags);
+}
+
+/**
+ * Save new facet filters and show the posts that match them
+ * @param {Object} facets `{ platforms, domains, date }`
+ */
+function applyFacets(facets) {
+  setFacetFilters(facets);
+
+  // Re-render keeping the active tag filters; the counts update once the posts are shown
+  filterPostsByTags(getActiveTagFilters());
+}
+
+/**
+ * Select or unselect a facet value
+ * @param {string} facet 'platforms', 'domains' or 'date'
+ * @param {string} value The platform, domain or one of DATE_PRESETS
+ */
+function toggleFacetValue(facet, value) {
+  const facets = getFacetFilters();
+
+  if (facet === 'date') {
+    facets.date.preset = facets.date.preset === value ? null : value;
+  } else {
+    const values = facets[facet];
+    facets[facet] = values.includes(value) ? values.filter(item => item !== value) : [...values, value];
+  }
+
+  applyFacets(facets);
+}
+
+/**
+ * Set up the facet panel
+ */
+export function setupFacets() {
+  const facetPanel = document.getElementById('facetPanel');
+  if (!facetPanel) {
+    console.log('Facet panel not found in DOM');
+    return;
+  }
+
+  facetPanel.addEventListener('click', (e) => {
+    const button = e.target.closest('.facet-option');
+    if (button && !button.disabled) {
+      toggleFacetValue(button.dataset.facet, button.dataset.value);
+    }
+  });
+
+  ['dateFacetFrom', 'dateFacetTo'].forEach(inputId => {
+    document.getElementById(inputId).addEventListener('change', () => {
+      const facets = getFacetFilters();
+      facets.date = {
+        preset: DATE_PRESETS.CUSTOM,
+        from: document.getElementById('dateFacetFrom').value,
+        to: document.getElementById('dateFacetTo').value
+      };
+      applyFacets(facets);
+    });
+  });
+
+  document.getElementById('clearFacetsBtn').addEventListener('click', () => {
+    clearFacetFilters();
+    filterPostsByTags(getActiveTagFilters());
+  });
+
+  // Close the domain list when clicking outside it. The clicked domain has been
+  // replaced by the time the click gets here, so check the path it took.
+  const domainFacet = document.getElementById('domainFacet');
+  document.addEventListener('click', (e) => {
+    if (domainFacet.open && !e.composedPath().includes(domainFacet)) {
+      domainFacet.open = false;
+    }
+  });
+
+  // Every filter change re-renders the board, and available tags are rebuilt when tags change
+  document.addEventListener('postsRendered', renderFacets);
+  document.addEventListener('tagFiltersRendered', renderFacets);
+
+  renderFacets();
+  console.log('Facets set up');
+}
@@ -0,0 +1,231 @@
+/**
+ * History Manager
+ * Keeps undo/redo stacks of commands. Each command knows how to undo and
+ * redo its own change, so the manager doesn't need to know what changed.
+ */
+
+// How long the undo toast stays on screen
+const TOAST_DURATION = 5000;
+
+class HistoryManager {
+  constructor() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.maxSize = 50;
+    this.isApplying = false;
+  }
+
+  /**
+   * Record a command whose change has already been made
+   * @param {Object} command - The command
+   * @param {string} command.label - Short description, e.g. 'Delete post'
+   * @param {Function} command.undo - Reverts the change
+   * @param {Function} command.redo - Makes the change again
+   */
+  record(command) {
+    // Changes made while undoing or redoing are part of that command
+    if (this.isApplying) return;
+
+    console.log(`Recording history command: ${command.label}`);
+    this.undoStack.push(command);
+    if (this.undoStack.length > this.maxSize) {
+      this.undoStack.shift();
+    }
+
+    // A new change makes the redo stack meaningless
+    this.redoStack = [];
+  }
+
+  /**
+   * Undo the most recent command
+   * @returns {Promise<Object|null>} The undone command, or null if there was nothing to undo
+   */
+  async undo() {
+    const command = this.undoStack.pop();
+    if (!command) {
+      console.log('Nothing to undo');
+      return null;
+    }
+
+    console.log(`Undoing: ${command.label}`);
+    await this.apply(() => command.undo());
+    this.redoStack.push(command);
+    return command;
+  }
+
+  /**
+   * Redo the most recently undone command
+   * @returns {Promise<Object|null>} The redone command, or null if there was nothing to redo
+   */
+  async redo() {
+    const command = this.redoStack.pop();
+    if (!command) {
+      console.log('Nothing to redo');
+      return null;
+    }
+
+    console.log(`Redoing: ${command.label}`);
+    await this.apply(() => command.redo());
+    this.undoStack.push(command);
+    return command;
+  }
+
+  /**
+   * Run an undo or redo without recording the changes it makes
+   * @param {Function} change - Function making the change
+   * @returns {Promise<void>}
+   */
+  async apply(change) {
+    this.isApplying = true;
+    try {
+      await change();
+    } catch (error) {
+      console.error('Error applying history command:', error);
+    } finally {
+      this.isApplying = false;
+    }
+  }
+
+  /**
+   * Check whether there is anything to undo
+   * @returns {boolean} True if undo is possible
+   */
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  /**
+   * Check whether there is anything to redo
+   * @returns {boolean} True if redo is possible
+   */
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * Forget all recorded commands
+   */
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+    console.log('History cleared');
+  }
+}
+
+// Create a singleton instance
+const historyManager = new HistoryManager();
+
+/**
+ * Show a toast message, optionally with an action button
+ * Only one toast is shown at a time; a new toast replaces the previous one.
+ * @param {string} message - The message to display
+ * @param {Object} [action] - Optional action button
+ * @param {string} action.label - Button text
+ * @param {Function} action.onClick - Called when the button is clicked
+ */
+export function showHistoryToast(message, action = null) {
+  const existingToast = document.getElementById('historyToast');
+  if (existingToast) {
+    existingToast.remove();
+  }
+
+  const toast = document.createElement('div');
+  toast.id = 'historyToast';
+  toast.className = 'fixed bottom-4 right-4 flex items-center gap-4 px-6 py-3 rounded-md shadow-md z-50 bg-gray-800 text-white text-sm';
+
+  const text = document.createElement('span');
+  text.textContent = message;
+  toast.appendChild(text);
+
+  if (action) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'font-semibold text-blue-300 hover:text-blue-200';
+    button.textContent = action.label;
+    button.addEventListener('click', () => {
+      toast.remove();
+      action.onClick();
+    });
+    toast.appendChild(button);
+  }
+
+  document.body.appendChild(toast);
+
+  // Remove after a few seconds
+  setTimeout(() => {
+    toast.classList.add('opacity-0', 'transition-opacity', 'duration-500');
+    setTimeout(() => {
+      toast.remove();
+    }, 500);
+  }, TOAST_DURATION);
+}
+
+/**
+ * Show a toast with an Undo button after a destructive action
+ * @param {string} message - The message to display
+ */
+export function showUndoToast(message) {
+  showHistoryToast(message, {
+    label: 'Undo',
+    onClick: () => undoLastChange()
+  });
+}
+
+/**
+ * Undo the last change and tell the user what was undone
+ * @returns {Promise<void>}
+ */
+export async function undoLastChange() {
+  const command = await historyManager.undo();
+  if (command) {
+    showHistoryToast(`Undone: ${command.label}`, {
+      label: 'Redo',
+      onClick: () => redoLastChange()
+    });
+  }
+}
+
+/**
+ * Redo the last undone change and tell the user what was redone
+ * @returns {Promise<void>}
+ */
+export async function redoLastChange() {
+  const command = await historyManager.redo();
+  if (command) {
+    showHistoryToast(`Redone: ${command.label}`);
+  }
+}
+
+/**
+ * Check whether the user is typing in a text field, where the browser's own undo applies
+ * @param {EventTarget} target - The event target
+ * @returns {boolean} True if the target is editable
+ */
+function isEditableTarget(target) {
+  if (!target || !target.tagName) return false;
+  return target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+}
+
+/**
+ * Set up the Ctrl+Z / Ctrl+Shift+Z keyboard shortcuts (Cmd on macOS)
+ */
+export function setupHistoryShortcuts() {
+  document.addEventListener('keydown', (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    if (isEditableTarget(e.target)) return;
+
+    const key = e.key.toLowerCase();
+
+    if (key === 'z' && !e.shiftKey) {
+      e.preventDefault();
+      undoLastChange();
+    } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+      e.preventDefault();
+      redoLastChange();
+    }
+  });
+
+  console.log('History keyboard shortcuts set up');
+}
+
+export default historyManager;
@@ -2,16 +2,18 @@
  * Import/Export functionality for Boardie
  */
 
-// Import storage functions from postManager
-import { loadPosts, savePosts } from './postManager.js';
+import { getPosts, getBoards, getSections, transaction } from './storage/index.js';
+import { isPostDeleted } from './utils.js';
+import { getUrlKey } from './utils/canonicalUrl.js';
 
 /**
  * Export posts to a JSON file
+ * @param {Array} [selectedPosts] Posts to export, e.g. a selection; defaults to every post not in the trash
  */
-export function exportPosts() {
+export function exportPosts(selectedPosts = null) {
   try {
-    // Get posts using the loadPosts function (with skipRender=true)
-    const posts = loadPosts(true);
+    // Posts in the trash are left out of exports
+    const posts = selectedPosts || getPosts().filter(post => !isPostDeleted(post));
     
     if (!posts || posts.length === 0) {
       alert('No posts to export');
@@ -23,7 +25,9 @@ export function exportPosts() {
       version: '0.1.0',
       timestamp: new Date().toISOString(),
       count: posts.length,
-      posts: posts
+      posts: posts,
+      boards: getBoards(),
+      sections: getSections()
     };
     
     // Convert to JSON string
@@ -36,7 +40,7 @@ export function exportPosts() {
     // Create download link
     const downloadLink = document.createElement('a');
     downloadLink.href = url;
-    downloadLink.download = `boardie-export-${new Date().toISOString().slice(0, 10)}.json`;
+    downloadLink.download = `boardie-${selectedPosts ? 'selection' : 'export'}-${new Date().toISOString().slice(0, 10)}.json`;
     
     // Trigger download
     document.body.appendChild(downloadLink);
@@ -74,20 +78,34 @@ export function importPosts(file) {
           return;
         }
         
-        // Get current posts using loadPosts function
-        const currentPosts = loadPosts(true);
+        const currentPosts = getPosts();
         
-        // Create a map of existing post IDs for quick lookup
+        // Create sets of existing post IDs and URL keys for quick lookup
         const existingPostIds = new Set(currentPosts.map(post => post.id));
+        const existingUrlKeys = new Set(currentPosts.map(post => getUrlKey(post.url)));
         
-        // Filter out posts that already exist by ID
-        const newPosts = importData.posts.filter(post => !existingPostIds.has(post.id));
+        // Filter out posts that already exist by ID or point at content that is already saved,
+        // including duplicates within the file itself
+        // Older exports have no notes, so default them to empty
+        const newPosts = importData.posts
+          .filter(post => {
+            const urlKey = getUrlKey(post.url);
+            if (!urlKey || existingPostIds.has(post.id) || existingUrlKeys.has(urlKey)) return false;
+            existingUrlKeys.add(urlKey);
+            return true;
+          })
+          .map(post => ({ ...post, notes: typeof post.notes === 'string' ? post.notes : '' }));
         
-        // Combine current and new posts
-        const combinedPosts = [...currentPosts, ...newPosts];
+        // Older exports have no boards or sections; ones that already exist are kept as they are
+        const importedBoards = Array.isArray(importData.boards) ? importData.boards : [];
+        const importedSections = Array.isArray(importData.sections) ? importData.sections : [];
         
-        // Save to localStorage using savePosts function
-        savePosts(combinedPosts);
+        // Store the new posts, boards and sections in a single transaction
+        transaction(tx => {
+          tx.putPosts(newPosts);
+          tx.putBoards(importedBoards.filter(board => board && board.id && !tx.getBoard(board.id)));
+          tx.putSections(importedSections.filter(section => section && section.id && !tx.getSection(section.id)));
+        });
         
         // Return result
         resolve({
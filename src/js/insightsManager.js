@@ -0,0 +1,390 @@
+/**
+ * Insights for Boardie
+ * The Insights dialog charts the posts the board shows, before tag and facet
+ * filters: posts added per week or month, growth over time, platforms, top
+ * tags and the tags used together, top domains and untagged posts. It is
+ * built from local data only and drawn with plain HTML and SVG. Clicking a
+ * bar, row or point shows its posts on the board by replacing the tag and
+ * facet filters with the one it stands for.
+ */
+
+import * as storage from './storage/index.js';
+import { getUrlHost } from './utils/canonicalUrl.js';
+import { TAG_FILTER_MODES, UNTAGGED_FILTER } from './utils/tagFilters.js';
+import {
+  INSIGHT_PERIODS,
+  formatDay,
+  getLastDay,
+  countPostsPerPeriod,
+  countGrowth,
+  countByValue,
+  getPostTagList,
+  countTagPairs
+} from './utils/insights.js';
+import { filterPostsForBoard, filterPostsByTags, getActiveTagFilters, saveTagFilters } from './postManager.js';
+import { getCurrentBoardId } from './boardManager.js';
+import { DATE_PRESETS, getPostPlatform, setFacetFilters } from './facetManager.js';
+import { isTrashViewOpen, closeTrashView } from './trashManager.js';
+
+// Weeks or months shown in the posts added chart
+const PERIOD_COUNT = 12;
+
+// Rows shown in the top tags and top domains charts, and pairs in the tags used together chart
+const TOP_COUNT = 10;
+const PAIR_COUNT = 8;
+
+// Period the posts added chart shows
+let period = INSIGHT_PERIODS.WEEK;
+
+/**
+ * Get the posts the charts are built from
+ * @returns {Array} Posts on the board that match its status, favorites and search filters
+ */
+function getInsightPosts() {
+  return filterPostsForBoard(storage.getPosts());
+}
+
+/**
+ * Pluralize "post" for a count
+ * @param {number} count Number of posts
+ * @returns {string} E.g. "1 post" or "3 posts"
+ */
+function countPosts(count) {
+  return `${count} post${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Show posts on the board with only one tag or facet filter, and close the dialog
+ * @param {Object} filter `{ tags, facets }`: tag filters and facet filters to put in place
+ *   of the current ones
+ */
+function showOnBoard({ tags = [], facets = {} }) {
+  closeInsights();
+
+  saveTagFilters(tags);
+  document.dispatchEvent(new CustomEvent('restoreTagFilters'));
+  setFacetFilters({ platforms: [], domains: [], date: { preset: null, from: '', to: '' }, ...facets });
+
+  // Closing the trash renders the board too
+  if (isTrashViewOpen()) {
+    closeTrashView();
+  } else {
+    filterPostsByTags(getActiveTagFilters());
+  }
+}
+
+/**
+ * Get the facet filter for posts added between two days
+ * @param {Date|null} from First day, or null for no start
+ * @param {Date} to Last day
+ * @returns {Object} `{ date }` facet filters
+ */
+function getDateFacet(from, to) {
+  return { date: { preset: DATE_PRESETS.CUSTOM, from: from ? formatDay(from) : '', to: formatDay(to) } };
+}
+
+/**
+ * Create a chart of horizontal bars, one row per value
+ * @param {Array<Object>} rows `{ label, count, color, onSelect }`; color is optional
+ * @param {string} emptyText Text to show when there are no rows
+ * @returns {HTMLElement} The chart
+ */
+function createBarList(rows, emptyText) {
+  if (rows.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'text-xs text-gray-400';
+    empty.textContent = emptyText;
+    return empty;
+  }
+
+  const max = Math.max(...rows.map(row => row.count));
+  const list = document.createElement('ol');
+  list.className = 'space-y-1';
+
+  rows.forEach(row => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'insight-bar group w-full flex items-center gap-2 text-left text-xs text-gray-700 rounded hover:bg-gray-50';
+    button.title = `Show ${countPosts(row.count)}: ${row.label}`;
+    button.addEventListener('click', row.onSelect);
+
+    const label = document.createElement('span');
+    label.className = 'w-28 shrink-0 truncate';
+    label.textContent = row.label;
+
+    const track = document.createElement('span');
+    track.className = 'flex-1 h-3 bg-gray-100 rounded overflow-hidden';
+    const bar = document.createElement('span');
+    bar.className = 'block h-full rounded bg-blue-500 group-hover:opacity-80';
+    bar.style.width = `${Math.max(2, (row.count / max) * 100)}%`;
+    if (row.color) {
+      bar.style.backgroundColor = row.color;
+    }
+    track.appendChild(bar);
+
+    const count = document.createElement('span');
+    count.className = 'w-10 shrink-0 text-right tabular-nums text-gray-500';
+    count.textContent = String(row.count);
+
+    button.append(label, track, count);
+    const item = document.createElement('li');
+    item.appendChild(button);
+    list.appendChild(item);
+  });
+
+  return list;
+}
+
+/**
+ * Create a chart of columns over time
+ * @param {Array<Object>} columns `{ label, title, count, onSelect }`, oldest first
+ * @returns {HTMLElement} The chart
+ */
+function createColumnChart(columns) {
+  const max = Math.max(1, ...columns.map(column => column.count));
+  const chart = document.createElement('div');
+
+  const bars = document.createElement('div');
+  bars.className = 'flex items-end gap-1 h-32';
+  const labels = document.createElement('div');
+  labels.className = 'flex gap-1 mt-1';
+
+  columns.forEach(column => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'insight-column group flex-1 h-full flex flex-col justify-end rounded hover:bg-gray-50';
+    button.title = `${column.title}: ${countPosts(column.count)}`;
+    button.addEventListener('click', column.onSelect);
+
+    const bar = document.createElement('span');
+    bar.className = 'block w-full rounded-t bg-blue-500 group-hover:bg-blue-600';
+    bar.style.height = column.count > 0 ? `${Math.max(2, (column.count / max) * 100)}%` : '0';
+    button.appendChild(bar);
+    bars.appendChild(button);
+
+    const label = document.createElement('span');
+    label.className = 'flex-1 min-w-0 truncate text-center text-[10px] text-gray-400';
+    label.textContent = column.label;
+    labels.appendChild(label);
+  });
+
+  chart.append(bars, labels);
+  return chart;
+}
+
+/**
+ * Create a line chart of the number of posts over time
+ * Each month can be clicked to show the posts added up to its end.
+ * @param {Array<Object>} months Months from countGrowth()
+ * @returns {HTMLElement} The chart
+ */
+function createGrowthChart(months) {
+  const chart = document.createElement('div');
+  if (months.length === 0) {
+    chart.className = 'text-xs text-gray-400';
+    chart.textContent = 'No posts yet.';
+    return chart;
+  }
+
+  // Each point sits in the middle of its month's column
+  const max = Math.max(1, ...months.map(month => month.total));
+  const x = index => ((index + 0.5) / months.length) * 100;
+  const y = total => 100 - (total / max) * 95;
+  const points = months.map((month, index) => `${x(index)},${y(month.total)}`).join(' ');
+  const monthLabel = month => month.start.toLocaleDateString(undefined, { month: 'short', year: 'numeric' });
+
+  const area = document.createElement('div');
+  area.className = 'relative h-32';
+  area.innerHTML = `
+    <svg class="absolute inset-0 h-full w-full text-blue-500" viewBox="0 0 100 100" preserveAspectRatio="none" aria-hidden="true">
+      <polygon points="${x(0)},100 ${points} ${x(months.length - 1)},100" fill="currentColor" fill-opacity="0.1"></polygon>
+      <polyline points="${points}" fill="none" stroke="currentColor" stroke-width="2" vector-effect="non-scaling-stroke"></polyline>
+    </svg>
+  `;
+
+  const columns = document.createElement('div');
+  columns.className = 'absolute inset-0 flex';
+  months.forEach(month => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'insight-growth-month flex-1 h-full hover:bg-blue-500/10';
+    button.title = `${monthLabel(month)}: ${countPosts(month.total)} in total, ${month.count} added`;
+    button.addEventListener('click', () => showOnBoard({ facets: getDateFacet(null, getLastDay(month)) }));
+    columns.appendChild(button);
+  });
+  area.appendChild(columns);
+
+  const labels = document.createElement('div');
+  labels.className = 'flex justify-between mt-1 text-[10px] text-gray-400';
+  labels.innerHTML = '<span></span><span></span>';
+  labels.firstChild.textContent = monthLabel(months[0]);
+  labels.lastChild.textContent = `${monthLabel(months[months.length - 1])} · ${countPosts(months[months.length - 1].total)}`;
+
+  chart.append(area, labels);
+  return chart;
+}
+
+/**
+ * Create a summary tile
+ * @param {string} label What the number counts
+ * @param {number} value The number
+ * @param {Function|null} onSelect Called when the tile is clicked, or null if it can't be
+ * @returns {HTMLElement} The tile
+ */
+function createSummaryTile(label, value, onSelect) {
+  const tile = document.createElement(onSelect ? 'button' : 'div');
+  tile.className = 'rounded border border-gray-200 px-3 py-2 text-left';
+  if (onSelect) {
+    tile.type = 'button';
+    tile.className += ' hover:border-blue-300 hover:bg-blue-50';
+    tile.title = `Show ${label.toLowerCase()}`;
+    tile.addEventListener('click', onSelect);
+  }
+
+  tile.innerHTML = `
+    <span class="block text-lg font-semibold text-gray-900 tabular-nums"></span>
+    <span class="block text-xs text-gray-500"></span>
+  `;
+  tile.children[0].textContent = String(value);
+  tile.children[1].textContent = label;
+  return tile;
+}
+
+/**
+ * Draw the posts added chart for the selected period
+ * @param {Array} posts Posts the charts are built from
+ */
+function renderPeriodChart(posts) {
+  document.querySelectorAll('.insights-period-btn').forEach(button => {
+    const active = button.dataset.period === period;
+    button.setAttribute('aria-pressed', String(active));
+    button.classList.toggle('bg-gray-900', active);
+    button.classList.toggle('text-white', active);
+  });
+
+  const week = period === INSIGHT_PERIODS.WEEK;
+  const columns = countPostsPerPeriod(posts, period, PERIOD_COUNT).map(bucket => {
+    const lastDay = getLastDay(bucket);
+    return {
+      label: week
+        ? bucket.start.toLocaleDateString(undefined, { month: 'short', day: 'numeric' })
+        : bucket.start.toLocaleDateString(undefined, { month: 'short' }),
+      title: week
+        ? `${bucket.start.toLocaleDateString()} – ${lastDay.toLocaleDateString()}`
+        : bucket.start.toLocaleDateString(undefined, { month: 'long', year: 'numeric' }),
+      count: bucket.count,
+      onSelect: () => showOnBoard({ facets: getDateFacet(bucket.start, lastDay) })
+    };
+  });
+
+  document.getElementById('insightsPerPeriod').replaceChildren(createColumnChart(columns));
+}
+
+/**
+ * Draw all charts for the posts the board shows
+ */
+export function renderInsights() {
+  const posts = getInsightPosts();
+  const board = getCurrentBoardId() ? storage.getBoard(getCurrentBoardId()) : null;
+
+  document.getElementById('insightsScope').textContent =
+    `${board ? board.name : 'All posts'} · ${countPosts(posts.length)}. Click a bar to show its posts on the board.`;
+
+  // Tags keep the name and color they were first seen with
+  const tagsByKey = new Map();
+  posts.forEach(post => getPostTagList(post).forEach(tag => {
+    if (!tagsByKey.has(tag.key)) tagsByKey.set(tag.key, tag);
+  }));
+  const tagFilter = key => ({ name: tagsByKey.get(key).name, mode: TAG_FILTER_MODES.INCLUDE });
+
+  const untagged = posts.filter(post => getPostTagList(post).length === 0).length;
+  const domains = countByValue(posts, post => [getUrlHost(post.url)].filter(Boolean));
+
+  document.getElementById('insightsSummary').replaceChildren(
+    createSummaryTile('Posts', posts.length, null),
+    createSummaryTile('Untagged posts', untagged, untagged > 0 ? () => showOnBoard({ tags: [UNTAGGED_FILTER] }) : null),
+    createSummaryTile('Tags', tagsByKey.size, null),
+    createSummaryTile('Domains', domains.length, null)
+  );
+
+  renderPeriodChart(posts);
+  document.getElementById('insightsGrowth').replaceChildren(createGrowthChart(countGrowth(posts)));
+
+  document.getElementById('insightsPlatforms').replaceChildren(createBarList(
+    countByValue(posts, post => [getPostPlatform(post)]).map(({ value, count }) => ({
+      label: value,
+      count,
+      onSelect: () => showOnBoard({ facets: { platforms: [value] } })
+    })),
+    'No posts yet.'
+  ));
+
+  document.getElementById('insightsTags').replaceChildren(createBarList(
+    countByValue(posts, post => getPostTagList(post).map(tag => tag.key), TOP_COUNT).map(({ value, count }) => ({
+      label: `#${tagsByKey.get(value).name}`,
+      count,
+      color: tagsByKey.get(value).color,
+      onSelect: () => showOnBoard({ tags: [tagFilter(value)] })
+    })),
+    'No tags yet.'
+  ));
+
+  document.getElementById('insightsTagPairs').replaceChildren(createBarList(
+    countTagPairs(posts, PAIR_COUNT).map(({ value: [a, b], count }) => ({
+      label: `#${tagsByKey.get(a).name} + #${tagsByKey.get(b).name}`,
+      count,
+      onSelect: () => showOnBoard({ tags: [tagFilter(a), tagFilter(b)] })
+    })),
+    'No tags are used together on more than one post yet.'
+  ));
+
+  document.getElementById('insightsDomains').replaceChildren(createBarList(
+    domains.slice(0, TOP_COUNT).map(({ value, count }) => ({
+      label: value,
+      count,
+      onSelect: () => showOnBoard({ facets: { domains: [value] } })
+    })),
+    'No posts yet.'
+  ));
+}
+
+/**
+ * Open the Insights dialog
+ */
+export function openInsights() {
+  console.log('Opening insights');
+  renderInsights();
+  document.getElementById('insightsModal').classList.remove('hidden');
+  document.body.classList.add('overflow-hidden');
+}
+
+/**
+ * Close the Insights dialog
+ */
+function closeInsights() {
+  document.getElementById('insightsModal').classList.add('hidden');
+  document.body.classList.remove('overflow-hidden');
+}
+
+/**
+ * Set up the Insights button and dialog
+ */
+export function setupInsights() {
+  const insightsModal = document.getElementById('insightsModal');
+  if (!insightsModal) {
+    console.log('Insights elements not found in DOM');
+    return;
+  }
+
+  document.getElementById('insightsBtn').addEventListener('click', openInsights);
+  document.getElementById('closeInsightsModalBtn').addEventListener('click', closeInsights);
+
+  document.querySelectorAll('.insights-period-btn').forEach(button => {
+    button.addEventListener('click', () => {
+      period = button.dataset.period;
+      renderPeriodChart(getInsightPosts());
+    });
+  });
+
+  console.log('Insights set up');
+}
@@ -0,0 +1,327 @@
+/**
+ * Link health for Boardie
+ * Every post's link is checked through the metadata worker about once a week,
+ * a few posts at a time while the app is open, and the result is saved on the
+ * post as `linkStatus` and `lastCheckedAt` (see utils/linkHealth.js). Cards of
+ * posts whose link is gone or blocked get a badge, removed content isn't
+ * embedded any more, and the Broken links item in the sidebar lists those
+ * posts with the batch actions of selection mode at hand.
+ */
+
+import * as storage from './storage/index.js';
+import { isPostDeleted } from './utils.js';
+import { LINK_STATUSES, getLinkStatus, getLastCheckedTime, isLinkBroken, isLinkCheckDue } from './utils/linkHealth.js';
+import { checkLinkHealth } from './utils/metadataFetcher.js';
+import { filterPostsByTags, getActiveTagFilters } from './postManager.js';
+import { showHistoryToast } from './historyManager.js';
+import { DEFAULT_STATUS_FILTER } from './statusManager.js';
+import { getSearchQuery, isSearchActive } from './searchManager.js';
+import { isTrashViewOpen } from './trashManager.js';
+import { applyFilters } from './smartBoardManager.js';
+import { getSelectedPostIds, setSelectionMode } from './selectionManager.js';
+
+// How often the same link is checked
+const CHECK_INTERVAL = 7 * 24 * 60 * 60 * 1000;
+
+// Links checked per background run, so the worker isn't flooded
+const BATCH_SIZE = 20;
+
+// Milliseconds between background runs, and before the first one after the posts load
+const RUN_INTERVAL = 60 * 60 * 1000;
+const FIRST_RUN_DELAY = 30 * 1000;
+
+// Milliseconds between two checks in the same run
+const CHECK_SPACING = 1000;
+
+// Checks in a row that may fail before a run gives up, e.g. when the worker is down
+const MAX_FAILED_CHECKS = 3;
+
+// Milliseconds to wait after a storage change before updating the sidebar count
+const RENDER_DELAY = 100;
+
+// Search the Broken links item opens
+const BROKEN_LINKS_QUERY = 'link:broken';
+
+const STATUS_LABELS = {
+  [LINK_STATUSES.GONE]: 'Link gone',
+  [LINK_STATUSES.BLOCKED]: 'Link blocked'
+};
+
+// Checks run one after another; manual checks wait for a background run to finish
+let checkQueue = Promise.resolve();
+
+// Timer for the next background run
+let runTimer = null;
+
+/**
+ * Get the posts whose link was found to be broken
+ * @returns {Array} Posts that aren't in the trash and whose link is gone or blocked
+ */
+export function getBrokenLinkPosts() {
+  return storage.getPosts().filter(post => !isPostDeleted(post) && isLinkBroken(post));
+}
+
+/**
+ * Get the posts whose link is due for a check, the longest unchecked first
+ * @param {number} [now] Current timestamp
+ * @returns {Array} Up to BATCH_SIZE posts
+ */
+function getPostsDueForCheck(now = Date.now()) {
+  return storage.getPosts()
+    .filter(post => !isPostDeleted(post) && post.url && isLinkCheckDue(post, CHECK_INTERVAL, now))
+    .sort((a, b) => (getLastCheckedTime(a) || 0) - (getLastCheckedTime(b) || 0))
+    .slice(0, BATCH_SIZE);
+}
+
+/**
+ * Queue posts to be synced to Supabase in one operation if the user is logged in
+ * @param {Array} posts The posts
+ */
+function queueSync(posts) {
+  if (!window.boardie || !window.boardie.isAuthenticated || posts.length === 0) return;
+
+  import('./database/sync/postSyncService.js')
+    .then(({ queuePostsSync }) => queuePostsSync(posts))
+    .catch(error => console.error('Error queuing post sync:', error));
+}
+
+/**
+ * Show a post's link health on its card
+ * @param {HTMLElement} postElement The post card element
+ * @param {Object} post The post
+ */
+export function renderPostLinkHealth(postElement, post) {
+  const status = getLinkStatus(post);
+  const broken = isLinkBroken(post);
+  postElement.dataset.linkStatus = status || '';
+
+  const badge = postElement.querySelector('.post-link-health');
+  if (!badge) return;
+
+  badge.classList.toggle('hidden', !broken);
+  badge.querySelector('.post-link-health-label').textContent = broken ? STATUS_LABELS[status] : '';
+
+  const time = getLastCheckedTime(post);
+  badge.querySelector('.post-link-health-time').textContent = broken && time !== null
+    ? `checked ${new Date(time).toLocaleDateString()}`
+    : '';
+}
+
+/**
+ * Save the results of link checks in one storage transaction and sync them
+ * @param {Array<Object>} results `{ id, status }` for each post that was checked
+ * @returns {Array<Object>} `{ before, after }` for each post that was saved
+ */
+function saveLinkResults(results) {
+  const now = new Date().toISOString();
+  const changes = results
+    .map(({ id, status }) => ({ before: storage.getPost(id), status }))
+    .filter(({ before }) => before)
+    .map(({ before, status }) => ({
+      before,
+      after: { ...before, linkStatus: status, lastCheckedAt: now, lastUpdated: now }
+    }));
+
+  if (changes.length === 0) return [];
+
+  storage.transaction(tx => changes.forEach(({ after }) => tx.putPost(after)));
+  queueSync(changes.map(({ after }) => after));
+  return changes;
+}
+
+/**
+ * Show the saved results on the board
+ * Cards are updated in place unless a post's link broke or came back, or the
+ * search may match different posts now; then the board is rendered again.
+ * @param {Array<Object>} changes `{ before, after }` from saveLinkResults()
+ */
+function showLinkResults(changes) {
+  const brokenChanged = changes.some(({ before, after }) => isLinkBroken(before) !== isLinkBroken(after));
+  const statusChanged = changes.some(({ before, after }) => getLinkStatus(before) !== getLinkStatus(after));
+
+  if (!isTrashViewOpen() && (brokenChanged || (statusChanged && isSearchActive()))) {
+    filterPostsByTags(getActiveTagFilters());
+    return;
+  }
+
+  changes.forEach(({ after }) => {
+    const postElement = document.querySelector(`.post-card[data-id="${after.id}"]`);
+    if (postElement) {
+      renderPostLinkHealth(postElement, after);
+    }
+  });
+}
+
+/**
+ * Check the links of some posts and save what was found
+ * Posts are checked one after another. Checks that don't tell leave the post
+ * as it is, so it is checked again in a later run; after a few of them in a
+ * row the rest is left for later too.
+ * @param {Array<string>} ids IDs of the posts
+ * @param {Object} [options] Passed on to checkLinkHealth(), e.g. `{ endpoint }`
+ * @returns {Promise<Object>} `{ checked, broken }`: numbers of links checked and found broken
+ */
+export function checkPostLinks(ids, options = {}) {
+  const run = async () => {
+    const results = [];
+    let failedChecks = 0;
+
+    for (const [index, id] of ids.entries()) {
+      const post = storage.getPost(id);
+      if (!post || !post.url) continue;
+
+      if (index > 0) {
+        await new Promise(resolve => setTimeout(resolve, CHECK_SPACING));
+      }
+
+      const status = await checkLinkHealth(post.url, options);
+      if (status) {
+        results.push({ id, status });
+        failedChecks = 0;
+      } else if (++failedChecks >= MAX_FAILED_CHECKS) {
+        console.log('Link checks keep failing, leaving the rest for later');
+        break;
+      }
+    }
+
+    const changes = saveLinkResults(results);
+    showLinkResults(changes);
+
+    const broken = changes.filter(({ after }) => isLinkBroken(after)).length;
+    console.log(`Checked ${changes.length} links, ${broken} broken`);
+    return { checked: changes.length, broken };
+  };
+
+  const result = checkQueue.then(run);
+  checkQueue = result.catch(error => console.error('Error checking links:', error));
+  return result;
+}
+
+/**
+ * Check the links of some posts and tell the user what was found
+ * @param {Array<string>} ids IDs of the posts
+ */
+async function checkLinksNow(ids) {
+  if (ids.length === 0) return;
+
+  showHistoryToast(`Checking ${ids.length === 1 ? '1 link' : `${ids.length} links`}…`);
+  try {
+    const { checked, broken } = await checkPostLinks(ids);
+    if (checked === 0) {
+      showHistoryToast('Could not check the links right now. Try again later.');
+    } else {
+      showHistoryToast(`Checked ${checked === 1 ? '1 link' : `${checked} links`}: ${broken} broken`);
+    }
+  } catch (error) {
+    console.error('Error checking links:', error);
+    showHistoryToast('Could not check the links right now. Try again later.');
+  }
+}
+
+/**
+ * Check the next few links that are due, then plan the next run
+ * Runs are skipped while the app is offline or in the background.
+ */
+async function runScheduledCheck() {
+  runTimer = null;
+
+  if (navigator.onLine !== false && document.visibilityState === 'visible') {
+    const ids = getPostsDueForCheck().map(post => post.id);
+    if (ids.length > 0) {
+      console.log(`Checking ${ids.length} links in the background`);
+      await checkPostLinks(ids).catch(error => console.error('Error checking links:', error));
+    }
+  }
+
+  scheduleRun(RUN_INTERVAL);
+}
+
+/**
+ * Plan the next background run, unless one is planned already
+ * @param {number} delay Milliseconds to wait
+ */
+function scheduleRun(delay) {
+  if (runTimer) return;
+  runTimer = setTimeout(runScheduledCheck, delay);
+}
+
+/**
+ * Show all posts with a broken link, with selection mode on for the batch actions
+ */
+function openBrokenLinks() {
+  console.log('Opening broken links');
+  applyFilters({
+    query: BROKEN_LINKS_QUERY,
+    tags: [],
+    status: DEFAULT_STATUS_FILTER,
+    favoritesOnly: false,
+    boardId: null
+  });
+  setSelectionMode(true);
+}
+
+/**
+ * Show the Broken links item in the sidebar with its count
+ * It is hidden while no links are broken, unless it is open.
+ */
+function renderBrokenLinksItem() {
+  const button = document.getElementById('brokenLinksBtn');
+  if (!button) return;
+
+  const count = getBrokenLinkPosts().length;
+  const active = !isTrashViewOpen() && getSearchQuery().trim() === BROKEN_LINKS_QUERY;
+
+  document.getElementById('brokenLinksCount').textContent = String(count);
+  button.classList.toggle('hidden', count === 0 && !active);
+  button.classList.toggle('bg-red-50', active);
+  button.classList.toggle('font-medium', active);
+  if (active) {
+    button.setAttribute('aria-current', 'true');
+  } else {
+    button.removeAttribute('aria-current');
+  }
+}
+
+/**
+ * Set up link health: the background checks, the card and batch actions and the sidebar item
+ */
+export function setupLinkHealth() {
+  const brokenLinksBtn = document.getElementById('brokenLinksBtn');
+  if (!brokenLinksBtn) {
+    console.log('Link health elements not found in DOM');
+    return;
+  }
+
+  brokenLinksBtn.addEventListener('click', openBrokenLinks);
+
+  // Check again from a card's badge (using event delegation)
+  document.addEventListener('click', (e) => {
+    const recheckButton = e.target.closest('.recheck-link-btn');
+    const postId = recheckButton && recheckButton.closest('.post-card')?.dataset.id;
+    if (postId) {
+      checkLinksNow([postId]);
+    }
+  });
+
+  document.getElementById('checkSelectionLinksBtn').addEventListener('click', () => {
+    checkLinksNow(getSelectedPostIds());
+  });
+
+  // Posts are loaded after setup, and again after a login or logout
+  document.addEventListener('postsRendered', () => {
+    renderBrokenLinksItem();
+    scheduleRun(FIRST_RUN_DELAY);
+  });
+
+  // Update the count when posts change, e.g. from a sync
+  let renderTimer = null;
+  storage.subscribe(event => {
+    if (event.scope !== storage.getStorageScope()) return;
+    if (!event.cleared && event.putPosts.length === 0 && event.deletePostIds.length === 0) return;
+
+    clearTimeout(renderTimer);
+    renderTimer = setTimeout(renderBrokenLinksItem, RENDER_DELAY);
+  });
+
+  console.log('Link health set up');
+}
@@ -6,6 +6,35 @@ import renderManager from './renderManager.js';
 import { initSmartSync, forceSync, isSyncInProgress, getLastSyncTime, isMigrationNeeded, migrateToNewSyncSystem } from './database/index.js';
 import { getPlatformFromUrl } from './utils.js';
 import { checkClipboardAndOpenModal } from './clipboardManager.js';
+import { initStorage } from './storage/index.js';
+import { setupTrashView, purgeExpiredPosts } from './trashManager.js';
+import { setupHistoryShortcuts } from './historyManager.js';
+import { setupDragAndDrop } from './dragDropManager.js';
+import { setupBoards } from './boardManager.js';
+import { setupSections } from './sectionManager.js';
+import { setupReminders } from './reminderManager.js';
+import { setupRevisions } from './revisionManager.js';
+import { setupSearch } from './searchManager.js';
+import { setupSmartBoards } from './smartBoardManager.js';
+import { setupFacets } from './facetManager.js';
+import { setupViewState } from './viewStateManager.js';
+import { setupSelection } from './selectionManager.js';
+import { setupLinkHealth } from './linkHealthManager.js';
+import { setupInsights } from './insightsManager.js';
+import { setupResurfacing } from './resurfaceManager.js';
+
+// Page URL parameters used by the share target and the Add Link shortcut
+const LAUNCH_PARAMS = ['shared_url', 'shared_title', 'shared_text', 'action'];
+
+/**
+ * Remove the share target and shortcut parameters from the page URL
+ * The view state (board, filters, search) stays so it can be restored.
+ */
+function removeLaunchParams() {
+  const url = new URL(window.location.href);
+  LAUNCH_PARAMS.forEach(name => url.searchParams.delete(name));
+  window.history.replaceState({}, document.title, url.pathname + url.search + url.hash);
+}
 
 // Initialize Twitter widgets
 function initTwitterWidgets() {
@@ -95,6 +124,10 @@ document.addEventListener('DOMContentLoaded', async () => {
   // Set up global boardie object
   window.boardie = window.boardie || {};
   
+  // Load stored posts into memory (and migrate any old localStorage data)
+  // before anything reads them
+  await initStorage();
+  
   // Add utility functions to boardie object
   window.boardie.showEmptyState = () => {
     showNoPostsMessage();
@@ -127,9 +160,8 @@ document.addEventListener('DOMContentLoaded', async () => {
   if (sharedUrl) {
     console.log('Found shared URL in parameters:', sharedUrl);
     
-    // Clean the URL (remove the query parameters)
-    const cleanUrl = window.location.pathname + window.location.hash;
-    window.history.replaceState({}, document.title, cleanUrl);
+    // Clean the URL (remove the share parameters)
+    removeLaunchParams();
     
     // Process the shared content
     processSharedContent({
@@ -140,9 +172,8 @@ document.addEventListener('DOMContentLoaded', async () => {
   } else if (action === 'addLink') {
     console.log('Add Link shortcut triggered');
     
-    // Clean the URL (remove the query parameters)
-    const cleanUrl = window.location.pathname + window.location.hash;
-    window.history.replaceState({}, document.title, cleanUrl);
+    // Clean the URL (remove the shortcut parameter)
+    removeLaunchParams();
     
     // Wait for the DOM to be fully loaded and initialized
     setTimeout(() => {
@@ -166,6 +197,21 @@ document.addEventListener('DOMContentLoaded', async () => {
   
   // Set up event listeners
   setupEventListeners();
+  setupTrashView();
+  setupHistoryShortcuts();
+  setupDragAndDrop();
+  setupBoards();
+  setupSections();
+  setupRevisions();
+  setupSearch();
+  setupSmartBoards();
+  setupFacets();
+  setupViewState();
+  setupSelection();
+  setupLinkHealth();
+  setupInsights();
+  setupResurfacing();
+  setupReminders();
   
   // Check clipboard for URLs when the app is first loaded
   // Small delay to ensure DOM is fully loaded and initialized
@@ -354,6 +400,10 @@ document.addEventListener('DOMContentLoaded', async () => {
     // Show empty state on auth error
     window.boardie.showEmptyState();
   }
+  
+  // Permanently delete posts that have been in the trash past the retention period
+  // This runs after sync so posts trashed on other devices are included
+  await purgeExpiredPosts();
 });
 
 // Add utility for inspecting database schema
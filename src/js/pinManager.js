@@ -0,0 +1,54 @@
+/**
+ * Pins and favorites for Boardie
+ * Pinned posts stick to the top of the board in the order they were pinned.
+ * Favorites are marked with a star and can be shown on their own.
+ */
+
+import { getFilterScope } from './boardManager.js';
+
+// Storage key prefix for the "favorites only" filter
+const FAVORITES_FILTER_KEY_PREFIX = 'boardie_favorites_only_';
+
+/**
+ * Check whether a post is pinned
+ * @param {Object} post The post
+ * @returns {boolean} True if the post is pinned
+ */
+export function isPostPinned(post) {
+  return Boolean(post && post.pinnedAt);
+}
+
+/**
+ * Check whether a post is a favorite
+ * @param {Object} post The post
+ * @returns {boolean} True if the post is starred
+ */
+export function isPostFavorite(post) {
+  return Boolean(post && post.favorite);
+}
+
+/**
+ * Check whether only favorites are shown for the current user
+ * @returns {boolean} True if the favorites filter is on
+ */
+export function isFavoritesFilterOn() {
+  return localStorage.getItem(`${FAVORITES_FILTER_KEY_PREFIX}${getFilterScope()}`) === 'true';
+}
+
+/**
+ * Turn the favorites filter on or off for the current user
+ * @param {boolean} favoritesOnly Whether to show only favorites
+ */
+export function setFavoritesFilter(favoritesOnly) {
+  localStorage.setItem(`${FAVORITES_FILTER_KEY_PREFIX}${getFilterScope()}`, String(Boolean(favoritesOnly)));
+  console.log(`Favorites filter ${favoritesOnly ? 'on' : 'off'}`);
+}
+
+/**
+ * Check whether a post should be shown given the favorites filter
+ * @param {Object} post The post
+ * @returns {boolean} True if the post matches
+ */
+export function postMatchesFavoritesFilter(post) {
+  return !isFavoritesFilterOn() || isPostFavorite(post);
+}
@@ -1,4 +1,4 @@
-import { generateUniqueId, getPlatformFromUrl, updateTagFilterOptions } from './utils.js';
+import { generateUniqueId, getPlatformFromUrl, updateTagFilterOptions, isPostDeleted } from './utils.js';
 import { 
   createTwitterEmbed, 
   createYouTubeEmbed, 
@@ -6,88 +6,65 @@ import {
   createPinterestEmbed,
   createLinkedInEmbed,
   createTikTokEmbed,
-  createGenericEmbed 
+  createGenericEmbed,
+  createUnavailableEmbed
 } from './embedHandlers.js';
 import { renderTags, getAllUniqueTags, invalidateTagsCache } from './tagManager.js';
-
-/**
- * Normalize a URL for comparison
- * This helps prevent duplicate detection issues with URL variations
- * @param {string} url - The URL to normalize
- * @returns {string} - The normalized URL
- */
-function normalizeUrl(url) {
-  if (!url) return '';
-  
-  // Convert to string in case we get a non-string input
-  let normalized = String(url).trim().toLowerCase();
-  
-  // Remove trailing slashes
-  normalized = normalized.replace(/\/*$/, '');
-  
-  // Remove http/https protocol
-  normalized = normalized.replace(/^https?:\/\//, '');
-  
-  // Remove 'www.' prefix
-  normalized = normalized.replace(/^www\./, '');
-  
-  // Remove common tracking parameters
-  normalized = normalized.replace(/[?&]utm_[^&]*(&|$)/g, '$1');
-  
-  // Clean up any double slashes
-  normalized = normalized.replace(/\/\//g, '/');
-  
-  // Remove trailing query string if it's empty
-  normalized = normalized.replace(/\?$/, '');
-  
-  return normalized;
-}
+import * as storage from './storage/index.js';
+import historyManager, { showUndoToast } from './historyManager.js';
+import { renderMarkdown } from './utils/markdown.js';
+import { getUrlKey } from './utils/canonicalUrl.js';
+import { TAG_FILTER_MODES, normalizeTagFilters, postMatchesTagFilters } from './utils/tagFilters.js';
+import { POST_STATUSES, getPostStatus, postMatchesStatusFilter } from './statusManager.js';
+import { isPostPinned, isPostFavorite, postMatchesFavoritesFilter } from './pinManager.js';
+import { SORT_MODES, getSortMode, comparePostsForBoard, hasPosition, getPositionBetween } from './sortManager.js';
+import { getCurrentBoardId, getFilterScope, postMatchesBoard } from './boardManager.js';
+import { isPostSnoozed, isReminderDue, getReminderTime } from './reminderManager.js';
+import { recordRevision } from './revisionManager.js';
+import { getSearchScores, isSearchFilteringStatus, highlightSearchMatches } from './searchManager.js';
+import { getFacetFilters, postMatchesFacets } from './facetManager.js';
+import { renderPostLinkHealth } from './linkHealthManager.js';
+import { LINK_STATUSES, getLinkStatus } from './utils/linkHealth.js';
+import { getSectionsForBoard, getPostSectionIds, getPostSectionId, getSectionIdsWith, createSectionBlock, updateSectionCounts } from './sectionManager.js';
 
 // Storage keys for localStorage
-const POSTS_STORAGE_KEY_PREFIX = 'boardie_posts_';
-const TAGS_STORAGE_KEY_PREFIX = 'boardie_tags_';
 const ACTIVE_FILTERS_KEY_PREFIX = 'boardie_active_filters_';
 
 /**
- * Get user-specific storage key
- * @param {string} baseKey - The base key prefix
- * @returns {string} - User-specific storage key
- */
-function getUserStorageKey(baseKey) {
-  // Get current user from auth state if available
-  const user = window.boardie?.currentUser;
-  
-  // If user is logged in, use user-specific key
-  if (user && user.id) {
-    return `${baseKey}${user.id}`;
-  }
-  
-  // Otherwise use anonymous key
-  return `${baseKey}anonymous`;
-}
-
-/**
- * Get current posts storage key
- * @returns {string} - Current posts storage key
+ * Get current active filters storage key
+ * Tag filters are kept per board, like the status and favorites filters.
+ * @returns {string} - Current active filters storage key
  */
-function getPostsStorageKey() {
-  return getUserStorageKey(POSTS_STORAGE_KEY_PREFIX);
+function getActiveFiltersStorageKey() {
+  return `${ACTIVE_FILTERS_KEY_PREFIX}${getFilterScope()}`;
 }
 
 /**
- * Get current tags storage key
- * @returns {string} - Current tags storage key
+ * Get the tag filters saved for the board being viewed
+ * @returns {Array<Object>} `{ name, mode }` for each tag posts are filtered by
  */
-function getTagsStorageKey() {
-  return getUserStorageKey(TAGS_STORAGE_KEY_PREFIX);
+export function getSavedTagFilters() {
+  try {
+    // Filters saved before modes existed are plain names
+    return normalizeTagFilters(JSON.parse(localStorage.getItem(getActiveFiltersStorageKey()) || '[]'));
+  } catch (error) {
+    console.error('Error reading saved tag filters:', error);
+    return [];
+  }
 }
 
 /**
- * Get current active filters storage key
- * @returns {string} - Current active filters storage key
+ * Save the tag filters for the board being viewed
+ * @param {Array} tags Tags to filter by (objects or names, with an optional `mode`)
  */
-function getActiveFiltersStorageKey() {
-  return getUserStorageKey(ACTIVE_FILTERS_KEY_PREFIX);
+export function saveTagFilters(tags) {
+  const filters = normalizeTagFilters(tags);
+  
+  if (filters.length > 0) {
+    localStorage.setItem(getActiveFiltersStorageKey(), JSON.stringify(filters));
+  } else {
+    localStorage.removeItem(getActiveFiltersStorageKey());
+  }
 }
 
 // Create global boardie object if it doesn't exist
@@ -207,6 +184,14 @@ export function populatePostElement(postElement, post) {
     }, 100); // Small delay to ensure DOM is updated
   }
   
+  renderPostCaption(postElement, post);
+  renderPostNotes(postElement, post);
+  renderPostStatus(postElement, post);
+  renderPostFlags(postElement, post);
+  renderPostReminder(postElement, post);
+  renderPostLinkHealth(postElement, post);
+  highlightSearchMatches(postElement);
+  
   // Add a placeholder for the embed with fixed height based on platform
   const embedContainer = postElement.querySelector('.post-embed');
   if (embedContainer) {
@@ -226,7 +211,7 @@ export function populatePostElement(postElement, post) {
     `;
     
     // Create the actual embed
-    createEmbed(post.url, platform, embedContainer);
+    createEmbedForPost(post, embedContainer);
     
     // Make sure the post is visible
     postElement.classList.remove('opacity-0');
@@ -276,6 +261,138 @@ export function populatePostElement(postElement, post) {
   }
 }
 
+// Platforms whose preview cards show the post's title and description themselves
+const PREVIEW_CARD_PLATFORMS = ['website', 'linkedin'];
+
+/**
+ * Get the title and description the user set for a post
+ * @param {Object} post - The post object
+ * @returns {Object} Object with `title` and `description`, empty strings when not set
+ */
+function getPostOverrides(post) {
+  return {
+    title: (post.title || '').trim(),
+    description: (post.description || '').trim()
+  };
+}
+
+/**
+ * Render the user's title and description above a post's tags
+ * Preview cards for websites and LinkedIn show them in place of the fetched
+ * values instead, so the caption is only used for embedded posts.
+ * @param {HTMLElement} postElement - The post card element
+ * @param {Object} post - The post object
+ */
+function renderPostCaption(postElement, post) {
+  const caption = postElement.querySelector('.post-caption');
+  if (!caption) return;
+  
+  const { title, description } = getPostOverrides(post);
+  const platform = (post.platform || getPlatformFromUrl(post.url)).toLowerCase();
+  const showCaption = (title !== '' || description !== '') && !PREVIEW_CARD_PLATFORMS.includes(platform);
+  
+  caption.classList.toggle('hidden', !showCaption);
+  
+  const titleElement = caption.querySelector('.post-caption-title');
+  titleElement.textContent = title;
+  titleElement.classList.toggle('hidden', title === '');
+  
+  const descriptionElement = caption.querySelector('.post-caption-description');
+  descriptionElement.textContent = description;
+  descriptionElement.classList.toggle('hidden', description === '');
+}
+
+/**
+ * Render a post's Markdown notes into its card
+ * The notes sit behind a collapsible toggle and are hidden when the post has none.
+ * @param {HTMLElement} postElement - The post card element
+ * @param {Object} post - The post object
+ */
+function renderPostNotes(postElement, post) {
+  const notesContainer = postElement.querySelector('.post-notes');
+  if (!notesContainer) return;
+  
+  const notes = (post.notes || '').trim();
+  notesContainer.classList.toggle('hidden', notes === '');
+  notesContainer.querySelector('.post-notes-content').innerHTML = renderMarkdown(notes);
+}
+
+/**
+ * Show a post's read-later status on its card
+ * @param {HTMLElement} postElement - The post card element
+ * @param {Object} post - The post object
+ */
+function renderPostStatus(postElement, post) {
+  const status = getPostStatus(post);
+  postElement.dataset.status = status;
+  
+  const readButton = postElement.querySelector('.toggle-read-btn');
+  if (readButton) {
+    const isRead = status === POST_STATUSES.READ;
+    readButton.title = isRead ? 'Mark as unread' : 'Mark as read';
+    readButton.classList.toggle('text-green-600', isRead);
+    readButton.classList.toggle('text-gray-400', !isRead);
+  }
+  
+  const archiveButton = postElement.querySelector('.toggle-archive-btn');
+  if (archiveButton) {
+    const isArchived = status === POST_STATUSES.ARCHIVED;
+    archiveButton.title = isArchived ? 'Move back to inbox' : 'Archive';
+    archiveButton.classList.toggle('text-amber-600', isArchived);
+    archiveButton.classList.toggle('text-gray-400', !isArchived);
+  }
+}
+
+/**
+ * Show whether a post is pinned or a favorite on its card
+ * @param {HTMLElement} postElement - The post card element
+ * @param {Object} post - The post object
+ */
+function renderPostFlags(postElement, post) {
+  const pinned = isPostPinned(post);
+  const favorite = isPostFavorite(post);
+  postElement.dataset.pinned = String(pinned);
+  postElement.dataset.favorite = String(favorite);
+  
+  const pinButton = postElement.querySelector('.toggle-pin-btn');
+  if (pinButton) {
+    pinButton.title = pinned ? 'Unpin' : 'Pin to top';
+    pinButton.classList.toggle('text-blue-600', pinned);
+    pinButton.classList.toggle('text-gray-400', !pinned);
+  }
+  
+  const favoriteButton = postElement.querySelector('.toggle-favorite-btn');
+  if (favoriteButton) {
+    favoriteButton.title = favorite ? 'Remove from favorites' : 'Add to favorites';
+    favoriteButton.classList.toggle('text-yellow-500', favorite);
+    favoriteButton.classList.toggle('text-gray-400', !favorite);
+  }
+}
+
+/**
+ * Show a post's reminder on its card
+ * Due reminders get a badge until they are dismissed.
+ * @param {HTMLElement} postElement - The post card element
+ * @param {Object} post - The post object
+ */
+function renderPostReminder(postElement, post) {
+  const time = getReminderTime(post);
+  const due = isReminderDue(post);
+  
+  const badge = postElement.querySelector('.post-reminder');
+  if (badge) {
+    badge.classList.toggle('hidden', !due);
+    badge.querySelector('.post-reminder-time').textContent = due ? new Date(time).toLocaleString() : '';
+  }
+  
+  const remindButton = postElement.querySelector('.remind-btn');
+  if (remindButton) {
+    remindButton.title = time !== null ? 'Change reminder' : 'Remind me';
+    remindButton.classList.toggle('text-purple-600', time !== null);
+    remindButton.classList.toggle('text-gray-400', time === null);
+  }
+}
+
 /**
  * Helper function to create the appropriate embed based on post platform
  * @param {Object} post - The post object
@@ -283,27 +400,31 @@ export function populatePostElement(postElement, post) {
  */
 function createEmbedForPost(post, container) {
   const url = post.url;
-  const platform = post.platform;
+  const platform = post.platform || getPlatformFromUrl(url);
+  
+  // Removed content would only show an embed error on every render
+  if (getLinkStatus(post) === LINK_STATUSES.GONE) {
+    createUnavailableEmbed(url, container);
+    return;
+  }
   
   // Use the existing createEmbed function
-  createEmbed(url, platform, container);
+  createEmbed(url, platform, container, getPostOverrides(post));
 }
 
 // Add updateSinglePostInUI to the global boardie object
 window.boardie.updateSinglePostInUI = updateSinglePostInUI;
 
 /**
- * Load posts from localStorage
+ * Load posts from storage
  * @param {boolean} [forceRender=false] Whether to force rendering the posts (default: false)
  * @returns {Array} Array of post objects
  */
 export function loadPosts(forceRender = false) {
   try {
-    const storageKey = getPostsStorageKey();
-    console.log(`Loading posts from storage key: ${storageKey}`);
+    console.log(`Loading posts for storage scope: ${storage.getStorageScope()}`);
     
-    const savedPosts = localStorage.getItem(storageKey);
-    const posts = savedPosts ? JSON.parse(savedPosts) : [];
+    const posts = storage.getPosts();
     
     // Only render posts if explicitly requested
     if (forceRender) {
@@ -322,88 +443,234 @@ export function loadPosts(forceRender = false) {
     return posts;
   } catch (error) {
     console.error('Error loading posts:', error);
-    // If there's an error, try to recover by clearing localStorage
-    if (error instanceof SyntaxError) {
-      console.log('Attempting to recover from corrupted storage');
-      localStorage.removeItem(getPostsStorageKey());
-    }
     return [];
   }
 }
 
 /**
- * Clear all posts from localStorage for the current user
+ * Read posts from storage without any rendering side effects
+ * @returns {Array} Array of post objects
+ */
+function readStoredPosts() {
+  try {
+    return storage.getPosts();
+  } catch (error) {
+    console.error('Error reading stored posts:', error);
+    return [];
+  }
+}
+
+/**
+ * Clear all posts from storage for the current user
  */
 export function clearPosts() {
   try {
-    localStorage.removeItem(getPostsStorageKey());
-    console.log('Cleared posts from localStorage');
+    storage.replacePosts([]);
+    console.log('Cleared posts from storage');
   } catch (error) {
     console.error('Error clearing posts:', error);
   }
 }
 
 /**
- * Clear all user data from localStorage
+ * Clear all user data from storage
  */
 export function clearLocalStorage() {
   try {
-    localStorage.removeItem(getPostsStorageKey());
-    localStorage.removeItem(getTagsStorageKey());
+    storage.clearStorage();
     localStorage.removeItem(getActiveFiltersStorageKey());
-    console.log('Cleared all user data from localStorage');
+    historyManager.clear();
+    console.log('Cleared all user data from storage');
   } catch (error) {
-    console.error('Error clearing localStorage:', error);
+    console.error('Error clearing storage:', error);
   }
 }
 
 /**
- * Save posts to localStorage
+ * Save posts to storage
+ * Replaces the stored posts; only posts that were added, changed or removed are written
  * @param {Array} posts Array of post objects
+ * @returns {Promise<void>} Resolves once the changes are persisted
  */
 export function savePosts(posts) {
   try {
-    const storageKey = getPostsStorageKey();
-    console.log(`Saving posts to storage key: ${storageKey}`);
-    localStorage.setItem(storageKey, JSON.stringify(posts));
+    console.log(`Saving posts for storage scope: ${storage.getStorageScope()}`);
+    return storage.replacePosts(posts);
   } catch (error) {
     console.error('Error saving posts:', error);
+    return Promise.resolve();
   }
 }
 
 /**
- * Load tags from localStorage
+ * Load tags from storage
  * @returns {Array} Array of tag objects
  */
 export function loadTags() {
   try {
-    const storageKey = getTagsStorageKey();
-    console.log(`Loading tags from storage key: ${storageKey}`);
-    const savedTags = localStorage.getItem(storageKey);
-    return savedTags ? JSON.parse(savedTags) : [];
+    console.log(`Loading tags for storage scope: ${storage.getStorageScope()}`);
+    return storage.getTags();
   } catch (error) {
     console.error('Error loading tags:', error);
-    // If there's an error, try to recover by clearing localStorage
-    if (error instanceof SyntaxError) {
-      console.log('Attempting to recover from corrupted tags storage');
-      localStorage.removeItem(getTagsStorageKey());
-    }
     return [];
   }
 }
 
 /**
- * Save tags to localStorage
+ * Save tags to storage
  * @param {Array} tags Array of tag objects
+ * @returns {Promise<void>} Resolves once the tags are persisted
  */
 export function saveTags(tags) {
   try {
-    const storageKey = getTagsStorageKey();
-    console.log(`Saving tags to storage key: ${storageKey}`);
-    localStorage.setItem(storageKey, JSON.stringify(tags));
+    console.log(`Saving tags for storage scope: ${storage.getStorageScope()}`);
+    return storage.replaceTags(tags);
   } catch (error) {
     console.error('Error saving tags:', error);
+    return Promise.resolve();
+  }
+}
+
+/**
+ * Queue a post to be synced to Supabase if the user is logged in
+ * @param {string} id ID of the post
+ * @param {string} url URL of the post
+ */
+function queueSync(id, url) {
+  if (!window.boardie || !window.boardie.isAuthenticated) return;
+  
+  import('./database/sync/postSyncService.js')
+    .then(({ queuePostSync }) => queuePostSync(id, url))
+    .catch(error => console.error('Error queuing post sync:', error));
+}
+
+/**
+ * Queue several posts to be synced to Supabase in one operation if the user is logged in
+ * @param {Array<Object>} posts `{ id, url }` of each post
+ */
+function queueBatchSync(posts) {
+  if (!window.boardie || !window.boardie.isAuthenticated) return;
+  
+  import('./database/sync/postSyncService.js')
+    .then(({ queuePostsSync }) => queuePostsSync(posts))
+    .catch(error => console.error('Error queuing post sync:', error));
+}
+
+/**
+ * Put a post back into a recorded state, used by undo and redo
+ * @param {string} id ID of the post
+ * @param {string} url URL of the post
+ * @param {Object|null} snapshot The post as it should be, or null if it shouldn't exist
+ */
+function applyPostSnapshot(id, url, snapshot) {
+  if (snapshot) {
+    const current = storage.getPost(id);
+    
+    // Mark the post as changed now so a later sync doesn't bring back the cloud version
+    storage.putPost({ ...snapshot, lastUpdated: new Date().toISOString() });
+    recordRevision(current, snapshot);
+  } else {
+    storage.deletePost(id);
+  }
+  
+  invalidateTagsCache();
+  
+  // Re-render keeping the active filters
+  filterPostsByTags(getActiveTagFilters());
+  document.dispatchEvent(new CustomEvent('setupTagFilters'));
+  
+  queueSync(id, url);
+}
+
+/**
+ * Record a change to a post so it can be undone
+ * @param {string} label Description of the change
+ * @param {Object|null} before The post before the change, or null if it was added
+ * @param {Object|null} after The post after the change, or null if it was removed
+ */
+export function recordPostChange(label, before, after) {
+  const { id, url } = after || before;
+  
+  historyManager.record({
+    label,
+    undo: () => applyPostSnapshot(id, url, before),
+    redo: () => applyPostSnapshot(id, url, after)
+  });
+}
+
+/**
+ * Put several posts back into a recorded state at once, used to undo and redo batch changes
+ * @param {Array<Object>} snapshots `{ id, url, snapshot }` for each post, as for applyPostSnapshot()
+ */
+function applyPostSnapshots(snapshots) {
+  const now = new Date().toISOString();
+  const currentPosts = new Map(snapshots.map(({ id }) => [id, storage.getPost(id)]));
+  
+  // Mark the posts as changed now so a later sync doesn't bring back the cloud versions
+  storage.transaction(tx => {
+    snapshots.forEach(({ id, snapshot }) => {
+      if (snapshot) {
+        tx.putPost({ ...snapshot, lastUpdated: now });
+      } else {
+        tx.deletePost(id);
+      }
+    });
+  });
+  snapshots.forEach(({ id, snapshot }) => recordRevision(currentPosts.get(id), snapshot));
+  
+  invalidateTagsCache();
+  
+  // Re-render keeping the active filters
+  filterPostsByTags(getActiveTagFilters());
+  document.dispatchEvent(new CustomEvent('setupTagFilters'));
+  
+  queueBatchSync(snapshots);
+}
+
+/**
+ * Change several posts at once, e.g. from a batch action
+ * The posts are saved in one storage transaction, undone and redone as one
+ * step and synced to Supabase in one operation. The board is re-rendered
+ * afterwards.
+ * @param {Array<string>} ids IDs of the posts
+ * @param {Function} change Gets a post and returns the changed post, or null to leave it as it is
+ * @param {string} label Description of the change for undo and redo
+ * @returns {Array<Object>} The posts that changed
+ */
+export function updatePosts(ids, change, label) {
+  const now = new Date().toISOString();
+  const changes = ids
+    .map(id => storage.getPost(id))
+    .filter(Boolean)
+    .map(post => ({ before: post, after: change(post) }))
+    .filter(({ after }) => after)
+    .map(({ before, after }) => ({ before, after: { ...after, lastUpdated: now } }));
+  
+  if (changes.length === 0) {
+    console.log(`${label}: nothing to change`);
+    return [];
   }
+  
+  storage.transaction(tx => changes.forEach(({ after }) => tx.putPost(after)));
+  changes.forEach(({ before, after }) => recordRevision(before, after));
+  
+  const toSnapshots = key => changes.map(item => ({ id: item[key].id, url: item[key].url, snapshot: item[key] }));
+  historyManager.record({
+    label,
+    undo: () => applyPostSnapshots(toSnapshots('before')),
+    redo: () => applyPostSnapshots(toSnapshots('after'))
+  });
+  
+  invalidateTagsCache();
+  
+  // Re-render keeping the active filters, as changed posts may no longer match them
+  filterPostsByTags(getActiveTagFilters());
+  document.dispatchEvent(new CustomEvent('setupTagFilters'));
+  
+  queueBatchSync(changes.map(({ after }) => after));
+  
+  console.log(`${label}: changed ${changes.length} posts`);
+  return changes.map(({ after }) => after);
 }
 
 /**
@@ -411,40 +678,50 @@ export function saveTags(tags) {
  * @param {string} url URL of the post
  * @param {Array} tags Array of tags
  * @param {boolean} [skipRender=false] Whether to skip rendering the posts
+ * @param {Object} [fields={}] Other text fields for the post, e.g. `{ title, description }`
  * @returns {Object|null} The newly created post or null if it's a duplicate
  */
-export function addPost(url, tags = [], skipRender = false) {
+export function addPost(url, tags = [], skipRender = false, fields = {}) {
   // Load existing posts first
-  let posts = [];
-  try {
-    const storageKey = getPostsStorageKey();
-    console.log(`Loading existing posts from storage key: ${storageKey}`);
-    const savedPosts = localStorage.getItem(storageKey);
-    posts = savedPosts ? JSON.parse(savedPosts) : [];
-  } catch (error) {
-    console.error('Error loading existing posts:', error);
-    posts = [];
-  }
+  const posts = readStoredPosts();
   
   // Check if a post with this URL already exists
-  // Use our robust URL normalization function
-  const normalizedUrl = normalizeUrl(url);
+  // Links to the same content share a key, e.g. youtu.be/ID and youtube.com/watch?v=ID
+  const urlKey = getUrlKey(url);
   
-  // Only proceed if we have a valid URL after normalization
-  if (!normalizedUrl) {
+  // Only proceed if we have a valid URL
+  if (!urlKey) {
     console.error('Invalid URL provided to addPost:', url);
     return null;
   }
   
-  // Check for duplicates using normalized URLs
-  const existingPost = posts.find(post => normalizeUrl(post.url) === normalizedUrl);
+  // Check for duplicates using the URL keys
+  const existingPost = posts.find(post => getUrlKey(post.url) === urlKey);
   
   // Add debug logging
   console.log(`Checking for duplicate URL: ${url}`);
-  console.log(`Normalized as: ${normalizedUrl}`);
+  console.log(`Canonical key: ${urlKey}`);
   if (existingPost) {
     console.log(`Found duplicate: ${existingPost.url}`);
-    console.log(`Normalized duplicate: ${normalizeUrl(existingPost.url)}`);
+  }
+  
+  if (existingPost && isPostDeleted(existingPost)) {
+    // Adding a link that is in the trash brings the old post back
+    console.log('Post with this URL is in the trash, restoring it:', existingPost.id);
+    // Fields left empty keep the values the post had before it was deleted
+    const filledFields = Object.fromEntries(Object.entries(fields).filter(([, value]) => value));
+    const restoredPost = {
+      ...existingPost,
+      ...filledFields,
+      tags: tags.length > 0 ? tags : existingPost.tags,
+      deletedAt: null,
+      lastUpdated: new Date().toISOString()
+    };
+    storage.putPost(restoredPost);
+    recordPostChange('Restore post', existingPost, restoredPost);
+    invalidateTagsCache();
+    document.getElementById('noPostsMessage').classList.add('hidden');
+    return restoredPost;
   }
   
   if (existingPost) {
@@ -455,18 +732,23 @@ export function addPost(url, tags = [], skipRender = false) {
   const platform = getPlatformFromUrl(url);
   
   const newPost = {
+    ...fields,
     id: generateUniqueId(),
     url,
     platform,
     tags,
+    status: POST_STATUSES.UNREAD,
+    // Posts added while a board is open go on that board
+    boardIds: getCurrentBoardId() ? [getCurrentBoardId()] : [],
     dateAdded: new Date().toISOString()
   };
   
   // Add the new post
   posts.push(newPost);
   
-  // Save all posts
-  savePosts(posts);
+  // Save the new post
+  storage.putPost(newPost);
+  recordPostChange('Add post', null, newPost);
   
   // Invalidate the tags cache since we've added a new post
   invalidateTagsCache();
@@ -495,7 +777,9 @@ export function addPost(url, tags = [], skipRender = false) {
 }
 
 /**
- * Delete a post by ID
+ * Move a post to the trash
+ * The post is kept in storage with a `deletedAt` timestamp so it can be restored
+ * from the Trash view until it's purged.
  * @param {string} id ID of the post to delete
  * @param {boolean} [skipRender=false] Whether to skip re-rendering the posts grid
  * @param {boolean} [skipSync=false] Whether to skip syncing with Supabase
@@ -504,13 +788,16 @@ export function addPost(url, tags = [], skipRender = false) {
 export async function deletePost(id, skipRender = false, skipSync = false) {
   console.log(`Deleting post with ID: ${id}`);
   
-  // Get the post before deleting it (for Supabase sync)
   const postToDelete = getPostById(id);
+  if (!postToDelete) {
+    return false;
+  }
   
-  // Skip rendering when loading posts
-  const posts = loadPosts(false);
-  const updatedPosts = posts.filter(post => post.id !== id);
-  savePosts(updatedPosts);
+  const deletedAt = new Date().toISOString();
+  const deletedPost = { ...postToDelete, deletedAt, lastUpdated: deletedAt };
+  storage.putPost(deletedPost);
+  recordPostChange('Move post to trash', postToDelete, deletedPost);
+  const updatedPosts = storage.getPosts().filter(post => !isPostDeleted(post));
   
   // Invalidate the tags cache since we've deleted a post
   invalidateTagsCache();
@@ -540,32 +827,442 @@ export async function deletePost(id, skipRender = false, skipSync = false) {
     document.dispatchEvent(new CustomEvent('setupTagFilters'));
   }, 100); // Small delay to ensure DOM is updated
   
-  // Sync with Supabase if user is logged in and sync is not skipped
-  if (!skipSync && window.boardie && window.boardie.isAuthenticated) {
-    try {
-      console.log('User is logged in, syncing deletion with Supabase...');
-      
-      // Import the deletePost function from postService
-      const { deletePost: deletePostInSupabase } = await import('./database/services/postService.js');
+  // Queue the sync so undoing straight away never reaches Supabase
+  if (!skipSync) {
+    queueSync(postToDelete.id, postToDelete.url);
+  }
+  
+  if (!skipRender) {
+    showUndoToast('Post moved to trash');
+  }
+  
+  return true;
+}
+
+/**
+ * Set the read-later status of a post
+ * @param {string} id ID of the post
+ * @param {string} status One of POST_STATUSES
+ * @param {boolean} [automatic=false] Whether the change was made for the user, e.g. when a link is opened.
+ *   Automatic changes stay out of the undo history and leave the card where it is.
+ * @returns {boolean} True if the status changed
+ */
+export function setPostStatus(id, status, automatic = false) {
+  if (!Object.values(POST_STATUSES).includes(status)) {
+    console.error('Unknown post status:', status);
+    return false;
+  }
+  
+  const post = getPostById(id);
+  if (!post || getPostStatus(post) === status) {
+    return false;
+  }
+  
+  console.log(`Setting status of post ${id} to ${status}`);
+  const updatedPost = { ...post, status, lastUpdated: new Date().toISOString() };
+  storage.putPost(updatedPost);
+  
+  if (!automatic) {
+    recordPostChange(status === POST_STATUSES.ARCHIVED ? 'Archive post' : `Mark post as ${status}`, post, updatedPost);
+  }
+  
+  queueSync(id, post.url);
+  
+  // Update the card, or remove it if the status filter now hides it
+  const postElement = document.querySelector(`.post-card[data-id="${id}"]`);
+  if (postElement) {
+    if (automatic || postMatchesStatusFilter(updatedPost)) {
+      renderPostStatus(postElement, updatedPost);
+    } else {
+      postElement.remove();
       
-      if (postToDelete && postToDelete.id) {
-        // Delete the post in Supabase
-        const success = await deletePostInSupabase(postToDelete.id);
-        console.log(`Post deletion ${success ? 'succeeded' : 'failed'} in Supabase`);
-        return success;
+      if (!document.querySelector('#postsGrid .post-card')) {
+        showNoPostsMessage();
+      }
+    }
+  }
+  
+  if (status === POST_STATUSES.ARCHIVED && !automatic) {
+    showUndoToast('Post archived');
+  }
+  
+  return true;
+}
+
+/**
+ * Remember that a post's link was opened, for the Recently opened sort
+ * An unread post is marked as read at the same time; archived posts keep their
+ * status. Like automatic status changes, this stays out of the undo history and
+ * leaves the card where it is.
+ * @param {string} id ID of the post
+ * @returns {boolean} True if the post was updated
+ */
+export function recordPostOpened(id) {
+  const post = getPostById(id);
+  if (!post) {
+    return false;
+  }
+  
+  const now = new Date().toISOString();
+  const updatedPost = { ...post, openedAt: now, lastUpdated: now };
+  if (getPostStatus(post) === POST_STATUSES.UNREAD) {
+    console.log('Post link opened, marking as read:', id);
+    updatedPost.status = POST_STATUSES.READ;
+  }
+  
+  storage.putPost(updatedPost);
+  queueSync(id, post.url);
+  
+  const postElement = document.querySelector(`.post-card[data-id="${id}"]`);
+  if (postElement) {
+    renderPostStatus(postElement, updatedPost);
+  }
+  
+  return true;
+}
+
+/**
+ * Move a post card to where its post belongs in the board order
+ * Only the one card is moved, so the other embeds don't have to reload. The
+ * card stays in the grid or section it is in.
+ * @param {HTMLElement} postElement - The post card element
+ * @param {Object} post - The post object
+ */
+function repositionPostCard(postElement, post) {
+  const container = postElement.parentElement;
+  const otherCards = Array.from(container.children)
+    .filter(card => card !== postElement && card.classList.contains('post-card'));
+  
+  const nextCard = otherCards.find(card => {
+    const otherPost = storage.getPost(card.dataset.id);
+    return otherPost && comparePostsForBoard(post, otherPost) < 0;
+  });
+  
+  if (nextCard) {
+    container.insertBefore(postElement, nextCard);
+  } else {
+    container.appendChild(postElement);
+  }
+}
+
+/**
+ * Get the compare function for the order of the board
+ * While searching the most relevant posts come first; otherwise, and between
+ * equally relevant posts, the sort mode decides.
+ * @param {string} sortMode - One of SORT_MODES
+ * @param {Map<string, number>|null} searchScores - Relevance by post ID, or null when not searching
+ * @returns {Function} Compare function for Array.prototype.sort
+ */
+function getBoardOrder(sortMode, searchScores) {
+  return (a, b) => (searchScores && searchScores.get(b.id) - searchScores.get(a.id)) ||
+    comparePostsForBoard(a, b, sortMode);
+}
+
+/**
+ * Find the longest run of values that are already in increasing order
+ * @param {Array<number>} values - The values
+ * @returns {Set<number>} Indexes of the values in the run
+ */
+function findLongestIncreasingRun(values) {
+  // tails[k] is the index of the smallest value that ends a run of length k + 1
+  const tails = [];
+  const previous = new Array(values.length);
+  
+  values.forEach((value, index) => {
+    let low = 0;
+    let high = tails.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (values[tails[middle]] < value) {
+        low = middle + 1;
       } else {
-        console.warn('Post not found in local storage, cannot sync deletion with Supabase');
-        return false;
+        high = middle;
+      }
+    }
+    previous[index] = low > 0 ? tails[low - 1] : -1;
+    tails[low] = index;
+  });
+  
+  const run = new Set();
+  for (let index = tails.length > 0 ? tails[tails.length - 1] : -1; index !== -1; index = previous[index]) {
+    run.add(index);
+  }
+  return run;
+}
+
+/**
+ * Put the cards on the board in the current order without rendering them again
+ * Used when only the order changes, e.g. after picking another sort mode. The
+ * longest run of cards that is already in order stays put and the others are
+ * moved around it, so as few embeds as possible reload. Each card stays in its
+ * grid or section.
+ */
+export function reorderPostCards() {
+  const postsGrid = document.getElementById('postsGrid');
+  if (!postsGrid) return;
+  
+  const sortMode = getSortMode();
+  const searchScores = getSearchScores();
+  const compare = getBoardOrder(sortMode, searchScores);
+  postsGrid.classList.toggle('manual-sort', sortMode === SORT_MODES.MANUAL && !searchScores);
+  
+  let movedCount = 0;
+  [postsGrid, ...postsGrid.querySelectorAll('.post-section-grid')].forEach(container => {
+    const cards = Array.from(container.children)
+      .filter(card => card.classList.contains('post-card') && storage.getPost(card.dataset.id));
+    if (cards.length < 2) return;
+    
+    const sortedCards = [...cards].sort((a, b) => compare(storage.getPost(a.dataset.id), storage.getPost(b.dataset.id)));
+    const targetIndexes = new Map(sortedCards.map((card, index) => [card, index]));
+    const run = findLongestIncreasingRun(cards.map(card => targetIndexes.get(card)));
+    const staying = new Set(Array.from(run, index => cards[index]));
+    
+    // Place the cards back to front, each one before the card that follows it
+    let nextCard = cards[cards.length - 1].nextSibling;
+    for (let index = sortedCards.length - 1; index >= 0; index--) {
+      const card = sortedCards[index];
+      if (!staying.has(card)) {
+        container.insertBefore(card, nextCard);
+        movedCount++;
       }
-    } catch (error) {
-      console.error('Error syncing post deletion with Supabase:', error);
-      return false;
+      nextCard = card;
     }
+  });
+  
+  console.log(`Reordered posts by ${sortMode}, moved ${movedCount} cards`);
+}
+
+/**
+ * Give manual positions to posts that don't have one yet
+ * They go above the posts that were already placed, newest first, which is
+ * where the Manual sort mode shows them.
+ */
+function assignMissingPositions() {
+  const posts = storage.getPosts();
+  const unplacedPosts = posts
+    .filter(post => !hasPosition(post))
+    .sort((a, b) => new Date(b.dateAdded) - new Date(a.dateAdded));
+  if (unplacedPosts.length === 0) return;
+  
+  const placedPositions = posts.filter(hasPosition).map(post => post.position);
+  const firstPosition = placedPositions.length > 0 ? Math.min(...placedPositions) : unplacedPosts.length + 1;
+  const now = new Date().toISOString();
+  
+  console.log(`Assigning manual positions to ${unplacedPosts.length} posts`);
+  const updatedPosts = unplacedPosts.map((post, index) => ({
+    ...post,
+    position: firstPosition - unplacedPosts.length + index,
+    lastUpdated: now
+  }));
+  storage.putPosts(updatedPosts);
+  updatedPosts.forEach(post => queueSync(post.id, post.url));
+}
+
+/**
+ * Renumber all manual positions 1, 2, 3... keeping their order
+ * Needed when repeated moves leave no room between two neighbours.
+ */
+function renumberPositions() {
+  const now = new Date().toISOString();
+  const updatedPosts = storage.getPosts()
+    .filter(hasPosition)
+    .sort((a, b) => a.position - b.position)
+    .map((post, index) => ({ ...post, position: index + 1, lastUpdated: now }));
+  
+  console.log(`Renumbering manual positions of ${updatedPosts.length} posts`);
+  storage.putPosts(updatedPosts);
+  updatedPosts.forEach(post => queueSync(post.id, post.url));
+}
+
+/**
+ * Move a post between two others, and optionally into another section
+ * The position only changes in the Manual sort mode; in the other modes only
+ * the section changes.
+ * @param {string} id ID of the moved post
+ * @param {string|null} previousId ID of the post that should come before it, or null for the start
+ * @param {string|null} nextId ID of the post that should come after it, or null for the end
+ * @param {string|null} [sectionId] Section to put the post in on the board being viewed,
+ *   null to take it out of its section, or undefined to leave the section alone
+ * @returns {boolean} True if the post was moved
+ */
+export function movePostBetween(id, previousId, nextId, sectionId) {
+  if (!storage.getPost(id)) {
+    console.error('Cannot move missing post:', id);
+    return false;
   }
   
+  const changes = {};
+  
+  if (getSortMode() === SORT_MODES.MANUAL) {
+    assignMissingPositions();
+    
+    const getNeighbourPosition = (neighbourId) => {
+      const neighbour = neighbourId ? storage.getPost(neighbourId) : null;
+      return neighbour ? neighbour.position : null;
+    };
+    
+    changes.position = getPositionBetween(getNeighbourPosition(previousId), getNeighbourPosition(nextId));
+    if (changes.position === null) {
+      renumberPositions();
+      changes.position = getPositionBetween(getNeighbourPosition(previousId), getNeighbourPosition(nextId));
+    }
+  }
+  
+  const post = storage.getPost(id);
+  if (sectionId !== undefined && sectionId !== getPostSectionId(post)) {
+    changes.sectionIds = getSectionIdsWith(post, sectionId);
+  }
+  
+  if (Object.keys(changes).length === 0) {
+    console.log('Nothing to change for moved post:', id);
+    return false;
+  }
+  
+  const updatedPost = { ...post, ...changes, lastUpdated: new Date().toISOString() };
+  storage.putPost(updatedPost);
+  recordPostChange('Move post', post, updatedPost);
+  queueSync(id, post.url);
+  
+  // Snap the card back into place if the order says otherwise (e.g. pinned posts stay on top)
+  const postElement = document.querySelector(`.post-card[data-id="${id}"]`);
+  if (postElement) {
+    repositionPostCard(postElement, updatedPost);
+  }
+  
+  console.log(`Moved post ${id}:`, changes);
   return true;
 }
 
+/**
+ * Set the boards a post is on
+ * @param {string} id ID of the post
+ * @param {Array<string>} boardIds IDs of the boards
+ * @param {string} [label='Change boards'] Description of the change for undo and redo
+ * @returns {Object|null} The updated post, or null if it doesn't exist
+ */
+export function setPostBoards(id, boardIds, label = 'Change boards') {
+  const post = storage.getPost(id);
+  if (!post) {
+    console.error('Cannot change boards of missing post:', id);
+    return null;
+  }
+  
+  const updatedPost = {
+    ...post,
+    boardIds: Array.from(new Set(boardIds)),
+    lastUpdated: new Date().toISOString()
+  };
+  storage.putPost(updatedPost);
+  recordPostChange(label, post, updatedPost);
+  queueSync(id, post.url);
+  
+  // Take the card off the board being viewed if the post is no longer on it
+  if (!postMatchesBoard(updatedPost)) {
+    const postElement = document.querySelector(`.post-card[data-id="${id}"]`);
+    if (postElement) {
+      postElement.remove();
+    }
+  }
+  
+  console.log(`Post ${id} is now on boards:`, updatedPost.boardIds);
+  return updatedPost;
+}
+
+/**
+ * Set or clear the reminder of a post
+ * Until the reminder is due the post is hidden from the board; then it comes
+ * back at the top with a badge until the reminder is cleared.
+ * @param {string} id ID of the post
+ * @param {string|null} remindAt ISO date of the reminder, or null to clear it
+ * @returns {Object|null} The updated post, or null if it doesn't exist
+ */
+export function setPostReminder(id, remindAt) {
+  const post = getPostById(id);
+  if (!post) return null;
+  
+  const updatedPost = { ...post, remindAt, lastUpdated: new Date().toISOString() };
+  storage.putPost(updatedPost);
+  recordPostChange(remindAt ? 'Snooze post' : 'Clear reminder', post, updatedPost);
+  queueSync(id, post.url);
+  
+  // Hide the card while the post is snoozed
+  const postElement = document.querySelector(`.post-card[data-id="${id}"]`);
+  if (postElement) {
+    if (isPostSnoozed(updatedPost)) {
+      postElement.remove();
+      
+      if (!document.querySelector('#postsGrid .post-card')) {
+        showNoPostsMessage();
+      }
+    } else {
+      renderPostReminder(postElement, updatedPost);
+      repositionPostCard(postElement, updatedPost);
+    }
+  }
+  
+  console.log(remindAt ? `Post ${id} snoozed until ${remindAt}` : `Reminder of post ${id} cleared`);
+  return updatedPost;
+}
+
+/**
+ * Pin a post to the top of the board, or unpin it
+ * @param {string} id ID of the post
+ * @returns {boolean} True if the post is now pinned
+ */
+export function togglePostPin(id) {
+  const post = getPostById(id);
+  if (!post) return false;
+  
+  const pinned = !isPostPinned(post);
+  const now = new Date().toISOString();
+  const updatedPost = { ...post, pinnedAt: pinned ? now : null, lastUpdated: now };
+  storage.putPost(updatedPost);
+  recordPostChange(pinned ? 'Pin post' : 'Unpin post', post, updatedPost);
+  queueSync(id, post.url);
+  
+  const postElement = document.querySelector(`.post-card[data-id="${id}"]`);
+  if (postElement) {
+    renderPostFlags(postElement, updatedPost);
+    repositionPostCard(postElement, updatedPost);
+  }
+  
+  console.log(`Post ${id} ${pinned ? 'pinned' : 'unpinned'}`);
+  return pinned;
+}
+
+/**
+ * Add a post to the favorites, or remove it
+ * @param {string} id ID of the post
+ * @returns {boolean} True if the post is now a favorite
+ */
+export function togglePostFavorite(id) {
+  const post = getPostById(id);
+  if (!post) return false;
+  
+  const favorite = !isPostFavorite(post);
+  const updatedPost = { ...post, favorite, lastUpdated: new Date().toISOString() };
+  storage.putPost(updatedPost);
+  recordPostChange(favorite ? 'Add to favorites' : 'Remove from favorites', post, updatedPost);
+  queueSync(id, post.url);
+  
+  // Update the card, or remove it if only favorites are shown
+  const postElement = document.querySelector(`.post-card[data-id="${id}"]`);
+  if (postElement) {
+    if (postMatchesFavoritesFilter(updatedPost)) {
+      renderPostFlags(postElement, updatedPost);
+    } else {
+      postElement.remove();
+      
+      if (!document.querySelector('#postsGrid .post-card')) {
+        showNoPostsMessage();
+      }
+    }
+  }
+  
+  console.log(`Post ${id} ${favorite ? 'added to' : 'removed from'} favorites`);
+  return favorite;
+}
+
 /**
  * Get a post by ID
  * @param {string} id Post ID to find
@@ -573,19 +1270,7 @@ export async function deletePost(id, skipRender = false, skipSync = false) {
  */
 export function getPostById(id) {
   console.log('Getting post by ID:', id);
-  let posts = [];
-  try {
-    const storageKey = getPostsStorageKey();
-    console.log(`Loading posts from storage key: ${storageKey}`);
-    const savedPosts = localStorage.getItem(storageKey);
-    posts = savedPosts ? JSON.parse(savedPosts) : [];
-    console.log('Loaded posts from localStorage:', posts.length);
-  } catch (error) {
-    console.error('Error loading post by ID:', error);
-    return null;
-  }
-  
-  const post = posts.find(post => post.id === id);
+  const post = storage.getPost(id);
   if (post) {
     console.log('Found post:', post);
   } else {
@@ -602,21 +1287,13 @@ export function getPostById(id) {
  * @param {Array} tags New tags for the post
  * @param {boolean} [skipRender=false] Whether to skip re-rendering the posts grid
  * @param {boolean} [updateUIOnly=false] Whether to only update the UI for this post without re-rendering all posts
+ * @param {Object} [fields={}] Other text fields to update, e.g. `{ title, description, notes }`
  * @returns {boolean} True if the post was updated, false otherwise
  */
-export function updatePost(id, url, tags, skipRender = false, updateUIOnly = false) {
+export function updatePost(id, url, tags, skipRender = false, updateUIOnly = false, fields = {}) {
   console.log('Updating post:', id, 'Skip render:', skipRender, 'Update UI only:', updateUIOnly);
-  // Load existing posts directly from localStorage
-  let posts = [];
-  try {
-    const storageKey = getPostsStorageKey();
-    console.log(`Loading posts for update from storage key: ${storageKey}`);
-    const savedPosts = localStorage.getItem(storageKey);
-    posts = savedPosts ? JSON.parse(savedPosts) : [];
-  } catch (error) {
-    console.error('Error loading posts for update:', error);
-    return false;
-  }
+  // Load existing posts directly from storage
+  const posts = readStoredPosts();
   
   const postIndex = posts.findIndex(post => post.id === id);
   
@@ -651,23 +1328,29 @@ export function updatePost(id, url, tags, skipRender = false, updateUIOnly = fal
       });
     }
     
+    // Compare the other fields, treating missing values as empty
+    const fieldsChanged = Object.keys(fields).some(key => (currentPost[key] || '') !== (fields[key] || ''));
+    
     // Only update if something has changed or we're forcing an update
-    if (urlChanged || platformChanged || tagsChanged) {
+    if (urlChanged || platformChanged || tagsChanged || fieldsChanged) {
       console.log('Post has changed, updating...');
       // Update the post with new values
       const updatedPost = {
         ...posts[postIndex],
+        ...fields,
         url,
         platform,
         tags,
-        updatedAt: new Date().toISOString()
+        lastUpdated: new Date().toISOString()
       };
       
       // Update the post in the array
       posts[postIndex] = updatedPost;
       
-      // Save the updated posts
-      savePosts(posts);
+      // Save the updated post
+      storage.putPost(updatedPost);
+      recordPostChange('Edit post', currentPost, updatedPost);
+      recordRevision(currentPost, updatedPost);
       
       // Invalidate the tags cache since we've updated a post
       invalidateTagsCache();
@@ -704,6 +1387,36 @@ export function updatePost(id, url, tags, skipRender = false, updateUIOnly = fal
   return false; // Return false if post not found
 }
 
+/**
+ * Get the posts the board shows before the tag and facet filters are applied
+ * Leaves out posts in the trash, snoozed, on other boards and hidden by the
+ * status and favorites filters. While searching, only matching posts are kept,
+ * and a search for is:read etc. replaces the status filter.
+ * @param {Array} posts Posts to filter
+ * @returns {Array} The posts that are left
+ */
+export function filterPostsForBoard(posts) {
+  const searchScores = getSearchScores();
+  const ignoreStatusFilter = isSearchFilteringStatus();
+  
+  return posts.filter(post => !isPostDeleted(post) && !isPostSnoozed(post) && postMatchesBoard(post) &&
+    (ignoreStatusFilter || postMatchesStatusFilter(post)) && postMatchesFavoritesFilter(post) &&
+    (!searchScores || searchScores.has(post.id)));
+}
+
+/**
+ * Get the posts the board shows, with the tag and facet filters applied too
+ * @param {Array} posts Posts to filter
+ * @returns {Array} The posts that are left, in no particular order
+ */
+export function filterPostsForView(posts) {
+  const tagFilters = getSavedTagFilters();
+  const facetFilters = getFacetFilters();
+  
+  return filterPostsForBoard(posts)
+    .filter(post => postMatchesTagFilters(post, tagFilters) && postMatchesFacets(post, facetFilters));
+}
+
 /**
  * Display posts in the grid
  * @param {Array} posts Array of post objects
@@ -720,10 +1433,28 @@ export function displayPosts(posts, skipTagUpdate = false) {
   // Clear the grid
   postsGrid.innerHTML = '';
   
-  // Sort posts by date (newest first)
-  const sortedPosts = [...posts].sort((a, b) => {
-    return new Date(b.dateAdded) - new Date(a.dateAdded);
-  });
+  // Sort posts with due reminders and pinned posts first, then by the sort mode,
+  // leaving out posts hidden by the board, tag and facet filters. While
+  // searching, the most relevant posts come first.
+  const sortMode = getSortMode();
+  const searchScores = getSearchScores();
+  const sortedPosts = filterPostsForView(posts).sort(getBoardOrder(sortMode, searchScores));
+  
+  // Drag handles are only shown when posts are ordered by hand, not by relevance
+  postsGrid.classList.toggle('manual-sort', sortMode === SORT_MODES.MANUAL && !searchScores);
+  
+  // Boards with sections get one masonry block per section, with the posts
+  // that aren't in a section first
+  const sections = getSectionsForBoard();
+  const sectionGrids = new Map();
+  postsGrid.classList.toggle('has-sections', sections.length > 0);
+  if (sections.length > 0) {
+    [null, ...sections].forEach(section => {
+      const block = createSectionBlock(section);
+      sectionGrids.set(section ? section.id : null, block.querySelector('.post-section-grid'));
+      postsGrid.appendChild(block);
+    });
+  }
   
   // First, create all post elements with placeholders for embeds
   const postElements = sortedPosts.map((post) => {
@@ -775,14 +1506,24 @@ export function displayPosts(posts, skipTagUpdate = false) {
       removeTagFromPost(post.id, tagToRemove);
     });
     
+    renderPostCaption(postElement, post);
+    renderPostNotes(postElement, post);
+    renderPostStatus(postElement, post);
+    renderPostFlags(postElement, post);
+    renderPostReminder(postElement, post);
+    renderPostLinkHealth(postElement, post);
+    highlightSearchMatches(postElement);
+    
     return { element: postElement, post };
   });
   
   // Add all posts to the grid at once
   if (postElements && postElements.length > 0) {
-    postElements.forEach(({ element }) => {
-      postsGrid.appendChild(element);
+    postElements.forEach(({ element, post }) => {
+      const sectionId = getPostSectionIds(post).find(id => sectionGrids.has(id));
+      (sectionGrids.get(sectionId || null) || postsGrid).appendChild(element);
     });
+    updateSectionCounts();
     
     // Now load embeds one by one with a small delay to prevent layout shifts
     postElements.forEach(({ element, post }, index) => {
@@ -790,7 +1531,7 @@ export function displayPosts(posts, skipTagUpdate = false) {
       const embedContainer = element.querySelector('.post-embed');
       
       // Create the actual embed
-      createEmbed(post.url, post.platform, embedContainer);
+      createEmbedForPost(post, embedContainer);
       
       // Add load event listeners to embeds
       const handleContentLoaded = () => {
@@ -874,8 +1615,9 @@ export function displayPosts(posts, skipTagUpdate = false) {
  * @param {string} url URL of the post
  * @param {string} platform Platform of the post
  * @param {HTMLElement} container Container element for the embed
+ * @param {Object} [overrides={}] Title and description set by the user, used by preview cards
  */
-function createEmbed(url, platform, container) {
+function createEmbed(url, platform, container, overrides = {}) {
   switch (platform.toLowerCase()) {
     case 'twitter':
     case 'x':
@@ -891,19 +1633,19 @@ function createEmbed(url, platform, container) {
       createPinterestEmbed(url, container);
       break;
     case 'linkedin':
-      createLinkedInEmbed(url, container);
+      createLinkedInEmbed(url, container, overrides);
       break;
     case 'tiktok':
       createTikTokEmbed(url, container);
       break;
     default:
-      createGenericEmbed(url, container);
+      createGenericEmbed(url, container, overrides);
   }
 }
 
 /**
  * Get the currently active tag filters
- * @returns {Array} Array of active tag filters (as objects)
+ * @returns {Array} Array of active tag filters (as tag objects with the chip's `mode`)
  */
 export function getActiveTagFilters() {
   const activeFilters = [];
@@ -916,21 +1658,24 @@ export function getActiveTagFilters() {
   if (!filterTags || filterTags.length === 0) return activeFilters;
         
   filterTags.forEach(tag => {
+    // Each chip includes, excludes or matches any of its tag
+    const mode = tag.dataset.filterMode || TAG_FILTER_MODES.INCLUDE;
+    
     // Try to get the tag as a JSON object first
     if (tag.dataset.tagJson) {
       try {
         const tagObject = JSON.parse(tag.dataset.tagJson);
-        activeFilters.push(tagObject);
+        activeFilters.push({ ...tagObject, mode });
       } catch (e) {
         // Fallback to using the tag name if JSON parsing fails
-        activeFilters.push(tag.dataset.tagName || tag.dataset.tag);
+        activeFilters.push({ name: tag.dataset.tagName || tag.dataset.tag, mode });
       }
     } else if (tag.dataset.tagName) {
       // Use tag name as fallback
-      activeFilters.push(tag.dataset.tagName);
+      activeFilters.push({ name: tag.dataset.tagName, mode });
     } else if (tag.dataset.tag) {
       // Legacy support for old format
-      activeFilters.push(tag.dataset.tag);
+      activeFilters.push({ name: tag.dataset.tag, mode });
     }
   });
   
@@ -942,17 +1687,11 @@ export function getActiveTagFilters() {
  * @param {Array} tags Array of tags to filter by (empty array for all posts)
  */
 export function filterPostsByTags(tags = []) {
-  // Load posts directly from localStorage to avoid recursive issues
-  let posts = [];
-  try {
-    const storageKey = getPostsStorageKey();
-    console.log(`Loading posts for filtering from storage key: ${storageKey}`);
-    const savedPosts = localStorage.getItem(storageKey);
-    posts = savedPosts ? JSON.parse(savedPosts) : [];
-  } catch (error) {
-    console.error('Error loading posts for filtering:', error);
-    posts = [];
-  }
+  // Load posts directly from storage to avoid recursive issues
+  const posts = readStoredPosts();
+  
+  // The saved filters are applied on every render and kept across reloads
+  saveTagFilters(tags);
   
   // Show the clear filters button if there are active filters
   const clearFiltersBtn = document.getElementById('clearTagFilters');
@@ -962,35 +1701,8 @@ export function filterPostsByTags(tags = []) {
     clearFiltersBtn.classList.add('hidden');
   }
   
-  if (tags.length === 0) {
-    // Show all posts if no tags selected
-    displayPosts(posts);
-  } else {
-    // Filter posts by tags (post must have ALL selected tags)
-    const filteredPosts = posts.filter(post => {
-      if (!post.tags || !Array.isArray(post.tags) || post.tags.length === 0) return false;
-      
-      // Check if the post has all the required tags
-      return tags.every(filterTag => {
-        // Handle filter tag as object or string
-        const filterTagName = typeof filterTag === 'object' && filterTag !== null && filterTag.name 
-          ? filterTag.name.toLowerCase() 
-          : String(filterTag).toLowerCase();
-        
-        // Check if any of the post's tags match the filter tag
-        return post.tags.some(postTag => {
-          // Handle post tag as object or string
-          const postTagName = typeof postTag === 'object' && postTag !== null && postTag.name 
-            ? postTag.name.toLowerCase() 
-            : String(postTag).toLowerCase();
-          
-          return postTagName === filterTagName;
-        });
-      });
-    });
-    
-    displayPosts(filteredPosts);
-  }
+  // displayPosts leaves out posts that don't match the selected tags and their modes
+  displayPosts(posts);
 }
 
 /**
@@ -1005,22 +1717,42 @@ export function filterPostsByTag(tag) {
   }
 }
 
+/**
+ * Get the name of a tag, which may be a string or a tag object
+ * @param {string|Object} tag The tag
+ * @returns {string} The tag name
+ */
+function getTagName(tag) {
+  return typeof tag === 'object' && tag !== null ? tag.name : String(tag);
+}
+
 /**
  * Remove a tag from a post
  * @param {string} postId ID of the post
- * @param {string} tagToRemove Tag to remove
+ * @param {string|Object} tagToRemove Tag to remove
  */
 export function removeTagFromPost(postId, tagToRemove) {
-  // Skip rendering when loading posts since we'll render after tag removal
-  const posts = loadPosts(true);
+  // Read posts without rendering since we'll render after tag removal
+  const posts = readStoredPosts();
   const postIndex = posts.findIndex(post => post.id === postId);
   
   if (postIndex !== -1) {
+    const postBefore = posts[postIndex];
+    const tagNameToRemove = getTagName(tagToRemove);
+    
     // Remove the tag from the post's tags array
-    posts[postIndex].tags = posts[postIndex].tags.filter(tag => tag !== tagToRemove);
+    const updatedPost = {
+      ...postBefore,
+      tags: postBefore.tags.filter(tag => getTagName(tag) !== tagNameToRemove),
+      lastUpdated: new Date().toISOString()
+    };
+    posts[postIndex] = updatedPost;
     
-    // Save the updated posts
-    savePosts(posts);
+    // Save the updated post
+    storage.putPost(updatedPost);
+    recordPostChange(`Remove tag "${tagNameToRemove}"`, postBefore, updatedPost);
+    recordRevision(postBefore, updatedPost);
+    queueSync(updatedPost.id, updatedPost.url);
     
     // Invalidate the tags cache since we've modified tags
     invalidateTagsCache();
@@ -1030,6 +1762,8 @@ export function removeTagFromPost(postId, tagToRemove) {
     
     // Update tag filter options
     updateTagFilterOptions(getAllUniqueTags(posts));
+    
+    showUndoToast(`Removed tag "${tagNameToRemove}"`);
   }
 }
 
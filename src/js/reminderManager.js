@@ -0,0 +1,338 @@
+/**
+ * Snooze and reminders for Boardie
+ * A post with a reminder is hidden from the board until the reminder is due.
+ * It then comes back at the top of the board with a badge, and a notification
+ * is shown through the service worker while the app is open or installed.
+ */
+
+import * as storage from './storage/index.js';
+import { isPostDeleted } from './utils.js';
+import { getPostById, setPostReminder, filterPostsByTags, getActiveTagFilters } from './postManager.js';
+import { showUndoToast } from './historyManager.js';
+
+// Storage key prefix for the reminders this device has already notified about
+const NOTIFIED_REMINDERS_KEY_PREFIX = 'boardie_notified_reminders_';
+
+// Longest timer to set; browsers overflow above ~24.8 days, and a regular
+// check also picks up reminders that were changed on another device
+const MAX_TIMER_DELAY = 60 * 60 * 1000;
+
+// Hour of the day the "tomorrow" and "next week" presets remind at
+const PRESET_HOUR = 9;
+
+// Timer for the next due reminder
+let reminderTimer = null;
+
+/**
+ * Get the time a post's reminder is set for
+ * @param {Object} post The post
+ * @returns {number|null} Timestamp of the reminder, or null if there is none
+ */
+export function getReminderTime(post) {
+  const time = post ? Date.parse(post.remindAt) : NaN;
+  return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Check whether a post is snoozed, i.e. its reminder is still to come
+ * @param {Object} post The post
+ * @param {number} [now] Current timestamp
+ * @returns {boolean} True if the post should be hidden from the board
+ */
+export function isPostSnoozed(post, now = Date.now()) {
+  const time = getReminderTime(post);
+  return time !== null && time > now;
+}
+
+/**
+ * Check whether a post's reminder has come
+ * @param {Object} post The post
+ * @param {number} [now] Current timestamp
+ * @returns {boolean} True if the reminder is due and hasn't been dismissed
+ */
+export function isReminderDue(post, now = Date.now()) {
+  const time = getReminderTime(post);
+  return time !== null && time <= now;
+}
+
+/**
+ * Get the time a reminder preset stands for
+ * @param {string} preset 'later', 'tomorrow' or 'nextWeek'
+ * @param {Date} [from] Time to count from
+ * @returns {Date|null} The reminder time, or null for an unknown preset
+ */
+export function getPresetTime(preset, from = new Date()) {
+  const time = new Date(from);
+
+  switch (preset) {
+    case 'later':
+      time.setHours(time.getHours() + 3, 0, 0, 0);
+      return time;
+    case 'tomorrow':
+      time.setDate(time.getDate() + 1);
+      time.setHours(PRESET_HOUR, 0, 0, 0);
+      return time;
+    case 'nextWeek':
+      time.setDate(time.getDate() + 7);
+      time.setHours(PRESET_HOUR, 0, 0, 0);
+      return time;
+    default:
+      console.error('Unknown reminder preset:', preset);
+      return null;
+  }
+}
+
+/**
+ * Get the reminders this device has already notified about
+ * @returns {Object} Reminder times by post ID
+ */
+function getNotifiedReminders() {
+  try {
+    return JSON.parse(localStorage.getItem(`${NOTIFIED_REMINDERS_KEY_PREFIX}${storage.getStorageScope()}`)) || {};
+  } catch (error) {
+    console.error('Error reading notified reminders:', error);
+    return {};
+  }
+}
+
+/**
+ * Save the reminders this device has notified about
+ * Only reminders that are still set are kept.
+ * @param {Object} notified Reminder times by post ID
+ */
+function saveNotifiedReminders(notified) {
+  const current = {};
+  Object.entries(notified).forEach(([id, remindAt]) => {
+    const post = storage.getPost(id);
+    if (post && getReminderTime(post) === remindAt) {
+      current[id] = remindAt;
+    }
+  });
+  localStorage.setItem(`${NOTIFIED_REMINDERS_KEY_PREFIX}${storage.getStorageScope()}`, JSON.stringify(current));
+}
+
+/**
+ * Show a notification for a due reminder
+ * Goes through the service worker so it works in the installed app, with the
+ * page's Notification API as a fallback.
+ * @param {Object} post The post
+ */
+async function showReminderNotification(post) {
+  if (!('Notification' in window) || Notification.permission !== 'granted') return;
+
+  const title = (post.title || '').trim() || 'Reminder from Boardie';
+  const options = {
+    body: (post.description || '').trim() || post.url,
+    tag: `reminder-${post.id}`,
+    icon: '/icons/icon-192x192.png',
+    data: { postId: post.id, url: post.url }
+  };
+
+  try {
+    const registration = 'serviceWorker' in navigator ? await navigator.serviceWorker.getRegistration() : null;
+    if (registration) {
+      await registration.showNotification(title, options);
+    } else {
+      new Notification(title, options);
+    }
+  } catch (error) {
+    console.error('Error showing reminder notification:', error);
+  }
+}
+
+/**
+ * Notify about reminders that came due and bring their posts back on the board
+ * Then wait for the next reminder.
+ */
+function checkReminders() {
+  clearTimeout(reminderTimer);
+  reminderTimer = null;
+
+  const now = Date.now();
+  const posts = storage.getPosts().filter(post => !isPostDeleted(post));
+  const notified = getNotifiedReminders();
+  const duePosts = posts.filter(post => isReminderDue(post, now) && notified[post.id] !== getReminderTime(post));
+
+  if (duePosts.length > 0) {
+    console.log(`${duePosts.length} reminders are due`);
+    duePosts.forEach(post => {
+      notified[post.id] = getReminderTime(post);
+      showReminderNotification(post);
+    });
+    saveNotifiedReminders(notified);
+
+    // Snoozed posts aren't on the board yet, so render it again
+    const trashView = document.getElementById('trashView');
+    if (!trashView || trashView.classList.contains('hidden')) {
+      filterPostsByTags(getActiveTagFilters());
+    }
+  }
+
+  const upcoming = posts
+    .filter(post => isPostSnoozed(post, now))
+    .map(getReminderTime);
+
+  if (upcoming.length > 0) {
+    const delay = Math.min(Math.min(...upcoming) - now, MAX_TIMER_DELAY);
+    reminderTimer = setTimeout(checkReminders, Math.max(delay, 0));
+  }
+}
+
+/**
+ * Ask for permission to show notifications, if it hasn't been given or refused yet
+ */
+function requestNotificationPermission() {
+  if (!('Notification' in window) || Notification.permission !== 'default') return;
+
+  Notification.requestPermission()
+    .then(permission => console.log('Notification permission:', permission))
+    .catch(error => console.error('Error requesting notification permission:', error));
+}
+
+/**
+ * Format a timestamp for a datetime-local input
+ * @param {number} time Timestamp
+ * @returns {string} Local date and time as YYYY-MM-DDTHH:MM
+ */
+function toDateTimeLocal(time) {
+  const date = new Date(time);
+  const offset = date.getTimezoneOffset() * 60 * 1000;
+  return new Date(time - offset).toISOString().slice(0, 16);
+}
+
+/**
+ * Open the reminder modal for a post
+ * @param {string} postId ID of the post
+ */
+function openReminderModal(postId) {
+  const post = getPostById(postId);
+  if (!post) return;
+
+  const time = getReminderTime(post);
+  document.getElementById('reminderPostId').value = postId;
+  document.getElementById('reminderCurrent').textContent = time !== null
+    ? `Reminder set for ${new Date(time).toLocaleString()}.`
+    : 'Hide this post until a time you pick, then bring it back to the top.';
+  document.getElementById('reminderDateTime').value = toDateTimeLocal(time !== null && time > Date.now()
+    ? time
+    : getPresetTime('tomorrow').getTime());
+  document.getElementById('reminderDateTime').min = toDateTimeLocal(Date.now());
+  document.getElementById('clearReminderBtn').classList.toggle('hidden', time === null);
+
+  document.getElementById('reminderModal').classList.remove('hidden');
+  document.body.classList.add('overflow-hidden');
+}
+
+/**
+ * Close the reminder modal
+ */
+function closeReminderModal() {
+  document.getElementById('reminderModal').classList.add('hidden');
+  document.body.classList.remove('overflow-hidden');
+}
+
+/**
+ * Set the reminder of the post in the reminder modal
+ * @param {Date|null} time Reminder time, or null to clear the reminder
+ */
+function applyReminder(time) {
+  const postId = document.getElementById('reminderPostId').value;
+  if (!postId) return;
+
+  if (time && (Number.isNaN(time.getTime()) || time.getTime() <= Date.now())) {
+    alert('Please pick a time in the future.');
+    return;
+  }
+
+  setPostReminder(postId, time ? time.toISOString() : null);
+  closeReminderModal();
+
+  if (time) {
+    requestNotificationPermission();
+    showUndoToast(`Snoozed until ${time.toLocaleString()}`);
+  }
+}
+
+/**
+ * Set up reminders: the card action, the reminder modal and the timer
+ */
+export function setupReminders() {
+  const reminderModal = document.getElementById('reminderModal');
+
+  if (!reminderModal) {
+    console.log('Reminder elements not found in DOM');
+    return;
+  }
+
+  // Card actions (using event delegation)
+  document.addEventListener('click', (e) => {
+    const remindButton = e.target.closest('.remind-btn');
+    if (remindButton) {
+      const postId = remindButton.closest('.post-card')?.dataset.id;
+      if (postId) {
+        openReminderModal(postId);
+      }
+      return;
+    }
+
+    const dismissButton = e.target.closest('.dismiss-reminder-btn');
+    if (dismissButton) {
+      const postId = dismissButton.closest('.post-card')?.dataset.id;
+      if (postId) {
+        setPostReminder(postId, null);
+      }
+    }
+  });
+
+  reminderModal.querySelectorAll('.reminder-preset-btn').forEach(button => {
+    button.addEventListener('click', () => applyReminder(getPresetTime(button.dataset.preset)));
+  });
+
+  document.getElementById('saveReminderBtn').addEventListener('click', () => {
+    const value = document.getElementById('reminderDateTime').value;
+    if (value) {
+      applyReminder(new Date(value));
+    }
+  });
+
+  document.getElementById('clearReminderBtn').addEventListener('click', () => applyReminder(null));
+  document.getElementById('closeReminderModalBtn').addEventListener('click', closeReminderModal);
+  document.getElementById('cancelReminderBtn').addEventListener('click', closeReminderModal);
+
+  // Reminders can be set or changed elsewhere (e.g. on another device, then synced)
+  storage.subscribe(event => {
+    if (event.cleared || (event.putPosts && event.putPosts.length > 0)) {
+      clearTimeout(reminderTimer);
+      reminderTimer = setTimeout(checkReminders, 0);
+    }
+  });
+
+  // Posts are loaded after setup, and again after a login or logout
+  document.addEventListener('postsRendered', () => {
+    if (!reminderTimer) {
+      checkReminders();
+    }
+  });
+
+  // Timers are throttled in background tabs, so check again when the app comes back
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') {
+      checkReminders();
+    }
+  });
+
+  // Clicking a reminder notification brings its post into view
+  if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.addEventListener('message', (event) => {
+      if (event.data && event.data.type === 'open-reminder') {
+        const postElement = document.querySelector(`.post-card[data-id="${event.data.postId}"]`);
+        if (postElement) {
+          postElement.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        }
+      }
+    });
+  }
+
+  checkReminders();
+  console.log('Reminders set up');
+}
@@ -3,8 +3,8 @@
  * Handles efficient rendering of posts and UI updates
  */
 
-import { loadPosts } from './postManager.js';
-import { getPostById, updateSinglePostInUI } from './postManager.js';
+import { updateSinglePostInUI } from './postManager.js';
+import { getPosts, getPost } from './storage/index.js';
 
 class RenderManager {
   constructor() {
@@ -55,14 +55,14 @@ class RenderManager {
       if (this.pendingRenders.has('all')) {
         // Full render
         console.log('Performing full render');
-        const posts = loadPosts(true); // Skip auto-render
+        const posts = getPosts();
         window.boardie.renderPosts(posts);
       } else {
         // Partial render for specific posts
         console.log(`Performing partial render for ${this.pendingRenders.size} posts`);
         
         for (const postId of this.pendingRenders) {
-          const post = getPostById(postId);
+          const post = getPost(postId);
           if (post) {
             updateSinglePostInUI(post);
           }
@@ -0,0 +1,362 @@
+/**
+ * Resurfacing for Boardie
+ * Brings back posts that were saved and forgotten, from the posts the board
+ * shows with all its filters: an "On this day" strip with the posts saved on
+ * the same day in earlier months and years, a Shuffle button that picks a few
+ * posts at random, mostly old, unread or untagged ones (see utils/resurface.js),
+ * and an optional daily digest card. The digest's posts are picked once a day
+ * per board and set of filters and kept, so opening one doesn't change the rest.
+ */
+
+import * as storage from './storage/index.js';
+import { getUrlHost } from './utils/canonicalUrl.js';
+import { getFetchedMetadata } from './utils/metadataFetcher.js';
+import { formatDay, getPostTagList } from './utils/insights.js';
+import {
+  getOnThisDayPosts,
+  describeMonthsAgo,
+  createSeededRandom,
+  sampleWeighted,
+  pickResurfacedPosts
+} from './utils/resurface.js';
+import { filterPostsForView, recordPostOpened } from './postManager.js';
+import { POST_STATUSES, getPostStatus } from './statusManager.js';
+import { getViewState } from './viewStateManager.js';
+import { isTrashViewOpen } from './trashManager.js';
+
+// Storage key prefix for the daily digest settings and today's picks
+const DAILY_DIGEST_KEY_PREFIX = 'boardie_daily_digest_';
+
+// Posts in the daily digest, and how many of them may come from "On this day"
+const DIGEST_SIZE = 4;
+const DIGEST_ON_THIS_DAY_COUNT = 2;
+
+// Posts picked by Shuffle
+const SHUFFLE_SIZE = 6;
+
+// Most posts in the "On this day" strip
+const ON_THIS_DAY_LIMIT = 20;
+
+// Milliseconds a card stays highlighted after "Show" brought it into view
+const HIGHLIGHT_DURATION = 2000;
+
+// IDs of the posts Shuffle picked, or null while it is closed
+let shuffledPostIds = null;
+
+/**
+ * Get the daily digest settings of the current user
+ * @returns {Object} `{ enabled, hiddenOn, day, picks }`: whether the digest is on, the day
+ *   it was hidden until tomorrow, and the post IDs picked on `day` per view
+ */
+function getDigestSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(`${DAILY_DIGEST_KEY_PREFIX}${storage.getStorageScope()}`)) || {};
+    return {
+      enabled: saved.enabled === true,
+      hiddenOn: saved.hiddenOn || null,
+      day: saved.day || null,
+      picks: saved.picks && typeof saved.picks === 'object' ? saved.picks : {}
+    };
+  } catch (error) {
+    console.error('Error reading daily digest settings:', error);
+    return { enabled: false, hiddenOn: null, day: null, picks: {} };
+  }
+}
+
+/**
+ * Save the daily digest settings of the current user
+ * @param {Object} settings From getDigestSettings()
+ */
+function saveDigestSettings(settings) {
+  localStorage.setItem(`${DAILY_DIGEST_KEY_PREFIX}${storage.getStorageScope()}`, JSON.stringify(settings));
+}
+
+/**
+ * Check whether a post is unread
+ * @param {Object} post The post
+ * @returns {boolean} True if the post is unread
+ */
+function isUnread(post) {
+  return getPostStatus(post) === POST_STATUSES.UNREAD;
+}
+
+/**
+ * Get the title to show for a post
+ * @param {Object} post The post
+ * @returns {string} The user's title, the fetched one, or else the link's host
+ */
+function getPostLabel(post) {
+  const title = (post.title || '').trim();
+  if (title) return title;
+
+  const metadata = getFetchedMetadata(post.url);
+  if (metadata && metadata.title) return metadata.title.trim();
+  return getUrlHost(post.url) || post.url;
+}
+
+/**
+ * Describe why a shuffled or digest post may be worth another look
+ * @param {Object} post The post
+ * @returns {string} E.g. "Saved 3/4/2024 · unread · untagged"
+ */
+function describePost(post) {
+  const parts = [];
+  const added = new Date(post.dateAdded || post.created_at);
+  if (!Number.isNaN(added.getTime())) parts.push(`Saved ${added.toLocaleDateString()}`);
+  if (isUnread(post)) parts.push('unread');
+  if (getPostTagList(post).length === 0) parts.push('untagged');
+  return parts.join(' · ');
+}
+
+/**
+ * Scroll a post's card into view and highlight it for a moment
+ * @param {string} id ID of the post
+ */
+function showPostOnBoard(id) {
+  const postElement = document.querySelector(`.post-card[data-id="${id}"]`);
+  if (!postElement) return;
+
+  postElement.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  postElement.classList.add('is-resurfaced');
+  setTimeout(() => postElement.classList.remove('is-resurfaced'), HIGHLIGHT_DURATION);
+}
+
+/**
+ * Create a list item for a resurfaced post
+ * Opening the link counts as opening the post, so an unread post is marked as read.
+ * @param {Object} post The post
+ * @param {string} detail Line shown under the title
+ * @param {string} [className] Extra classes, e.g. a fixed width for the strip
+ * @returns {HTMLElement} The list item
+ */
+function createResurfaceItem(post, detail, className = '') {
+  const item = document.createElement('li');
+  item.className = `min-w-0 rounded border border-gray-200 p-2 ${className}`;
+  item.dataset.id = post.id;
+
+  const link = document.createElement('a');
+  link.className = 'block text-sm font-medium text-gray-900 truncate hover:underline';
+  link.href = post.url;
+  link.target = '_blank';
+  link.rel = 'noopener noreferrer';
+  link.textContent = getPostLabel(post);
+  link.title = post.url;
+  link.addEventListener('click', () => recordPostOpened(post.id));
+
+  const footer = document.createElement('div');
+  footer.className = 'flex items-center gap-2';
+
+  const meta = document.createElement('p');
+  meta.className = 'text-xs text-gray-500 truncate';
+  meta.textContent = [post.platform || 'Website', detail].filter(Boolean).join(' · ');
+
+  const showButton = document.createElement('button');
+  showButton.type = 'button';
+  showButton.className = 'ml-auto shrink-0 text-xs text-blue-600 hover:text-blue-800';
+  showButton.textContent = 'Show';
+  showButton.title = 'Show this post on the board';
+  showButton.addEventListener('click', () => showPostOnBoard(post.id));
+
+  footer.appendChild(meta);
+  footer.appendChild(showButton);
+  item.appendChild(link);
+  item.appendChild(footer);
+  return item;
+}
+
+/**
+ * Get the key today's digest picks are kept under: the board with all its filters and search
+ * @returns {string} The key
+ */
+function getDigestViewKey() {
+  const { sort, trash, ...view } = getViewState();
+  return JSON.stringify(view);
+}
+
+/**
+ * Get today's digest posts for the current view, picking them if that wasn't done today
+ * Picks are seeded with the day, the user and the view, and kept until the
+ * next day for each board and set of filters. They are picked again when
+ * none of them is shown any more, e.g. after they were all read.
+ * @param {Array} posts The posts the board shows
+ * @param {Object} settings From getDigestSettings(); updated and saved when posts are picked
+ * @returns {Array<Object>} `{ post, detail }` for the picked posts still on the board
+ */
+function getDigestPosts(posts, settings) {
+  const today = formatDay(new Date());
+  const viewKey = getDigestViewKey();
+
+  if (settings.day !== today) {
+    settings.day = today;
+    settings.picks = {};
+  }
+
+  const onThisDay = getOnThisDayPosts(posts);
+  const monthsById = new Map(onThisDay.map(({ post, months }) => [post.id, months]));
+  const postsById = new Map(posts.map(post => [post.id, post]));
+  const cached = Array.isArray(settings.picks[viewKey]) ? settings.picks[viewKey] : [];
+
+  // Nothing is kept while the board is empty, e.g. before the posts are loaded
+  if (!cached.some(id => postsById.has(id)) && posts.length > 0) {
+    const random = createSeededRandom(`${today}|${storage.getStorageScope()}|${viewKey}`);
+    const fromThisDay = sampleWeighted(onThisDay, DIGEST_ON_THIS_DAY_COUNT, () => 1, random).map(({ post }) => post);
+    const rest = posts.filter(post => !fromThisDay.includes(post));
+    const picked = [...fromThisDay, ...pickResurfacedPosts(rest, DIGEST_SIZE - fromThisDay.length, { isUnread, random })];
+
+    settings.picks[viewKey] = picked.map(post => post.id);
+    saveDigestSettings(settings);
+    console.log(`Picked ${picked.length} posts for the daily digest`);
+  }
+
+  return (settings.picks[viewKey] || [])
+    .filter(id => postsById.has(id))
+    .map(id => {
+      const post = postsById.get(id);
+      const detail = monthsById.has(id) ? `Saved ${describeMonthsAgo(monthsById.get(id))}` : describePost(post);
+      return { post, detail };
+    });
+}
+
+/**
+ * Show the daily digest card, unless it is off, hidden for today or has no posts left
+ * @param {Array} posts The posts the board shows
+ */
+function renderDailyDigest(posts) {
+  const settings = getDigestSettings();
+  const dailyDigestBtn = document.getElementById('dailyDigestBtn');
+  dailyDigestBtn.setAttribute('aria-pressed', String(settings.enabled));
+  dailyDigestBtn.classList.toggle('bg-gray-900', settings.enabled);
+  dailyDigestBtn.classList.toggle('text-white', settings.enabled);
+  dailyDigestBtn.classList.toggle('border-gray-900', settings.enabled);
+
+  const today = new Date();
+  const visible = settings.enabled && settings.hiddenOn !== formatDay(today);
+  const items = visible ? getDigestPosts(posts, settings) : [];
+
+  document.getElementById('dailyDigestDate').textContent =
+    today.toLocaleDateString(undefined, { weekday: 'long', month: 'long', day: 'numeric' });
+  document.getElementById('dailyDigestList').replaceChildren(
+    ...items.map(({ post, detail }) => createResurfaceItem(post, detail))
+  );
+  document.getElementById('dailyDigest').classList.toggle('hidden', items.length === 0);
+}
+
+/**
+ * Show the "On this day" strip, unless no posts were saved on this day before
+ * @param {Array} posts The posts the board shows
+ */
+function renderOnThisDay(posts) {
+  const onThisDay = getOnThisDayPosts(posts);
+
+  document.getElementById('onThisDayCount').textContent =
+    onThisDay.length > ON_THIS_DAY_LIMIT ? `${ON_THIS_DAY_LIMIT} of ${onThisDay.length}` : String(onThisDay.length);
+  document.getElementById('onThisDayList').replaceChildren(
+    ...onThisDay.slice(0, ON_THIS_DAY_LIMIT)
+      .map(({ post, months }) => createResurfaceItem(post, describeMonthsAgo(months), 'w-56 shrink-0'))
+  );
+  document.getElementById('onThisDay').classList.toggle('hidden', onThisDay.length === 0);
+}
+
+/**
+ * Show the posts Shuffle picked that are still on the board
+ * @param {Array} posts The posts the board shows
+ */
+function renderShuffle(posts) {
+  const shuffleResults = document.getElementById('shuffleResults');
+  shuffleResults.classList.toggle('hidden', shuffledPostIds === null);
+  if (shuffledPostIds === null) return;
+
+  const postsById = new Map(posts.map(post => [post.id, post]));
+  const shuffled = shuffledPostIds.filter(id => postsById.has(id)).map(id => postsById.get(id));
+
+  document.getElementById('shuffleList').replaceChildren(
+    ...shuffled.map(post => createResurfaceItem(post, describePost(post)))
+  );
+  document.getElementById('shuffleEmptyMessage').classList.toggle('hidden', shuffled.length > 0);
+}
+
+/**
+ * Show the digest, "On this day" and Shuffle for the posts the board shows
+ * All of it is hidden while the trash is open.
+ */
+export function renderResurfacing() {
+  const resurfacePanel = document.getElementById('resurfacePanel');
+  if (!resurfacePanel) return;
+
+  if (isTrashViewOpen()) {
+    resurfacePanel.classList.add('hidden');
+    return;
+  }
+
+  const posts = filterPostsForView(storage.getPosts());
+  renderDailyDigest(posts);
+  renderOnThisDay(posts);
+  renderShuffle(posts);
+
+  const sections = ['dailyDigest', 'onThisDay', 'shuffleResults'];
+  resurfacePanel.classList.toggle('hidden', sections.every(id => document.getElementById(id).classList.contains('hidden')));
+}
+
+/**
+ * Pick a new random sample of the posts the board shows and show it
+ */
+export function shufflePosts() {
+  const posts = filterPostsForView(storage.getPosts());
+  shuffledPostIds = pickResurfacedPosts(posts, SHUFFLE_SIZE, { isUnread }).map(post => post.id);
+  console.log(`Shuffled ${shuffledPostIds.length} posts`);
+  renderResurfacing();
+}
+
+/**
+ * Close the Shuffle results
+ */
+function closeShuffle() {
+  shuffledPostIds = null;
+  renderResurfacing();
+}
+
+/**
+ * Turn the daily digest on or off for the current user
+ * Turning it on shows it again if it was hidden for today.
+ */
+function toggleDailyDigest() {
+  const settings = getDigestSettings();
+  settings.enabled = !settings.enabled;
+  settings.hiddenOn = null;
+  saveDigestSettings(settings);
+  console.log(`Daily digest turned ${settings.enabled ? 'on' : 'off'}`);
+  renderResurfacing();
+}
+
+/**
+ * Hide the daily digest until tomorrow
+ */
+function hideDailyDigest() {
+  const settings = getDigestSettings();
+  settings.hiddenOn = formatDay(new Date());
+  saveDigestSettings(settings);
+  renderResurfacing();
+}
+
+/**
+ * Set up the Shuffle and Daily digest buttons and the resurfacing panel
+ */
+export function setupResurfacing() {
+  const resurfacePanel = document.getElementById('resurfacePanel');
+  if (!resurfacePanel) {
+    console.log('Resurfacing elements not found in DOM');
+    return;
+  }
+
+  document.getElementById('shuffleBtn').addEventListener('click', shufflePosts);
+  document.getElementById('shuffleAgainBtn').addEventListener('click', shufflePosts);
+  document.getElementById('closeShuffleBtn').addEventListener('click', closeShuffle);
+  document.getElementById('dailyDigestBtn').addEventListener('click', toggleDailyDigest);
+  document.getElementById('hideDailyDigestBtn').addEventListener('click', hideDailyDigest);
+
+  // Follow the board and its filters, and hide everything in the trash
+  document.addEventListener('postsRendered', renderResurfacing);
+  document.addEventListener('viewChanged', renderResurfacing);
+
+  console.log('Resurfacing set up');
+}
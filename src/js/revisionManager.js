@@ -0,0 +1,324 @@
+/**
+ * Revision history for Boardie
+ * Every edit to a post's URL, title, description, notes or tags is appended to
+ * the post's history with the time and the device it was made on. The history
+ * is shown in the edit modal, where any earlier version can be restored.
+ * Old revisions are pruned so the history doesn't grow without bound.
+ */
+
+import * as storage from './storage/index.js';
+import { getPostTagNames, getRevisionChanges, getExpiredRevisions } from './utils/revisions.js';
+import { getPostById, updatePost } from './postManager.js';
+import { showUndoToast } from './historyManager.js';
+
+// Storage key for the name of this device
+const DEVICE_NAME_KEY = 'boardie_device_name';
+
+// Labels for the tracked fields, in the order they are listed
+const FIELD_LABELS = {
+  url: 'URL',
+  title: 'title',
+  description: 'description',
+  notes: 'notes',
+  tags: 'tags'
+};
+
+/**
+ * Get a name for this device, e.g. "Firefox on Android"
+ * Worked out from the user agent once and then kept, so it stays stable.
+ * @returns {string} Device name
+ */
+export function getDeviceName() {
+  const saved = localStorage.getItem(DEVICE_NAME_KEY);
+  if (saved) return saved;
+
+  const userAgent = navigator.userAgent || '';
+  const browser = /Edg\//.test(userAgent) ? 'Edge'
+    : /Firefox\//.test(userAgent) ? 'Firefox'
+    : /Chrome\//.test(userAgent) ? 'Chrome'
+    : /Safari\//.test(userAgent) ? 'Safari'
+    : 'Browser';
+  const system = /Android/.test(userAgent) ? 'Android'
+    : /iPhone|iPad|iPod/.test(userAgent) ? 'iOS'
+    : /Windows/.test(userAgent) ? 'Windows'
+    : /Mac OS X/.test(userAgent) ? 'macOS'
+    : /Linux/.test(userAgent) ? 'Linux'
+    : 'unknown device';
+
+  const name = `${browser} on ${system}`;
+  localStorage.setItem(DEVICE_NAME_KEY, name);
+  return name;
+}
+
+/**
+ * Create a revision holding a version of a post
+ * @param {Object} post The post as it is in this version
+ * @param {Object} fields Other revision fields, e.g. `{ changes, device, dateAdded }`
+ * @returns {Object} The revision
+ */
+function createRevision(post, fields) {
+  return {
+    id: crypto.randomUUID(),
+    postId: post.id,
+    url: post.url,
+    title: post.title || '',
+    description: post.description || '',
+    notes: post.notes || '',
+    tags: getPostTagNames(post),
+    changes: [],
+    addedTags: [],
+    removedTags: [],
+    device: null,
+    ...fields
+  };
+}
+
+/**
+ * Get the revisions of a post, newest first
+ * @param {string} postId ID of the post
+ * @returns {Array} Revisions
+ */
+export function getRevisionsForPost(postId) {
+  return storage.getRevisions()
+    .filter(revision => revision.postId === postId)
+    .sort((a, b) => new Date(b.dateAdded) - new Date(a.dateAdded));
+}
+
+/**
+ * Remove the revisions of posts inside a storage transaction
+ * Used when posts are deleted for good.
+ * @param {Object} tx Storage transaction
+ * @param {Array<string>} postIds IDs of the posts
+ */
+export function removePostRevisions(tx, postIds) {
+  const ids = new Set(postIds);
+  tx.deleteRevisions(tx.getRevisions()
+    .filter(revision => ids.has(revision.postId))
+    .map(revision => revision.id));
+}
+
+/**
+ * Add a revision for a change to a post, if a tracked field changed
+ * The first revision of a post also keeps the version it started from, so
+ * that version can be restored too.
+ * @param {Object} before The post before the change
+ * @param {Object} after The post after the change
+ * @returns {Object|null} The new revision, or null if nothing tracked changed
+ */
+export function recordRevision(before, after) {
+  if (!before || !after) return null;
+
+  const diff = getRevisionChanges(before, after);
+  if (!diff) return null;
+
+  const now = new Date().toISOString();
+  const revision = createRevision(after, { ...diff, device: getDeviceName(), dateAdded: now });
+
+  try {
+    storage.transaction(tx => {
+      const revisions = tx.getRevisions().filter(item => item.postId === after.id);
+
+      if (revisions.length === 0) {
+        const original = createRevision(before, { dateAdded: before.dateAdded || now });
+        tx.putRevision(original);
+        revisions.push(original);
+      }
+
+      tx.putRevision(revision);
+      revisions.push(revision);
+
+      tx.deleteRevisions(getExpiredRevisions(revisions).map(item => item.id));
+    });
+
+    console.log(`Recorded revision for post ${after.id}: ${diff.changes.join(', ')}`);
+  } catch (error) {
+    console.error('Error recording revision:', error);
+    return null;
+  }
+
+  return revision;
+}
+
+/**
+ * Describe what a revision changed
+ * @param {Object} revision The revision
+ * @returns {string} Short summary, e.g. "Changed URL and notes · +news −tech"
+ */
+function describeRevision(revision) {
+  if (!revision.changes || revision.changes.length === 0) {
+    return 'Original version';
+  }
+
+  const fields = revision.changes.map(field => FIELD_LABELS[field] || field);
+  const last = fields.pop();
+  let summary = `Changed ${fields.length > 0 ? `${fields.join(', ')} and ${last}` : last}`;
+
+  const tagChanges = [
+    ...(revision.addedTags || []).map(name => `+${name}`),
+    ...(revision.removedTags || []).map(name => `−${name}`)
+  ];
+  if (tagChanges.length > 0) {
+    summary += ` · ${tagChanges.join(' ')}`;
+  }
+
+  return summary;
+}
+
+/**
+ * Check whether a post currently matches a revision
+ * @param {Object} post The post
+ * @param {Object} revision The revision
+ * @returns {boolean} True if restoring the revision wouldn't change anything
+ */
+function isCurrentVersion(post, revision) {
+  return getRevisionChanges(post, revision) === null;
+}
+
+/**
+ * Create a list item for a revision
+ * @param {Object} revision The revision
+ * @param {boolean} current Whether the post currently matches the revision
+ * @returns {HTMLElement} The list item
+ */
+function createRevisionItem(revision, current) {
+  const item = document.createElement('li');
+  item.className = 'flex items-start justify-between gap-3 py-2';
+  item.dataset.id = revision.id;
+
+  const details = document.createElement('div');
+  details.className = 'min-w-0 flex-1';
+
+  const summary = document.createElement('p');
+  summary.className = 'text-sm text-gray-900';
+  summary.textContent = describeRevision(revision);
+
+  const url = document.createElement('p');
+  url.className = 'text-xs text-gray-600 truncate';
+  url.textContent = revision.url;
+
+  const meta = document.createElement('p');
+  meta.className = 'text-xs text-gray-500';
+  meta.textContent = [new Date(revision.dateAdded).toLocaleString(), revision.device].filter(Boolean).join(' · ');
+
+  details.appendChild(summary);
+  details.appendChild(url);
+  details.appendChild(meta);
+  item.appendChild(details);
+
+  if (current) {
+    const label = document.createElement('span');
+    label.className = 'text-xs text-gray-400 shrink-0';
+    label.textContent = 'Current';
+    item.appendChild(label);
+  } else {
+    const restoreButton = document.createElement('button');
+    restoreButton.type = 'button';
+    restoreButton.className = 'restore-revision-btn text-xs text-blue-600 hover:text-blue-800 shrink-0';
+    restoreButton.textContent = 'Restore this version';
+    item.appendChild(restoreButton);
+  }
+
+  return item;
+}
+
+/**
+ * Render the history of a post in the edit modal
+ * @param {string} postId ID of the post
+ */
+export function renderRevisionHistory(postId) {
+  const list = document.getElementById('editPostRevisions');
+  const emptyMessage = document.getElementById('editPostRevisionsEmpty');
+  if (!list) return;
+
+  const post = getPostById(postId);
+  const revisions = post ? getRevisionsForPost(postId) : [];
+  const currentId = revisions.find(revision => isCurrentVersion(post, revision))?.id;
+
+  list.innerHTML = '';
+  revisions.forEach(revision => list.appendChild(createRevisionItem(revision, revision.id === currentId)));
+
+  list.classList.toggle('hidden', revisions.length === 0);
+  emptyMessage.classList.toggle('hidden', revisions.length > 0);
+}
+
+/**
+ * Fill the edit form with a post's current values
+ * @param {Object} post The post
+ */
+function fillEditForm(post) {
+  document.getElementById('editLinkUrl').value = post.url;
+  document.getElementById('editLinkTags').value = getPostTagNames(post).join(', ');
+  document.getElementById('editLinkTitle').value = post.title || '';
+  document.getElementById('editLinkDescription').value = post.description || '';
+  document.getElementById('editLinkNotes').value = post.notes || '';
+}
+
+/**
+ * Restore a post to the version stored in a revision
+ * The restore is itself recorded as a new revision, so nothing is lost.
+ * @param {string} revisionId ID of the revision
+ * @returns {boolean} True if the post was changed
+ */
+export function restoreRevision(revisionId) {
+  const revision = storage.getRevisions().find(item => item.id === revisionId);
+  const post = revision ? getPostById(revision.postId) : null;
+  if (!post) {
+    console.error('Revision or post not found:', revisionId);
+    return false;
+  }
+
+  // Keep the colors of tags that still exist
+  const colors = new Map();
+  storage.getTags().forEach(tag => colors.set(tag.name, tag.color));
+  post.tags.forEach(tag => {
+    if (typeof tag === 'object' && tag !== null) colors.set(tag.name, tag.color);
+  });
+  const tags = revision.tags.map(name => ({ name, color: colors.get(name) || '#cccccc' }));
+
+  const { title, description, notes } = revision;
+  const restored = updatePost(post.id, revision.url, tags, false, true, { title, description, notes });
+
+  if (restored) {
+    console.log(`Restored post ${post.id} to revision ${revisionId}`);
+    showUndoToast(`Restored version from ${new Date(revision.dateAdded).toLocaleString()}`);
+
+    if (window.boardie && window.boardie.isAuthenticated) {
+      import('./database/sync/postSyncService.js')
+        .then(({ queuePostSync }) => queuePostSync(post.id, revision.url))
+        .catch(error => console.error('Error queuing post sync:', error));
+    }
+  }
+
+  return restored;
+}
+
+/**
+ * Set up the revision history in the edit modal
+ */
+export function setupRevisions() {
+  const list = document.getElementById('editPostRevisions');
+
+  if (!list) {
+    console.log('Revision history elements not found in DOM');
+    return;
+  }
+
+  list.addEventListener('click', (e) => {
+    const restoreButton = e.target.closest('.restore-revision-btn');
+    if (!restoreButton) return;
+
+    const revisionId = restoreButton.closest('li')?.dataset.id;
+    const postId = document.getElementById('editPostId').value;
+    if (!revisionId || !postId) return;
+
+    if (restoreRevision(revisionId)) {
+      const post = getPostById(postId);
+      if (post) {
+        fillEditForm(post);
+      }
+    }
+    renderRevisionHistory(postId);
+  });
+
+  console.log('Revision history set up');
+}
@@ -0,0 +1,526 @@
+/**
+ * Full-text search for Boardie
+ * Searches URLs, titles, descriptions, notes, tags, platform and fetched page
+ * metadata through an inverted index that is kept up to date from storage
+ * changes. While a search is active the board only shows matching posts,
+ * ordered by relevance, with the matched words highlighted on the cards.
+ * Queries can use operators such as `tag:`, `site:`, `is:`, quoted phrases and
+ * OR groups (see utils/searchQuery.js). The view state manager keeps the
+ * current query in the page URL as `?q=`.
+ */
+
+import * as storage from './storage/index.js';
+import { SearchIndex, tokenize } from './utils/searchIndex.js';
+import { parseSearchQuery, isPlainTextQuery, getPositiveTerms } from './utils/searchQuery.js';
+import { postMatchesLinkFilter } from './utils/linkHealth.js';
+import { getFetchedMetadata } from './utils/metadataFetcher.js';
+import { getPlatformFromUrl, postHasTag } from './utils.js';
+import { getPostStatus, POST_STATUSES } from './statusManager.js';
+import { isPostPinned, isPostFavorite } from './pinManager.js';
+import { filterPostsByTags, getActiveTagFilters } from './postManager.js';
+
+// Weight of each field when ranking results
+const FIELD_WEIGHTS = {
+  title: 6,
+  tags: 5,
+  description: 3,
+  url: 3,
+  notes: 2,
+  platform: 2,
+  metadata: 1
+};
+
+// Milliseconds to wait after a keystroke before searching
+const SEARCH_DELAY = 150;
+
+// Card parts in which matches are highlighted
+const HIGHLIGHT_SELECTORS = ['.post-caption-title', '.post-caption-description', '.post-notes-content', '.post-tags'];
+
+let index = null;
+let indexScope = null;
+let searchQuery = '';
+
+// Parsed form of the last query without errors; null when not searching
+let searchAst = null;
+
+// Result of the current query, cleared when the index changes
+let cachedScores = null;
+
+// Results of other queries (e.g. smart boards) by query, cleared when the index changes
+const queryScoresCache = new Map();
+
+/**
+ * Get the text of a post for each indexed field
+ * @param {Object} post The post
+ * @returns {Object} Text by field
+ */
+function getSearchFields(post) {
+  const metadata = getFetchedMetadata(post.url);
+
+  return {
+    title: post.title,
+    description: post.description,
+    notes: post.notes,
+    tags: (post.tags || []).map(tag => (typeof tag === 'object' && tag !== null ? tag.name : tag)).join(' '),
+    url: post.url,
+    platform: post.platform,
+    metadata: metadata ? [metadata.title, metadata.description, metadata.siteName, metadata.author].filter(Boolean).join(' ') : ''
+  };
+}
+
+/**
+ * Get the index for the current user, building it if needed
+ * @returns {SearchIndex} The search index
+ */
+function getIndex() {
+  const scope = storage.getStorageScope();
+
+  if (!index || indexScope !== scope) {
+    const startTime = performance.now();
+    index = new SearchIndex(FIELD_WEIGHTS);
+    indexScope = scope;
+    cachedScores = null;
+    queryScoresCache.clear();
+    storage.getPosts().forEach(post => index.add(post.id, getSearchFields(post)));
+    console.log(`Built search index for ${index.size} posts in ${Math.round(performance.now() - startTime)}ms`);
+  }
+
+  return index;
+}
+
+/**
+ * Get the current search query
+ * @returns {string} The query, or an empty string when not searching
+ */
+export function getSearchQuery() {
+  return searchQuery;
+}
+
+/**
+ * Check whether a search is active
+ * @returns {boolean} True if the board is filtered by a search
+ */
+export function isSearchActive() {
+  return searchAst !== null;
+}
+
+/**
+ * Check whether a parsed query has a read-later status term that isn't excluded
+ * @param {Object|null} ast Parsed query
+ * @returns {boolean} True if the query picks posts by status
+ */
+function filtersStatus(ast) {
+  return getPositiveTerms(ast).some(node => node.type === 'field' && node.field === 'is' &&
+    Object.values(POST_STATUSES).includes(node.value));
+}
+
+/**
+ * Check whether the search picks posts by read-later status (is:unread, is:read, is:archived)
+ * The status filter in the filter bar is ignored while it does, so archived posts can be found.
+ * @returns {boolean} True if the query has a status term that isn't excluded
+ */
+export function isSearchFilteringStatus() {
+  return filtersStatus(searchAst);
+}
+
+/**
+ * Check whether a query other than the current one picks posts by read-later status
+ * @param {string} query The query
+ * @returns {boolean} True if the query has a status term that isn't excluded
+ */
+export function queryFiltersStatus(query) {
+  return filtersStatus(parseSearchQuery(query).ast);
+}
+
+/**
+ * Get the host of a post's link without www.
+ * @param {string} url The link
+ * @returns {string} Lowercase host, or an empty string if the link is invalid
+ */
+function getHost(url) {
+  try {
+    const text = String(url || '').trim();
+    const parsed = new URL(/^[a-z][a-z\d+.-]*:\/\//i.test(text) ? text : `https://${text}`);
+    return parsed.hostname.toLowerCase().replace(/^www\./, '');
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * Get the time a post was saved
+ * @param {Object} post The post
+ * @returns {number} Timestamp, or NaN if the post has no valid date
+ */
+function getPostTime(post) {
+  return new Date(post.dateAdded || post.created_at).getTime();
+}
+
+/**
+ * Check whether a post matches a filter such as tag:design
+ * @param {Object} post The post
+ * @param {Object} node Field node from the query
+ * @returns {boolean} True if the post matches
+ */
+function matchesField(post, node) {
+  switch (node.field) {
+    case 'tag':
+      return postHasTag(post, node.value);
+    case 'platform':
+      return String(post.platform || getPlatformFromUrl(post.url || '')).toLowerCase() === node.value;
+    case 'site': {
+      const host = getHost(post.url);
+      return host === node.value || host.endsWith(`.${node.value}`);
+    }
+    case 'before':
+      return getPostTime(post) < node.value;
+    case 'after': {
+      // after:2025-01-01 starts with the next day
+      const nextDay = new Date(node.value);
+      nextDay.setDate(nextDay.getDate() + 1);
+      return getPostTime(post) >= nextDay.getTime();
+    }
+    case 'is':
+      if (node.value === 'pinned') return isPostPinned(post);
+      if (node.value === 'favorite') return isPostFavorite(post);
+      if (node.value === 'untagged') return !Array.isArray(post.tags) || post.tags.length === 0;
+      return getPostStatus(post) === node.value;
+    case 'link':
+      return postMatchesLinkFilter(post, node.value);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Check whether the words of a phrase appear one after another in a post
+ * The last word may be the start of a longer word, like in plain search.
+ * @param {Object} post The post
+ * @param {Array<string>} words Words of the phrase
+ * @returns {boolean} True if one of the post's fields contains the phrase
+ */
+function containsPhrase(post, words) {
+  const last = words.length - 1;
+
+  return Object.values(getSearchFields(post)).some(text => {
+    const tokens = tokenize(text);
+    for (let start = 0; start + last < tokens.length; start++) {
+      const found = words.every((word, i) => (i === last ? tokens[start + i].startsWith(word) : tokens[start + i] === word));
+      if (found) return true;
+    }
+    return false;
+  });
+}
+
+/**
+ * Run a query that uses operators against every post
+ * Words are still looked up in the index, so only phrases read the posts' text.
+ * @param {Object} ast Parsed query
+ * @returns {Map<string, number>} Relevance score by post ID
+ */
+function evaluateQuery(ast) {
+  const searchIndex = getIndex();
+  const wordScores = new Map();
+  const getWordScores = word => {
+    if (!wordScores.has(word)) {
+      wordScores.set(word, searchIndex.search(word) || new Map());
+    }
+    return wordScores.get(word);
+  };
+
+  const matches = (post, node) => {
+    switch (node.type) {
+      case 'and':
+        return node.children.every(child => matches(post, child));
+      case 'or':
+        return node.children.some(child => matches(post, child));
+      case 'not':
+        return !matches(post, node.child);
+      case 'field':
+        return matchesField(post, node);
+      case 'text':
+        return node.words.every(word => getWordScores(word).has(post.id)) &&
+          (!node.phrase || containsPhrase(post, node.words));
+      default:
+        return false;
+    }
+  };
+
+  // Matching posts are ranked by the words they were found by
+  const rankingWords = getPositiveTerms(ast).filter(node => node.type === 'text').flatMap(node => node.words);
+
+  const scores = new Map();
+  storage.getPosts().forEach(post => {
+    if (!matches(post, ast)) return;
+    const score = rankingWords.reduce((total, word) => total + (getWordScores(word).get(post.id) || 0), 0);
+    scores.set(post.id, score);
+  });
+  return scores;
+}
+
+/**
+ * Score the posts that match a parsed query
+ * @param {Object} ast Parsed query
+ * @returns {Map<string, number>} Relevance score by post ID
+ */
+function scoreQuery(ast) {
+  return isPlainTextQuery(ast)
+    ? getIndex().search(getPositiveTerms(ast).flatMap(node => node.words).join(' '))
+    : evaluateQuery(ast);
+}
+
+/**
+ * Get the relevance of the posts that match the current search
+ * @returns {Map<string, number>|null} Score by post ID, or null when not searching
+ */
+export function getSearchScores() {
+  if (!isSearchActive()) return null;
+
+  if (!cachedScores) {
+    cachedScores = scoreQuery(searchAst);
+  }
+  return cachedScores;
+}
+
+/**
+ * Get the posts that match any query, without changing the current search
+ * @param {string} query The query
+ * @returns {Map<string, number>|null} Score by post ID, or null if the query is empty or has an error
+ */
+export function getQueryScores(query) {
+  const { ast } = parseSearchQuery(query);
+  if (!ast) return null;
+
+  // Rebuilding the index for another user clears the cache, so do that first
+  getIndex();
+  if (!queryScoresCache.has(query)) {
+    queryScoresCache.set(query, scoreQuery(ast));
+  }
+  return queryScoresCache.get(query);
+}
+
+/**
+ * Get the words to highlight for the current search
+ * @returns {Array<string>} Words and tag names that aren't excluded, longest first
+ */
+function getHighlightWords() {
+  const words = getPositiveTerms(searchAst).flatMap(node => {
+    if (node.type === 'text') return node.words;
+    if (node.type === 'field' && node.field === 'tag') return tokenize(node.value);
+    return [];
+  });
+  return Array.from(new Set(words)).sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Remove the highlights from a card
+ * @param {HTMLElement} postElement The post card element
+ */
+function clearHighlights(postElement) {
+  postElement.querySelectorAll('mark.search-highlight').forEach(mark => {
+    const parent = mark.parentNode;
+    parent.replaceChild(document.createTextNode(mark.textContent), mark);
+    parent.normalize();
+  });
+}
+
+/**
+ * Highlight the words of the current search on a card
+ * Notes that contain a match are expanded.
+ * @param {HTMLElement} postElement The post card element
+ */
+export function highlightSearchMatches(postElement) {
+  if (!postElement) return;
+  clearHighlights(postElement);
+
+  const words = getHighlightWords();
+  if (words.length === 0) return;
+
+  // Match whole words and the start of longer words, like the index does
+  const escaped = words.map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${escaped.join('|')})`, 'giu');
+
+  HIGHLIGHT_SELECTORS.forEach(selector => {
+    postElement.querySelectorAll(selector).forEach(container => {
+      const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT);
+      const textNodes = [];
+      while (walker.nextNode()) {
+        textNodes.push(walker.currentNode);
+      }
+
+      let found = false;
+      textNodes.forEach(node => {
+        const text = node.textContent;
+        const matches = Array.from(text.matchAll(pattern));
+        if (matches.length === 0) return;
+
+        const fragment = document.createDocumentFragment();
+        let lastIndex = 0;
+        matches.forEach(match => {
+          fragment.appendChild(document.createTextNode(text.slice(lastIndex, match.index)));
+          const mark = document.createElement('mark');
+          mark.className = 'search-highlight';
+          mark.textContent = match[0];
+          fragment.appendChild(mark);
+          lastIndex = match.index + match[0].length;
+        });
+        fragment.appendChild(document.createTextNode(text.slice(lastIndex)));
+        node.parentNode.replaceChild(fragment, node);
+        found = true;
+      });
+
+      if (found && selector === '.post-notes-content') {
+        const notes = container.closest('details');
+        if (notes) notes.open = true;
+      }
+    });
+  });
+}
+
+/**
+ * Show or hide the message for a query that can't be parsed
+ * @param {Object|null} error `{ message, start, end }` from parseSearchQuery, or null
+ */
+function showQueryError(error) {
+  const searchInput = document.getElementById('searchInput');
+  const searchError = document.getElementById('searchError');
+
+  if (searchInput) {
+    searchInput.classList.toggle('border-red-500', Boolean(error));
+    searchInput.setAttribute('aria-invalid', String(Boolean(error)));
+  }
+  if (searchError) {
+    searchError.textContent = error ? error.message : '';
+    searchError.classList.toggle('hidden', !error);
+  }
+}
+
+/**
+ * Search posts and show the results on the board
+ * If the query can't be parsed, the error is shown under the search bar and
+ * the previous results stay on the board. If the query matches the same posts
+ * as before (e.g. while typing the rest of a word), the cards are kept and
+ * only their highlights are updated.
+ * @param {string} query The query
+ * @param {boolean} [render=true] Whether to update the board right away
+ */
+export function setSearchQuery(query, render = true) {
+  searchQuery = query;
+
+  // The results may not change, so don't wait for a render to update the page URL
+  document.dispatchEvent(new CustomEvent('viewChanged'));
+
+  const { ast, error } = parseSearchQuery(query);
+  showQueryError(error);
+  if (error) {
+    console.log(`Search query error at ${error.start}: ${error.message}`);
+    return;
+  }
+
+  const previousScores = getSearchScores();
+  searchAst = ast;
+  cachedScores = null;
+  if (!render) return;
+
+  const scores = getSearchScores();
+  const sameResults = previousScores && scores && previousScores.size === scores.size &&
+    Array.from(scores.keys()).every(id => previousScores.has(id));
+
+  if (sameResults) {
+    document.querySelectorAll('#postsGrid .post-card').forEach(highlightSearchMatches);
+    return;
+  }
+
+  const trashView = document.getElementById('trashView');
+  if (!trashView || trashView.classList.contains('hidden')) {
+    filterPostsByTags(getActiveTagFilters());
+  }
+}
+
+/**
+ * Show how many posts match the search
+ * @param {number} count Number of posts on the board
+ */
+function updateSearchStatus(count) {
+  const resultCount = document.getElementById('searchResultCount');
+  const noResults = document.getElementById('searchNoResults');
+  const active = isSearchActive();
+
+  if (resultCount) {
+    resultCount.textContent = `${count} ${count === 1 ? 'result' : 'results'}`;
+    resultCount.classList.toggle('hidden', !active);
+  }
+  if (noResults) {
+    noResults.classList.toggle('hidden', !active || count > 0);
+  }
+}
+
+/**
+ * Set up the search bar and keep the index up to date
+ */
+export function setupSearch() {
+  const searchInput = document.getElementById('searchInput');
+
+  if (!searchInput) {
+    console.log('Search elements not found in DOM');
+    return;
+  }
+
+  let searchTimer = null;
+  searchInput.addEventListener('input', () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => setSearchQuery(searchInput.value), SEARCH_DELAY);
+  });
+
+  searchInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      clearTimeout(searchTimer);
+      searchInput.value = '';
+      setSearchQuery('');
+      searchInput.blur();
+    }
+  });
+
+  // Press / to jump to the search bar
+  document.addEventListener('keydown', (e) => {
+    if (e.key !== '/' || e.ctrlKey || e.metaKey || e.altKey) return;
+    if (e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+
+    e.preventDefault();
+    searchInput.focus();
+  });
+
+  // Keep the index in step with added, edited and deleted posts
+  storage.subscribe(event => {
+    if (!index || event.scope !== indexScope) return;
+
+    if (event.cleared) {
+      index = null;
+      cachedScores = null;
+      queryScoresCache.clear();
+      return;
+    }
+
+    if (event.putPosts.length === 0 && event.deletePostIds.length === 0) return;
+
+    event.deletePostIds.forEach(id => index.remove(id));
+    event.putPosts.forEach(post => index.add(post.id, getSearchFields(post)));
+    cachedScores = null;
+    queryScoresCache.clear();
+  });
+
+  // Page metadata is fetched after a card is shown, so add it to the index when it arrives
+  document.addEventListener('metadataFetched', (e) => {
+    if (!index || indexScope !== storage.getStorageScope()) return;
+
+    storage.getPosts()
+      .filter(post => post.url === e.detail.url)
+      .forEach(post => index.add(post.id, getSearchFields(post)));
+    cachedScores = null;
+    queryScoresCache.clear();
+  });
+
+  document.addEventListener('postsRendered', (e) => updateSearchStatus(e.detail.count));
+
+  console.log('Search set up');
+}
@@ -0,0 +1,292 @@
+/**
+ * Sections for Boardie
+ * Sections split a board into ordered, collapsible groups such as "To watch"
+ * or "References". Each board has its own sections, and so does "All posts".
+ * A post is in at most one section per board; posts that aren't in one are
+ * shown above the sections.
+ */
+
+import * as storage from './storage/index.js';
+import { getCurrentBoardId } from './boardManager.js';
+
+/**
+ * Get the sections of a board in their display order
+ * @param {string|null} [boardId] Board ID, defaults to the board being viewed; null for all posts
+ * @returns {Array} Array of sections
+ */
+export function getSectionsForBoard(boardId = getCurrentBoardId()) {
+  return storage.getSections()
+    .filter(section => (section.boardId || null) === boardId)
+    .sort((a, b) => a.position - b.position);
+}
+
+/**
+ * Get the IDs of the sections a post is in, across all boards
+ * @param {Object} post The post
+ * @returns {Array<string>} Section IDs
+ */
+export function getPostSectionIds(post) {
+  return post && Array.isArray(post.sectionIds) ? post.sectionIds : [];
+}
+
+/**
+ * Get the section a post is in on a board
+ * @param {Object} post The post
+ * @param {string|null} [boardId] Board ID, defaults to the board being viewed
+ * @returns {string|null} Section ID, or null if the post isn't in a section there
+ */
+export function getPostSectionId(post, boardId = getCurrentBoardId()) {
+  const boardSectionIds = new Set(getSectionsForBoard(boardId).map(section => section.id));
+  return getPostSectionIds(post).find(id => boardSectionIds.has(id)) || null;
+}
+
+/**
+ * Work out a post's section IDs after putting it in a section
+ * The post leaves any other section on the same board.
+ * @param {Object} post The post
+ * @param {string|null} sectionId Section ID, or null to take the post out of its section
+ * @param {string|null} [boardId] Board ID, defaults to the board being viewed
+ * @returns {Array<string>} The new section IDs
+ */
+export function getSectionIdsWith(post, sectionId, boardId = getCurrentBoardId()) {
+  const boardSectionIds = new Set(getSectionsForBoard(boardId).map(section => section.id));
+  const sectionIds = getPostSectionIds(post).filter(id => !boardSectionIds.has(id));
+  return sectionId ? [...sectionIds, sectionId] : sectionIds;
+}
+
+/**
+ * Queue a section to be synced to Supabase if the user is logged in
+ * @param {string} id ID of the section
+ */
+function queueSync(id) {
+  if (!window.boardie || !window.boardie.isAuthenticated) return;
+
+  import('./database/sync/sectionSyncService.js')
+    .then(({ queueSectionSync }) => queueSectionSync(id))
+    .catch(error => console.error('Error queuing section sync:', error));
+}
+
+/**
+ * Add a section at the bottom of a board
+ * @param {string} name Section name
+ * @param {string|null} [boardId] Board ID, defaults to the board being viewed
+ * @returns {Object} The new section
+ */
+export function createSection(name, boardId = getCurrentBoardId()) {
+  const sections = getSectionsForBoard(boardId);
+  const now = new Date().toISOString();
+  const section = {
+    // Sections keep this ID in Supabase too, so it has to be a UUID
+    id: crypto.randomUUID(),
+    boardId,
+    name,
+    position: sections.length > 0 ? sections[sections.length - 1].position + 1 : 1,
+    collapsed: false,
+    dateAdded: now,
+    lastUpdated: now
+  };
+
+  storage.putSection(section);
+  queueSync(section.id);
+  console.log('Created section:', section.id);
+  return section;
+}
+
+/**
+ * Update a section's name or collapsed state
+ * @param {string} id ID of the section
+ * @param {Object} fields Fields to change
+ * @returns {Object|null} The updated section, or null if it doesn't exist
+ */
+export function updateSection(id, fields) {
+  const section = storage.getSection(id);
+  if (!section) {
+    console.error('Cannot update missing section:', id);
+    return null;
+  }
+
+  const updatedSection = { ...section, ...fields, lastUpdated: new Date().toISOString() };
+  storage.putSection(updatedSection);
+  queueSync(id);
+  console.log('Updated section:', id);
+  return updatedSection;
+}
+
+/**
+ * Delete a section
+ * Its posts stay on the board, outside any section.
+ * @param {string} id ID of the section
+ */
+export function deleteSection(id) {
+  storage.transaction(tx => {
+    tx.deleteSection(id);
+
+    // Supabase removes the section_posts entries along with the section, so
+    // the posts are changed without bumping lastUpdated or syncing them
+    tx.getPosts()
+      .filter(post => getPostSectionIds(post).includes(id))
+      .forEach(post => tx.putPost({ ...post, sectionIds: getPostSectionIds(post).filter(sectionId => sectionId !== id) }));
+  });
+
+  queueSync(id);
+  console.log('Deleted section:', id);
+}
+
+/**
+ * Swap a section with the one above or below it
+ * @param {string} id ID of the section
+ * @param {number} direction -1 to move up, 1 to move down
+ * @returns {boolean} True if the section was moved
+ */
+export function moveSection(id, direction) {
+  const section = storage.getSection(id);
+  if (!section) return false;
+
+  const sections = getSectionsForBoard(section.boardId || null);
+  const index = sections.findIndex(other => other.id === id);
+  const neighbour = sections[index + direction];
+  if (!neighbour) return false;
+
+  const now = new Date().toISOString();
+  storage.transaction(tx => {
+    tx.putSection({ ...section, position: neighbour.position, lastUpdated: now });
+    tx.putSection({ ...neighbour, position: section.position, lastUpdated: now });
+  });
+
+  queueSync(section.id);
+  queueSync(neighbour.id);
+  console.log(`Moved section ${id} ${direction < 0 ? 'up' : 'down'}`);
+  return true;
+}
+
+/**
+ * Create the block a section's posts are rendered into
+ * @param {Object|null} section The section, or null for posts that aren't in one
+ * @returns {HTMLElement} The section block; cards go into its `.post-section-grid`
+ */
+export function createSectionBlock(section) {
+  const sectionTemplate = document.getElementById('sectionTemplate');
+  const block = document.importNode(sectionTemplate.content, true).firstElementChild;
+  block.dataset.sectionId = section ? section.id : '';
+
+  block.querySelector('.post-section-name').textContent = section ? section.name : 'Not in a section';
+  block.querySelector('.post-section-actions').classList.toggle('hidden', !section);
+
+  const collapsed = !!(section && section.collapsed);
+  const toggle = block.querySelector('.section-toggle-btn');
+  toggle.classList.toggle('invisible', !section);
+  toggle.setAttribute('aria-expanded', String(!collapsed));
+  block.classList.toggle('collapsed', collapsed);
+  block.querySelector('.post-section-grid').classList.toggle('hidden', collapsed);
+
+  return block;
+}
+
+/**
+ * Get the element cards of a section are rendered into
+ * @param {string|null} sectionId Section ID, or null for posts that aren't in one
+ * @returns {HTMLElement|null} The section's grid, or the posts grid when the board has no sections
+ */
+export function getSectionGrid(sectionId) {
+  const postsGrid = document.getElementById('postsGrid');
+  if (!postsGrid || !postsGrid.classList.contains('has-sections')) return postsGrid;
+
+  const block = Array.from(postsGrid.querySelectorAll('.post-section'))
+    .find(element => element.dataset.sectionId === (sectionId || ''));
+  return block ? block.querySelector('.post-section-grid') : postsGrid;
+}
+
+/**
+ * Update the post count in each section header
+ */
+export function updateSectionCounts() {
+  document.querySelectorAll('#postsGrid .post-section').forEach(block => {
+    const count = block.querySelectorAll('.post-section-grid > .post-card').length;
+    block.querySelector('.post-section-count').textContent = count;
+  });
+}
+
+/**
+ * Re-render the posts, keeping the active filters
+ */
+async function rerenderPosts() {
+  const { filterPostsByTags, getActiveTagFilters } = await import('./postManager.js');
+  filterPostsByTags(getActiveTagFilters());
+}
+
+/**
+ * Handle a click on a button in a section header
+ * @param {HTMLElement} button The clicked button
+ */
+function handleSectionAction(button) {
+  const id = button.closest('.post-section')?.dataset.sectionId;
+  const section = id ? storage.getSection(id) : null;
+  if (!section) return;
+
+  if (button.classList.contains('section-toggle-btn')) {
+    // Collapse in place so the embeds don't reload
+    const collapsed = !section.collapsed;
+    updateSection(id, { collapsed });
+    const block = button.closest('.post-section');
+    block.classList.toggle('collapsed', collapsed);
+    block.querySelector('.post-section-grid').classList.toggle('hidden', collapsed);
+    button.setAttribute('aria-expanded', String(!collapsed));
+  } else if (button.classList.contains('section-rename-btn')) {
+    const name = prompt('Section name', section.name);
+    if (name && name.trim()) {
+      updateSection(id, { name: name.trim() });
+      button.closest('.post-section').querySelector('.post-section-name').textContent = name.trim();
+    }
+  } else if (button.classList.contains('section-up-btn') || button.classList.contains('section-down-btn')) {
+    if (moveSection(id, button.classList.contains('section-up-btn') ? -1 : 1)) {
+      rerenderPosts();
+    }
+  } else if (button.classList.contains('section-delete-btn')) {
+    if (confirm(`Delete the section "${section.name}"? Its posts stay on the board.`)) {
+      deleteSection(id);
+      rerenderPosts();
+    }
+  }
+}
+
+/**
+ * Set up the add section button and the section headers
+ */
+export function setupSections() {
+  const addSectionBtn = document.getElementById('addSectionBtn');
+  const postsGrid = document.getElementById('postsGrid');
+
+  if (!addSectionBtn || !postsGrid) {
+    console.log('Section elements not found in DOM');
+    return;
+  }
+
+  addSectionBtn.addEventListener('click', () => {
+    const name = prompt('Section name');
+    if (name && name.trim()) {
+      createSection(name.trim());
+      rerenderPosts();
+    }
+  });
+
+  // Section header buttons (using event delegation)
+  postsGrid.addEventListener('click', (e) => {
+    const button = e.target.closest('.post-section-header button');
+    if (button) {
+      handleSectionAction(button);
+    }
+  });
+
+  // Cards are added and removed in many places (status changes, deletes,
+  // drags...), so the counts follow the grid itself
+  const observer = new MutationObserver(records => {
+    const cardsChanged = records.some(record =>
+      [...record.addedNodes, ...record.removedNodes].some(node => node.classList && node.classList.contains('post-card')));
+    if (cardsChanged) {
+      updateSectionCounts();
+    }
+  });
+  observer.observe(postsGrid, { childList: true, subtree: true });
+
+  console.log('Sections set up');
+}
@@ -0,0 +1,346 @@
+/**
+ * Selection mode for Boardie
+ * Shows a checkbox on every card so several posts can be picked at once:
+ * shift-click selects a range and "Select all" picks every post matching the
+ * current filters. The selection bar then applies a batch action to all of
+ * them. Each batch action is a single undo step and a single sync operation.
+ */
+
+import * as storage from './storage/index.js';
+import { extractTags, postHasTag } from './utils.js';
+import { updatePosts } from './postManager.js';
+import { getCachedUniqueTags } from './tagManager.js';
+import { showUndoToast } from './historyManager.js';
+import { POST_STATUSES, getPostStatus } from './statusManager.js';
+import { getBoards, getCurrentBoardId, getPostBoardIds } from './boardManager.js';
+import { isTrashViewOpen } from './trashManager.js';
+import { exportPosts } from './importExport.js';
+
+const STATUS_LABELS = {
+  [POST_STATUSES.UNREAD]: 'unread',
+  [POST_STATUSES.READ]: 'read',
+  [POST_STATUSES.ARCHIVED]: 'archived'
+};
+
+// IDs of the selected posts
+const selectedIds = new Set();
+
+// Post whose checkbox was clicked last, where a shift-click range starts
+let anchorId = null;
+
+/**
+ * Check whether selection mode is on
+ * @returns {boolean} True if the cards show checkboxes
+ */
+export function isSelectionModeOn() {
+  const postsGrid = document.getElementById('postsGrid');
+  return Boolean(postsGrid) && postsGrid.classList.contains('selection-mode');
+}
+
+/**
+ * Get the selected posts
+ * @returns {Array<string>} IDs of the selected posts, in the order of the board
+ */
+export function getSelectedPostIds() {
+  return getVisibleCards().map(card => card.dataset.id).filter(id => selectedIds.has(id));
+}
+
+/**
+ * Get the cards on the board, in the order they are shown
+ * @returns {Array<HTMLElement>} The cards
+ */
+function getVisibleCards() {
+  return Array.from(document.querySelectorAll('#postsGrid .post-card'));
+}
+
+/**
+ * Pluralize "post" for a count
+ * @param {number} count Number of posts
+ * @returns {string} E.g. "1 post" or "3 posts"
+ */
+function countPosts(count) {
+  return `${count} post${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Show which cards are selected and update the selection bar
+ * Posts that are no longer on the board are dropped from the selection.
+ */
+function renderSelection() {
+  const cards = getVisibleCards();
+  const visibleIds = new Set(cards.map(card => card.dataset.id));
+  Array.from(selectedIds).filter(id => !visibleIds.has(id)).forEach(id => selectedIds.delete(id));
+
+  cards.forEach(card => {
+    const selected = selectedIds.has(card.dataset.id);
+    card.classList.toggle('is-selected', selected);
+    const checkbox = card.querySelector('.post-select-checkbox');
+    if (checkbox) {
+      checkbox.checked = selected;
+    }
+  });
+
+  const count = selectedIds.size;
+  document.getElementById('selectionCount').textContent = `${count} selected`;
+  document.querySelectorAll('#selectionBar .batch-action').forEach(control => {
+    control.disabled = count === 0;
+  });
+  document.getElementById('selectAllPostsBtn').disabled = cards.length === 0 || count === cards.length;
+}
+
+/**
+ * Fill the "Move to board" select with the user's boards
+ */
+function updateBoardOptions() {
+  const boardSelect = document.getElementById('selectionBoard');
+  const boards = getBoards();
+  const placeholder = new Option(boards.length > 0 ? 'Move to board…' : 'No boards yet', '');
+
+  boardSelect.replaceChildren(placeholder, ...boards.map(board => new Option(board.name, board.id)));
+  boardSelect.value = '';
+}
+
+/**
+ * Turn selection mode on or off
+ * Turning it off clears the selection.
+ * @param {boolean} on Whether to show the checkboxes
+ */
+export function setSelectionMode(on) {
+  const postsGrid = document.getElementById('postsGrid');
+  if (!postsGrid) return;
+
+  postsGrid.classList.toggle('selection-mode', on);
+  document.getElementById('selectionBar').classList.toggle('hidden', !on);
+
+  const selectModeBtn = document.getElementById('selectModeBtn');
+  selectModeBtn.setAttribute('aria-pressed', String(on));
+  selectModeBtn.classList.toggle('bg-gray-900', on);
+  selectModeBtn.classList.toggle('text-white', on);
+  selectModeBtn.classList.toggle('border-gray-900', on);
+
+  if (on) {
+    updateBoardOptions();
+  } else {
+    selectedIds.clear();
+    anchorId = null;
+  }
+
+  renderSelection();
+  console.log(`Selection mode ${on ? 'on' : 'off'}`);
+}
+
+/**
+ * Select or unselect a post, or a range of posts when shift is held
+ * @param {string} id ID of the clicked post
+ * @param {boolean} selected Whether the post should be selected
+ * @param {boolean} extendRange Whether to apply the same to every post since the last click
+ */
+function selectPost(id, selected, extendRange) {
+  const ids = getVisibleCards().map(card => card.dataset.id);
+  const anchorIndex = anchorId ? ids.indexOf(anchorId) : -1;
+  const index = ids.indexOf(id);
+
+  const rangeIds = extendRange && anchorIndex !== -1 && index !== -1
+    ? ids.slice(Math.min(anchorIndex, index), Math.max(anchorIndex, index) + 1)
+    : [id];
+  rangeIds.forEach(rangeId => (selected ? selectedIds.add(rangeId) : selectedIds.delete(rangeId)));
+
+  anchorId = id;
+  renderSelection();
+}
+
+/**
+ * Get the name of a tag
+ * @param {string|Object} tag Tag name or tag object
+ * @returns {string} The name
+ */
+function getTagName(tag) {
+  return typeof tag === 'object' && tag !== null ? String(tag.name) : String(tag);
+}
+
+/**
+ * Turn the tags typed in the selection bar into tag objects
+ * Tags that already exist keep their color.
+ * @returns {Array<Object>} `{ name, color }` for each tag
+ */
+function readSelectionTags() {
+  const input = document.getElementById('selectionTagsInput');
+  const knownTags = getCachedUniqueTags();
+
+  return extractTags(input.value).map(name => {
+    const known = knownTags.find(tag => typeof tag === 'object' && tag !== null &&
+      getTagName(tag).toLowerCase() === name.toLowerCase());
+    return known || { name, color: `#${Math.floor(Math.random() * 16777215).toString(16).padStart(6, '0')}` };
+  });
+}
+
+/**
+ * Add the tags typed in the selection bar to the selected posts
+ */
+function addTagsToSelection() {
+  const tags = readSelectionTags();
+  if (tags.length === 0) return;
+
+  const changed = updatePosts(getSelectedPostIds(), post => {
+    const missingTags = tags.filter(tag => !postHasTag(post, tag));
+    return missingTags.length > 0 ? { ...post, tags: [...(post.tags || []), ...missingTags] } : null;
+  }, `Add tags to ${countPosts(selectedIds.size)}`);
+
+  document.getElementById('selectionTagsInput').value = '';
+  if (changed.length > 0) showUndoToast(`Tagged ${countPosts(changed.length)}`);
+}
+
+/**
+ * Remove the tags typed in the selection bar from the selected posts
+ */
+function removeTagsFromSelection() {
+  const tags = readSelectionTags();
+  if (tags.length === 0) return;
+
+  const names = new Set(tags.map(tag => tag.name.toLowerCase()));
+  const changed = updatePosts(getSelectedPostIds(), post => {
+    if (!tags.some(tag => postHasTag(post, tag))) return null;
+    return { ...post, tags: post.tags.filter(tag => !names.has(getTagName(tag).toLowerCase())) };
+  }, `Remove tags from ${countPosts(selectedIds.size)}`);
+
+  document.getElementById('selectionTagsInput').value = '';
+  if (changed.length > 0) showUndoToast(`Removed tags from ${countPosts(changed.length)}`);
+}
+
+/**
+ * Set the read-later status of the selected posts
+ * @param {string} status One of POST_STATUSES
+ */
+function setSelectionStatus(status) {
+  if (!STATUS_LABELS[status]) return;
+
+  const changed = updatePosts(getSelectedPostIds(),
+    post => (getPostStatus(post) === status ? null : { ...post, status }),
+    `Mark ${countPosts(selectedIds.size)} as ${STATUS_LABELS[status]}`);
+
+  if (changed.length > 0) showUndoToast(`Marked ${countPosts(changed.length)} as ${STATUS_LABELS[status]}`);
+}
+
+/**
+ * Move the selected posts to a board
+ * Like moving a single post, they are taken off the board being viewed, or off
+ * all their boards when viewing all posts.
+ * @param {string} boardId ID of the board
+ */
+function moveSelectionToBoard(boardId) {
+  const board = storage.getBoard(boardId);
+  if (!board) return;
+
+  const currentBoardId = getCurrentBoardId();
+  const changed = updatePosts(getSelectedPostIds(), post => {
+    const boardIds = currentBoardId ? getPostBoardIds(post).filter(id => id !== currentBoardId) : [];
+    return { ...post, boardIds: Array.from(new Set([...boardIds, board.id])) };
+  }, `Move ${countPosts(selectedIds.size)} to "${board.name}"`);
+
+  if (changed.length > 0) showUndoToast(`Moved ${countPosts(changed.length)} to ${board.name}`);
+}
+
+/**
+ * Move the selected posts to the trash
+ */
+function trashSelection() {
+  const deletedAt = new Date().toISOString();
+  const changed = updatePosts(getSelectedPostIds(), post => ({ ...post, deletedAt }),
+    `Move ${countPosts(selectedIds.size)} to trash`);
+
+  if (changed.length > 0) showUndoToast(`${countPosts(changed.length)} moved to trash`);
+}
+
+/**
+ * Download the selected posts as a JSON export
+ */
+function exportSelection() {
+  const posts = getSelectedPostIds().map(id => storage.getPost(id)).filter(Boolean);
+  if (posts.length > 0) {
+    exportPosts(posts);
+  }
+}
+
+/**
+ * Set up selection mode: the Select button, the card checkboxes and the selection bar
+ */
+export function setupSelection() {
+  const selectModeBtn = document.getElementById('selectModeBtn');
+  const postsGrid = document.getElementById('postsGrid');
+  if (!selectModeBtn || !postsGrid) {
+    console.log('Selection elements not found in DOM');
+    return;
+  }
+
+  selectModeBtn.addEventListener('click', () => setSelectionMode(!isSelectionModeOn()));
+  document.getElementById('exitSelectionBtn').addEventListener('click', () => setSelectionMode(false));
+
+  // Card checkboxes (using event delegation)
+  postsGrid.addEventListener('click', (e) => {
+    const checkbox = e.target.closest('.post-select-checkbox');
+    const id = checkbox && checkbox.closest('.post-card')?.dataset.id;
+    if (id) {
+      selectPost(id, checkbox.checked, e.shiftKey);
+    }
+  });
+
+  document.getElementById('selectAllPostsBtn').addEventListener('click', () => {
+    getVisibleCards().forEach(card => selectedIds.add(card.dataset.id));
+    renderSelection();
+  });
+
+  document.getElementById('clearSelectionBtn').addEventListener('click', () => {
+    selectedIds.clear();
+    anchorId = null;
+    renderSelection();
+  });
+
+  document.getElementById('addSelectionTagsBtn').addEventListener('click', addTagsToSelection);
+  document.getElementById('removeSelectionTagsBtn').addEventListener('click', removeTagsFromSelection);
+  document.getElementById('selectionTagsInput').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      addTagsToSelection();
+    }
+  });
+
+  const statusSelect = document.getElementById('selectionStatus');
+  statusSelect.addEventListener('change', () => {
+    setSelectionStatus(statusSelect.value);
+    statusSelect.value = '';
+  });
+
+  const boardSelect = document.getElementById('selectionBoard');
+  boardSelect.addEventListener('change', () => {
+    moveSelectionToBoard(boardSelect.value);
+    boardSelect.value = '';
+  });
+
+  document.getElementById('exportSelectionBtn').addEventListener('click', exportSelection);
+  document.getElementById('trashSelectionBtn').addEventListener('click', trashSelection);
+
+  // Press Escape to leave selection mode
+  document.addEventListener('keydown', (e) => {
+    if (e.key !== 'Escape' || !isSelectionModeOn()) return;
+    if (e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+    setSelectionMode(false);
+  });
+
+  // Keep the checkboxes in step with re-rendered cards, and leave selection mode in the trash
+  document.addEventListener('postsRendered', () => {
+    if (isSelectionModeOn()) renderSelection();
+  });
+  document.addEventListener('viewChanged', () => {
+    if (isSelectionModeOn() && isTrashViewOpen()) setSelectionMode(false);
+  });
+
+  // New boards can be picked straight away
+  storage.subscribe(event => {
+    if (!isSelectionModeOn() || event.scope !== storage.getStorageScope()) return;
+    if (event.cleared || event.putBoards.length > 0 || event.deleteBoardIds.length > 0) {
+      updateBoardOptions();
+    }
+  });
+
+  console.log('Selection set up');
+}
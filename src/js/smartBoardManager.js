@@ -0,0 +1,427 @@
+/**
+ * Smart boards for Boardie
+ * A smart board is a saved search: a query together with the board, tag,
+ * status and favorites filters it was saved with. Smart boards are listed in
+ * the sidebar with the number of posts that match them right now, and opening
+ * one puts its search and filters back in place.
+ */
+
+import * as storage from './storage/index.js';
+import { isPostDeleted } from './utils.js';
+import { parseSearchQuery } from './utils/searchQuery.js';
+import { normalizeTagFilters, postMatchesTagFilters, describeTagFilters } from './utils/tagFilters.js';
+import { filterPostsByTags, getActiveTagFilters, getSavedTagFilters, saveTagFilters } from './postManager.js';
+import { getCurrentBoardId, postMatchesBoard, switchBoard } from './boardManager.js';
+import { getStatusFilter, setStatusFilter, postMatchesStatusFilter } from './statusManager.js';
+import { isFavoritesFilterOn, setFavoritesFilter, isPostFavorite } from './pinManager.js';
+import { isPostSnoozed } from './reminderManager.js';
+import { getSearchQuery, setSearchQuery, getQueryScores, queryFiltersStatus } from './searchManager.js';
+import { isTrashViewOpen, closeTrashView } from './trashManager.js';
+import { hasActiveFacets, clearFacetFilters } from './facetManager.js';
+
+// Milliseconds to wait after a storage change before updating the counts
+const RENDER_DELAY = 100;
+
+const STATUS_LABELS = {
+  unread: 'Unread',
+  read: 'Read',
+  archived: 'Archived'
+};
+
+/**
+ * Get all smart boards for the current user, sorted by name
+ * @returns {Array} Array of smart boards
+ */
+export function getSmartBoards() {
+  return storage.getSmartBoards().sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Queue a smart board to be synced to Supabase if the user is logged in
+ * @param {string} id ID of the smart board
+ */
+function queueSync(id) {
+  if (!window.boardie || !window.boardie.isAuthenticated) return;
+
+  import('./database/sync/smartBoardSyncService.js')
+    .then(({ queueSmartBoardSync }) => queueSmartBoardSync(id))
+    .catch(error => console.error('Error queuing smart board sync:', error));
+}
+
+/**
+ * Get the search and filters the board is showing right now
+ * Facet filters aren't part of smart boards, so only whether any are selected is included.
+ * @returns {Object} `{ query, tags, status, favoritesOnly, boardId, hasFacets }`, where tags are `{ name, mode }` filters
+ */
+export function getCurrentFilters() {
+  return {
+    query: getSearchQuery().trim(),
+    tags: getSavedTagFilters(),
+    status: getStatusFilter(),
+    favoritesOnly: isFavoritesFilterOn(),
+    boardId: getCurrentBoardId(),
+    hasFacets: hasActiveFacets()
+  };
+}
+
+/**
+ * Get the board a smart board is on
+ * @param {Object} smartBoard The smart board, or other filters with a `boardId`
+ * @returns {string|null} Board ID, or null for all posts or a board that no longer exists
+ */
+function getSmartBoardBoardId(smartBoard) {
+  return smartBoard.boardId && storage.getBoard(smartBoard.boardId) ? smartBoard.boardId : null;
+}
+
+/**
+ * Create a smart board
+ * @param {string} name Smart board name
+ * @param {Object} [filters] Search and filters to save, defaults to the current ones
+ * @returns {Object} The new smart board
+ */
+export function createSmartBoard(name, filters = getCurrentFilters()) {
+  const now = new Date().toISOString();
+  const smartBoard = {
+    // Smart boards keep this ID in Supabase too, so it has to be a UUID
+    id: crypto.randomUUID(),
+    name,
+    query: filters.query,
+    tags: filters.tags,
+    status: filters.status,
+    favoritesOnly: filters.favoritesOnly,
+    boardId: filters.boardId,
+    dateAdded: now,
+    lastUpdated: now
+  };
+
+  storage.putSmartBoard(smartBoard);
+  queueSync(smartBoard.id);
+  console.log('Created smart board:', smartBoard.id);
+  return smartBoard;
+}
+
+/**
+ * Update a smart board's name or filters
+ * @param {string} id ID of the smart board
+ * @param {Object} fields Fields to change
+ * @returns {Object|null} The updated smart board, or null if it doesn't exist
+ */
+export function updateSmartBoard(id, fields) {
+  const smartBoard = storage.getSmartBoard(id);
+  if (!smartBoard) {
+    console.error('Cannot update missing smart board:', id);
+    return null;
+  }
+
+  const updatedSmartBoard = { ...smartBoard, ...fields, lastUpdated: new Date().toISOString() };
+  storage.putSmartBoard(updatedSmartBoard);
+  queueSync(id);
+  console.log('Updated smart board:', id);
+  return updatedSmartBoard;
+}
+
+/**
+ * Delete a smart board
+ * The posts it matches are not changed.
+ * @param {string} id ID of the smart board
+ */
+export function deleteSmartBoard(id) {
+  storage.transaction(tx => tx.deleteSmartBoard(id));
+  queueSync(id);
+  console.log('Deleted smart board:', id);
+}
+
+/**
+ * Get the posts a smart board shows
+ * Uses the same rules as the board: posts in the trash and snoozed posts are
+ * left out, and a search for is:read etc. replaces the status filter.
+ * @param {Object} smartBoard The smart board
+ * @returns {Array} Matching posts
+ */
+export function getSmartBoardPosts(smartBoard) {
+  const query = smartBoard.query || '';
+  if (parseSearchQuery(query).error) return [];
+
+  const boardId = getSmartBoardBoardId(smartBoard);
+  const tagFilters = normalizeTagFilters(smartBoard.tags);
+  const scores = getQueryScores(query);
+  const ignoreStatusFilter = queryFiltersStatus(query);
+
+  return storage.getPosts().filter(post => !isPostDeleted(post) && !isPostSnoozed(post) &&
+    postMatchesBoard(post, boardId) && postMatchesTagFilters(post, tagFilters) &&
+    (ignoreStatusFilter || postMatchesStatusFilter(post, smartBoard.status)) &&
+    (!smartBoard.favoritesOnly || isPostFavorite(post)) &&
+    (!scores || scores.has(post.id)));
+}
+
+/**
+ * Check whether the board is showing a smart board's search and filters
+ * @param {Object} smartBoard The smart board
+ * @param {Object} [filters] Filters to compare with, defaults to the current ones
+ * @returns {boolean} True if they are the same
+ */
+function matchesFilters(smartBoard, filters = getCurrentFilters()) {
+  const tagKey = tags => normalizeTagFilters(tags)
+    .map(({ name, mode }) => `${name.toLowerCase()}:${mode}`)
+    .sort()
+    .join('\n');
+
+  return getSmartBoardBoardId(smartBoard) === filters.boardId &&
+    (smartBoard.query || '').trim() === filters.query &&
+    tagKey(smartBoard.tags) === tagKey(filters.tags) &&
+    smartBoard.status === filters.status &&
+    Boolean(smartBoard.favoritesOnly) === filters.favoritesOnly &&
+    !filters.hasFacets;
+}
+
+/**
+ * Switch to a board and put a search and filters in place, like opening a smart board
+ * Facet filters are cleared, as smart boards don't save them.
+ * @param {Object} filters `{ query, tags, status, favoritesOnly, boardId }`; a board
+ *   that no longer exists shows all posts
+ */
+export function applyFilters(filters) {
+  // Filters are saved per board, so switch first and set them afterwards
+  switchBoard(getSmartBoardBoardId(filters), false);
+  setStatusFilter(filters.status);
+  setFavoritesFilter(filters.favoritesOnly);
+  saveTagFilters(filters.tags || []);
+  clearFacetFilters();
+  document.dispatchEvent(new CustomEvent('restoreTagFilters'));
+
+  const searchInput = document.getElementById('searchInput');
+  if (searchInput) {
+    searchInput.value = filters.query || '';
+  }
+  setSearchQuery(filters.query || '', false);
+
+  // Closing the trash renders the board too
+  if (isTrashViewOpen()) {
+    closeTrashView();
+  } else {
+    filterPostsByTags(getActiveTagFilters());
+  }
+}
+
+/**
+ * Open a smart board: switch to its board and put its search and filters in place
+ * @param {string} id ID of the smart board
+ */
+export function openSmartBoard(id) {
+  const smartBoard = storage.getSmartBoard(id);
+  if (!smartBoard) {
+    console.error('Cannot open missing smart board:', id);
+    return;
+  }
+
+  console.log(`Opening smart board ${id}`);
+  applyFilters(smartBoard);
+}
+
+/**
+ * Describe a set of filters in a few words
+ * @param {Object} filters `{ query, tags, status, favoritesOnly, boardId, hasFacets }`
+ * @returns {string} Description, e.g. "Recipes · "pasta" · #quick · Unread"
+ */
+function describeFilters(filters) {
+  const board = filters.boardId ? storage.getBoard(filters.boardId) : null;
+  const parts = [board ? board.name : 'All posts'];
+
+  if (filters.query) parts.push(`"${filters.query}"`);
+  parts.push(...describeTagFilters(filters.tags));
+  if (STATUS_LABELS[filters.status]) parts.push(STATUS_LABELS[filters.status]);
+  if (filters.favoritesOnly) parts.push('Favorites');
+  if (filters.hasFacets) parts.push('(platform, domain and date filters are not saved)');
+
+  return parts.join(' · ');
+}
+
+/**
+ * Create a sidebar item for a smart board
+ * @param {Object} smartBoard The smart board
+ * @param {boolean} active Whether the board is showing it
+ * @returns {HTMLElement} The list item
+ */
+function createSmartBoardItem(smartBoard, active) {
+  const item = document.createElement('li');
+  item.className = `smart-board-item group flex items-center rounded ${active ? 'bg-blue-50' : 'hover:bg-gray-100'}`;
+  item.dataset.id = smartBoard.id;
+
+  const openButton = document.createElement('button');
+  openButton.type = 'button';
+  openButton.className = `smart-board-open flex items-center gap-2 min-w-0 flex-1 px-2 py-1 text-left text-sm ${active ? 'text-blue-700 font-medium' : 'text-gray-700'}`;
+  openButton.title = describeFilters(smartBoard);
+  if (active) {
+    openButton.setAttribute('aria-current', 'true');
+  }
+
+  const name = document.createElement('span');
+  name.className = 'truncate flex-1';
+  name.textContent = smartBoard.name;
+
+  const count = document.createElement('span');
+  count.className = 'smart-board-count text-xs text-gray-500';
+  count.textContent = String(getSmartBoardPosts(smartBoard).length);
+
+  openButton.appendChild(name);
+  openButton.appendChild(count);
+
+  const editButton = document.createElement('button');
+  editButton.type = 'button';
+  editButton.className = 'smart-board-edit p-1 text-gray-400 hover:text-gray-600 lg:invisible lg:group-hover:visible lg:focus:visible';
+  editButton.title = 'Edit smart board';
+  editButton.innerHTML = `
+    <svg xmlns="http://www.w3.org/2000/svg" class="h-3 w-3 pointer-events-none" viewBox="0 0 20 20" fill="currentColor">
+      <path d="M13.586 3.586a2 2 0 112.828 2.828l-.793.793-2.828-2.828.793-.793zM11.379 5.793L3 14.172V17h2.828l8.38-8.379-2.83-2.828z" />
+    </svg>
+    <span class="sr-only">Edit smart board</span>
+  `;
+
+  item.appendChild(openButton);
+  item.appendChild(editButton);
+  return item;
+}
+
+/**
+ * Show the smart boards in the sidebar with their current counts
+ */
+export function renderSmartBoards() {
+  const smartBoardList = document.getElementById('smartBoardList');
+  const emptyMessage = document.getElementById('smartBoardEmptyMessage');
+  if (!smartBoardList) return;
+
+  const smartBoards = getSmartBoards();
+  const filters = getCurrentFilters();
+
+  smartBoardList.replaceChildren(...smartBoards.map(smartBoard =>
+    createSmartBoardItem(smartBoard, !isTrashViewOpen() && matchesFilters(smartBoard, filters))));
+
+  smartBoardList.classList.toggle('hidden', smartBoards.length === 0);
+  emptyMessage.classList.toggle('hidden', smartBoards.length > 0);
+}
+
+/**
+ * Open the smart board modal
+ * @param {Object|null} [smartBoard] Smart board to edit, or null to save the current filters
+ */
+function openSmartBoardModal(smartBoard = null) {
+  const filters = getCurrentFilters();
+  const queryError = parseSearchQuery(filters.query).error;
+
+  document.getElementById('smartBoardModalTitle').textContent = smartBoard ? 'Edit Smart Board' : 'Save Smart Board';
+  document.getElementById('smartBoardFormId').value = smartBoard ? smartBoard.id : '';
+  document.getElementById('smartBoardFormName').value = smartBoard ? smartBoard.name : filters.query;
+  document.getElementById('smartBoardFormFilters').textContent = describeFilters(smartBoard || filters);
+  document.getElementById('deleteSmartBoardBtn').classList.toggle('hidden', !smartBoard);
+
+  // An existing smart board can take over the filters the board is showing now
+  const showUpdate = Boolean(smartBoard) && !matchesFilters(smartBoard, filters);
+  document.getElementById('smartBoardFormUpdateRow').classList.toggle('hidden', !showUpdate);
+  document.getElementById('smartBoardFormUpdate').checked = false;
+  document.getElementById('smartBoardFormCurrent').textContent = describeFilters(filters);
+
+  const error = document.getElementById('smartBoardFormError');
+  error.textContent = queryError ? `Fix the search before saving it: ${queryError.message}` : '';
+  error.classList.toggle('hidden', !queryError);
+  document.getElementById('smartBoardFormUpdate').disabled = Boolean(queryError);
+  document.getElementById('saveSmartBoardFormBtn').disabled = !smartBoard && Boolean(queryError);
+
+  document.getElementById('smartBoardModal').classList.remove('hidden');
+  document.body.classList.add('overflow-hidden');
+  document.getElementById('smartBoardFormName').focus();
+}
+
+/**
+ * Close the smart board modal
+ */
+function closeSmartBoardModal() {
+  document.getElementById('smartBoardModal').classList.add('hidden');
+  document.body.classList.remove('overflow-hidden');
+  document.getElementById('smartBoardForm').reset();
+}
+
+/**
+ * Set up the smart board sidebar and modal, and keep the counts up to date
+ */
+export function setupSmartBoards() {
+  const smartBoardList = document.getElementById('smartBoardList');
+  const smartBoardForm = document.getElementById('smartBoardForm');
+
+  if (!smartBoardList || !smartBoardForm) {
+    console.log('Smart board elements not found in DOM');
+    return;
+  }
+
+  renderSmartBoards();
+
+  document.getElementById('saveSmartBoardBtn').addEventListener('click', () => openSmartBoardModal());
+
+  // Open and edit buttons (using event delegation)
+  smartBoardList.addEventListener('click', (e) => {
+    const item = e.target.closest('li[data-id]');
+    if (!item) return;
+
+    if (e.target.closest('.smart-board-edit')) {
+      const smartBoard = storage.getSmartBoard(item.dataset.id);
+      if (smartBoard) {
+        openSmartBoardModal(smartBoard);
+      }
+    } else if (e.target.closest('.smart-board-open')) {
+      openSmartBoard(item.dataset.id);
+    }
+  });
+
+  smartBoardForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+
+    const id = document.getElementById('smartBoardFormId').value;
+    const name = document.getElementById('smartBoardFormName').value.trim();
+    if (!name) return;
+
+    if (id) {
+      const fields = document.getElementById('smartBoardFormUpdate').checked
+        ? { name, ...getCurrentFilters() }
+        : { name };
+      updateSmartBoard(id, fields);
+    } else {
+      createSmartBoard(name);
+    }
+
+    closeSmartBoardModal();
+    renderSmartBoards();
+  });
+
+  document.getElementById('deleteSmartBoardBtn').addEventListener('click', () => {
+    const id = document.getElementById('smartBoardFormId').value;
+    const smartBoard = id ? storage.getSmartBoard(id) : null;
+    if (!smartBoard) return;
+
+    if (confirm(`Delete the smart board "${smartBoard.name}"? Its posts are kept.`)) {
+      deleteSmartBoard(id);
+      closeSmartBoardModal();
+      renderSmartBoards();
+    }
+  });
+
+  document.getElementById('closeSmartBoardModalBtn').addEventListener('click', closeSmartBoardModal);
+  document.getElementById('cancelSmartBoardBtn').addEventListener('click', closeSmartBoardModal);
+
+  // Filters and the search are applied by rendering the board, so check which smart board is open
+  document.addEventListener('postsRendered', renderSmartBoards);
+
+  // Update the counts when posts, boards or smart boards change, e.g. from a sync
+  let renderTimer = null;
+  storage.subscribe(event => {
+    if (event.scope !== storage.getStorageScope()) return;
+
+    const changed = event.cleared || event.putPosts.length > 0 || event.deletePostIds.length > 0 ||
+      event.putBoards.length > 0 || event.deleteBoardIds.length > 0 ||
+      event.putSmartBoards.length > 0 || event.deleteSmartBoardIds.length > 0;
+    if (!changed) return;
+
+    clearTimeout(renderTimer);
+    renderTimer = setTimeout(renderSmartBoards, RENDER_DELAY);
+  });
+
+  console.log('Smart boards set up');
+}
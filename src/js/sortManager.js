@@ -0,0 +1,211 @@
+/**
+ * Sorting for Boardie
+ * Decides the order of posts on the board. Posts whose reminder is due come
+ * first, then pinned posts; the rest follow the sort mode selected by the user.
+ * Each board has its own sort mode.
+ */
+
+import { getFilterScope } from './boardManager.js';
+import { isPostPinned } from './pinManager.js';
+import { isReminderDue, getReminderTime } from './reminderManager.js';
+import { getPlatformFromUrl } from './utils.js';
+import { getUrlHost } from './utils/canonicalUrl.js';
+import { getFetchedMetadata } from './utils/metadataFetcher.js';
+
+// Storage key prefix for the selected sort mode
+const SORT_MODE_KEY_PREFIX = 'boardie_sort_mode_';
+
+export const SORT_MODES = {
+  NEWEST: 'newest',
+  OLDEST: 'oldest',
+  PLATFORM: 'platform',
+  TITLE: 'title',
+  DOMAIN: 'domain',
+  RECENTLY_OPENED: 'opened',
+  MOST_TAGGED: 'tags',
+  MANUAL: 'manual'
+};
+
+export const DEFAULT_SORT_MODE = SORT_MODES.NEWEST;
+
+// Smallest gap between two positions before the positions are renumbered
+const MIN_POSITION_GAP = 1e-9;
+
+// Compares names the way people expect: ignoring case and accents, with "2" before "10"
+const collator = new Intl.Collator(undefined, { sensitivity: 'base', numeric: true });
+
+/**
+ * Get the sort mode selected by the current user
+ * @returns {string} One of SORT_MODES
+ */
+export function getSortMode() {
+  const saved = localStorage.getItem(`${SORT_MODE_KEY_PREFIX}${getFilterScope()}`);
+  return Object.values(SORT_MODES).includes(saved) ? saved : DEFAULT_SORT_MODE;
+}
+
+/**
+ * Save the sort mode for the current user
+ * @param {string} mode One of SORT_MODES
+ */
+export function setSortMode(mode) {
+  if (!Object.values(SORT_MODES).includes(mode)) {
+    console.error('Unknown sort mode:', mode);
+    return;
+  }
+
+  localStorage.setItem(`${SORT_MODE_KEY_PREFIX}${getFilterScope()}`, mode);
+  console.log(`Sort mode set to ${mode}`);
+}
+
+/**
+ * Check whether a post has a manual position
+ * @param {Object} post The post
+ * @returns {boolean} True if the post has been placed by hand
+ */
+export function hasPosition(post) {
+  return typeof post.position === 'number' && Number.isFinite(post.position);
+}
+
+/**
+ * Get a timestamp from a date string
+ * @param {string|null|undefined} value ISO date string
+ * @returns {number} Timestamp, or 0 if the date is missing or invalid
+ */
+function getTime(value) {
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? 0 : time;
+}
+
+/**
+ * Compare two posts by the date they were added, newest first
+ * @param {Object} a First post
+ * @param {Object} b Second post
+ * @returns {number} Sort order
+ */
+function compareByNewest(a, b) {
+  return getTime(b.dateAdded) - getTime(a.dateAdded);
+}
+
+/**
+ * Compare two names, putting empty names last
+ * @param {string} a First name
+ * @param {string} b Second name
+ * @returns {number} Sort order
+ */
+function compareNames(a, b) {
+  if (!a || !b) {
+    return (a ? 0 : 1) - (b ? 0 : 1);
+  }
+  return collator.compare(a, b);
+}
+
+/**
+ * Get the title a post is sorted by
+ * The user's own title wins over the one fetched from the page.
+ * @param {Object} post The post
+ * @returns {string} The title, or an empty string if the post has none yet
+ */
+function getSortTitle(post) {
+  const title = (post.title || '').trim();
+  if (title) return title;
+
+  const metadata = getFetchedMetadata(post.url);
+  return metadata && metadata.title ? metadata.title.trim() : '';
+}
+
+/**
+ * Compare two posts by their manual position
+ * Posts that were never placed by hand (e.g. just added) come first, newest first.
+ * @param {Object} a First post
+ * @param {Object} b Second post
+ * @returns {number} Sort order
+ */
+function compareByPosition(a, b) {
+  const aPlaced = hasPosition(a);
+  const bPlaced = hasPosition(b);
+
+  if (aPlaced && bPlaced) {
+    return a.position - b.position;
+  }
+
+  if (aPlaced !== bPlaced) {
+    return aPlaced ? 1 : -1;
+  }
+
+  return compareByNewest(a, b);
+}
+
+// How each sort mode orders posts; ties go to the newest post
+const SORT_COMPARATORS = {
+  [SORT_MODES.NEWEST]: compareByNewest,
+  [SORT_MODES.OLDEST]: (a, b) => compareByNewest(b, a),
+  [SORT_MODES.PLATFORM]: (a, b) => compareNames(a.platform || getPlatformFromUrl(a.url || ''),
+    b.platform || getPlatformFromUrl(b.url || '')) || compareByNewest(a, b),
+  [SORT_MODES.TITLE]: (a, b) => compareNames(getSortTitle(a), getSortTitle(b)) || compareByNewest(a, b),
+  [SORT_MODES.DOMAIN]: (a, b) => compareNames(getUrlHost(a.url), getUrlHost(b.url)) || compareByNewest(a, b),
+  // Posts that were never opened go last
+  [SORT_MODES.RECENTLY_OPENED]: (a, b) => getTime(b.openedAt) - getTime(a.openedAt) || compareByNewest(a, b),
+  [SORT_MODES.MOST_TAGGED]: (a, b) => (b.tags || []).length - (a.tags || []).length || compareByNewest(a, b),
+  [SORT_MODES.MANUAL]: compareByPosition
+};
+
+/**
+ * Compare two posts for display on the board
+ * Posts with a due reminder come first, most recently due first. Then pinned
+ * posts in pin order, then everything else in the sort mode's order.
+ * @param {Object} a First post
+ * @param {Object} b Second post
+ * @param {string} [mode] Sort mode, defaults to the current user's sort mode
+ * @returns {number} Negative if `a` comes first, positive if `b` comes first
+ */
+export function comparePostsForBoard(a, b, mode = getSortMode()) {
+  const aDue = isReminderDue(a);
+  const bDue = isReminderDue(b);
+
+  if (aDue && bDue) {
+    return getReminderTime(b) - getReminderTime(a);
+  }
+
+  if (aDue !== bDue) {
+    return aDue ? -1 : 1;
+  }
+
+  const aPinned = isPostPinned(a);
+  const bPinned = isPostPinned(b);
+
+  if (aPinned && bPinned) {
+    return new Date(a.pinnedAt) - new Date(b.pinnedAt);
+  }
+
+  if (aPinned !== bPinned) {
+    return aPinned ? -1 : 1;
+  }
+
+  return (SORT_COMPARATORS[mode] || compareByNewest)(a, b);
+}
+
+/**
+ * Sort posts for display on the board
+ * @param {Array} posts Posts to sort
+ * @param {string} [mode] Sort mode, defaults to the current user's sort mode
+ * @returns {Array} A new, sorted array
+ */
+export function sortPostsForBoard(posts, mode = getSortMode()) {
+  return [...posts].sort((a, b) => comparePostsForBoard(a, b, mode));
+}
+
+/**
+ * Get a position between two neighbours
+ * Positions are fractional so a moved post is the only one that changes.
+ * @param {number|null} before Position of the post before, or null at the start
+ * @param {number|null} after Position of the post after, or null at the end
+ * @returns {number|null} The new position, or null if the gap is too small and
+ *   the positions need renumbering first
+ */
+export function getPositionBetween(before, after) {
+  if (before === null && after === null) return 1;
+  if (before === null) return after - 1;
+  if (after === null) return before + 1;
+  if (after - before < MIN_POSITION_GAP) return null;
+  return (before + after) / 2;
+}
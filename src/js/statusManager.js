@@ -0,0 +1,72 @@
+/**
+ * Read-later status for Boardie
+ * Every post is unread, read or archived. The status filter decides which of
+ * them the board shows; by default archived posts are hidden. Each board has
+ * its own status filter.
+ */
+
+import { getFilterScope } from './boardManager.js';
+
+// Storage key prefix for the selected status filter
+const STATUS_FILTER_KEY_PREFIX = 'boardie_status_filter_';
+
+export const POST_STATUSES = {
+  UNREAD: 'unread',
+  READ: 'read',
+  ARCHIVED: 'archived'
+};
+
+// Status filters shown in the filter bar; 'active' shows everything except archived posts
+export const STATUS_FILTERS = ['active', POST_STATUSES.UNREAD, POST_STATUSES.READ, POST_STATUSES.ARCHIVED];
+
+export const DEFAULT_STATUS_FILTER = 'active';
+
+/**
+ * Get the status of a post
+ * Posts saved before statuses existed count as unread.
+ * @param {Object} post The post
+ * @returns {string} One of POST_STATUSES
+ */
+export function getPostStatus(post) {
+  const status = post && post.status;
+  return Object.values(POST_STATUSES).includes(status) ? status : POST_STATUSES.UNREAD;
+}
+
+/**
+ * Get the status filter selected by the current user
+ * @returns {string} One of STATUS_FILTERS
+ */
+export function getStatusFilter() {
+  const saved = localStorage.getItem(`${STATUS_FILTER_KEY_PREFIX}${getFilterScope()}`);
+  return STATUS_FILTERS.includes(saved) ? saved : DEFAULT_STATUS_FILTER;
+}
+
+/**
+ * Save the status filter for the current user
+ * @param {string} filter One of STATUS_FILTERS
+ */
+export function setStatusFilter(filter) {
+  if (!STATUS_FILTERS.includes(filter)) {
+    console.error('Unknown status filter:', filter);
+    return;
+  }
+
+  localStorage.setItem(`${STATUS_FILTER_KEY_PREFIX}${getFilterScope()}`, filter);
+  console.log(`Status filter set to ${filter}`);
+}
+
+/**
+ * Check whether a post should be shown for a status filter
+ * @param {Object} post The post
+ * @param {string} [filter] Status filter, defaults to the current user's filter
+ * @returns {boolean} True if the post matches
+ */
+export function postMatchesStatusFilter(post, filter = getStatusFilter()) {
+  const status = getPostStatus(post);
+
+  if (filter === 'active') {
+    return status !== POST_STATUSES.ARCHIVED;
+  }
+
+  return status === filter;
+}
@@ -0,0 +1,211 @@
+/**
+ * IndexedDB Adapter
+ * Stores posts, tags, boards, sections, revisions and smart boards as individual IndexedDB records, partitioned by user scope
+ */
+
+import StorageAdapter, { STORES, getTagKey } from './StorageAdapter.js';
+
+const DB_NAME = 'boardie';
+const DB_VERSION = 5;
+const POSTS_STORE = 'posts';
+const TAGS_STORE = 'tags';
+const STORE_NAMES = STORES.map(({ name }) => name);
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request - The request to wrap
+ * @returns {Promise<any>} Resolves with the request result
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Wait for a transaction to finish
+ * @param {IDBTransaction} transaction - The transaction to wait for
+ * @returns {Promise<void>}
+ */
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+}
+
+/**
+ * Get the key range covering every record in a scope
+ * @param {string} scope - User scope
+ * @returns {IDBKeyRange} The key range
+ */
+function scopeRange(scope) {
+  return IDBKeyRange.bound([scope, ''], [scope, '\uffff']);
+}
+
+/**
+ * Convert a post into an IndexedDB record
+ * @param {string} scope - User scope the post belongs to
+ * @param {Object} post - The post object
+ * @returns {Object} The record to store
+ */
+function toPostRecord(scope, post) {
+  const tags = Array.isArray(post.tags) ? post.tags : [];
+  return {
+    ...post,
+    scope,
+    tagKeys: tags.map(tag => `${scope}:${getTagKey(tag)}`)
+  };
+}
+
+/**
+ * Convert an IndexedDB record back into a post
+ * @param {Object} record - The stored record
+ * @returns {Object} The post object
+ */
+function fromPostRecord(record) {
+  const { scope, tagKeys, ...post } = record;
+  return post;
+}
+
+/**
+ * Convert an IndexedDB record back into a board, section, revision or smart board
+ * @param {Object} record - The stored record
+ * @returns {Object} The board, section, revision or smart board object
+ */
+function fromBoardRecord(record) {
+  const { scope, ...board } = record;
+  return board;
+}
+
+/**
+ * Convert a board, section, revision or smart board into an IndexedDB record
+ * @param {string} scope - User scope the record belongs to
+ * @param {Object} board - The board, section, revision or smart board object
+ * @returns {Object} The record to store
+ */
+function toBoardRecord(scope, board) {
+  return { ...board, scope };
+}
+
+// How records are stored in each object store; stores not listed use the board format
+const RECORD_FORMATS = {
+  [POSTS_STORE]: { toRecord: toPostRecord, fromRecord: fromPostRecord },
+  [TAGS_STORE]: { toRecord: (scope, tag) => ({ scope, name: getTagKey(tag), tag }), fromRecord: record => record.tag }
+};
+
+/**
+ * Get how records are stored in an object store
+ * @param {string} store - Store name from STORES
+ * @returns {Object} `{ toRecord, fromRecord }`
+ */
+function getRecordFormat(store) {
+  return RECORD_FORMATS[store] || { toRecord: toBoardRecord, fromRecord: fromBoardRecord };
+}
+
+export default class IndexedDBAdapter extends StorageAdapter {
+  constructor() {
+    super('indexeddb');
+    this.db = null;
+  }
+
+  /**
+   * Check whether IndexedDB is available in this environment
+   * @returns {boolean} True if IndexedDB can be used
+   */
+  static isSupported() {
+    return typeof indexedDB !== 'undefined' && indexedDB !== null;
+  }
+
+  /**
+   * Open the database, creating object stores and indexes if needed
+   * @returns {Promise<void>}
+   */
+  async open() {
+    if (this.db) return;
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+
+      if (!db.objectStoreNames.contains(POSTS_STORE)) {
+        const posts = db.createObjectStore(POSTS_STORE, { keyPath: ['scope', 'id'] });
+        posts.createIndex('scope', 'scope');
+        posts.createIndex('url', ['scope', 'url']);
+        posts.createIndex('platform', ['scope', 'platform']);
+        posts.createIndex('dateAdded', ['scope', 'dateAdded']);
+        posts.createIndex('tag', 'tagKeys', { multiEntry: true });
+      }
+
+      // Tags came with version 1, boards with 2, sections with 3, revisions with 4
+      // and smart boards with 5; all of them are only looked up by scope
+      STORE_NAMES
+        .filter(name => name !== POSTS_STORE && !db.objectStoreNames.contains(name))
+        .forEach(name => {
+          const store = db.createObjectStore(name, { keyPath: ['scope', name === TAGS_STORE ? 'name' : 'id'] });
+          store.createIndex('scope', 'scope');
+        });
+    };
+
+    this.db = await promisifyRequest(request);
+    console.log(`Opened IndexedDB database: ${DB_NAME} (v${DB_VERSION})`);
+  }
+
+  async listScopes() {
+    const transaction = this.db.transaction(STORE_NAMES, 'readonly');
+    const keysPerStore = await Promise.all(
+      STORE_NAMES.map(store => promisifyRequest(transaction.objectStore(store).getAllKeys()))
+    );
+
+    const scopes = new Set();
+    keysPerStore.flat().forEach(([scope]) => scopes.add(scope));
+    return Array.from(scopes);
+  }
+
+  async getRecords(scope, store) {
+    const transaction = this.db.transaction(store, 'readonly');
+    const records = await promisifyRequest(transaction.objectStore(store).getAll(scopeRange(scope)));
+    return records.map(getRecordFormat(store).fromRecord);
+  }
+
+  async queryPosts(scope, index, value) {
+    const transaction = this.db.transaction(POSTS_STORE, 'readonly');
+    const store = transaction.objectStore(POSTS_STORE).index(index);
+    const key = index === 'tag' ? `${scope}:${getTagKey(value)}` : [scope, value];
+
+    const records = await promisifyRequest(store.getAll(key));
+    return records.map(fromPostRecord);
+  }
+
+  /**
+   * Apply a change set in a single transaction across all stores
+   */
+  async applyChanges(scope, changes) {
+    const transaction = this.db.transaction(STORE_NAMES, 'readwrite');
+
+    STORES.forEach(({ name, putKey, deleteKey, getKey }) => {
+      const store = transaction.objectStore(name);
+      const { toRecord } = getRecordFormat(name);
+
+      changes[deleteKey].forEach(key => store.delete([scope, key]));
+      changes[putKey].forEach(record => {
+        if (getKey(record)) {
+          store.put(toRecord(scope, record));
+        }
+      });
+    });
+
+    await transactionDone(transaction);
+  }
+
+  async clear(scope) {
+    const transaction = this.db.transaction(STORE_NAMES, 'readwrite');
+
+    STORE_NAMES.forEach(name => transaction.objectStore(name).delete(scopeRange(scope)));
+
+    await transactionDone(transaction);
+  }
+}
@@ -0,0 +1,128 @@
+/**
+ * LocalStorage Adapter
+ * Fallback backend used when IndexedDB is not available.
+ * Keeps the original one-key-per-user layout (boardie_posts_<user>, boardie_tags_<user>,
+ * boardie_boards_<user>, boardie_sections_<user>, boardie_revisions_<user>,
+ * boardie_smart_boards_<user>).
+ */
+
+import StorageAdapter, { STORES } from './StorageAdapter.js';
+
+export const POSTS_STORAGE_KEY_PREFIX = 'boardie_posts_';
+export const TAGS_STORAGE_KEY_PREFIX = 'boardie_tags_';
+export const BOARDS_STORAGE_KEY_PREFIX = 'boardie_boards_';
+export const SECTIONS_STORAGE_KEY_PREFIX = 'boardie_sections_';
+export const REVISIONS_STORAGE_KEY_PREFIX = 'boardie_revisions_';
+export const SMART_BOARDS_STORAGE_KEY_PREFIX = 'boardie_smart_boards_';
+
+// localStorage key prefix of each store
+const KEY_PREFIXES = {
+  posts: POSTS_STORAGE_KEY_PREFIX,
+  tags: TAGS_STORAGE_KEY_PREFIX,
+  boards: BOARDS_STORAGE_KEY_PREFIX,
+  sections: SECTIONS_STORAGE_KEY_PREFIX,
+  revisions: REVISIONS_STORAGE_KEY_PREFIX,
+  smartBoards: SMART_BOARDS_STORAGE_KEY_PREFIX
+};
+
+/**
+ * Read and parse a JSON array from localStorage
+ * @param {string} key - The localStorage key
+ * @returns {Array} The parsed array, or an empty array if missing or corrupted
+ */
+function readArray(key) {
+  try {
+    const saved = localStorage.getItem(key);
+    const parsed = saved ? JSON.parse(saved) : [];
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    console.error(`Error reading ${key} from localStorage:`, error);
+    if (error instanceof SyntaxError) {
+      console.log('Attempting to recover from corrupted storage');
+      localStorage.removeItem(key);
+    }
+    return [];
+  }
+}
+
+/**
+ * Collect every scope that has data stored under a key prefix
+ * @param {string} prefix - The key prefix
+ * @returns {Array<string>} Array of scopes
+ */
+function findStoredScopes(prefix) {
+  const scopes = [];
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    if (key && key.startsWith(prefix)) {
+      scopes.push(key.slice(prefix.length));
+    }
+  }
+  return scopes;
+}
+
+/**
+ * Remove every key holding a scope's data
+ * @param {string} scope - User scope
+ */
+function removeScope(scope) {
+  STORES.forEach(({ name }) => localStorage.removeItem(`${KEY_PREFIXES[name]}${scope}`));
+}
+
+export default class LocalStorageAdapter extends StorageAdapter {
+  constructor() {
+    super('localstorage');
+  }
+
+  /**
+   * Check whether localStorage is available in this environment
+   * @returns {boolean} True if localStorage can be used
+   */
+  static isSupported() {
+    return typeof localStorage !== 'undefined' && localStorage !== null;
+  }
+
+  async listScopes() {
+    const scopes = new Set(STORES.flatMap(({ name }) => findStoredScopes(KEY_PREFIXES[name])));
+    return Array.from(scopes);
+  }
+
+  async getRecords(scope, store) {
+    return readArray(`${KEY_PREFIXES[store]}${scope}`);
+  }
+
+  /**
+   * Apply a change set
+   * localStorage has no per-record storage, so each affected key is rewritten.
+   * All values are serialized before anything is written so a serialization
+   * error leaves storage untouched.
+   */
+  async applyChanges(scope, changes) {
+    const writes = [];
+
+    for (const { name, putKey, deleteKey, getKey } of STORES) {
+      if (changes[putKey].length === 0 && changes[deleteKey].length === 0) continue;
+
+      const deleted = new Set(changes[deleteKey]);
+      const changed = new Map(changes[putKey].map(record => [getKey(record), record]));
+      const records = (await this.getRecords(scope, name))
+        .filter(record => !deleted.has(getKey(record)) && !changed.has(getKey(record)));
+      changed.forEach(record => records.push(record));
+      writes.push([`${KEY_PREFIXES[name]}${scope}`, JSON.stringify(records)]);
+    }
+
+    writes.forEach(([key, value]) => localStorage.setItem(key, value));
+  }
+
+  async clear(scope) {
+    removeScope(scope);
+  }
+
+  /**
+   * Remove a scope's data after it has been copied to another backend
+   * @param {string} scope - User scope
+   */
+  removeMigratedScope(scope) {
+    removeScope(scope);
+  }
+}
@@ -0,0 +1,65 @@
+/**
+ * Memory Adapter
+ * Keeps all data in memory. Used in headless environments (e.g. Node)
+ * and when neither IndexedDB nor localStorage is available.
+ */
+
+import StorageAdapter, { STORES } from './StorageAdapter.js';
+
+/**
+ * Deep copy a stored value so callers can't mutate adapter state
+ * @param {*} value - Value to copy
+ * @returns {*} The copy
+ */
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+export default class MemoryAdapter extends StorageAdapter {
+  constructor() {
+    super('memory');
+    // Map<scope, { [store name]: Map<key, record> }>
+    this.scopes = new Map();
+  }
+
+  /**
+   * Memory storage is always available
+   * @returns {boolean} Always true
+   */
+  static isSupported() {
+    return true;
+  }
+
+  /**
+   * Get the data for a scope, creating it if needed
+   * @param {string} scope - User scope
+   * @returns {Object} Object with a map of records per store
+   */
+  getScope(scope) {
+    if (!this.scopes.has(scope)) {
+      this.scopes.set(scope, Object.fromEntries(STORES.map(({ name }) => [name, new Map()])));
+    }
+    return this.scopes.get(scope);
+  }
+
+  async listScopes() {
+    return Array.from(this.scopes.keys());
+  }
+
+  async getRecords(scope, store) {
+    return Array.from(this.getScope(scope)[store].values(), clone);
+  }
+
+  async applyChanges(scope, changes) {
+    const data = this.getScope(scope);
+
+    STORES.forEach(({ name, putKey, deleteKey, getKey }) => {
+      changes[deleteKey].forEach(key => data[name].delete(key));
+      changes[putKey].forEach(record => data[name].set(getKey(record), clone(record)));
+    });
+  }
+
+  async clear(scope) {
+    this.scopes.delete(scope);
+  }
+}
@@ -0,0 +1,240 @@
+/**
+ * Storage Adapter
+ * Base class describing the interface every storage backend implements.
+ *
+ * Data is partitioned by scope (the user ID, or 'anonymous').
+ * Each kind of record (see STORES) lives in its own store. Posts, boards, sections,
+ * revisions and smart boards are keyed by `id`, tags by their lowercase `name`.
+ * All methods are async so that IndexedDB, localStorage and in-memory
+ * backends can be swapped without changing callers.
+ */
+
+/**
+ * Get the lowercase key used to store a tag
+ * @param {string|Object} tag - Tag name or tag object
+ * @returns {string} Lowercase tag name
+ */
+export function getTagKey(tag) {
+  if (typeof tag === 'object' && tag !== null && tag.name) {
+    return tag.name.toLowerCase();
+  }
+  return String(tag).toLowerCase();
+}
+
+/**
+ * Check whether a post matches an index lookup
+ * Used by backends without native indexes
+ * @param {Object} post - The post to check
+ * @param {string} index - One of 'url', 'platform', 'dateAdded' or 'tag'
+ * @param {*} value - Value to match
+ * @returns {boolean} True if the post matches
+ */
+export function postMatchesIndex(post, index, value) {
+  if (index === 'tag') {
+    const tagKey = getTagKey(value);
+    return Array.isArray(post.tags) && post.tags.some(tag => getTagKey(tag) === tagKey);
+  }
+  return post[index] === value;
+}
+
+/**
+ * Get the key a board, section, revision or smart board is stored under
+ * @param {string|Object} record - Record ID or record object
+ * @returns {string} The record ID
+ */
+function getIdKey(record) {
+  return typeof record === 'object' && record !== null ? record.id : record;
+}
+
+/**
+ * Every kind of record the storage keeps
+ * `name` is the store name, `type` the singular used in method names (putPost, getBoards, ...),
+ * `putKey` and `deleteKey` the change set keys, and `getKey` returns the key a record,
+ * or the ID or name passed to a delete, is stored under.
+ */
+export const STORES = [
+  { name: 'posts', type: 'Post', label: 'posts', putKey: 'putPosts', deleteKey: 'deletePostIds', getKey: getIdKey },
+  { name: 'tags', type: 'Tag', label: 'tags', putKey: 'putTags', deleteKey: 'deleteTagKeys', getKey: getTagKey },
+  { name: 'boards', type: 'Board', label: 'boards', putKey: 'putBoards', deleteKey: 'deleteBoardIds', getKey: getIdKey },
+  { name: 'sections', type: 'Section', label: 'sections', putKey: 'putSections', deleteKey: 'deleteSectionIds', getKey: getIdKey },
+  { name: 'revisions', type: 'Revision', label: 'revisions', putKey: 'putRevisions', deleteKey: 'deleteRevisionIds', getKey: getIdKey },
+  { name: 'smartBoards', type: 'SmartBoard', label: 'smart boards', putKey: 'putSmartBoards', deleteKey: 'deleteSmartBoardIds', getKey: getIdKey }
+];
+
+/**
+ * Create an empty change set
+ * @returns {Object} Change set with an empty put and delete list for every store
+ */
+export function createChangeSet() {
+  const changes = {};
+  STORES.forEach(({ putKey, deleteKey }) => {
+    changes[putKey] = [];
+    changes[deleteKey] = [];
+  });
+  return changes;
+}
+
+/**
+ * Count the records put or deleted by a change set
+ * @param {Object} changes - Change set from createChangeSet()
+ * @returns {number} Number of changed records
+ */
+export function countChanges(changes) {
+  return STORES.reduce((count, { putKey, deleteKey }) => count + changes[putKey].length + changes[deleteKey].length, 0);
+}
+
+export default class StorageAdapter {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Prepare the backend for use
+   * @returns {Promise<void>}
+   */
+  async open() {}
+
+  /**
+   * List every scope that has stored data
+   * @returns {Promise<Array<string>>} Array of scopes
+   */
+  async listScopes() {
+    throw new Error(`${this.name} adapter does not implement listScopes()`);
+  }
+
+  /**
+   * Get all records of one store for a scope
+   * @param {string} scope - User scope
+   * @param {string} store - Store name from STORES
+   * @returns {Promise<Array>} Array of records
+   */
+  async getRecords(scope, store) {
+    throw new Error(`${this.name} adapter does not implement getRecords()`);
+  }
+
+  /**
+   * Get all posts for a scope
+   * @param {string} scope - User scope
+   * @returns {Promise<Array>} Array of posts
+   */
+  async getPosts(scope) {
+    return this.getRecords(scope, 'posts');
+  }
+
+  /**
+   * Get all tags for a scope
+   * @param {string} scope - User scope
+   * @returns {Promise<Array>} Array of tags
+   */
+  async getTags(scope) {
+    return this.getRecords(scope, 'tags');
+  }
+
+  /**
+   * Get all boards for a scope
+   * @param {string} scope - User scope
+   * @returns {Promise<Array>} Array of boards
+   */
+  async getBoards(scope) {
+    return this.getRecords(scope, 'boards');
+  }
+
+  /**
+   * Get all sections for a scope
+   * @param {string} scope - User scope
+   * @returns {Promise<Array>} Array of sections
+   */
+  async getSections(scope) {
+    return this.getRecords(scope, 'sections');
+  }
+
+  /**
+   * Get all post revisions for a scope
+   * @param {string} scope - User scope
+   * @returns {Promise<Array>} Array of revisions
+   */
+  async getRevisions(scope) {
+    return this.getRecords(scope, 'revisions');
+  }
+
+  /**
+   * Get all smart boards for a scope
+   * @param {string} scope - User scope
+   * @returns {Promise<Array>} Array of smart boards
+   */
+  async getSmartBoards(scope) {
+    return this.getRecords(scope, 'smartBoards');
+  }
+
+  /**
+   * Find posts through an index
+   * @param {string} scope - User scope
+   * @param {string} index - One of 'url', 'platform', 'dateAdded' or 'tag'
+   * @param {*} value - Value to look up (tag name for the 'tag' index)
+   * @returns {Promise<Array>} Matching posts
+   */
+  async queryPosts(scope, index, value) {
+    const posts = await this.getPosts(scope);
+    return posts.filter(post => postMatchesIndex(post, index, value));
+  }
+
+  /**
+   * Apply a change set atomically
+   * Either every change in the set is persisted or none is.
+   * @param {string} scope - User scope
+   * @param {Object} changes - Change set from createChangeSet()
+   * @returns {Promise<void>}
+   */
+  async applyChanges(scope, changes) {
+    throw new Error(`${this.name} adapter does not implement applyChanges()`);
+  }
+
+  /**
+   * Remove all posts, tags, boards, sections, revisions and smart boards for a scope
+   * @param {string} scope - User scope
+   * @returns {Promise<void>}
+   */
+  async clear(scope) {
+    throw new Error(`${this.name} adapter does not implement clear()`);
+  }
+
+  /**
+   * Add or replace posts
+   * @param {string} scope - User scope
+   * @param {Array} posts - Posts to store
+   * @returns {Promise<void>}
+   */
+  async putPosts(scope, posts) {
+    await this.applyChanges(scope, { ...createChangeSet(), putPosts: posts });
+  }
+
+  /**
+   * Delete posts by ID
+   * @param {string} scope - User scope
+   * @param {Array<string>} ids - IDs of posts to delete
+   * @returns {Promise<void>}
+   */
+  async deletePosts(scope, ids) {
+    await this.applyChanges(scope, { ...createChangeSet(), deletePostIds: ids });
+  }
+
+  /**
+   * Add or replace tags
+   * @param {string} scope - User scope
+   * @param {Array} tags - Tags to store
+   * @returns {Promise<void>}
+   */
+  async putTags(scope, tags) {
+    await this.applyChanges(scope, { ...createChangeSet(), putTags: tags });
+  }
+
+  /**
+   * Delete tags by name
+   * @param {string} scope - User scope
+   * @param {Array<string>} names - Names of tags to delete
+   * @returns {Promise<void>}
+   */
+  async deleteTags(scope, names) {
+    await this.applyChanges(scope, { ...createChangeSet(), deleteTagKeys: names.map(getTagKey) });
+  }
+}
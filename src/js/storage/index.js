@@ -0,0 +1,606 @@
+/**
+ * Storage Module
+ * Single entry point for reading and writing posts, tags, boards, sections,
+ * post revisions and smart boards.
+ *
+ * Data is kept in memory per user scope so reads are synchronous, and every
+ * change is persisted through a storage adapter (IndexedDB, localStorage or
+ * in-memory). Writes are grouped into transactions: each transaction is applied
+ * atomically by the adapter and announced to subscribers as a single change event.
+ *
+ * The module doesn't touch `window` at import time, so it can be used from
+ * headless Node scripts with a MemoryAdapter.
+ */
+
+import { STORES, getTagKey, createChangeSet, countChanges } from './adapters/StorageAdapter.js';
+import IndexedDBAdapter from './adapters/IndexedDBAdapter.js';
+import LocalStorageAdapter from './adapters/LocalStorageAdapter.js';
+import MemoryAdapter from './adapters/MemoryAdapter.js';
+
+export { getTagKey };
+
+// Serialized data per scope: Map<scope, { [store name]: Map<key, json> }>
+const cache = new Map();
+
+// Change listeners
+const changeListeners = [];
+
+let adapter = null;
+let initPromise = null;
+
+// Writes are chained so they reach the adapter in the order they were made
+let writeQueue = Promise.resolve();
+
+/**
+ * Get the storage scope for the current user
+ * All data is partitioned by user ID, or 'anonymous' when logged out
+ * @returns {string} Current storage scope
+ */
+export function getStorageScope() {
+  const user = typeof window !== 'undefined' ? window.boardie?.currentUser : null;
+
+  // If user is logged in, use their ID as the scope
+  if (user && user.id) {
+    return user.id;
+  }
+
+  // Otherwise use the anonymous scope
+  return 'anonymous';
+}
+
+/**
+ * Get the cached data for a scope, creating it if needed
+ * @param {string} scope - User scope
+ * @returns {Object} Object with a map of serialized records per store
+ */
+function getScopeCache(scope) {
+  if (!cache.has(scope)) {
+    cache.set(scope, Object.fromEntries(STORES.map(({ name }) => [name, new Map()])));
+  }
+  return cache.get(scope);
+}
+
+/**
+ * Parse every serialized record in a map
+ * @param {Map<string, string>} records - Serialized records
+ * @returns {Array} Fresh copies of the records
+ */
+function parseAll(records) {
+  return Array.from(records.values(), json => JSON.parse(json));
+}
+
+/**
+ * Parse one serialized record from a map
+ * @param {Map<string, string>} records - Serialized records
+ * @param {string} key - Key of the record
+ * @returns {Object|null} Fresh copy of the record, or null if not found
+ */
+function parseOne(records, key) {
+  return records.has(key) ? JSON.parse(records.get(key)) : null;
+}
+
+/**
+ * Queue an adapter write after initialization and any earlier writes
+ * @param {Function} write - Async function performing the write
+ * @returns {Promise<void>}
+ */
+function queueWrite(write) {
+  writeQueue = writeQueue
+    .then(() => initPromise)
+    .then(() => adapter && write(adapter))
+    .catch(error => {
+      console.error('Error writing to storage:', error);
+    });
+  return writeQueue;
+}
+
+/**
+ * Notify listeners about a change
+ * @param {Object} event - The change event
+ */
+function emitChange(event) {
+  changeListeners.forEach(listener => {
+    try {
+      listener(event);
+    } catch (error) {
+      console.error('Error in storage change listener:', error);
+    }
+  });
+}
+
+/**
+ * Subscribe to storage changes
+ * Listeners receive `{ scope, putPosts, deletePostIds, putTags, deleteTagKeys, putBoards, deleteBoardIds, putSections, deleteSectionIds, putRevisions, deleteRevisionIds, putSmartBoards, deleteSmartBoardIds }`
+ * once per committed transaction, or `{ scope, cleared: true }` when a scope is cleared.
+ * @param {Function} listener - Function called with each change event
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribe(listener) {
+  if (typeof listener !== 'function') {
+    throw new Error('Storage listener must be a function');
+  }
+
+  changeListeners.push(listener);
+
+  return () => {
+    const index = changeListeners.indexOf(listener);
+    if (index !== -1) {
+      changeListeners.splice(index, 1);
+    }
+  };
+}
+
+/**
+ * Create a transaction over the cached data for a scope
+ * Changes are made to working copies and only reach the cache on commit.
+ * @param {string} scope - User scope
+ * @returns {Object} Transaction with read and write methods
+ */
+function createTransaction(scope) {
+  const scopeCache = getScopeCache(scope);
+  const working = {};
+  const touched = {};
+  const tx = { scope };
+
+  // Every store gets getPosts/getPost/putPost/putPosts/deletePost/deletePosts/replacePosts style methods
+  STORES.forEach(({ name, type, getKey }) => {
+    const records = new Map(scopeCache[name]);
+    const touchedKeys = new Set();
+    working[name] = records;
+    touched[name] = touchedKeys;
+
+    tx[`get${type}s`] = () => parseAll(records);
+
+    tx[`get${type}`] = key => parseOne(records, getKey(key));
+
+    tx[`put${type}`] = record => {
+      const key = record ? getKey(record) : null;
+      if (!key) return;
+      records.set(key, JSON.stringify(record));
+      touchedKeys.add(key);
+    };
+
+    tx[`put${type}s`] = list => list.forEach(tx[`put${type}`]);
+
+    tx[`delete${type}`] = keyOrRecord => {
+      const key = getKey(keyOrRecord);
+      records.delete(key);
+      touchedKeys.add(key);
+    };
+
+    tx[`delete${type}s`] = keys => keys.forEach(tx[`delete${type}`]);
+
+    tx[`replace${type}s`] = list => {
+      tx[`delete${type}s`](Array.from(records.keys()));
+      tx[`put${type}s`](list || []);
+    };
+  });
+
+  /**
+   * Work out what actually changed compared to the cache
+   * @returns {Object} Change set
+   */
+  tx.getChanges = () => {
+    const changes = createChangeSet();
+
+    STORES.forEach(({ name, putKey, deleteKey }) => {
+      touched[name].forEach(key => {
+        const json = working[name].get(key);
+        if (json === undefined) {
+          if (scopeCache[name].has(key)) changes[deleteKey].push(key);
+        } else if (scopeCache[name].get(key) !== json) {
+          changes[putKey].push(JSON.parse(json));
+        }
+      });
+    });
+
+    return changes;
+  };
+
+  /**
+   * Replace the cached data with the working copies
+   */
+  tx.apply = () => {
+    STORES.forEach(({ name }) => {
+      scopeCache[name] = working[name];
+    });
+  };
+
+  return tx;
+}
+
+/**
+ * Run several reads and writes as one atomic change
+ * The callback runs synchronously against a working copy; if it throws,
+ * nothing is changed. Otherwise the changes are cached, persisted together
+ * and announced with a single change event.
+ * @param {Function} fn - Callback receiving the transaction
+ * @param {string} [scope] - User scope (defaults to the current user)
+ * @returns {Promise<void>} Resolves once the changes are persisted
+ */
+export function transaction(fn, scope = getStorageScope()) {
+  const tx = createTransaction(scope);
+  fn(tx);
+
+  const changes = tx.getChanges();
+  if (countChanges(changes) === 0) {
+    return writeQueue;
+  }
+
+  tx.apply();
+  const summary = STORES
+    .filter(({ putKey, deleteKey }) => changes[putKey].length > 0 || changes[deleteKey].length > 0)
+    .map(({ label, putKey, deleteKey }) => `${changes[putKey].length} changed and ${changes[deleteKey].length} removed ${label}`);
+  console.log(`Persisting ${summary.join(', ')} for ${scope}`);
+
+  const written = queueWrite(store => store.applyChanges(scope, changes));
+  emitChange({ scope, ...changes });
+  return written;
+}
+
+/**
+ * Copy data saved by older versions in localStorage into IndexedDB
+ * Scopes that already have data in IndexedDB are left untouched.
+ * @param {Array<string>} existingScopes - Scopes already stored in IndexedDB
+ * @returns {Promise<void>}
+ */
+async function migrateFromLocalStorage(existingScopes) {
+  if (!LocalStorageAdapter.isSupported()) return;
+
+  const legacy = new LocalStorageAdapter();
+
+  for (const scope of await legacy.listScopes()) {
+    if (!existingScopes.includes(scope)) {
+      const changes = createChangeSet();
+      for (const { name, putKey } of STORES) {
+        changes[putKey] = await legacy.getRecords(scope, name);
+      }
+      const summary = STORES.map(({ label, putKey }) => `${changes[putKey].length} ${label}`);
+      console.log(`Migrating ${summary.join(', ')} for ${scope} from localStorage to IndexedDB`);
+      await adapter.applyChanges(scope, changes);
+    }
+    legacy.removeMigratedScope(scope);
+  }
+}
+
+/**
+ * Pick the best adapter available in this environment
+ * @returns {Promise<StorageAdapter>} An opened adapter
+ */
+async function openDefaultAdapter() {
+  if (IndexedDBAdapter.isSupported()) {
+    try {
+      const indexedDbAdapter = new IndexedDBAdapter();
+      await indexedDbAdapter.open();
+      return indexedDbAdapter;
+    } catch (error) {
+      console.error('Could not open IndexedDB, falling back to localStorage:', error);
+    }
+  }
+
+  if (LocalStorageAdapter.isSupported()) {
+    return new LocalStorageAdapter();
+  }
+
+  console.log('No persistent storage available, keeping data in memory');
+  return new MemoryAdapter();
+}
+
+/**
+ * Initialize storage and load stored data into memory
+ * Safe to call more than once; later calls return the same promise.
+ * @param {StorageAdapter} [customAdapter] - Adapter to use instead of the default
+ * @returns {Promise<void>}
+ */
+export function initStorage(customAdapter) {
+  if (initPromise) return initPromise;
+
+  initPromise = (async () => {
+    try {
+      if (customAdapter) {
+        await customAdapter.open();
+        adapter = customAdapter;
+      } else {
+        adapter = await openDefaultAdapter();
+      }
+
+      let scopes = await adapter.listScopes();
+
+      if (adapter instanceof IndexedDBAdapter) {
+        await migrateFromLocalStorage(scopes);
+        scopes = await adapter.listScopes();
+      }
+
+      // Anything written before initialization finished takes precedence
+      for (const scope of scopes) {
+        if (cache.has(scope)) continue;
+
+        const scopeCache = {};
+        for (const { name, getKey } of STORES) {
+          const records = await adapter.getRecords(scope, name);
+          scopeCache[name] = new Map(records.map(record => [getKey(record), JSON.stringify(record)]));
+        }
+        cache.set(scope, scopeCache);
+      }
+
+      console.log(`Storage initialized using ${adapter.name}`);
+    } catch (error) {
+      console.error('Error initializing storage:', error);
+    }
+  })();
+
+  return initPromise;
+}
+
+/**
+ * Get the name of the adapter in use
+ * @returns {string|null} 'indexeddb', 'localstorage', 'memory' or null before initialization
+ */
+export function getStorageBackendName() {
+  return adapter ? adapter.name : null;
+}
+
+/**
+ * Get all posts for the current user
+ * @returns {Array} Array of post objects (fresh copies, safe to mutate)
+ */
+export function getPosts() {
+  const scopeCache = cache.get(getStorageScope());
+  return scopeCache ? parseAll(scopeCache.posts) : [];
+}
+
+/**
+ * Get a single post by ID
+ * @param {string} id - Post ID
+ * @returns {Object|null} The post, or null if not found
+ */
+export function getPost(id) {
+  const scopeCache = cache.get(getStorageScope());
+  return scopeCache ? parseOne(scopeCache.posts, id) : null;
+}
+
+/**
+ * Get all tags for the current user
+ * @returns {Array} Array of tags
+ */
+export function getTags() {
+  const scopeCache = cache.get(getStorageScope());
+  return scopeCache ? parseAll(scopeCache.tags) : [];
+}
+
+/**
+ * Get all boards for the current user
+ * @returns {Array} Array of boards
+ */
+export function getBoards() {
+  const scopeCache = cache.get(getStorageScope());
+  return scopeCache ? parseAll(scopeCache.boards) : [];
+}
+
+/**
+ * Get a single board by ID
+ * @param {string} id - Board ID
+ * @returns {Object|null} The board, or null if not found
+ */
+export function getBoard(id) {
+  const scopeCache = cache.get(getStorageScope());
+  return scopeCache ? parseOne(scopeCache.boards, id) : null;
+}
+
+/**
+ * Get all sections for the current user
+ * @returns {Array} Array of sections
+ */
+export function getSections() {
+  const scopeCache = cache.get(getStorageScope());
+  return scopeCache ? parseAll(scopeCache.sections) : [];
+}
+
+/**
+ * Get a single section by ID
+ * @param {string} id - Section ID
+ * @returns {Object|null} The section, or null if not found
+ */
+export function getSection(id) {
+  const scopeCache = cache.get(getStorageScope());
+  return scopeCache ? parseOne(scopeCache.sections, id) : null;
+}
+
+/**
+ * Get all post revisions for the current user
+ * @returns {Array} Array of revisions
+ */
+export function getRevisions() {
+  const scopeCache = cache.get(getStorageScope());
+  return scopeCache ? parseAll(scopeCache.revisions) : [];
+}
+
+/**
+ * Get all smart boards for the current user
+ * @returns {Array} Array of smart boards
+ */
+export function getSmartBoards() {
+  const scopeCache = cache.get(getStorageScope());
+  return scopeCache ? parseAll(scopeCache.smartBoards) : [];
+}
+
+/**
+ * Get a single smart board by ID
+ * @param {string} id - Smart board ID
+ * @returns {Object|null} The smart board, or null if not found
+ */
+export function getSmartBoard(id) {
+  const scopeCache = cache.get(getStorageScope());
+  return scopeCache ? parseOne(scopeCache.smartBoards, id) : null;
+}
+
+/**
+ * Add or replace a post
+ * @param {Object} post - The post to store
+ * @returns {Promise<void>} Resolves once the post is persisted
+ */
+export function putPost(post) {
+  return transaction(tx => tx.putPost(post));
+}
+
+/**
+ * Add or replace several posts
+ * @param {Array} posts - Posts to store
+ * @returns {Promise<void>} Resolves once the posts are persisted
+ */
+export function putPosts(posts) {
+  return transaction(tx => tx.putPosts(posts));
+}
+
+/**
+ * Delete a post
+ * @param {string} id - ID of the post to delete
+ * @returns {Promise<void>} Resolves once the deletion is persisted
+ */
+export function deletePost(id) {
+  return transaction(tx => tx.deletePost(id));
+}
+
+/**
+ * Delete several posts
+ * @param {Array<string>} ids - IDs of the posts to delete
+ * @returns {Promise<void>} Resolves once the deletions are persisted
+ */
+export function deletePosts(ids) {
+  return transaction(tx => tx.deletePosts(ids));
+}
+
+/**
+ * Replace all posts for the current user
+ * Only posts that were added, changed or removed are written.
+ * @param {Array} posts - Complete array of posts
+ * @returns {Promise<void>} Resolves once the changes are persisted
+ */
+export function replacePosts(posts) {
+  return transaction(tx => tx.replacePosts(posts));
+}
+
+/**
+ * Add or replace tags
+ * @param {Array} tags - Tags to store
+ * @returns {Promise<void>} Resolves once the tags are persisted
+ */
+export function putTags(tags) {
+  return transaction(tx => tx.putTags(tags));
+}
+
+/**
+ * Delete tags by name
+ * @param {Array<string>} names - Names of the tags to delete
+ * @returns {Promise<void>} Resolves once the deletions are persisted
+ */
+export function deleteTags(names) {
+  return transaction(tx => tx.deleteTags(names));
+}
+
+/**
+ * Replace all tags for the current user
+ * @param {Array} tags - Complete array of tags
+ * @returns {Promise<void>} Resolves once the changes are persisted
+ */
+export function replaceTags(tags) {
+  return transaction(tx => tx.replaceTags(tags));
+}
+
+/**
+ * Add or replace a board
+ * @param {Object} board - The board to store
+ * @returns {Promise<void>} Resolves once the board is persisted
+ */
+export function putBoard(board) {
+  return transaction(tx => tx.putBoard(board));
+}
+
+/**
+ * Replace all boards for the current user
+ * @param {Array} boards - Complete array of boards
+ * @returns {Promise<void>} Resolves once the changes are persisted
+ */
+export function replaceBoards(boards) {
+  return transaction(tx => tx.replaceBoards(boards));
+}
+
+/**
+ * Add or replace a section
+ * @param {Object} section - The section to store
+ * @returns {Promise<void>} Resolves once the section is persisted
+ */
+export function putSection(section) {
+  return transaction(tx => tx.putSection(section));
+}
+
+/**
+ * Replace all sections for the current user
+ * @param {Array} sections - Complete array of sections
+ * @returns {Promise<void>} Resolves once the changes are persisted
+ */
+export function replaceSections(sections) {
+  return transaction(tx => tx.replaceSections(sections));
+}
+
+/**
+ * Replace all post revisions for the current user
+ * @param {Array} revisions - Complete array of revisions
+ * @returns {Promise<void>} Resolves once the changes are persisted
+ */
+export function replaceRevisions(revisions) {
+  return transaction(tx => tx.replaceRevisions(revisions));
+}
+
+/**
+ * Add or replace a smart board
+ * @param {Object} smartBoard - The smart board to store
+ * @returns {Promise<void>} Resolves once the smart board is persisted
+ */
+export function putSmartBoard(smartBoard) {
+  return transaction(tx => tx.putSmartBoard(smartBoard));
+}
+
+/**
+ * Replace all smart boards for the current user
+ * @param {Array} smartBoards - Complete array of smart boards
+ * @returns {Promise<void>} Resolves once the changes are persisted
+ */
+export function replaceSmartBoards(smartBoards) {
+  return transaction(tx => tx.replaceSmartBoards(smartBoards));
+}
+
+/**
+ * Query posts through an adapter index
+ * @param {string} index - One of 'url', 'platform', 'dateAdded' or 'tag'
+ * @param {*} value - Value to look up
+ * @returns {Promise<Array>} Matching posts
+ */
+export async function queryPosts(index, value) {
+  const scope = getStorageScope();
+  await writeQueue;
+  if (!adapter) return [];
+  return adapter.queryPosts(scope, index, value);
+}
+
+/**
+ * Remove all posts, tags, boards, sections, revisions and smart boards for the current user
+ * @param {string} [scope] - User scope (defaults to the current user)
+ * @returns {Promise<void>}
+ */
+export function clearStorage(scope = getStorageScope()) {
+  cache.delete(scope);
+  const cleared = queueWrite(store => store.clear(scope));
+  emitChange({ scope, cleared: true });
+  return cleared;
+}
+
+/**
+ * Wait until all pending writes have reached the adapter
+ * @returns {Promise<void>}
+ */
+export function flushStorage() {
+  return writeQueue;
+}
+
+export { IndexedDBAdapter, LocalStorageAdapter, MemoryAdapter };
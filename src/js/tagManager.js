@@ -2,6 +2,8 @@
  * Tag management functionality for Boardie
  */
 
+import { isPostDeleted } from './utils.js';
+
 // Cache for unique tags to avoid reloading all posts
 let uniqueTagsCache = null;
 let lastCacheUpdateTime = 0;
@@ -216,6 +218,9 @@ export function getAllUniqueTags(posts) {
   const tagsMap = new Map();
   
   posts.forEach(post => {
+    // Posts in the trash don't contribute tags
+    if (isPostDeleted(post)) return;
+    
     if (post.tags && Array.isArray(post.tags)) {
       post.tags.forEach(tag => {
         // Handle both string tags and object tags
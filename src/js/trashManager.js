@@ -0,0 +1,359 @@
+/**
+ * Trash management functionality for Boardie
+ * Deleted posts are kept with a `deletedAt` timestamp until they are restored,
+ * removed by hand or purged after the retention period.
+ */
+
+import * as storage from './storage/index.js';
+import { getPostDeletedAt, isPostDeleted } from './utils.js';
+import { filterPostsByTags, getActiveTagFilters, recordPostChange } from './postManager.js';
+import { invalidateTagsCache } from './tagManager.js';
+import { renderBoardHeader } from './boardManager.js';
+import { removePostRevisions } from './revisionManager.js';
+
+// Storage key for the retention setting
+const TRASH_RETENTION_KEY = 'boardie_trash_retention_days';
+
+// Days deleted posts are kept before being purged
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the number of days deleted posts are kept
+ * @returns {number} Retention in days, 0 to keep deleted posts forever
+ */
+export function getTrashRetentionDays() {
+  const saved = localStorage.getItem(TRASH_RETENTION_KEY);
+  const days = saved === null ? DEFAULT_TRASH_RETENTION_DAYS : parseInt(saved, 10);
+  return Number.isNaN(days) || days < 0 ? DEFAULT_TRASH_RETENTION_DAYS : days;
+}
+
+/**
+ * Set the number of days deleted posts are kept
+ * @param {number} days Retention in days, 0 to keep deleted posts forever
+ */
+export function setTrashRetentionDays(days) {
+  localStorage.setItem(TRASH_RETENTION_KEY, String(days));
+  console.log(`Trash retention set to ${days} days`);
+}
+
+/**
+ * Get all posts in the trash, most recently deleted first
+ * @returns {Array} Array of deleted posts
+ */
+export function getTrashedPosts() {
+  return storage.getPosts()
+    .filter(isPostDeleted)
+    .sort((a, b) => new Date(getPostDeletedAt(b)) - new Date(getPostDeletedAt(a)));
+}
+
+/**
+ * Remove posts from Supabase if the user is logged in
+ * Cloud posts are found by URL, since a post that hasn't finished syncing
+ * still has its local ID. A post that fails doesn't stop the others.
+ * @param {Array} posts Posts to remove
+ * @returns {Promise<void>}
+ */
+async function deletePostsInSupabase(posts) {
+  if (posts.length === 0 || !window.boardie || !window.boardie.isAuthenticated) return;
+
+  let postService;
+  try {
+    postService = await import('./database/services/postService.js');
+  } catch (error) {
+    console.error('Error removing posts from Supabase:', error);
+    return;
+  }
+
+  let removed = 0;
+  for (const post of posts) {
+    try {
+      const { data: cloudPosts, error } = await postService.findPostByUrl(post.url);
+      if (error) throw error;
+
+      for (const cloudPost of cloudPosts || []) {
+        await postService.deletePost(cloudPost.id);
+      }
+      removed++;
+    } catch (error) {
+      console.error(`Error removing post ${post.id} from Supabase:`, error);
+    }
+  }
+  console.log(`Removed ${removed} of ${posts.length} posts from Supabase`);
+}
+
+/**
+ * Restore a post from the trash
+ * @param {string} id ID of the post to restore
+ * @returns {Promise<boolean>} True if the post was restored
+ */
+export async function restorePost(id) {
+  const post = storage.getPost(id);
+  if (!post || !isPostDeleted(post)) {
+    console.error('Post not found in trash:', id);
+    return false;
+  }
+
+  console.log('Restoring post from trash:', id);
+  const restoredPost = {
+    ...post,
+    deletedAt: null,
+    lastUpdated: new Date().toISOString()
+  };
+  storage.putPost(restoredPost);
+  recordPostChange('Restore post', post, restoredPost);
+  invalidateTagsCache();
+
+  if (window.boardie && window.boardie.isAuthenticated) {
+    try {
+      const { queuePostSync } = await import('./database/sync/postSyncService.js');
+      queuePostSync(id, post.url);
+    } catch (error) {
+      console.error('Error queuing restored post for sync:', error);
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Remove posts and their revision history from local storage
+ * @param {Array<string>} ids IDs of the posts
+ */
+function removePostsForever(ids) {
+  storage.transaction(tx => {
+    tx.deletePosts(ids);
+    removePostRevisions(tx, ids);
+  });
+}
+
+/**
+ * Permanently delete a post that is in the trash
+ * @param {string} id ID of the post to delete
+ * @returns {Promise<boolean>} True if the post was deleted
+ */
+export async function deletePostForever(id) {
+  const post = storage.getPost(id);
+  if (!post || !isPostDeleted(post)) {
+    console.error('Post not found in trash:', id);
+    return false;
+  }
+
+  console.log('Permanently deleting post:', id);
+  removePostsForever([id]);
+  await deletePostsInSupabase([post]);
+  return true;
+}
+
+/**
+ * Permanently delete every post in the trash
+ * @returns {Promise<number>} Number of posts deleted
+ */
+export async function emptyTrash() {
+  const trashedPosts = getTrashedPosts();
+  if (trashedPosts.length === 0) return 0;
+
+  console.log(`Emptying trash: ${trashedPosts.length} posts`);
+  removePostsForever(trashedPosts.map(post => post.id));
+  await deletePostsInSupabase(trashedPosts);
+  return trashedPosts.length;
+}
+
+/**
+ * Permanently delete posts that have been in the trash longer than the retention period
+ * @returns {Promise<number>} Number of posts purged
+ */
+export async function purgeExpiredPosts() {
+  try {
+    const retentionDays = getTrashRetentionDays();
+    if (retentionDays === 0) {
+      console.log('Trash retention is set to forever, nothing to purge');
+      return 0;
+    }
+
+    const cutoff = Date.now() - retentionDays * DAY_IN_MS;
+    const expiredPosts = getTrashedPosts()
+      .filter(post => new Date(getPostDeletedAt(post)).getTime() < cutoff);
+
+    if (expiredPosts.length === 0) return 0;
+
+    console.log(`Purging ${expiredPosts.length} posts deleted more than ${retentionDays} days ago`);
+    removePostsForever(expiredPosts.map(post => post.id));
+    await deletePostsInSupabase(expiredPosts);
+    return expiredPosts.length;
+  } catch (error) {
+    console.error('Error purging expired posts:', error);
+    return 0;
+  }
+}
+
+/**
+ * Create a list item for a deleted post
+ * @param {Object} post The deleted post
+ * @returns {HTMLElement} The list item
+ */
+function createTrashItem(post) {
+  const item = document.createElement('li');
+  item.className = 'flex items-center justify-between gap-3 p-3';
+  item.dataset.id = post.id;
+
+  const details = document.createElement('div');
+  details.className = 'min-w-0 flex-1';
+
+  const title = document.createElement('a');
+  title.className = 'block text-sm font-medium text-gray-900 truncate hover:underline';
+  title.href = post.url;
+  title.target = '_blank';
+  title.rel = 'noopener noreferrer';
+  title.textContent = post.title || post.url;
+
+  const meta = document.createElement('p');
+  meta.className = 'text-xs text-gray-500';
+  meta.textContent = `${post.platform || 'Website'} · Deleted ${new Date(getPostDeletedAt(post)).toLocaleDateString()}`;
+
+  details.appendChild(title);
+  details.appendChild(meta);
+
+  const actions = document.createElement('div');
+  actions.className = 'flex items-center gap-2 shrink-0';
+
+  const restoreButton = document.createElement('button');
+  restoreButton.type = 'button';
+  restoreButton.className = 'restore-post-btn text-xs text-blue-600 hover:text-blue-800';
+  restoreButton.textContent = 'Restore';
+
+  const deleteButton = document.createElement('button');
+  deleteButton.type = 'button';
+  deleteButton.className = 'delete-forever-btn text-xs text-red-600 hover:text-red-800';
+  deleteButton.textContent = 'Delete forever';
+
+  actions.appendChild(restoreButton);
+  actions.appendChild(deleteButton);
+
+  item.appendChild(details);
+  item.appendChild(actions);
+  return item;
+}
+
+/**
+ * Render the posts in the trash
+ */
+export function renderTrashView() {
+  const trashList = document.getElementById('trashList');
+  const emptyMessage = document.getElementById('trashEmptyMessage');
+  const emptyTrashBtn = document.getElementById('emptyTrashBtn');
+  if (!trashList) return;
+
+  const trashedPosts = getTrashedPosts();
+
+  trashList.innerHTML = '';
+  trashedPosts.forEach(post => trashList.appendChild(createTrashItem(post)));
+
+  trashList.classList.toggle('hidden', trashedPosts.length === 0);
+  emptyMessage.classList.toggle('hidden', trashedPosts.length > 0);
+  emptyTrashBtn.disabled = trashedPosts.length === 0;
+}
+
+/**
+ * Check whether the Trash view is open
+ * @returns {boolean} True if the Trash view is showing
+ */
+export function isTrashViewOpen() {
+  const trashView = document.getElementById('trashView');
+  return Boolean(trashView) && !trashView.classList.contains('hidden');
+}
+
+/**
+ * Show the Trash view in place of the posts grid
+ */
+export function openTrashView() {
+  console.log('Opening trash view');
+  document.getElementById('postsGrid').classList.add('hidden');
+  document.getElementById('noPostsMessage').classList.add('hidden');
+  document.getElementById('searchNoResults').classList.add('hidden');
+  document.getElementById('boardHeader').classList.add('hidden');
+  document.getElementById('trashView').classList.remove('hidden');
+  document.getElementById('trashRetention').value = String(getTrashRetentionDays());
+  renderTrashView();
+  document.dispatchEvent(new CustomEvent('viewChanged'));
+}
+
+/**
+ * Hide the Trash view and show the posts grid again
+ */
+export function closeTrashView() {
+  console.log('Closing trash view');
+  document.getElementById('trashView').classList.add('hidden');
+  document.getElementById('postsGrid').classList.remove('hidden');
+  renderBoardHeader();
+
+  // Re-render so restored posts show up, keeping the active filters
+  filterPostsByTags(getActiveTagFilters());
+  document.dispatchEvent(new CustomEvent('setupTagFilters'));
+}
+
+/**
+ * Set up event listeners for the Trash view
+ */
+export function setupTrashView() {
+  const trashBtn = document.getElementById('trashBtn');
+  const closeTrashBtn = document.getElementById('closeTrashBtn');
+  const emptyTrashBtn = document.getElementById('emptyTrashBtn');
+  const trashRetention = document.getElementById('trashRetention');
+  const trashList = document.getElementById('trashList');
+
+  if (!trashBtn || !trashList) {
+    console.log('Trash view elements not found in DOM');
+    return;
+  }
+
+  trashBtn.addEventListener('click', () => {
+    if (isTrashViewOpen()) {
+      closeTrashView();
+    } else {
+      openTrashView();
+    }
+  });
+
+  closeTrashBtn.addEventListener('click', closeTrashView);
+
+  emptyTrashBtn.addEventListener('click', async () => {
+    const count = getTrashedPosts().length;
+    if (count === 0) return;
+
+    if (confirm(`Permanently delete ${count} post${count === 1 ? '' : 's'}? This action cannot be undone.`)) {
+      await emptyTrash();
+      renderTrashView();
+    }
+  });
+
+  trashRetention.addEventListener('change', async () => {
+    setTrashRetentionDays(parseInt(trashRetention.value, 10));
+    await purgeExpiredPosts();
+    renderTrashView();
+  });
+
+  // Restore and delete buttons (using event delegation)
+  trashList.addEventListener('click', async (e) => {
+    const item = e.target.closest('li[data-id]');
+    if (!item) return;
+
+    if (e.target.closest('.restore-post-btn')) {
+      await restorePost(item.dataset.id);
+      renderTrashView();
+    } else if (e.target.closest('.delete-forever-btn')) {
+      if (confirm('Permanently delete this post? This action cannot be undone.')) {
+        await deletePostForever(item.dataset.id);
+        renderTrashView();
+      }
+    }
+  });
+
+  // Keep the list current when posts change elsewhere (e.g. after a sync)
+  storage.subscribe(() => {
+    if (isTrashViewOpen()) {
+      renderTrashView();
+    }
+  });
+}
@@ -31,6 +31,57 @@ export function getPlatformFromUrl(url) {
   }
 }
 
+/**
+ * Escape HTML special characters
+ * @param {string} text Text to escape
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Get the time a post was moved to the trash
+ * @param {Object} post The post to check
+ * @returns {string|null} ISO date string, or null if the post is not in the trash
+ */
+export function getPostDeletedAt(post) {
+  if (!post) return null;
+  return post.deletedAt || null;
+}
+
+/**
+ * Check whether a post is in the trash
+ * @param {Object} post The post to check
+ * @returns {boolean} True if the post has been deleted
+ */
+export function isPostDeleted(post) {
+  return getPostDeletedAt(post) !== null;
+}
+
+/**
+ * Check whether a post has a tag, ignoring case
+ * @param {Object} post The post to check
+ * @param {string|Object} tag Tag name or tag object
+ * @returns {boolean} True if one of the post's tags has the same name
+ */
+export function postHasTag(post, tag) {
+  if (!post || !Array.isArray(post.tags) || post.tags.length === 0) return false;
+  
+  // Tags may be objects or strings
+  const getName = value => (typeof value === 'object' && value !== null && value.name
+    ? value.name
+    : String(value)).toLowerCase();
+  
+  const tagName = getName(tag);
+  return post.tags.some(postTag => getName(postTag) === tagName);
+}
+
 /**
  * Extract tags from a comma-separated string
  * @param {string} tagsString Comma-separated tags
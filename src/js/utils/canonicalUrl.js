@@ -0,0 +1,216 @@
+/**
+ * Canonical URL Utility
+ * Turns the many forms a link can take (short links, mobile hosts, share
+ * parameters) into one canonical URL, and for supported platforms into a
+ * content ID such as `youtube:dQw4w9WgXcQ`. Used to detect duplicate posts.
+ */
+
+// Query parameters that only track where a link was shared from
+const TRACKING_PARAMS = new Set([
+  'fbclid', 'gclid', 'dclid', 'gbraid', 'wbraid', 'msclkid', 'yclid', 'twclid', 'ttclid',
+  'mc_cid', 'mc_eid', '_hsenc', '_hsmi', 'mkt_tok', 'igshid', 'igsh', 'si',
+  'ref_src', 'ref_url', 'share_id', 'share_app_id', 'sender_device', 'is_from_webapp'
+]);
+
+// Query parameter prefixes that only track where a link was shared from
+const TRACKING_PARAM_PREFIXES = ['utm_'];
+
+// Host prefixes that point at the same site
+const HOST_PREFIXES = /^(www|m|mobile)\./;
+
+// YouTube video IDs are 11 URL-safe characters
+const YOUTUBE_ID = /^[\w-]{11}$/;
+
+/**
+ * Per-platform rules, tried in order
+ * Each rule gets the parsed URL (host without www./m./mobile.) and returns
+ * `{ url, contentId }` when it recognizes the link, or null to let the next rule try.
+ */
+const PLATFORM_RULES = [
+  {
+    platform: 'YouTube',
+    hosts: ['youtube.com', 'music.youtube.com', 'youtu.be', 'youtube-nocookie.com'],
+    match(parsed, host, segments) {
+      let id = null;
+
+      if (host === 'youtu.be') {
+        id = segments[0];
+      } else if (segments[0] === 'watch') {
+        id = parsed.searchParams.get('v');
+      } else if (['shorts', 'embed', 'live', 'v'].includes(segments[0])) {
+        id = segments[1];
+      }
+
+      if (!id || !YOUTUBE_ID.test(id)) return null;
+      return { url: `https://www.youtube.com/watch?v=${id}`, contentId: `youtube:${id}` };
+    }
+  },
+  {
+    platform: 'Twitter',
+    hosts: ['twitter.com', 'x.com'],
+    match(parsed, host, segments) {
+      // /user/status/ID, /i/status/ID and /i/web/status/ID, optionally followed by /photo/1 etc.
+      const index = segments.indexOf('status');
+      const id = index > 0 ? segments[index + 1] : null;
+      if (!id || !/^\d+$/.test(id)) return null;
+
+      // Usernames can change, so the URL uses the generic /i/ path
+      return { url: `https://x.com/i/status/${id}`, contentId: `twitter:${id}` };
+    }
+  },
+  {
+    platform: 'Instagram',
+    hosts: ['instagram.com'],
+    match(parsed, host, segments) {
+      // /p/CODE, /reel/CODE, /reels/CODE and /tv/CODE, optionally after a username
+      const index = segments.findIndex(segment => ['p', 'reel', 'reels', 'tv'].includes(segment));
+      const code = index !== -1 ? segments[index + 1] : null;
+      if (!code) return null;
+
+      return { url: `https://www.instagram.com/p/${code}/`, contentId: `instagram:${code}` };
+    }
+  },
+  {
+    platform: 'TikTok',
+    hosts: ['tiktok.com', 'vm.tiktok.com', 'vt.tiktok.com'],
+    match(parsed, host, segments) {
+      // /@user/video/ID and /@user/photo/ID
+      const index = segments.findIndex(segment => segment === 'video' || segment === 'photo');
+      const id = index !== -1 ? segments[index + 1] : null;
+      if (id && /^\d+$/.test(id)) {
+        return { url: `https://www.tiktok.com/${segments.slice(0, index + 2).join('/')}`, contentId: `tiktok:${id}` };
+      }
+
+      // Short links (vm.tiktok.com/CODE, tiktok.com/t/CODE) can't be resolved
+      // without a request, so they only match the same short link
+      const code = host === 'tiktok.com' ? (segments[0] === 't' ? segments[1] : null) : segments[0];
+      if (!code) return null;
+      return { url: `https://vm.tiktok.com/${code}`, contentId: null };
+    }
+  },
+  {
+    platform: 'LinkedIn',
+    hosts: ['linkedin.com'],
+    match(parsed, host, segments) {
+      // /posts/slug-activity-ID and /feed/update/urn:li:activity:ID
+      const match = parsed.pathname.match(/activity[-:](\d+)/);
+      if (!match) return null;
+
+      return { url: `https://www.linkedin.com/feed/update/urn:li:activity:${match[1]}`, contentId: `linkedin:${match[1]}` };
+    }
+  },
+  {
+    platform: 'Pinterest',
+    hosts: ['pinterest.com'],
+    match(parsed, host, segments) {
+      const id = segments[0] === 'pin' ? segments[1] : null;
+      if (!id || !/^\d+$/.test(id)) return null;
+
+      return { url: `https://www.pinterest.com/pin/${id}/`, contentId: `pinterest:${id}` };
+    }
+  }
+];
+
+/**
+ * Check whether a query parameter only tracks where a link came from
+ * @param {string} name Parameter name
+ * @returns {boolean} True if the parameter can be dropped
+ */
+function isTrackingParam(name) {
+  const lowerName = name.toLowerCase();
+  return TRACKING_PARAMS.has(lowerName) || TRACKING_PARAM_PREFIXES.some(prefix => lowerName.startsWith(prefix));
+}
+
+/**
+ * Parse a URL, allowing the protocol to be left out
+ * @param {string} url The URL
+ * @returns {URL|null} The parsed URL, or null if it isn't a web URL
+ */
+function parseUrl(url) {
+  const trimmed = String(url || '').trim();
+  if (!trimmed) return null;
+
+  try {
+    const parsed = new URL(/^[a-z][a-z\d+.-]*:\/\//i.test(trimmed) ? trimmed : `https://${trimmed}`);
+    return parsed.protocol === 'http:' || parsed.protocol === 'https:' ? parsed : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Build the canonical form of a URL without platform rules
+ * Uses https, drops the fragment, tracking parameters and trailing slashes,
+ * and sorts the remaining parameters. The path keeps its case.
+ * @param {URL} parsed The parsed URL
+ * @param {string} host Host without www./m./mobile.
+ * @returns {string} Canonical URL
+ */
+function getGenericCanonicalUrl(parsed, host) {
+  const params = Array.from(parsed.searchParams.entries())
+    .filter(([name]) => !isTrackingParam(name))
+    .sort(([a], [b]) => a.localeCompare(b));
+
+  const query = new URLSearchParams(params).toString();
+  const path = parsed.pathname.replace(/\/+$/, '');
+  const port = parsed.port ? `:${parsed.port}` : '';
+
+  return `https://${host}${port}${path}${query ? `?${query}` : ''}`;
+}
+
+/**
+ * Canonicalize a URL
+ * @param {string} url The URL
+ * @returns {Object|null} `{ url, contentId, platform }`, where contentId is null for
+ *   links that don't identify a known piece of content; null if the URL is invalid
+ */
+export function canonicalizeUrl(url) {
+  const parsed = parseUrl(url);
+  if (!parsed) return null;
+
+  const host = parsed.hostname.toLowerCase().replace(HOST_PREFIXES, '');
+  const segments = parsed.pathname.split('/').filter(Boolean);
+
+  for (const rule of PLATFORM_RULES) {
+    if (!rule.hosts.includes(host)) continue;
+
+    const result = rule.match(parsed, host, segments);
+    if (result) {
+      return { ...result, platform: rule.platform };
+    }
+  }
+
+  return { url: getGenericCanonicalUrl(parsed, host), contentId: null, platform: 'Website' };
+}
+
+/**
+ * Get the canonical form of a URL
+ * @param {string} url The URL
+ * @returns {string} Canonical URL, or an empty string if the URL is invalid
+ */
+export function getCanonicalUrl(url) {
+  const canonical = canonicalizeUrl(url);
+  return canonical ? canonical.url : '';
+}
+
+/**
+ * Get the key two URLs share when they point at the same content
+ * This is the content ID for supported platforms and the canonical URL otherwise.
+ * @param {string} url The URL
+ * @returns {string} Duplicate detection key, or an empty string if the URL is invalid
+ */
+export function getUrlKey(url) {
+  const canonical = canonicalizeUrl(url);
+  if (!canonical) return '';
+  return canonical.contentId || canonical.url;
+}
+
+/**
+ * Get the host of a URL without www., m. or mobile.
+ * @param {string} url The URL
+ * @returns {string} Lowercase host, or an empty string if the URL is invalid
+ */
+export function getUrlHost(url) {
+  const parsed = parseUrl(url);
+  return parsed ? parsed.hostname.toLowerCase().replace(HOST_PREFIXES, '') : '';
+}
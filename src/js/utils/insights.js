@@ -0,0 +1,190 @@
+/**
+ * Insights Utility
+ * Counts the numbers behind the insights charts from a list of posts: posts
+ * added per week or month, growth over time, and the most common values of
+ * anything a post can be grouped by, such as tags, tag pairs and domains.
+ * Weeks start on Monday and all dates are in local time, like the date facet.
+ * Doesn't touch storage or the DOM.
+ */
+
+export const INSIGHT_PERIODS = {
+  WEEK: 'week',
+  MONTH: 'month'
+};
+
+/**
+ * Get the time a post was added
+ * @param {Object} post The post
+ * @returns {number} Timestamp, or NaN if the post has no valid date
+ */
+function getAddedTime(post) {
+  return new Date(post.dateAdded || post.created_at).getTime();
+}
+
+/**
+ * Get the start of the week or month a time falls in
+ * @param {number} time Timestamp
+ * @param {string} period One of INSIGHT_PERIODS
+ * @returns {Date} Midnight on the Monday or the first of the month
+ */
+function getPeriodStart(time, period) {
+  const date = new Date(time);
+  date.setHours(0, 0, 0, 0);
+  if (period === INSIGHT_PERIODS.WEEK) {
+    date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+  } else {
+    date.setDate(1);
+  }
+  return date;
+}
+
+/**
+ * Get the start of the period after the one a date starts
+ * @param {Date} start Start of a period
+ * @param {string} period One of INSIGHT_PERIODS
+ * @returns {Date} Start of the next period
+ */
+function getNextPeriodStart(start, period) {
+  const next = new Date(start);
+  if (period === INSIGHT_PERIODS.WEEK) {
+    next.setDate(next.getDate() + 7);
+  } else {
+    next.setMonth(next.getMonth() + 1);
+  }
+  return next;
+}
+
+/**
+ * Format a date as YYYY-MM-DD in local time, as the date facet expects
+ * @param {Date} date The date
+ * @returns {string} The day
+ */
+export function formatDay(date) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Get the last day of a period
+ * @param {Object} bucket A bucket from countPostsPerPeriod()
+ * @returns {Date} Midnight on the last day
+ */
+export function getLastDay(bucket) {
+  const last = new Date(bucket.end);
+  last.setDate(last.getDate() - 1);
+  return last;
+}
+
+/**
+ * Count the posts added in each of the last few weeks or months
+ * @param {Array} posts The posts
+ * @param {string} period One of INSIGHT_PERIODS
+ * @param {number} count Number of periods, ending with the current one
+ * @param {number} [now] Current timestamp
+ * @returns {Array<Object>} `{ start, end, count }` per period, oldest first; end is the
+ *   start of the next period
+ */
+export function countPostsPerPeriod(posts, period, count, now = Date.now()) {
+  const buckets = [];
+  let start = getPeriodStart(now, period);
+  for (let i = 0; i < count; i++) {
+    const end = getNextPeriodStart(start, period);
+    buckets.unshift({ start, end, count: 0 });
+
+    start = new Date(start);
+    if (period === INSIGHT_PERIODS.WEEK) {
+      start.setDate(start.getDate() - 7);
+    } else {
+      start.setMonth(start.getMonth() - 1);
+    }
+  }
+
+  posts.forEach(post => {
+    const time = getAddedTime(post);
+    const bucket = buckets.find(item => time >= item.start.getTime() && time < item.end.getTime());
+    if (bucket) bucket.count++;
+  });
+  return buckets;
+}
+
+/**
+ * Count how many posts there were at the end of each month, from the month of the first post
+ * @param {Array} posts The posts
+ * @param {number} [now] Current timestamp
+ * @returns {Array<Object>} `{ start, end, count, total }` per month, oldest first, where
+ *   count is the posts added that month and total all posts added up to its end
+ */
+export function countGrowth(posts, now = Date.now()) {
+  const times = posts.map(getAddedTime).filter(time => !Number.isNaN(time) && time <= now);
+  if (times.length === 0) return [];
+
+  const first = getPeriodStart(Math.min(...times), INSIGHT_PERIODS.MONTH);
+  const current = getPeriodStart(now, INSIGHT_PERIODS.MONTH);
+  const months = (current.getFullYear() - first.getFullYear()) * 12 + current.getMonth() - first.getMonth() + 1;
+
+  let total = 0;
+  return countPostsPerPeriod(posts, INSIGHT_PERIODS.MONTH, months, now).map(bucket => {
+    total += bucket.count;
+    return { ...bucket, total };
+  });
+}
+
+/**
+ * Count the posts per value, e.g. per platform or domain
+ * @param {Array} posts The posts
+ * @param {Function} getValues Gets a post and returns the values it counts for
+ * @param {number} [limit] Most values to return
+ * @returns {Array<Object>} `{ value, count }`, most common first, ties by value
+ */
+export function countByValue(posts, getValues, limit = Infinity) {
+  const counts = new Map();
+  posts.forEach(post => {
+    new Set(getValues(post)).forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  });
+
+  return Array.from(counts, ([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)))
+    .slice(0, limit);
+}
+
+/**
+ * Get a post's tags, one per name ignoring case
+ * @param {Object} post The post
+ * @returns {Array<Object>} `{ key, name, color }`, where key is the lowercase name
+ */
+export function getPostTagList(post) {
+  const tags = new Map();
+  (Array.isArray(post.tags) ? post.tags : []).forEach(tag => {
+    const name = String(typeof tag === 'object' && tag !== null ? tag.name || '' : tag || '').trim();
+    const key = name.toLowerCase();
+    if (key && !tags.has(key)) {
+      tags.set(key, { key, name, color: typeof tag === 'object' && tag !== null ? tag.color || null : null });
+    }
+  });
+  return Array.from(tags.values());
+}
+
+/**
+ * Count the pairs of tags that are used on the same posts
+ * @param {Array} posts The posts
+ * @param {number} [limit] Most pairs to return
+ * @returns {Array<Object>} `{ value: [a, b], count }` with lowercase tag names in
+ *   alphabetical order, most common first; pairs used only once are left out
+ */
+export function countTagPairs(posts, limit = Infinity) {
+  const pairs = countByValue(posts, post => {
+    const keys = getPostTagList(post).map(tag => tag.key).sort();
+    const postPairs = [];
+    for (let i = 0; i < keys.length; i++) {
+      for (let j = i + 1; j < keys.length; j++) {
+        postPairs.push(`${keys[i]}\n${keys[j]}`);
+      }
+    }
+    return postPairs;
+  });
+
+  return pairs
+    .filter(pair => pair.count > 1)
+    .slice(0, limit)
+    .map(({ value, count }) => ({ value: value.split('\n'), count }));
+}
@@ -0,0 +1,158 @@
+/**
+ * Link Health Utility
+ * Decides what a link check found out about a post's link:
+ *
+ *   ok          the page loaded
+ *   redirected  the page loaded, but from another address
+ *   gone        the page or the content on it was removed, or the site is down for good
+ *   blocked     the site refused to show the page, e.g. it asked for a login
+ *
+ * Checks that don't tell either way (timeouts, server errors) give no status,
+ * so the link is checked again later. Doesn't touch storage or the DOM.
+ */
+
+import { getUrlKey, getUrlHost } from './canonicalUrl.js';
+
+export const LINK_STATUSES = {
+  OK: 'ok',
+  REDIRECTED: 'redirected',
+  GONE: 'gone',
+  BLOCKED: 'blocked'
+};
+
+// Statuses the Broken links filter shows
+export const BROKEN_LINK_STATUSES = [LINK_STATUSES.GONE, LINK_STATUSES.BLOCKED];
+
+// Values accepted by the link: search filter
+export const LINK_FILTER_VALUES = [...Object.values(LINK_STATUSES), 'broken', 'unchecked'];
+
+// HTTP statuses of pages that were removed
+const GONE_HTTP_STATUSES = [404, 410];
+
+// HTTP statuses of sites that refuse to show the page; LinkedIn answers bots with 999
+const BLOCKED_HTTP_STATUSES = [401, 402, 403, 407, 429, 451, 999];
+
+// Errors the worker reports for sites whose host no longer exists
+const GONE_ERROR = /ENOTFOUND|NXDOMAIN|getaddrinfo|could not resolve|name not resolved|DNS/i;
+
+// Paths sites send visitors to instead of the page, e.g. instagram.com/accounts/login
+const LOGIN_PATH = /\/(accounts\/)?(login|signin|sign-in|auth)(\/|$|\?)/i;
+
+/**
+ * Get the link status recorded for a post
+ * @param {Object} post The post
+ * @returns {string|null} One of LINK_STATUSES, or null if the link wasn't checked yet
+ */
+export function getLinkStatus(post) {
+  const status = post ? post.linkStatus || post.link_status : null;
+  return Object.values(LINK_STATUSES).includes(status) ? status : null;
+}
+
+/**
+ * Check whether a post's link was found to be broken
+ * @param {Object} post The post
+ * @returns {boolean} True if the link is gone or blocked
+ */
+export function isLinkBroken(post) {
+  return BROKEN_LINK_STATUSES.includes(getLinkStatus(post));
+}
+
+/**
+ * Check whether a post matches a link: search filter
+ * @param {Object} post The post
+ * @param {string} value One of LINK_FILTER_VALUES
+ * @returns {boolean} True if the post matches
+ */
+export function postMatchesLinkFilter(post, value) {
+  if (value === 'broken') return isLinkBroken(post);
+  if (value === 'unchecked') return getLinkStatus(post) === null;
+  return getLinkStatus(post) === value;
+}
+
+/**
+ * Get when a post's link was last checked
+ * @param {Object} post The post
+ * @returns {number|null} Timestamp, or null if it wasn't checked yet
+ */
+export function getLastCheckedTime(post) {
+  const time = post ? Date.parse(post.lastCheckedAt || post.last_checked_at) : NaN;
+  return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Check whether a post's link should be checked again
+ * @param {Object} post The post
+ * @param {number} interval Milliseconds between checks of the same link
+ * @param {number} [now] Current timestamp
+ * @returns {boolean} True if the link wasn't checked yet or its last check is older than the interval
+ */
+export function isLinkCheckDue(post, interval, now = Date.now()) {
+  const time = getLastCheckedTime(post);
+  return time === null || now - time >= interval;
+}
+
+/**
+ * Get the link status an HTTP status stands for
+ * @param {number} status HTTP status of the page
+ * @returns {string|null} One of LINK_STATUSES, or null if the status doesn't tell
+ */
+function getStatusForHttpStatus(status) {
+  if (GONE_HTTP_STATUSES.includes(status)) return LINK_STATUSES.GONE;
+  if (BLOCKED_HTTP_STATUSES.includes(status)) return LINK_STATUSES.BLOCKED;
+  if (status >= 200 && status < 400) return LINK_STATUSES.OK;
+  return null;
+}
+
+/**
+ * Check whether a page that loaded fine shows that its content was removed
+ * YouTube answers removed and private videos with a page that only has the
+ * site's own title.
+ * @param {string} url The link that was checked
+ * @param {Object} metadata Metadata the worker found on the page
+ * @returns {boolean} True if the content is gone
+ */
+function isRemovedContentPage(url, metadata) {
+  const host = getUrlHost(url);
+  if (host === 'youtube.com' || host === 'youtu.be') {
+    const title = String(metadata.title || '').trim();
+    return title === '' || title === 'YouTube' || title === '- YouTube';
+  }
+  return false;
+}
+
+/**
+ * Decide a link's status from the metadata worker's answer
+ * The worker answers with the page's metadata. When it couldn't load the page
+ * it answers with an error status, or with `error` and the page's `status` in
+ * the metadata; `url` is the address the page was loaded from in the end.
+ * @param {string} url The link that was checked
+ * @param {Object} response `{ status, metadata }`: the worker's HTTP status and its JSON, if any
+ * @returns {string|null} One of LINK_STATUSES, or null if the check didn't tell
+ */
+export function classifyLinkCheck(url, { status, metadata }) {
+  const data = metadata && typeof metadata === 'object' ? metadata : {};
+
+  // The page's own status wins over the worker's
+  const pageStatus = Number(data.status) || status;
+  const httpStatus = getStatusForHttpStatus(pageStatus);
+  if (httpStatus !== LINK_STATUSES.OK) {
+    if (httpStatus) return httpStatus;
+    return data.error && GONE_ERROR.test(String(data.error)) ? LINK_STATUSES.GONE : null;
+  }
+
+  if (data.error) {
+    return GONE_ERROR.test(String(data.error)) ? LINK_STATUSES.GONE : null;
+  }
+
+  const finalUrl = typeof data.url === 'string' ? data.url : '';
+  if (finalUrl && LOGIN_PATH.test(finalUrl) && !LOGIN_PATH.test(url)) {
+    return LINK_STATUSES.BLOCKED;
+  }
+  if (isRemovedContentPage(url, data)) {
+    return LINK_STATUSES.GONE;
+  }
+  if (finalUrl && getUrlKey(finalUrl) && getUrlKey(finalUrl) !== getUrlKey(url)) {
+    return LINK_STATUSES.REDIRECTED;
+  }
+  return LINK_STATUSES.OK;
+}
@@ -0,0 +1,170 @@
+/**
+ * Markdown Utility
+ * Renders the small Markdown subset used in post notes to safe HTML.
+ * Supports headings, paragraphs, bold, italics, inline code, code blocks,
+ * links, bulleted and numbered lists, and blockquotes. All other HTML is escaped.
+ */
+
+import { escapeHtml } from '../utils.js';
+
+// Protocols allowed in links
+const SAFE_LINK_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+/**
+ * Check whether a link target is safe to put in an href
+ * @param {string} href Link target
+ * @returns {boolean} True if the link uses an allowed protocol
+ */
+function isSafeHref(href) {
+  try {
+    return SAFE_LINK_PROTOCOLS.includes(new URL(href).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Create the HTML for a link
+ * @param {string} label Link text, already rendered
+ * @param {string} href Link target, not escaped
+ * @returns {string} Link HTML, or the label alone if the target is unsafe
+ */
+function createLink(label, href) {
+  if (!isSafeHref(href)) return label;
+  return `<a href="${escapeHtml(href)}" target="_blank" rel="noopener noreferrer">${label}</a>`;
+}
+
+/**
+ * Render inline Markdown (code, links, bold and italics)
+ * @param {string} text A line or paragraph of Markdown
+ * @returns {string} HTML
+ */
+function renderInline(text) {
+  // Code spans and links are swapped for placeholders so that emphasis
+  // markers inside them (e.g. underscores in URLs) are left alone
+  const placeholders = [];
+  const hold = (html) => {
+    placeholders.push(html);
+    return `\u0000${placeholders.length - 1}\u0000`;
+  };
+
+  // Placeholders are marked with NUL characters, so none may come from the text
+  let html = text.replace(/\u0000/g, '')
+    .replace(/`([^`]+)`/g, (match, code) => hold(`<code>${escapeHtml(code)}</code>`))
+    .replace(/\[([^\]]+)\]\(((?:[^()\s]|\([^()\s]*\))+)\)/g, (match, label, href) => hold(
+      // Unsafe targets and targets with parentheses are shown as written
+      isSafeHref(href) && !/[()]/.test(href) ? createLink(escapeHtml(label), href) : escapeHtml(match)
+    ))
+    .replace(/\bhttps?:\/\/[^\s<>()]+[^\s<>().,;:!?'"]/g, (url) => hold(createLink(escapeHtml(url), url)));
+
+  html = escapeHtml(html)
+    .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+    .replace(/__(.+?)__/g, '<strong>$1</strong>')
+    .replace(/\*([^*\s](?:[^*]*[^*\s])?)\*/g, '<em>$1</em>')
+    .replace(/(^|[^\w])_([^_\s](?:[^_]*[^_\s])?)_(?=[^\w]|$)/g, '$1<em>$2</em>');
+
+  // Held HTML can hold placeholders too, e.g. a code span inside a link label
+  while (/\u0000\d+\u0000/.test(html)) {
+    html = html.replace(/\u0000(\d+)\u0000/g, (match, index) => placeholders[Number(index)]);
+  }
+  return html;
+}
+
+/**
+ * Render Markdown to HTML
+ * @param {string} markdown Markdown text
+ * @returns {string} Safe HTML
+ */
+export function renderMarkdown(markdown) {
+  if (!markdown) return '';
+
+  const lines = String(markdown).replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let paragraph = [];
+  let list = null;
+  let quote = [];
+
+  const closeParagraph = () => {
+    if (paragraph.length > 0) {
+      blocks.push(`<p>${paragraph.map(renderInline).join('<br>')}</p>`);
+      paragraph = [];
+    }
+  };
+
+  const closeList = () => {
+    if (list) {
+      blocks.push(`<${list.type}>${list.items.map(item => `<li>${renderInline(item)}</li>`).join('')}</${list.type}>`);
+      list = null;
+    }
+  };
+
+  const closeQuote = () => {
+    if (quote.length > 0) {
+      blocks.push(`<blockquote>${quote.map(renderInline).join('<br>')}</blockquote>`);
+      quote = [];
+    }
+  };
+
+  const closeAll = () => {
+    closeParagraph();
+    closeList();
+    closeQuote();
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    // Fenced code block
+    if (/^\s*```/.test(line)) {
+      closeAll();
+      const code = [];
+      i++;
+      while (i < lines.length && !/^\s*```/.test(lines[i])) {
+        code.push(lines[i]);
+        i++;
+      }
+      blocks.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+      continue;
+    }
+
+    if (line.trim() === '') {
+      closeAll();
+      continue;
+    }
+
+    const heading = line.match(/^(#{1,6})\s+(.*)$/);
+    if (heading) {
+      closeAll();
+      const level = heading[1].length;
+      blocks.push(`<h${level}>${renderInline(heading[2].trim())}</h${level}>`);
+      continue;
+    }
+
+    const bullet = line.match(/^\s*[-*+]\s+(.*)$/);
+    const numbered = line.match(/^\s*\d+[.)]\s+(.*)$/);
+    if (bullet || numbered) {
+      const type = bullet ? 'ul' : 'ol';
+      closeParagraph();
+      closeQuote();
+      if (list && list.type !== type) closeList();
+      if (!list) list = { type, items: [] };
+      list.items.push((bullet || numbered)[1]);
+      continue;
+    }
+
+    const quoted = line.match(/^\s*>\s?(.*)$/);
+    if (quoted) {
+      closeParagraph();
+      closeList();
+      quote.push(quoted[1]);
+      continue;
+    }
+
+    closeList();
+    closeQuote();
+    paragraph.push(line.trim());
+  }
+
+  closeAll();
+  return blocks.join('');
+}
@@ -3,8 +3,14 @@
  * Fetches and parses metadata from URLs for rich link previews
  */
 
-// Cloudflare Worker URL for fetching metadata
-const METADATA_API_URL = 'https://link-preview-worker.dunyayavas.workers.dev';
+import { classifyLinkCheck } from './linkHealth.js';
+
+// Cloudflare Worker URL for fetching metadata; VITE_METADATA_API_URL points the
+// app at another worker, e.g. a local stub server
+export const METADATA_API_URL = import.meta.env?.VITE_METADATA_API_URL || 'https://link-preview-worker.dunyayavas.workers.dev';
+
+// Milliseconds to wait for the worker when checking a link
+const LINK_CHECK_TIMEOUT = 10000;
 
 /**
  * Fetch metadata from a URL using the Cloudflare Worker
@@ -15,6 +21,9 @@ const METADATA_API_URL = 'https://link-preview-worker.dunyayavas.workers.dev';
 // Cache for metadata to avoid repeated failed requests
 const metadataCache = new Map();
 
+// URLs whose cached metadata came from the page rather than being generated
+const fetchedUrls = new Set();
+
 export async function fetchMetadata(url) {
   try {
     // Check if we already have this URL in the cache
@@ -62,7 +71,7 @@ export async function fetchMetadata(url) {
         metadata.realCaption = null;
         
         // Cache the successful result
-        metadataCache.set(url, metadata);
+        cacheFetchedMetadata(url, metadata);
         return metadata;
       } catch (error) {
         // Silently fall back to generated metadata for LinkedIn
@@ -88,7 +97,7 @@ export async function fetchMetadata(url) {
         delete metadata.caption;
         metadata.realCaption = null;
         
-        metadataCache.set(url, metadata);
+        cacheFetchedMetadata(url, metadata);
         return metadata;
       } catch (error) {
         // Fall back to generic Pinterest metadata
@@ -149,6 +158,62 @@ export async function fetchMetadata(url) {
   }
 }
 
+/**
+ * Get metadata that was fetched from the page itself
+ * Generated and fallback metadata are left out, since they don't describe the page.
+ * @param {string} url URL the metadata was fetched for
+ * @returns {Object|null} The metadata, or null if none was fetched yet
+ */
+export function getFetchedMetadata(url) {
+  return fetchedUrls.has(url) ? metadataCache.get(url) : null;
+}
+
+/**
+ * Cache metadata fetched from the page itself and announce it, e.g. for search
+ * @param {string} url URL the metadata was fetched for
+ * @param {Object} metadata The metadata
+ */
+function cacheFetchedMetadata(url, metadata) {
+  metadataCache.set(url, metadata);
+  fetchedUrls.add(url);
+  document.dispatchEvent(new CustomEvent('metadataFetched', { detail: { url, metadata } }));
+}
+
+/**
+ * Check whether a link still works, through the metadata worker
+ * Unlike fetchMetadata() nothing is cached and nothing is made up when the
+ * worker fails, so the result only says what the worker found.
+ * @param {string} url The link to check
+ * @param {Object} [options]
+ * @param {string} [options.endpoint] Worker URL, defaults to METADATA_API_URL
+ * @param {number} [options.timeout] Milliseconds to wait for the worker
+ * @returns {Promise<string|null>} One of LINK_STATUSES, or null if the check didn't tell,
+ *   e.g. because the worker couldn't be reached
+ */
+export async function checkLinkHealth(url, { endpoint = METADATA_API_URL, timeout = LINK_CHECK_TIMEOUT } = {}) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
+  
+  try {
+    const response = await fetch(`${endpoint}?url=${encodeURIComponent(url)}`, { signal: controller.signal });
+    
+    // Error answers may not be JSON
+    let metadata = null;
+    try {
+      metadata = await response.json();
+    } catch (error) {
+      metadata = null;
+    }
+    
+    return classifyLinkCheck(url, { status: response.status, metadata });
+  } catch (error) {
+    console.log(`Could not check link ${url}:`, error.message);
+    return null;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
 /**
  * Generate mock LinkedIn metadata based on URL patterns
  * In a real implementation, this would be fetched from the actual page
@@ -0,0 +1,145 @@
+/**
+ * Resurface Utility
+ * Picks saved posts to bring back: posts saved on the same day of the month
+ * in earlier months and years ("On this day"), and random samples that favor
+ * old, unread and untagged posts. Samples can use a seeded random generator,
+ * so the daily digest stays the same all day. Dates are in local time, like
+ * the date facet. Doesn't touch storage or the DOM.
+ */
+
+import { getPostTagList } from './insights.js';
+
+// Age in years above which a post doesn't get any more likely to be picked
+const MAX_AGE_YEARS = 3;
+
+// Extra weight of an unread and of an untagged post; every post starts at 1
+const UNREAD_WEIGHT = 2;
+const UNTAGGED_WEIGHT = 1;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the time a post was added
+ * @param {Object} post The post
+ * @returns {number} Timestamp, or NaN if the post has no valid date
+ */
+function getAddedTime(post) {
+  return new Date(post.dateAdded || post.created_at).getTime();
+}
+
+/**
+ * Count the calendar months between two dates
+ * @param {Date} from Earlier date
+ * @param {Date} to Later date
+ * @returns {number} Months, ignoring the days
+ */
+function countMonthsBetween(from, to) {
+  return (to.getFullYear() - from.getFullYear()) * 12 + to.getMonth() - from.getMonth();
+}
+
+/**
+ * Get the posts saved on the same day of the month as today, in earlier months and years
+ * Posts saved on the 31st only come back in months that have one.
+ * @param {Array} posts The posts
+ * @param {number} [now] Current timestamp
+ * @returns {Array<Object>} `{ post, months }`, where months is how many months ago the post
+ *   was saved, most recent first
+ */
+export function getOnThisDayPosts(posts, now = Date.now()) {
+  const today = new Date(now);
+
+  return posts
+    .map(post => ({ post, date: new Date(getAddedTime(post)) }))
+    .filter(({ date }) => !Number.isNaN(date.getTime()) && date.getDate() === today.getDate())
+    .map(({ post, date }) => ({ post, months: countMonthsBetween(date, today) }))
+    .filter(({ months }) => months > 0)
+    .sort((a, b) => a.months - b.months || getAddedTime(b.post) - getAddedTime(a.post));
+}
+
+/**
+ * Describe how long ago an "On this day" post was saved
+ * @param {number} months Months ago, from getOnThisDayPosts()
+ * @returns {string} E.g. "3 months ago", "1 year ago" or "2 years, 1 month ago"
+ */
+export function describeMonthsAgo(months) {
+  const plural = (count, unit) => `${count} ${unit}${count === 1 ? '' : 's'}`;
+  const years = Math.floor(months / 12);
+  const rest = months % 12;
+
+  if (years === 0) return `${plural(rest, 'month')} ago`;
+  if (rest === 0) return `${plural(years, 'year')} ago`;
+  return `${plural(years, 'year')}, ${plural(rest, 'month')} ago`;
+}
+
+/**
+ * Get how likely a post is to be picked when resurfacing
+ * Older posts weigh more, up to MAX_AGE_YEARS, and unread and untagged posts
+ * weigh extra, so the posts most likely forgotten come up most often.
+ * @param {Object} post The post
+ * @param {Object} [options]
+ * @param {boolean} [options.unread] Whether the post is unread
+ * @param {number} [options.now] Current timestamp
+ * @returns {number} Weight of at least 1
+ */
+export function getResurfaceWeight(post, { unread = false, now = Date.now() } = {}) {
+  const time = getAddedTime(post);
+  const ageYears = Number.isNaN(time) ? 0 : Math.max(0, now - time) / (365 * DAY);
+
+  return 1 +
+    Math.min(ageYears, MAX_AGE_YEARS) +
+    (unread ? UNREAD_WEIGHT : 0) +
+    (getPostTagList(post).length === 0 ? UNTAGGED_WEIGHT : 0);
+}
+
+/**
+ * Create a random number generator that always gives the same numbers for the same seed
+ * @param {string} seed E.g. the day and the user
+ * @returns {Function} Returns numbers from 0 up to but not including 1, like Math.random()
+ */
+export function createSeededRandom(seed) {
+  // FNV-1a hash of the seed, then mulberry32
+  let state = 2166136261;
+  for (let i = 0; i < seed.length; i++) {
+    state = Math.imul(state ^ seed.charCodeAt(i), 16777619);
+  }
+
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let value = Math.imul(state ^ (state >>> 15), 1 | state);
+    value = (value + Math.imul(value ^ (value >>> 7), 61 | value)) ^ value;
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Pick items at random, each at most once, with heavier items picked more often
+ * @param {Array} items The items
+ * @param {number} count Most items to pick
+ * @param {Function} getWeight Gets an item and returns its weight; items weighing 0 are never picked
+ * @param {Function} [random] Random number generator like Math.random()
+ * @returns {Array} The picked items, in the order they were picked
+ */
+export function sampleWeighted(items, count, getWeight, random = Math.random) {
+  // Each item gets the key random^(1/weight) and the highest keys win
+  return items
+    .map(item => ({ item, weight: getWeight(item) }))
+    .filter(({ weight }) => weight > 0)
+    .map(({ item, weight }) => ({ item, key: Math.pow(random(), 1 / weight) }))
+    .sort((a, b) => b.key - a.key)
+    .slice(0, count)
+    .map(({ item }) => item);
+}
+
+/**
+ * Pick posts to resurface, favoring old, unread and untagged posts
+ * @param {Array} posts The posts to pick from
+ * @param {number} count Most posts to pick
+ * @param {Object} [options]
+ * @param {Function} [options.isUnread] Gets a post and tells whether it is unread
+ * @param {Function} [options.random] Random number generator like Math.random()
+ * @param {number} [options.now] Current timestamp
+ * @returns {Array} The picked posts
+ */
+export function pickResurfacedPosts(posts, count, { isUnread = () => false, random = Math.random, now = Date.now() } = {}) {
+  return sampleWeighted(posts, count, post => getResurfaceWeight(post, { unread: isUnread(post), now }), random);
+}
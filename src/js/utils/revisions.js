@@ -0,0 +1,60 @@
+/**
+ * Revisions Utility
+ * Works out what changed between two versions of a post and which revisions
+ * fall outside the retention limits. Shared by the revision history and the
+ * revision sync, so it doesn't touch storage or the DOM.
+ */
+
+// Most revisions kept per post, newest first
+export const MAX_REVISIONS_PER_POST = 20;
+
+// Revisions older than this are dropped
+export const MAX_REVISION_AGE_DAYS = 365;
+
+// Text fields of a post that are tracked in its history
+const TRACKED_FIELDS = ['url', 'title', 'description', 'notes'];
+
+/**
+ * Get the tag names of a post
+ * @param {Object} post The post
+ * @returns {Array<string>} Tag names
+ */
+export function getPostTagNames(post) {
+  return (post && Array.isArray(post.tags) ? post.tags : [])
+    .map(tag => (typeof tag === 'object' && tag !== null ? tag.name : String(tag)))
+    .filter(Boolean);
+}
+
+/**
+ * Compare two versions of a post
+ * @param {Object} before The post before the change
+ * @param {Object} after The post after the change
+ * @returns {Object|null} `{ changes, addedTags, removedTags }`, or null if no tracked field changed
+ */
+export function getRevisionChanges(before, after) {
+  const changes = TRACKED_FIELDS.filter(field => (before[field] || '') !== (after[field] || ''));
+
+  const beforeTags = getPostTagNames(before);
+  const afterTags = getPostTagNames(after);
+  const addedTags = afterTags.filter(name => !beforeTags.includes(name));
+  const removedTags = beforeTags.filter(name => !afterTags.includes(name));
+  if (addedTags.length > 0 || removedTags.length > 0) {
+    changes.push('tags');
+  }
+
+  return changes.length > 0 ? { changes, addedTags, removedTags } : null;
+}
+
+/**
+ * Find the revisions of one post that fall outside the retention limits
+ * @param {Array} revisions Revisions of a single post
+ * @param {number} [now] Current timestamp
+ * @returns {Array} Revisions to drop
+ */
+export function getExpiredRevisions(revisions, now = Date.now()) {
+  const oldest = now - MAX_REVISION_AGE_DAYS * 24 * 60 * 60 * 1000;
+
+  return [...revisions]
+    .sort((a, b) => new Date(b.dateAdded) - new Date(a.dateAdded))
+    .filter((revision, index) => index >= MAX_REVISIONS_PER_POST || new Date(revision.dateAdded).getTime() < oldest);
+}
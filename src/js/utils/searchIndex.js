@@ -0,0 +1,181 @@
+/**
+ * Search Index Utility
+ * A small client-side inverted index for full-text search. Documents are split
+ * into words, and each word keeps the documents it appears in with a weight, so
+ * a query only looks at the documents that contain its words. Results are
+ * ranked by field weight and how rare each word is (TF-IDF style).
+ * Doesn't touch storage or the DOM.
+ */
+
+// Score factor for words that only start with a query word, e.g. "java" in "javascript"
+const PREFIX_MATCH_FACTOR = 0.5;
+
+// Words that appear in almost every URL and carry no meaning
+const URL_NOISE = new Set(['http', 'https', 'www']);
+
+/**
+ * Split text into lowercase words without diacritics
+ * @param {string} text The text
+ * @returns {Array<string>} Words, in order, with repeats
+ */
+export function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+/**
+ * Inverted index over documents made of weighted text fields
+ */
+export class SearchIndex {
+  /**
+   * @param {Object} fieldWeights Weight of each field, e.g. `{ title: 5, notes: 1 }`
+   */
+  constructor(fieldWeights) {
+    this.fieldWeights = fieldWeights;
+
+    // Map<term, Map<docId, weight>>
+    this.postings = new Map();
+
+    // Map<docId, Array<term>>, used to remove a document again
+    this.docTerms = new Map();
+
+    // Terms in sorted order for prefix lookups, rebuilt when the vocabulary changes
+    this.sortedTerms = null;
+  }
+
+  /**
+   * Number of documents in the index
+   * @returns {number} Document count
+   */
+  get size() {
+    return this.docTerms.size;
+  }
+
+  /**
+   * Add a document, replacing any earlier version of it
+   * @param {string} id Document ID
+   * @param {Object} fields Text of each field; fields without a weight are ignored
+   */
+  add(id, fields) {
+    this.remove(id);
+
+    const weights = new Map();
+    Object.entries(this.fieldWeights).forEach(([field, weight]) => {
+      tokenize(fields[field])
+        .filter(term => field !== 'url' || !URL_NOISE.has(term))
+        .forEach(term => weights.set(term, (weights.get(term) || 0) + weight));
+    });
+
+    weights.forEach((weight, term) => {
+      if (!this.postings.has(term)) {
+        this.postings.set(term, new Map());
+        this.sortedTerms = null;
+      }
+      this.postings.get(term).set(id, weight);
+    });
+
+    this.docTerms.set(id, Array.from(weights.keys()));
+  }
+
+  /**
+   * Remove a document
+   * @param {string} id Document ID
+   */
+  remove(id) {
+    const terms = this.docTerms.get(id);
+    if (!terms) return;
+
+    terms.forEach(term => {
+      const postings = this.postings.get(term);
+      postings.delete(id);
+      if (postings.size === 0) {
+        this.postings.delete(term);
+        this.sortedTerms = null;
+      }
+    });
+
+    this.docTerms.delete(id);
+  }
+
+  /**
+   * Remove all documents
+   */
+  clear() {
+    this.postings.clear();
+    this.docTerms.clear();
+    this.sortedTerms = null;
+  }
+
+  /**
+   * Get the terms that start with a prefix
+   * @param {string} prefix The prefix
+   * @returns {Array<string>} Matching terms, including the prefix itself if it is a term
+   */
+  getTermsWithPrefix(prefix) {
+    if (!this.sortedTerms) {
+      this.sortedTerms = Array.from(this.postings.keys()).sort();
+    }
+
+    // Binary search for the first term not before the prefix
+    let low = 0;
+    let high = this.sortedTerms.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (this.sortedTerms[middle] < prefix) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+
+    const terms = [];
+    for (let i = low; i < this.sortedTerms.length && this.sortedTerms[i].startsWith(prefix); i++) {
+      terms.push(this.sortedTerms[i]);
+    }
+    return terms;
+  }
+
+  /**
+   * Find the documents that contain every word of a query
+   * Each query word also matches longer words it is the start of, so results
+   * update while the last word is still being typed.
+   * @param {string} query The query
+   * @returns {Map<string, number>|null} Relevance score by document ID, or null for an empty query
+   */
+  search(query) {
+    const queryTerms = Array.from(new Set(tokenize(query)));
+    if (queryTerms.length === 0) return null;
+
+    let scores = null;
+
+    for (const queryTerm of queryTerms) {
+      const termScores = new Map();
+
+      this.getTermsWithPrefix(queryTerm).forEach(term => {
+        const postings = this.postings.get(term);
+        const idf = Math.log(1 + this.docTerms.size / postings.size);
+        const factor = term === queryTerm ? 1 : PREFIX_MATCH_FACTOR;
+
+        postings.forEach((weight, id) => {
+          if (scores && !scores.has(id)) return;
+          const score = weight * idf * factor;
+          if (score > (termScores.get(id) || 0)) {
+            termScores.set(id, score);
+          }
+        });
+      });
+
+      if (scores) {
+        termScores.forEach((score, id) => termScores.set(id, score + scores.get(id)));
+      }
+      scores = termScores;
+
+      if (scores.size === 0) break;
+    }
+
+    return scores;
+  }
+}
@@ -0,0 +1,321 @@
+/**
+ * Search Query Utility
+ * Parses the search bar's query language into an AST:
+ *
+ *   words and "quoted phrases"      match the text of a post
+ *   tag:design  platform:youtube    match a tag or platform
+ *   site:github.com                 match the link's host or a subdomain of it
+ *   before:2025-01-01  after:...    match the date the post was saved
+ *   is:pinned  is:untagged ...      match a flag or read-later status
+ *   link:broken  link:redirected    match what the last link check found
+ *   -term  -(group)                 exclude matches
+ *   a OR b  (a OR b) c              alternatives; terms next to each other must all match
+ *
+ * Nodes are `{ type: 'and' | 'or', children }`, `{ type: 'not', child }`,
+ * `{ type: 'text', words, phrase }` and `{ type: 'field', field, value }`.
+ * Doesn't touch storage or the DOM.
+ */
+
+import { tokenize } from './searchIndex.js';
+import { LINK_FILTER_VALUES } from './linkHealth.js';
+
+// Values accepted by is:
+export const IS_VALUES = ['pinned', 'favorite', 'untagged', 'unread', 'read', 'archived'];
+
+// Other names for platforms
+const PLATFORM_ALIASES = {
+  x: 'twitter',
+  web: 'website'
+};
+
+// Filters and the function that checks and normalizes their value
+const FIELD_PARSERS = {
+  tag: value => value.toLowerCase(),
+  platform: value => {
+    const platform = value.toLowerCase();
+    return PLATFORM_ALIASES[platform] || platform;
+  },
+  site: value => value.toLowerCase().replace(/^https?:\/\//, '').replace(/^www\./, '').replace(/\/.*$/, ''),
+  before: parseDate,
+  after: parseDate,
+  is: value => {
+    const flag = value.toLowerCase();
+    if (!IS_VALUES.includes(flag)) {
+      throw new Error(`Unknown value "is:${value}". Use ${IS_VALUES.map(name => `is:${name}`).join(', ')}`);
+    }
+    return flag;
+  },
+  link: value => {
+    const status = value.toLowerCase();
+    if (!LINK_FILTER_VALUES.includes(status)) {
+      throw new Error(`Unknown value "link:${value}". Use ${LINK_FILTER_VALUES.map(name => `link:${name}`).join(', ')}`);
+    }
+    return status;
+  }
+};
+
+/**
+ * Parse a date filter value
+ * @param {string} value A date such as 2025-01-01
+ * @returns {number} Timestamp of the start of that day, in local time
+ */
+function parseDate(value) {
+  const match = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  const date = match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : new Date(value);
+
+  // Date() rolls days like 2025-02-30 over into the next month
+  const rolledOver = match && (date.getMonth() !== Number(match[2]) - 1 || date.getDate() !== Number(match[3]));
+  if (Number.isNaN(date.getTime()) || rolledOver) {
+    throw new Error(`"${value}" is not a date. Use YYYY-MM-DD`);
+  }
+  return date.getTime();
+}
+
+/**
+ * Create a syntax error pointing at part of the query
+ * @param {string} message What is wrong
+ * @param {number} start Index of the first character of the problem
+ * @param {number} end Index after the last character of the problem
+ * @returns {Error} The error, with `start` and `end`
+ */
+function syntaxError(message, start, end) {
+  const error = new Error(message);
+  error.start = start;
+  error.end = end;
+  return error;
+}
+
+/**
+ * Read a quoted phrase
+ * @param {string} query The query
+ * @param {number} start Index of the opening quote
+ * @returns {Object} `{ value, end }`, where end is the index after the closing quote
+ */
+function readPhrase(query, start) {
+  const close = query.indexOf('"', start + 1);
+  if (close === -1) {
+    throw syntaxError('Missing closing quote', start, query.length);
+  }
+  return { value: query.slice(start + 1, close), end: close + 1 };
+}
+
+/**
+ * Split a query into tokens
+ * @param {string} query The query
+ * @returns {Array<Object>} Tokens with a `type` of 'lparen', 'rparen', 'or', 'not' or 'term'
+ */
+function lex(query) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < query.length) {
+    const char = query[i];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: char === '(' ? 'lparen' : 'rparen', start: i, end: i + 1 });
+      i++;
+    } else if (char === '-' && i + 1 < query.length && !/[\s)]/.test(query[i + 1])) {
+      tokens.push({ type: 'not', start: i, end: i + 1 });
+      i++;
+    } else if (char === '"') {
+      const { value, end } = readPhrase(query, i);
+      tokens.push({ type: 'term', node: { type: 'text', words: tokenize(value), phrase: true }, start: i, end });
+      i = end;
+    } else {
+      const start = i;
+      while (i < query.length && !/[\s()"]/.test(query[i])) i++;
+
+      // A filter's value can be a quoted phrase, e.g. tag:"web design"
+      let word = query.slice(start, i);
+      if (word.endsWith(':') && query[i] === '"') {
+        const { value, end } = readPhrase(query, i);
+        word += value;
+        i = end;
+      }
+
+      tokens.push(readTerm(word, start, i));
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Turn a word from the query into a token
+ * @param {string} word The word, e.g. "OR", "tag:design" or "hello"
+ * @param {number} start Index of the word in the query
+ * @param {number} end Index after the word
+ * @returns {Object} The token
+ */
+function readTerm(word, start, end) {
+  if (word === 'OR' || word === '|') {
+    return { type: 'or', start, end };
+  }
+
+  // Words like https://... are text, not filters
+  const match = word.match(/^([a-z]+):(?!\/\/)(.*)$/i);
+  if (!match) {
+    return { type: 'term', node: { type: 'text', words: tokenize(word), phrase: false }, start, end };
+  }
+
+  const field = match[1].toLowerCase();
+  const parseValue = FIELD_PARSERS[field];
+  if (!parseValue) {
+    throw syntaxError(`Unknown filter "${match[1]}:". Use ${Object.keys(FIELD_PARSERS).map(name => `${name}:`).join(', ')}`, start, end);
+  }
+  if (!match[2]) {
+    throw syntaxError(`"${field}:" needs a value`, start, end);
+  }
+
+  try {
+    return { type: 'term', node: { type: 'field', field, value: parseValue(match[2]) }, start, end };
+  } catch (error) {
+    throw syntaxError(error.message, start, end);
+  }
+}
+
+/**
+ * Recursive descent parser over the tokens of a query
+ * @param {Array<Object>} tokens Tokens from lex()
+ * @param {number} length Length of the query, for errors at its end
+ * @returns {Object} The AST
+ */
+function parseTokens(tokens, length) {
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const atEndOfGroup = () => !peek() || peek().type === 'rparen' || peek().type === 'or';
+
+  function parseOr() {
+    const children = [parseAnd()];
+
+    while (peek() && peek().type === 'or') {
+      const or = tokens[position++];
+      if (atEndOfGroup()) {
+        throw syntaxError('OR needs a term on both sides', or.start, or.end);
+      }
+      children.push(parseAnd());
+    }
+
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  }
+
+  function parseAnd() {
+    const children = [];
+
+    while (!atEndOfGroup()) {
+      children.push(parseUnary());
+    }
+
+    if (children.length === 0) {
+      const token = peek();
+      throw token
+        ? syntaxError(token.type === 'or' ? 'OR needs a term on both sides' : 'Expected a search term', token.start, token.end)
+        : syntaxError('Expected a search term', length, length);
+    }
+
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  }
+
+  function parseUnary() {
+    const token = peek();
+
+    if (token.type === 'not') {
+      position++;
+      if (atEndOfGroup()) {
+        throw syntaxError('Nothing to exclude after "-"', token.start, token.end);
+      }
+      return { type: 'not', child: parseUnary() };
+    }
+
+    if (token.type === 'lparen') {
+      position++;
+      if (peek() && peek().type === 'rparen') {
+        throw syntaxError('Empty group', token.start, peek().end);
+      }
+      const node = parseOr();
+      if (!peek() || peek().type !== 'rparen') {
+        throw syntaxError('Missing ")"', token.start, token.end);
+      }
+      position++;
+      return node;
+    }
+
+    position++;
+    return token.node;
+  }
+
+  const ast = parseOr();
+  if (position < tokens.length) {
+    const token = tokens[position];
+    throw syntaxError('Unmatched ")"', token.start, token.end);
+  }
+  return ast;
+}
+
+/**
+ * Remove text terms without any words, e.g. a lone "#", so they don't match everything
+ * @param {Object} node An AST node
+ * @returns {Object|null} The node, or null if nothing is left of it
+ */
+function pruneEmptyText(node) {
+  if (node.type === 'text') {
+    return node.words.length > 0 ? node : null;
+  }
+  if (node.type === 'not') {
+    const child = pruneEmptyText(node.child);
+    return child ? { ...node, child } : null;
+  }
+  if (node.type === 'and' || node.type === 'or') {
+    const children = node.children.map(pruneEmptyText).filter(Boolean);
+    if (children.length === 0) return null;
+    return children.length === 1 ? children[0] : { ...node, children };
+  }
+  return node;
+}
+
+/**
+ * Parse a search query
+ * @param {string} query The query typed in the search bar
+ * @returns {Object} `{ ast, error }`: ast is null for an empty query or on error,
+ *   error is `{ message, start, end }` or null
+ */
+export function parseSearchQuery(query) {
+  const text = String(query || '');
+  if (text.trim() === '') {
+    return { ast: null, error: null };
+  }
+
+  try {
+    const ast = pruneEmptyText(parseTokens(lex(text), text.length));
+    return { ast, error: null };
+  } catch (error) {
+    if (typeof error.start !== 'number') throw error;
+    return { ast: null, error: { message: error.message, start: error.start, end: error.end } };
+  }
+}
+
+/**
+ * Check whether a query is only plain words, so it can go straight to the index
+ * @param {Object} ast The AST
+ * @returns {boolean} True if the AST is one or more words that must all match
+ */
+export function isPlainTextQuery(ast) {
+  const isWord = node => node.type === 'text' && !node.phrase;
+  return isWord(ast) || (ast.type === 'and' && ast.children.every(isWord));
+}
+
+/**
+ * Collect the nodes of an AST that aren't excluded with "-"
+ * @param {Object} ast The AST
+ * @returns {Array<Object>} Text and field nodes
+ */
+export function getPositiveTerms(ast) {
+  if (!ast || ast.type === 'not') return [];
+  if (ast.type === 'and' || ast.type === 'or') {
+    return ast.children.flatMap(getPositiveTerms);
+  }
+  return [ast];
+}
@@ -0,0 +1,122 @@
+/**
+ * Tag Filter Utility
+ * A tag filter is `{ name, mode }`. Posts must have every 'include' tag, none
+ * of the 'exclude' tags and, if there are any, at least one of the 'any' tags.
+ * The UNTAGGED_FILTER name stands for "no tags at all", so it can be combined
+ * with the same modes. Doesn't touch storage or the DOM.
+ */
+
+import { postHasTag } from '../utils.js';
+
+export const TAG_FILTER_MODES = {
+  INCLUDE: 'include',
+  ANY: 'any',
+  EXCLUDE: 'exclude'
+};
+
+// Name of the filter for posts without tags; can't clash with a tag typed by the user
+export const UNTAGGED_FILTER = '__untagged__';
+
+// Order a filter's mode changes in when its chip is clicked
+const MODE_CYCLE = [TAG_FILTER_MODES.INCLUDE, TAG_FILTER_MODES.ANY, TAG_FILTER_MODES.EXCLUDE];
+
+/**
+ * Turn a tag, tag name or saved filter into a tag filter
+ * Tags and names without a mode, e.g. filters saved before modes existed, are 'include'.
+ * @param {string|Object} filter Tag name, tag object or `{ name, mode }`
+ * @returns {Object|null} `{ name, mode }`, or null if there is no name
+ */
+export function normalizeTagFilter(filter) {
+  const name = typeof filter === 'object' && filter !== null ? filter.name : filter;
+  if (typeof name !== 'string' || name.trim() === '') return null;
+
+  const mode = typeof filter === 'object' && Object.values(TAG_FILTER_MODES).includes(filter.mode)
+    ? filter.mode
+    : TAG_FILTER_MODES.INCLUDE;
+  return { name, mode };
+}
+
+/**
+ * Turn a list of tags or saved filters into tag filters
+ * @param {Array} filters Tag names, tag objects or `{ name, mode }`
+ * @returns {Array<Object>} `{ name, mode }` for each valid filter, one per name ignoring case
+ */
+export function normalizeTagFilters(filters) {
+  if (!Array.isArray(filters)) return [];
+
+  const byName = new Map();
+  filters.map(normalizeTagFilter).filter(Boolean).forEach(filter => {
+    byName.set(filter.name.toLowerCase(), filter);
+  });
+  return Array.from(byName.values());
+}
+
+/**
+ * Get the mode a filter changes to when its chip is clicked
+ * @param {string} mode Current mode
+ * @returns {string} Next mode: include, then any, then exclude, then include again
+ */
+export function getNextTagFilterMode(mode) {
+  const index = MODE_CYCLE.indexOf(mode);
+  return MODE_CYCLE[(index + 1) % MODE_CYCLE.length];
+}
+
+/**
+ * Check whether a post has the tag a filter is for
+ * @param {Object} post The post
+ * @param {string} name Tag name, or UNTAGGED_FILTER
+ * @returns {boolean} True if the post has the tag, or has no tags for UNTAGGED_FILTER
+ */
+function matchesTagName(post, name) {
+  if (name === UNTAGGED_FILTER) {
+    return !Array.isArray(post.tags) || post.tags.length === 0;
+  }
+  return postHasTag(post, name);
+}
+
+/**
+ * Check whether a post should be shown for a set of tag filters
+ * @param {Object} post The post
+ * @param {Array} filters Tag filters; anything normalizeTagFilters() accepts
+ * @returns {boolean} True if the post matches every filter
+ */
+export function postMatchesTagFilters(post, filters) {
+  const anyFilters = [];
+
+  for (const { name, mode } of normalizeTagFilters(filters)) {
+    if (mode === TAG_FILTER_MODES.INCLUDE && !matchesTagName(post, name)) return false;
+    if (mode === TAG_FILTER_MODES.EXCLUDE && matchesTagName(post, name)) return false;
+    if (mode === TAG_FILTER_MODES.ANY) anyFilters.push(name);
+  }
+
+  return anyFilters.length === 0 || anyFilters.some(name => matchesTagName(post, name));
+}
+
+/**
+ * Get the name to show for a tag filter
+ * @param {string} name Tag name, or UNTAGGED_FILTER
+ * @returns {string} The tag name, or "No tags"
+ */
+export function getTagFilterLabel(name) {
+  return name === UNTAGGED_FILTER ? 'No tags' : name;
+}
+
+/**
+ * Describe a set of tag filters in a few words
+ * @param {Array} filters Tag filters; anything normalizeTagFilters() accepts
+ * @returns {Array<string>} Parts such as "#design", "any of #ux, #ui", "not #done" and "tagged"
+ */
+export function describeTagFilters(filters) {
+  const normalized = normalizeTagFilters(filters);
+  const names = mode => normalized
+    .filter(filter => filter.mode === mode)
+    .map(filter => (filter.name === UNTAGGED_FILTER ? 'no tags' : `#${filter.name}`));
+
+  const parts = names(TAG_FILTER_MODES.INCLUDE);
+  const anyNames = names(TAG_FILTER_MODES.ANY);
+  if (anyNames.length > 0) {
+    parts.push(anyNames.length === 1 ? anyNames[0] : `any of ${anyNames.join(', ')}`);
+  }
+  names(TAG_FILTER_MODES.EXCLUDE).forEach(name => parts.push(name === 'no tags' ? 'tagged' : `not ${name}`));
+  return parts;
+}
@@ -0,0 +1,121 @@
+/**
+ * View State Utility
+ * Turns what the board is showing into page URL parameters and back:
+ *
+ *   board=<id>                          the board; left out for all posts
+ *   tag=design&tag=*ux&tag=-done        tag filters: must have, *any of, -exclude
+ *   q=...                               search query
+ *   status=unread  favorites=1          read-later status and favorites filters
+ *   sort=title                          sort mode
+ *   platform=YouTube  domain=github.com facets; can be repeated
+ *   added=week|month|custom  from=YYYY-MM-DD  to=YYYY-MM-DD
+ *   view=trash                          the Trash view instead of the board
+ *
+ * Values that are null, false or empty are left out. Doesn't touch storage or
+ * the DOM.
+ */
+
+import { TAG_FILTER_MODES, normalizeTagFilters } from './tagFilters.js';
+
+// Every parameter that belongs to the view state
+export const VIEW_PARAMS = ['board', 'tag', 'q', 'status', 'favorites', 'sort', 'platform', 'domain', 'added', 'from', 'to', 'view'];
+
+// Prefixes of tag filters that don't have to be included
+const TAG_MODE_PREFIXES = {
+  [TAG_FILTER_MODES.ANY]: '*',
+  [TAG_FILTER_MODES.EXCLUDE]: '-'
+};
+
+// Marks an included tag whose name starts with one of the prefixes
+const INCLUDE_PREFIX = '+';
+
+/**
+ * Write a tag filter as a URL value
+ * @param {Object} filter `{ name, mode }`
+ * @returns {string} The name, with a prefix for its mode if needed
+ */
+function encodeTagFilter({ name, mode }) {
+  const prefix = TAG_MODE_PREFIXES[mode];
+  if (prefix) return `${prefix}${name}`;
+
+  const needsPrefix = [INCLUDE_PREFIX, ...Object.values(TAG_MODE_PREFIXES)].includes(name[0]);
+  return needsPrefix ? `${INCLUDE_PREFIX}${name}` : name;
+}
+
+/**
+ * Read a tag filter from a URL value
+ * @param {string} value The value written by encodeTagFilter()
+ * @returns {Object} `{ name, mode }`
+ */
+function decodeTagFilter(value) {
+  const mode = Object.keys(TAG_MODE_PREFIXES).find(key => TAG_MODE_PREFIXES[key] === value[0]);
+  if (mode) return { name: value.slice(1), mode };
+
+  const name = value[0] === INCLUDE_PREFIX ? value.slice(1) : value;
+  return { name, mode: TAG_FILTER_MODES.INCLUDE };
+}
+
+/**
+ * Turn a view state into URL parameters
+ * @param {Object} state `{ boardId, tags, query, status, favoritesOnly, sort, facets, trash }`,
+ *   where facets is `{ platforms, domains, date: { preset, from, to } }`
+ * @returns {URLSearchParams} The parameters, in the order of VIEW_PARAMS
+ */
+export function encodeViewState(state) {
+  const params = new URLSearchParams();
+  const facets = state.facets || {};
+  const date = facets.date || {};
+
+  if (state.boardId) params.set('board', state.boardId);
+  normalizeTagFilters(state.tags).forEach(filter => params.append('tag', encodeTagFilter(filter)));
+  if (state.query) params.set('q', state.query);
+  if (state.status) params.set('status', state.status);
+  if (state.favoritesOnly) params.set('favorites', '1');
+  if (state.sort) params.set('sort', state.sort);
+  (facets.platforms || []).forEach(platform => params.append('platform', platform));
+  (facets.domains || []).forEach(domain => params.append('domain', domain));
+  if (date.preset) {
+    params.set('added', date.preset);
+    if (date.from) params.set('from', date.from);
+    if (date.to) params.set('to', date.to);
+  }
+  if (state.trash) params.set('view', 'trash');
+
+  return params;
+}
+
+/**
+ * Read a view state from URL parameters
+ * Values are not checked beyond their format; missing ones are null, false or empty.
+ * @param {URLSearchParams} params The page's parameters
+ * @returns {Object} `{ boardId, tags, query, status, favoritesOnly, sort, facets, trash }`
+ */
+export function decodeViewState(params) {
+  return {
+    boardId: params.get('board') || null,
+    tags: normalizeTagFilters(params.getAll('tag').filter(Boolean).map(decodeTagFilter)),
+    query: params.get('q') || '',
+    status: params.get('status') || null,
+    favoritesOnly: params.get('favorites') === '1',
+    sort: params.get('sort') || null,
+    facets: {
+      platforms: params.getAll('platform').filter(Boolean),
+      domains: params.getAll('domain').filter(Boolean),
+      date: {
+        preset: params.get('added') || null,
+        from: params.get('from') || '',
+        to: params.get('to') || ''
+      }
+    },
+    trash: params.get('view') === 'trash'
+  };
+}
+
+/**
+ * Check whether a page URL has any view state in it
+ * @param {URLSearchParams} params The page's parameters
+ * @returns {boolean} True if one of VIEW_PARAMS is set
+ */
+export function hasViewState(params) {
+  return VIEW_PARAMS.some(name => params.has(name));
+}
@@ -0,0 +1,180 @@
+/**
+ * View state in the page URL for Boardie
+ * The board, tag filters and their modes, search, status and favorites
+ * filters, sort mode, facets and the Trash view are kept in the page URL (see
+ * utils/viewState.js), so a view can be bookmarked, shared and reloaded. Every
+ * change adds a history entry, so back and forward step through them; while a
+ * search is typed only its latest query is kept. Opening a URL with a view
+ * state restores that view; without one, the filters saved per board are used.
+ */
+
+import * as storage from './storage/index.js';
+import { VIEW_PARAMS, encodeViewState, decodeViewState, hasViewState } from './utils/viewState.js';
+import { filterPostsByTags, getActiveTagFilters, getSavedTagFilters, saveTagFilters } from './postManager.js';
+import { getCurrentBoardId, switchBoard } from './boardManager.js';
+import { STATUS_FILTERS, DEFAULT_STATUS_FILTER, getStatusFilter, setStatusFilter } from './statusManager.js';
+import { isFavoritesFilterOn, setFavoritesFilter } from './pinManager.js';
+import { SORT_MODES, DEFAULT_SORT_MODE, getSortMode, setSortMode } from './sortManager.js';
+import { getFacetFilters, setFacetFilters, clearFacetFilters, hasActiveFacets } from './facetManager.js';
+import { getSearchQuery, setSearchQuery } from './searchManager.js';
+import { isTrashViewOpen, openTrashView, closeTrashView } from './trashManager.js';
+
+// Set while a view from the URL is being applied, so it isn't written back as a new entry
+let restoring = false;
+
+// Whether the page URL has been brought in line with the view since the page loaded
+let urlInitialized = false;
+
+// Whether the last history entry was added for a search, so typing more replaces it
+let lastEntryWasSearch = false;
+
+// View from the URL whose board isn't there yet, e.g. until the user's boards are synced
+let pendingState = null;
+
+/**
+ * Get what the board is showing right now
+ * Filters at their default are null, so they are left out of the URL.
+ * @returns {Object} `{ boardId, tags, query, status, favoritesOnly, sort, facets, trash }`
+ */
+export function getViewState() {
+  const status = getStatusFilter();
+  const sort = getSortMode();
+
+  return {
+    boardId: getCurrentBoardId(),
+    tags: getSavedTagFilters(),
+    query: getSearchQuery().trim(),
+    status: status === DEFAULT_STATUS_FILTER ? null : status,
+    favoritesOnly: isFavoritesFilterOn(),
+    sort: sort === DEFAULT_SORT_MODE ? null : sort,
+    facets: getFacetFilters(),
+    trash: isTrashViewOpen()
+  };
+}
+
+/**
+ * Get the URL for a view state, keeping the page's other parameters
+ * @param {Object} state The view state
+ * @returns {URL} The URL
+ */
+function getViewUrl(state) {
+  const url = new URL(window.location.href);
+  VIEW_PARAMS.forEach(name => url.searchParams.delete(name));
+  encodeViewState(state).forEach((value, name) => url.searchParams.append(name, value));
+  return url;
+}
+
+/**
+ * Write the current view into the page URL
+ * Adds a history entry unless only the search changed since the last search
+ * entry, or `replace` is set.
+ * @param {boolean} [replace=false] Whether to replace the current entry
+ */
+function updateUrl(replace = false) {
+  const state = getViewState();
+  const url = getViewUrl(state);
+  if (url.href === window.location.href) return;
+
+  const previous = decodeViewState(new URLSearchParams(window.location.search));
+  const withoutQuery = viewState => encodeViewState({ ...viewState, query: '' }).toString();
+  const searchOnly = withoutQuery(previous) === withoutQuery(state);
+
+  if (replace || (searchOnly && lastEntryWasSearch)) {
+    window.history.replaceState(window.history.state, document.title, url.href);
+  } else {
+    window.history.pushState(null, document.title, url.href);
+    lastEntryWasSearch = searchOnly;
+  }
+}
+
+/**
+ * Show a view state: switch board, put its filters, sort and search in place
+ * and render the board or the Trash view
+ * Values that aren't valid, or missing from the state, fall back to their defaults.
+ * @param {Object} state The view state, e.g. from decodeViewState()
+ * @param {boolean} [render=true] Whether to update the board right away
+ */
+export function applyViewState(state, render = true) {
+  console.log('Applying view state from the URL');
+  restoring = true;
+
+  try {
+    // Filters are saved per board, so switch first and set them afterwards
+    switchBoard(state.boardId, false);
+    setStatusFilter(STATUS_FILTERS.includes(state.status) ? state.status : DEFAULT_STATUS_FILTER);
+    setFavoritesFilter(state.favoritesOnly);
+    setSortMode(Object.values(SORT_MODES).includes(state.sort) ? state.sort : DEFAULT_SORT_MODE);
+    if (hasActiveFacets(state.facets)) {
+      setFacetFilters(state.facets);
+    } else {
+      clearFacetFilters();
+    }
+    saveTagFilters(state.tags);
+    document.dispatchEvent(new CustomEvent('restoreTagFilters'));
+
+    const searchInput = document.getElementById('searchInput');
+    if (searchInput) {
+      searchInput.value = state.query;
+    }
+    setSearchQuery(state.query, false);
+
+    // Closing the trash renders the board too
+    if (state.trash) {
+      if (!isTrashViewOpen()) openTrashView();
+    } else if (isTrashViewOpen()) {
+      closeTrashView();
+    } else if (render) {
+      filterPostsByTags(getActiveTagFilters());
+    }
+  } catch (error) {
+    console.error('Error applying view state:', error);
+  } finally {
+    restoring = false;
+  }
+
+  pendingState = state.boardId && !storage.getBoard(state.boardId) ? state : null;
+}
+
+/**
+ * Set up the view state: restore the view in the page URL and keep the URL up to date
+ */
+export function setupViewState() {
+  // Start with the view from the page URL; the board is rendered once posts load
+  const params = new URLSearchParams(window.location.search);
+  if (hasViewState(params)) {
+    applyViewState(decodeViewState(params), false);
+  }
+
+  // Filter, board and search changes all re-render the board
+  const onViewChanged = () => {
+    if (restoring) return;
+
+    updateUrl(!urlInitialized);
+    urlInitialized = true;
+
+    // Try the view from the URL again once its board has arrived
+    if (pendingState && storage.getBoard(pendingState.boardId)) {
+      const state = pendingState;
+      pendingState = null;
+      setTimeout(() => {
+        applyViewState(state);
+        updateUrl(true);
+      }, 0);
+    }
+  };
+  document.addEventListener('postsRendered', onViewChanged);
+  document.addEventListener('viewChanged', onViewChanged);
+
+  // A board picked by the user wins over one still waiting from the URL
+  document.addEventListener('boardChanged', () => {
+    if (!restoring) pendingState = null;
+  });
+
+  window.addEventListener('popstate', () => {
+    lastEntryWasSearch = false;
+    applyViewState(decodeViewState(new URLSearchParams(window.location.search)));
+    updateUrl(true);
+  });
+
+  console.log('View state set up');
+}
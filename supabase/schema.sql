@@ -20,8 +20,26 @@ CREATE TABLE public.posts (
   platform TEXT NOT NULL,
   title TEXT,
   description TEXT,
+  -- Markdown notes written by the user
+  notes TEXT,
+  -- Read-later status: unread, read or archived
+  status TEXT NOT NULL DEFAULT 'unread' CHECK (status IN ('unread', 'read', 'archived')),
+  -- Set when the post is pinned to the top of the board, NULL when not pinned
+  pinned_at TIMESTAMP WITH TIME ZONE,
+  is_favorite BOOLEAN NOT NULL DEFAULT FALSE,
+  -- Manual order on the board, NULL until the post is dragged into place
+  position DOUBLE PRECISION,
+  -- When to remind the user about the post; it is hidden from the board until then
+  remind_at TIMESTAMP WITH TIME ZONE,
+  -- When the post's link was last opened, for the Recently opened sort
+  opened_at TIMESTAMP WITH TIME ZONE,
+  -- What the last link check found: ok, redirected, gone or blocked; NULL until checked
+  link_status TEXT CHECK (link_status IN ('ok', 'redirected', 'gone', 'blocked')),
+  last_checked_at TIMESTAMP WITH TIME ZONE,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  -- Set when the post is moved to the trash, NULL for active posts
+  deleted_at TIMESTAMP WITH TIME ZONE
 );
 
 -- Tags table
@@ -41,6 +59,81 @@ CREATE TABLE public.post_tags (
   PRIMARY KEY (post_id, tag_id)
 );
 
+-- Boards group posts into named collections
+CREATE TABLE public.boards (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  user_id UUID REFERENCES public.profiles NOT NULL,
+  name TEXT NOT NULL,
+  description TEXT,
+  cover_url TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Board-Posts junction table, a post can be on any number of boards
+CREATE TABLE public.board_posts (
+  board_id UUID REFERENCES public.boards ON DELETE CASCADE,
+  post_id UUID REFERENCES public.posts ON DELETE CASCADE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  PRIMARY KEY (board_id, post_id)
+);
+
+-- Sections split a board, or all posts when board_id is NULL, into ordered groups
+CREATE TABLE public.sections (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  user_id UUID REFERENCES public.profiles NOT NULL,
+  board_id UUID REFERENCES public.boards ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  position DOUBLE PRECISION NOT NULL DEFAULT 0,
+  collapsed BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Section-Posts junction table, a post is in at most one section per board
+CREATE TABLE public.section_posts (
+  section_id UUID REFERENCES public.sections ON DELETE CASCADE,
+  post_id UUID REFERENCES public.posts ON DELETE CASCADE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  PRIMARY KEY (section_id, post_id)
+);
+
+-- Post revisions are an append-only history of edits to a post's URL, title,
+-- description, notes and tags. Rows are only inserted and pruned, never updated.
+CREATE TABLE public.post_revisions (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  user_id UUID REFERENCES public.profiles NOT NULL,
+  post_id UUID REFERENCES public.posts ON DELETE CASCADE NOT NULL,
+  url TEXT NOT NULL,
+  title TEXT,
+  description TEXT,
+  notes TEXT,
+  tags TEXT[] NOT NULL DEFAULT '{}',
+  changes TEXT[] NOT NULL DEFAULT '{}',
+  added_tags TEXT[] NOT NULL DEFAULT '{}',
+  removed_tags TEXT[] NOT NULL DEFAULT '{}',
+  device TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Smart boards are saved searches: a query plus tag, status and favorites
+-- filters, optionally limited to one board. They hold no posts of their own.
+CREATE TABLE public.smart_boards (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  user_id UUID REFERENCES public.profiles NOT NULL,
+  board_id UUID REFERENCES public.boards ON DELETE SET NULL,
+  name TEXT NOT NULL,
+  query TEXT NOT NULL DEFAULT '',
+  -- Tag filters by mode: posts need all of tags, one of any_tags and none of excluded_tags
+  tags TEXT[] NOT NULL DEFAULT '{}',
+  any_tags TEXT[] NOT NULL DEFAULT '{}',
+  excluded_tags TEXT[] NOT NULL DEFAULT '{}',
+  status TEXT NOT NULL DEFAULT 'active',
+  favorites_only BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
 -- Row Level Security (RLS) policies
 -- These ensure users can only access their own data
 
@@ -123,6 +216,175 @@ CREATE POLICY "Users can delete their own post tags"
     )
   );
 
+-- Boards table policies
+ALTER TABLE public.boards ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own boards"
+  ON public.boards FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert their own boards"
+  ON public.boards FOR INSERT
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update their own boards"
+  ON public.boards FOR UPDATE
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete their own boards"
+  ON public.boards FOR DELETE
+  USING (auth.uid() = user_id);
+
+-- Board-Posts junction table policies
+-- Both the board and the post must belong to the user
+ALTER TABLE public.board_posts ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own board posts"
+  ON public.board_posts FOR SELECT
+  USING (
+    EXISTS (
+      SELECT 1 FROM public.boards
+      WHERE boards.id = board_id AND boards.user_id = auth.uid()
+    )
+  );
+
+CREATE POLICY "Users can insert their own board posts"
+  ON public.board_posts FOR INSERT
+  WITH CHECK (
+    EXISTS (
+      SELECT 1 FROM public.boards
+      WHERE boards.id = board_id AND boards.user_id = auth.uid()
+    )
+    AND EXISTS (
+      SELECT 1 FROM public.posts
+      WHERE posts.id = post_id AND posts.user_id = auth.uid()
+    )
+  );
+
+CREATE POLICY "Users can delete their own board posts"
+  ON public.board_posts FOR DELETE
+  USING (
+    EXISTS (
+      SELECT 1 FROM public.boards
+      WHERE boards.id = board_id AND boards.user_id = auth.uid()
+    )
+  );
+
+-- Sections table policies
+-- A section's board, if it has one, must belong to the user
+ALTER TABLE public.sections ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own sections"
+  ON public.sections FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert their own sections"
+  ON public.sections FOR INSERT
+  WITH CHECK (
+    auth.uid() = user_id
+    AND (
+      board_id IS NULL
+      OR EXISTS (
+        SELECT 1 FROM public.boards
+        WHERE boards.id = board_id AND boards.user_id = auth.uid()
+      )
+    )
+  );
+
+CREATE POLICY "Users can update their own sections"
+  ON public.sections FOR UPDATE
+  USING (auth.uid() = user_id)
+  WITH CHECK (
+    auth.uid() = user_id
+    AND (
+      board_id IS NULL
+      OR EXISTS (
+        SELECT 1 FROM public.boards
+        WHERE boards.id = board_id AND boards.user_id = auth.uid()
+      )
+    )
+  );
+
+CREATE POLICY "Users can delete their own sections"
+  ON public.sections FOR DELETE
+  USING (auth.uid() = user_id);
+
+-- Section-Posts junction table policies
+-- Both the section and the post must belong to the user
+ALTER TABLE public.section_posts ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own section posts"
+  ON public.section_posts FOR SELECT
+  USING (
+    EXISTS (
+      SELECT 1 FROM public.sections
+      WHERE sections.id = section_id AND sections.user_id = auth.uid()
+    )
+  );
+
+CREATE POLICY "Users can insert their own section posts"
+  ON public.section_posts FOR INSERT
+  WITH CHECK (
+    EXISTS (
+      SELECT 1 FROM public.sections
+      WHERE sections.id = section_id AND sections.user_id = auth.uid()
+    )
+    AND EXISTS (
+      SELECT 1 FROM public.posts
+      WHERE posts.id = post_id AND posts.user_id = auth.uid()
+    )
+  );
+
+CREATE POLICY "Users can delete their own section posts"
+  ON public.section_posts FOR DELETE
+  USING (
+    EXISTS (
+      SELECT 1 FROM public.sections
+      WHERE sections.id = section_id AND sections.user_id = auth.uid()
+    )
+  );
+
+-- Post revisions table policies
+-- There is no update policy, so revisions can't be changed once written
+ALTER TABLE public.post_revisions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own post revisions"
+  ON public.post_revisions FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert their own post revisions"
+  ON public.post_revisions FOR INSERT
+  WITH CHECK (
+    auth.uid() = user_id
+    AND EXISTS (
+      SELECT 1 FROM public.posts
+      WHERE posts.id = post_id AND posts.user_id = auth.uid()
+    )
+  );
+
+CREATE POLICY "Users can delete their own post revisions"
+  ON public.post_revisions FOR DELETE
+  USING (auth.uid() = user_id);
+
+-- Smart boards table policies
+ALTER TABLE public.smart_boards ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own smart boards"
+  ON public.smart_boards FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert their own smart boards"
+  ON public.smart_boards FOR INSERT
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update their own smart boards"
+  ON public.smart_boards FOR UPDATE
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete their own smart boards"
+  ON public.smart_boards FOR DELETE
+  USING (auth.uid() = user_id);
+
 -- Create a trigger to automatically create a profile when a new user signs up
 CREATE OR REPLACE FUNCTION public.handle_new_user()
 RETURNS TRIGGER AS $$
@@ -139,6 +401,17 @@ CREATE TRIGGER on_auth_user_created
 
 -- Create indexes for better performance
 CREATE INDEX idx_posts_user_id ON public.posts(user_id);
+CREATE INDEX idx_posts_deleted_at ON public.posts(deleted_at);
 CREATE INDEX idx_tags_user_id ON public.tags(user_id);
 CREATE INDEX idx_post_tags_post_id ON public.post_tags(post_id);
 CREATE INDEX idx_post_tags_tag_id ON public.post_tags(tag_id);
+CREATE INDEX idx_boards_user_id ON public.boards(user_id);
+CREATE INDEX idx_board_posts_board_id ON public.board_posts(board_id);
+CREATE INDEX idx_board_posts_post_id ON public.board_posts(post_id);
+CREATE INDEX idx_sections_user_id ON public.sections(user_id);
+CREATE INDEX idx_sections_board_id ON public.sections(board_id);
+CREATE INDEX idx_section_posts_section_id ON public.section_posts(section_id);
+CREATE INDEX idx_section_posts_post_id ON public.section_posts(post_id);
+CREATE INDEX idx_post_revisions_user_id ON public.post_revisions(user_id);
+CREATE INDEX idx_post_revisions_post_id ON public.post_revisions(post_id);
+CREATE INDEX idx_smart_boards_user_id ON public.smart_boards(user_id);
@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { getUrlKey, getCanonicalUrl, getUrlHost } from '../src/js/utils/canonicalUrl.js';
+
+test('YouTube links share the video ID as key', () => {
+  const urls = [
+    'https://youtu.be/dQw4w9WgXcQ?si=abc',
+    'https://m.youtube.com/watch?v=dQw4w9WgXcQ&feature=share',
+    'https://www.youtube.com/shorts/dQw4w9WgXcQ'
+  ];
+  urls.forEach(url => {
+    assert.equal(getUrlKey(url), 'youtube:dQw4w9WgXcQ');
+    assert.equal(getCanonicalUrl(url), 'https://www.youtube.com/watch?v=dQw4w9WgXcQ');
+  });
+});
+
+test('Twitter and X links share the status ID as key', () => {
+  assert.equal(getUrlKey('https://twitter.com/jack/status/20'), 'twitter:20');
+  assert.equal(getUrlKey('https://x.com/i/web/status/20/photo/1'), 'twitter:20');
+  assert.equal(getCanonicalUrl('https://twitter.com/jack/status/20'), 'https://x.com/i/status/20');
+});
+
+test('other links drop tracking parameters, fragments and www.', () => {
+  const key = getUrlKey('https://www.Example.com/a/?utm_source=x&b=2&fbclid=1#top');
+  assert.equal(key, 'https://example.com/a?b=2');
+  assert.equal(getUrlKey('https://example.com/a?b=2'), key);
+});
+
+test('hosts lose www., m. and mobile.', () => {
+  assert.equal(getUrlHost('https://m.YouTube.com/watch?v=dQw4w9WgXcQ'), 'youtube.com');
+  assert.equal(getUrlHost('https://mobile.twitter.com/jack'), 'twitter.com');
+});
+
+test('invalid URLs give empty strings', () => {
+  ['not a url', '', null].forEach(url => {
+    assert.equal(getUrlKey(url), '');
+    assert.equal(getCanonicalUrl(url), '');
+    assert.equal(getUrlHost(url), '');
+  });
+});
@@ -0,0 +1,67 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+
+import { checkLinkHealth } from '../src/js/utils/metadataFetcher.js';
+import { LINK_STATUSES } from '../src/js/utils/linkHealth.js';
+
+// What the stub metadata worker answers for each checked link: [HTTP status, body]
+const ANSWERS = {
+  'https://example.com/ok': [200, { title: 'Example', url: 'https://example.com/ok' }],
+  'https://example.com/removed': [404, { error: 'Page returned 404', status: 404 }],
+  'https://example.com/moved': [200, { title: 'Moved', url: 'https://example.org/new-home' }],
+  'https://example.com/private': [200, { title: 'Private', status: 403 }],
+  'https://example.com/login-wall': [200, { title: 'Log in', url: 'https://example.com/accounts/login/?next=/private' }],
+  'https://dead.example/': [200, { error: 'getaddrinfo ENOTFOUND dead.example' }],
+  'https://example.com/server-error': [502, 'Bad gateway'],
+  'https://example.com/timeout': [200, { error: 'The page took too long to answer' }]
+};
+
+let server;
+let endpoint;
+
+before(async () => {
+  server = createServer((request, response) => {
+    const url = new URL(request.url, 'http://localhost').searchParams.get('url');
+    const [status, body] = ANSWERS[url] || [500, 'Unknown link'];
+    const isJson = typeof body === 'object';
+    response.writeHead(status, { 'Content-Type': isJson ? 'application/json' : 'text/plain' });
+    response.end(isJson ? JSON.stringify(body) : body);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  endpoint = `http://127.0.0.1:${server.address().port}/`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+test('a page that loads is ok', async () => {
+  assert.equal(await checkLinkHealth('https://example.com/ok', { endpoint }), LINK_STATUSES.OK);
+});
+
+test('removed pages and dead hosts are gone', async () => {
+  assert.equal(await checkLinkHealth('https://example.com/removed', { endpoint }), LINK_STATUSES.GONE);
+  assert.equal(await checkLinkHealth('https://dead.example/', { endpoint }), LINK_STATUSES.GONE);
+});
+
+test('pages that refuse or ask for a login are blocked', async () => {
+  assert.equal(await checkLinkHealth('https://example.com/private', { endpoint }), LINK_STATUSES.BLOCKED);
+  assert.equal(await checkLinkHealth('https://example.com/login-wall', { endpoint }), LINK_STATUSES.BLOCKED);
+});
+
+test('pages loaded from another address are redirected', async () => {
+  assert.equal(await checkLinkHealth('https://example.com/moved', { endpoint }), LINK_STATUSES.REDIRECTED);
+});
+
+test('server errors and other failures give no status', async () => {
+  assert.equal(await checkLinkHealth('https://example.com/server-error', { endpoint }), null);
+  assert.equal(await checkLinkHealth('https://example.com/timeout', { endpoint }), null);
+});
+
+test('an unreachable worker gives no status', async () => {
+  const closed = createServer();
+  await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+  const { port } = closed.address();
+  await new Promise(resolve => closed.close(resolve));
+
+  assert.equal(await checkLinkHealth('https://example.com/ok', { endpoint: `http://127.0.0.1:${port}/` }), null);
+});
@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { renderMarkdown } from '../src/js/utils/markdown.js';
+
+const link = (href, label) => `<a href="${href}" target="_blank" rel="noopener noreferrer">${label}</a>`;
+
+test('blocks, emphasis and code are rendered', () => {
+  assert.equal(renderMarkdown('# Title\n- one\n- two'), '<h1>Title</h1><ul><li>one</li><li>two</li></ul>');
+  assert.equal(renderMarkdown('**bold** and _italic_'), '<p><strong>bold</strong> and <em>italic</em></p>');
+  assert.equal(renderMarkdown('```\n<b>\n```'), '<pre><code>&lt;b&gt;</code></pre>');
+});
+
+test('emphasis markers inside code and links are left alone', () => {
+  assert.equal(
+    renderMarkdown('see `a_b` and https://x.com/a_b_c'),
+    `<p>see <code>a_b</code> and ${link('https://x.com/a_b_c', 'https://x.com/a_b_c')}</p>`
+  );
+});
+
+test('a code span inside a link label is rendered inside the link', () => {
+  assert.equal(renderMarkdown('[`x`](https://a.com)'), `<p>${link('https://a.com', '<code>x</code>')}</p>`);
+  assert.equal(
+    renderMarkdown('[run `npm test` first](https://a.com/docs)'),
+    `<p>${link('https://a.com/docs', 'run <code>npm test</code> first')}</p>`
+  );
+});
+
+test('unsafe and parenthesized link targets are shown as written', () => {
+  assert.equal(renderMarkdown('[l](javascript:alert(1))'), '<p>[l](javascript:alert(1))</p>');
+  assert.equal(renderMarkdown('[a](https://en.wikipedia.org/wiki/Foo_(bar))'), '<p>[a](https://en.wikipedia.org/wiki/Foo_(bar))</p>');
+});
+
+test('HTML and placeholder characters in the text are not passed through', () => {
+  assert.equal(renderMarkdown('<img src=x onerror=alert(1)>'), '<p>&lt;img src=x onerror=alert(1)&gt;</p>');
+  assert.equal(renderMarkdown('a\u00000\u0000b `c`'), '<p>a0b <code>c</code></p>');
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseSearchQuery, isPlainTextQuery, getPositiveTerms } from '../src/js/utils/searchQuery.js';
+
+const word = value => ({ type: 'text', words: [value], phrase: false });
+
+test('an empty query has no AST and no error', () => {
+  assert.deepEqual(parseSearchQuery(''), { ast: null, error: null });
+  assert.deepEqual(parseSearchQuery('   '), { ast: null, error: null });
+});
+
+test('words next to each other must all match', () => {
+  const { ast, error } = parseSearchQuery('hello world');
+  assert.equal(error, null);
+  assert.deepEqual(ast, { type: 'and', children: [word('hello'), word('world')] });
+  assert.equal(isPlainTextQuery(ast), true);
+});
+
+test('phrases and filters are parsed and normalized', () => {
+  const { ast } = parseSearchQuery('"exact phrase" tag:Design platform:x site:https://www.GitHub.com/foo');
+  assert.deepEqual(ast.children, [
+    { type: 'text', words: ['exact', 'phrase'], phrase: true },
+    { type: 'field', field: 'tag', value: 'design' },
+    { type: 'field', field: 'platform', value: 'twitter' },
+    { type: 'field', field: 'site', value: 'github.com' }
+  ]);
+  assert.equal(isPlainTextQuery(ast), false);
+});
+
+test('dates become the start of the day in local time', () => {
+  const { ast } = parseSearchQuery('before:2025-01-01');
+  assert.deepEqual(ast, { type: 'field', field: 'before', value: new Date(2025, 0, 1).getTime() });
+});
+
+test('OR binds looser than terms next to each other and "-" excludes', () => {
+  const { ast } = parseSearchQuery('a OR b -c');
+  assert.deepEqual(ast, {
+    type: 'or',
+    children: [word('a'), { type: 'and', children: [word('b'), { type: 'not', child: word('c') }] }]
+  });
+  assert.deepEqual(getPositiveTerms(ast), [word('a'), word('b')]);
+});
+
+test('invalid queries report where the error is', () => {
+  const unknown = parseSearchQuery('cats is:bogus');
+  assert.equal(unknown.ast, null);
+  assert.match(unknown.error.message, /is:bogus/);
+  assert.deepEqual([unknown.error.start, unknown.error.end], [5, 13]);
+
+  const unclosed = parseSearchQuery('(a OR b');
+  assert.deepEqual(unclosed, { ast: null, error: { message: 'Missing ")"', start: 0, end: 1 } });
+});
@@ -0,0 +1,142 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  MemoryAdapter,
+  initStorage,
+  transaction,
+  subscribe,
+  getPosts,
+  getPost,
+  getTags,
+  getBoards,
+  putPost,
+  replacePosts,
+  replaceBoards,
+  queryPosts,
+  clearStorage,
+  flushStorage
+} from '../src/js/storage/index.js';
+
+const SCOPE = 'anonymous';
+const adapter = new MemoryAdapter();
+
+before(async () => {
+  await initStorage(adapter);
+});
+
+/**
+ * Collect the change events emitted while running a function
+ * @param {Function} fn Async function making the changes
+ * @returns {Promise<Array>} The events
+ */
+async function collectEvents(fn) {
+  const events = [];
+  const unsubscribe = subscribe(event => events.push(event));
+  try {
+    await fn();
+  } finally {
+    unsubscribe();
+  }
+  return events;
+}
+
+test('a transaction is cached, persisted and announced once', async () => {
+  await clearStorage(SCOPE);
+
+  const events = await collectEvents(() => transaction(tx => {
+    tx.putPost({ id: 'p1', url: 'https://example.com/1', tags: ['Design'] });
+    tx.putPost({ id: 'p2', url: 'https://example.com/2', tags: [] });
+    tx.putTags([{ name: 'Design' }]);
+  }));
+
+  assert.equal(events.length, 1);
+  assert.deepEqual(events[0].putPosts.map(post => post.id), ['p1', 'p2']);
+  assert.deepEqual(events[0].putTags, [{ name: 'Design' }]);
+  assert.deepEqual(events[0].deletePostIds, []);
+
+  assert.equal(getPosts().length, 2);
+  assert.deepEqual(getTags(), [{ name: 'Design' }]);
+  assert.deepEqual((await adapter.getPosts(SCOPE)).map(post => post.id), ['p1', 'p2']);
+  assert.deepEqual(await adapter.getTags(SCOPE), [{ name: 'Design' }]);
+});
+
+test('a transaction that throws changes nothing', async () => {
+  await clearStorage(SCOPE);
+  await putPost({ id: 'p1', title: 'Before' });
+
+  const events = await collectEvents(async () => {
+    assert.throws(() => transaction(tx => {
+      tx.putPost({ id: 'p1', title: 'After' });
+      tx.deletePost('p1');
+      throw new Error('Abort');
+    }), /Abort/);
+    await flushStorage();
+  });
+
+  assert.equal(events.length, 0);
+  assert.equal(getPost('p1').title, 'Before');
+  assert.equal((await adapter.getPosts(SCOPE))[0].title, 'Before');
+});
+
+test('only records that really changed are written', async () => {
+  await clearStorage(SCOPE);
+  await transaction(tx => tx.putPosts([{ id: 'p1', title: 'Same' }, { id: 'p2' }]));
+
+  const unchanged = await collectEvents(() => putPost({ id: 'p1', title: 'Same' }));
+  assert.equal(unchanged.length, 0);
+
+  const events = await collectEvents(() => replacePosts([{ id: 'p1', title: 'Same' }, { id: 'p3' }]));
+  assert.equal(events.length, 1);
+  assert.deepEqual(events[0].putPosts, [{ id: 'p3' }]);
+  assert.deepEqual(events[0].deletePostIds, ['p2']);
+  assert.deepEqual(getPosts().map(post => post.id), ['p1', 'p3']);
+});
+
+test('boards are stored and replaced in the same transactions', async () => {
+  await clearStorage(SCOPE);
+  await transaction(tx => {
+    tx.putBoards([{ id: 'b1', name: 'Reading' }, { id: 'b2', name: 'Watching' }]);
+    tx.putPost({ id: 'p1' });
+  });
+
+  const events = await collectEvents(() => replaceBoards([{ id: 'b2', name: 'Watching' }, { id: 'b3', name: 'Later' }]));
+  assert.equal(events.length, 1);
+  assert.deepEqual(events[0].putBoards, [{ id: 'b3', name: 'Later' }]);
+  assert.deepEqual(events[0].deleteBoardIds, ['b1']);
+  assert.deepEqual(getBoards().map(board => board.id), ['b2', 'b3']);
+  assert.deepEqual((await adapter.getBoards(SCOPE)).map(board => board.id), ['b2', 'b3']);
+});
+
+test('tags are keyed by their lowercase name', async () => {
+  await clearStorage(SCOPE);
+  await transaction(tx => tx.putTags([{ name: 'Design' }, { name: 'UX' }]));
+
+  const events = await collectEvents(() => transaction(tx => tx.deleteTag('design')));
+  assert.deepEqual(events[0].deleteTagKeys, ['design']);
+  assert.deepEqual(getTags(), [{ name: 'UX' }]);
+  assert.deepEqual(await adapter.getTags(SCOPE), [{ name: 'UX' }]);
+});
+
+test('posts can be queried through an index', async () => {
+  await clearStorage(SCOPE);
+  await transaction(tx => tx.putPosts([
+    { id: 'p1', url: 'https://example.com/1', platform: 'Website', tags: ['Design'] },
+    { id: 'p2', url: 'https://example.com/2', platform: 'YouTube', tags: [{ name: 'design' }] },
+    { id: 'p3', url: 'https://example.com/3', platform: 'YouTube', tags: [] }
+  ]));
+
+  const ids = posts => posts.map(post => post.id).sort();
+  assert.deepEqual(ids(await queryPosts('url', 'https://example.com/2')), ['p2']);
+  assert.deepEqual(ids(await queryPosts('platform', 'YouTube')), ['p2', 'p3']);
+  assert.deepEqual(ids(await queryPosts('tag', 'DESIGN')), ['p1', 'p2']);
+});
+
+test('clearing a scope removes its data and announces it', async () => {
+  await putPost({ id: 'p9' });
+
+  const events = await collectEvents(() => clearStorage(SCOPE));
+  assert.deepEqual(events, [{ scope: SCOPE, cleared: true }]);
+  assert.deepEqual(getPosts(), []);
+  assert.deepEqual(await adapter.getPosts(SCOPE), []);
+});
@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { encodeViewState, decodeViewState, hasViewState } from '../src/js/utils/viewState.js';
+
+const EMPTY_STATE = {
+  boardId: null,
+  tags: [],
+  query: '',
+  status: null,
+  favoritesOnly: false,
+  sort: null,
+  facets: { platforms: [], domains: [], date: { preset: null, from: '', to: '' } },
+  trash: false
+};
+
+test('an empty view state has no parameters', () => {
+  const params = encodeViewState(EMPTY_STATE);
+  assert.equal(params.toString(), '');
+  assert.equal(hasViewState(params), false);
+  assert.deepEqual(decodeViewState(params), EMPTY_STATE);
+});
+
+test('a full view state survives a round trip through the URL', () => {
+  const state = {
+    boardId: 'board-1',
+    tags: [
+      { name: 'design', mode: 'include' },
+      { name: 'ux', mode: 'any' },
+      { name: 'done', mode: 'exclude' },
+      { name: '-dash', mode: 'include' }
+    ],
+    query: 'tag:css "grid layout"',
+    status: 'unread',
+    favoritesOnly: true,
+    sort: 'title',
+    facets: {
+      platforms: ['YouTube', 'Website'],
+      domains: ['github.com'],
+      date: { preset: 'custom', from: '2025-01-01', to: '2025-02-01' }
+    },
+    trash: true
+  };
+
+  const params = new URLSearchParams(encodeViewState(state).toString());
+  assert.equal(hasViewState(params), true);
+  assert.deepEqual(params.getAll('tag'), ['design', '*ux', '-done', '+-dash']);
+  assert.deepEqual(decodeViewState(params), state);
+});
+
+test('dates are only written with a date preset', () => {
+  const params = encodeViewState({
+    ...EMPTY_STATE,
+    facets: { platforms: [], domains: [], date: { preset: null, from: '2025-01-01', to: '' } }
+  });
+  assert.equal(params.has('from'), false);
+});